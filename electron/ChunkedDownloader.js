@@ -12,6 +12,9 @@
  * - Manejo de backpressure y circuit breakers
  * - Progreso granular por chunk
  * - Fusión automática de chunks al completar
+ * - Reparto de chunks entre varios servidores (principal y espejos) en proporción
+ *   a la velocidad medida de cada uno; un chunk que falla en un host se reintenta
+ *   en otro. El host de cada chunk se guarda en download_chunks.source_host
  *
  * @author Myrient Downloader
  * @version 2.0.0
@@ -21,9 +24,13 @@
  * @typedef {Object} ChunkedDownloaderOptions
  * @property {number} downloadId - ID único de la descarga
  * @property {string} url - URL completa del archivo a descargar
+ * @property {Array<string>} [sources] - URL del mismo archivo en varios servidores (incluye url);
+ *   si no se indica, todos los chunks usan url
  * @property {string} savePath - Ruta completa donde guardar el archivo final
  * @property {number} totalBytes - Tamaño total del archivo en bytes
  * @property {string} title - Título del archivo (para logging)
+ * @property {string|null} [ifRange] - Valor de If-Range (ETag o Last-Modified) de la versión
+ *   con la que empezó la descarga; solo se envía al servidor que lo dio
  * @property {Function} onProgress - Callback de progreso: (info) => void
  * @property {Function} onComplete - Callback de completado: (info) => void
  * @property {Function} onError - Callback de error: (downloader, error) => void
@@ -47,13 +54,14 @@
 
 const fs = require('fs');
 const path = require('path');
-const { net } = require('electron');
 const { Worker } = require('worker_threads');
 const config = require('./config');
 const { logger, safeUnlink } = require('./utils');
 const queueDatabase = require('./queueDatabase');
+const networkProfile = require('./networkProfile');
 const ProgressBatcher = require('./progressBatcher');
 const { CircuitBreaker } = require('./utils/circuitBreaker');
+const { REMOTE_CHANGED } = require('./utils/remoteVersion');
 const log = logger.child('ChunkedDownloader');
 
 // Estados de chunk
@@ -88,6 +96,7 @@ class ChunkDownload {
    * @param {string} options.tempFile - Ruta del archivo temporal del chunk
    * @param {number} [options.downloadedBytes=0] - Bytes ya descargados (para reanudación)
    * @param {string} [options.state='pending'] - Estado inicial del chunk
+   * @param {string|null} [options.sourceHost] - Host asignado en una sesión anterior
    * @param {ChunkedDownloader} [options.chunkedDownloader] - Referencia al descargador padre
    * @param {Function} [options.onProgress] - Callback de progreso
    * @param {Function} [options.onComplete] - Callback de completado
@@ -102,6 +111,11 @@ class ChunkDownload {
     this.tempFile = options.tempFile;
     this.downloadedBytes = options.downloadedBytes || 0;
     this.state = options.state || ChunkState.PENDING;
+    this.sourceHost = options.sourceHost || null;
+    this.ifRange = null;
+
+    // Hosts en los que ha fallado este chunk (se evitan al reasignarlo)
+    this.failedHosts = new Set();
 
     // Runtime state
     this.request = null;
@@ -182,19 +196,19 @@ class ChunkDownload {
       const chunkedDownloader = this.chunkedDownloader;
       let request;
 
+      // If-Range: si el archivo cambió, el servidor responde 200 en lugar de 206
+      this.ifRange = chunkedDownloader?.getIfRange(this.url) || null;
+
       if (chunkedDownloader?.circuitBreaker && config.circuitBreaker?.enabled) {
         try {
           request = await chunkedDownloader.circuitBreaker.execute(
             async () => {
-              const req = net.request(this.url);
-              req.setHeader(
-                'User-Agent',
-                'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
-              );
-              req.setHeader('Referer', 'https://myrient.erista.me/');
+              const req = networkProfile.request(this.url);
+              req.setHeader('Referer', `${new URL(this.url).origin}/`);
               req.setHeader('Accept', '*/*');
               req.setHeader('Connection', 'keep-alive');
               req.setHeader('Range', `bytes=${actualStartByte}-${this.endByte}`);
+              if (this.ifRange) req.setHeader('If-Range', this.ifRange);
               return req;
             },
             () => {
@@ -210,15 +224,12 @@ class ChunkDownload {
           return;
         }
       } else {
-        request = net.request(this.url);
-        request.setHeader(
-          'User-Agent',
-          'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
-        );
-        request.setHeader('Referer', 'https://myrient.erista.me/');
+        request = networkProfile.request(this.url);
+        request.setHeader('Referer', `${new URL(this.url).origin}/`);
         request.setHeader('Accept', '*/*');
         request.setHeader('Connection', 'keep-alive');
         request.setHeader('Range', `bytes=${actualStartByte}-${this.endByte}`);
+        if (this.ifRange) request.setHeader('If-Range', this.ifRange);
       }
 
       // CRÍTICO: Configurar timeout para prevenir requests colgadas indefinidamente
@@ -288,6 +299,15 @@ class ChunkDownload {
       return;
     }
 
+    // Con If-Range, un 200 es el archivo completo en otra versión: los demás
+    // chunks ya no sirven
+    if (response.statusCode === 200 && this.ifRange) {
+      const error = new Error('El archivo cambió en el servidor');
+      error.code = REMOTE_CHANGED;
+      this._handleError(error);
+      return;
+    }
+
     // Verificar que el servidor soporta Range
     if (response.statusCode === 200 && actualStartByte > this.startByte) {
       log.warn(`Chunk ${this.chunkIndex}: Servidor no soporta reanudación, reiniciando`);
@@ -690,6 +710,7 @@ class ChunkDownload {
       downloadedBytes: this.downloadedBytes,
       state: this.state,
       tempFile: this.tempFile,
+      sourceHost: this.sourceHost,
       speed: this.speed,
     };
   }
@@ -750,6 +771,20 @@ class ChunkedDownloader {
     this.totalBytes = options.totalBytes;
     this.title = options.title || path.basename(options.savePath);
 
+    // Versión del archivo con la que empezó la descarga (ETag o Last-Modified)
+    this.ifRange = options.ifRange || null;
+    this.ifRangeHost = new URL(options.url).hostname;
+
+    // Servidores con el mismo archivo: host -> { host, url, speed, failures, disabled }
+    // speed es la media móvil de la velocidad por conexión (bytes/s) medida en este host
+    this.sources = new Map();
+    for (const sourceUrl of options.sources?.length ? options.sources : [options.url]) {
+      const host = new URL(sourceUrl).hostname;
+      if (!this.sources.has(host)) {
+        this.sources.set(host, { host, url: sourceUrl, speed: 0, failures: 0, disabled: false });
+      }
+    }
+
     // Calcular número óptimo de chunks
     this.numChunks = options.numChunks || this._calculateOptimalChunks(options.totalBytes);
 
@@ -776,6 +811,7 @@ class ChunkedDownloader {
     // Configuración
     this.maxConcurrentChunks = config.downloads.chunked?.maxConcurrentChunks || 4;
     this.chunkRetries = config.downloads.chunked?.chunkRetries || 3;
+    this.maxHostFailures = config.downloads.chunked?.maxHostFailures || 3;
 
     // Concurrencia adaptativa
     this.adaptiveConcurrency = config.downloads.chunked?.adaptiveConcurrency || false;
@@ -829,7 +865,7 @@ class ChunkedDownloader {
     }
 
     log.info(
-      `ChunkedDownloader creado: ${this.title} (${this._formatBytes(this.totalBytes)}, ${this.numChunks} chunks)`
+      `ChunkedDownloader creado: ${this.title} (${this._formatBytes(this.totalBytes)}, ${this.numChunks} chunks, ${this.sources.size} servidores)`
     );
   }
 
@@ -946,6 +982,7 @@ class ChunkedDownloader {
 
         // 1. Abortar la conexión actual del chunk
         chunk.abort(true); // Mantener el archivo temporal para reanudar
+        this._recordSourceFailure(chunk);
 
         // 2. Remover de la lista de activos del manager
         this.activeChunks.delete(index);
@@ -1168,6 +1205,7 @@ class ChunkedDownloader {
             downloadedBytes: dbChunk.downloaded_bytes || 0,
             state: dbChunk.state || ChunkState.PENDING,
             tempFile: dbChunk.temp_file || this._getChunkTempFile(dbChunk.chunk_index),
+            sourceHost: dbChunk.source_host,
             url: this.url,
             chunkedDownloader: this, // Referencia al ChunkedDownloader para circuit breaker
             bandwidthManager: this.bandwidthManager, // Pasar BandwidthManager
@@ -1366,6 +1404,160 @@ class ChunkedDownloader {
     }
   }
 
+  /**
+   * Elige el servidor de un chunk antes de iniciarlo
+   *
+   * Un chunk con bytes descargados sigue en su host si este sigue disponible.
+   * Si no, se elige el host con más velocidad por conexión activa
+   * (velocidad / (chunks activos + 1)), de modo que los chunks se reparten en
+   * proporción a la velocidad medida. Los hosts sin medir usan la media de los
+   * medidos, y se evitan los hosts en los que el chunk ya ha fallado.
+   *
+   * @private
+   * @param {ChunkDownload} chunk - Chunk a iniciar
+   * @returns {void}
+   */
+  _assignSource(chunk) {
+    const available = [...this.sources.values()].filter(source => !source.disabled);
+    let source = null;
+
+    if (available.length === 0) {
+      source = this.sources.values().next().value;
+    } else if (available.length === 1) {
+      source = available[0];
+    } else {
+      const current = this.sources.get(chunk.sourceHost);
+      if (
+        current &&
+        !current.disabled &&
+        chunk.downloadedBytes > 0 &&
+        !chunk.failedHosts.has(current.host)
+      ) {
+        source = current;
+      } else {
+        const candidates = available.filter(candidate => !chunk.failedHosts.has(candidate.host));
+        const pool = candidates.length > 0 ? candidates : available;
+
+        const measured = pool.filter(candidate => candidate.speed > 0);
+        const averageSpeed = measured.length
+          ? measured.reduce((sum, candidate) => sum + candidate.speed, 0) / measured.length
+          : 1;
+
+        const activeByHost = new Map();
+        this.activeChunks.forEach(active => {
+          activeByHost.set(active.sourceHost, (activeByHost.get(active.sourceHost) || 0) + 1);
+        });
+
+        let bestScore = -1;
+        for (const candidate of pool) {
+          const score =
+            (candidate.speed || averageSpeed) / ((activeByHost.get(candidate.host) || 0) + 1);
+          if (score > bestScore) {
+            bestScore = score;
+            source = candidate;
+          }
+        }
+      }
+    }
+
+    chunk.url = source.url;
+    if (chunk.sourceHost !== source.host) {
+      if (chunk.sourceHost) {
+        log.debug(`Chunk ${chunk.chunkIndex}: ${chunk.sourceHost} -> ${source.host}`);
+      }
+      chunk.sourceHost = source.host;
+      queueDatabase.updateChunk(this.downloadId, chunk.chunkIndex, { sourceHost: source.host });
+    }
+  }
+
+  /**
+   * Actualiza la velocidad medida del host de un chunk (media móvil)
+   *
+   * @private
+   * @param {number} chunkIndex - Índice del chunk
+   * @param {number} speed - Velocidad actual del chunk en bytes/s
+   * @returns {void}
+   */
+  _updateSourceSpeed(chunkIndex, speed) {
+    if (this.sources.size < 2 || !speed) return;
+
+    const chunk = this.activeChunks.get(chunkIndex);
+    const source = chunk && this.sources.get(chunk.sourceHost);
+    if (!source) return;
+
+    source.speed = source.speed ? source.speed * 0.9 + speed * 0.1 : speed;
+  }
+
+  /**
+   * Registra un fallo del host de un chunk
+   *
+   * El chunk evitará ese host al reintentar. Si el host acumula
+   * maxHostFailures fallos y quedan otros disponibles, deja de usarse en
+   * esta descarga.
+   *
+   * @private
+   * @param {ChunkDownload} chunk - Chunk que ha fallado
+   * @returns {void}
+   */
+  _recordSourceFailure(chunk) {
+    const source = this.sources.get(chunk.sourceHost);
+    if (!source || this.sources.size < 2) return;
+
+    chunk.failedHosts.add(source.host);
+    source.failures++;
+
+    const others = [...this.sources.values()].filter(
+      candidate => candidate !== source && !candidate.disabled
+    );
+    if (!source.disabled && source.failures >= this.maxHostFailures && others.length > 0) {
+      source.disabled = true;
+      log.warn(
+        `Servidor ${source.host} descartado para ${this.title} tras ${source.failures} fallos`
+      );
+    }
+  }
+
+  /**
+   * Valor de If-Range para las peticiones de un chunk
+   *
+   * Los ETag son propios de cada servidor, así que a los espejos no se les envía.
+   *
+   * @param {string} url - URL a la que se pide el chunk
+   * @returns {string|null}
+   */
+  getIfRange(url) {
+    if (!this.ifRange) return null;
+    try {
+      return new URL(url).hostname === this.ifRangeHost ? this.ifRange : null;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Descarta lo descargado cuando el archivo cambió en el servidor
+   *
+   * Borra los archivos de los chunks, el archivo pre-asignado y los chunks de
+   * la BD para que el reintento empiece de cero con la versión nueva.
+   *
+   * @private
+   * @param {Error} error - Error REMOTE_CHANGED del chunk
+   * @returns {void}
+   */
+  _discardForRemoteChange(error) {
+    if (this.isAborted) return;
+
+    log.warn(`${this.title}: el archivo cambió en el servidor, se descarta lo descargado`);
+    this.state = 'failed';
+    this.isAborted = true;
+    this._stopStallCheck();
+    this._cleanupAllChunks(true);
+    if (config.downloads.chunked?.preallocateFile) safeUnlink(this.savePath);
+    queueDatabase.deleteChunks(this.downloadId);
+
+    this.onError(this, error);
+  }
+
   /**
    * Genera la ruta del archivo temporal para un chunk
    */
@@ -1404,6 +1596,7 @@ class ChunkedDownloader {
     for (const chunk of chunksToStart) {
       if (this.isAborted) break;
 
+      this._assignSource(chunk);
       this.activeChunks.set(chunk.chunkIndex, chunk);
 
       // Iniciar chunk (no await para paralelismo)
@@ -1448,6 +1641,8 @@ class ChunkedDownloader {
   _onChunkProgress(info) {
     if (this.isAborted) return;
 
+    this._updateSourceSpeed(info.chunkIndex, info.speed);
+
     // Si el chunk está progresando, remover de backpressure activo
     // (se volverá a agregar si hay nuevo backpressure)
     if (this.backpressureStats.activeChunksWithBackpressure.has(info.chunkIndex)) {
@@ -1572,6 +1767,7 @@ class ChunkedDownloader {
         speed: speed,
         downloadedBytes: c.downloadedBytes || 0,
         totalBytes: chunkSize,
+        host: c.sourceHost,
         state:
           c.state === ChunkState.COMPLETED
             ? 'completed'
@@ -1981,6 +2177,11 @@ class ChunkedDownloader {
   _onChunkError(chunk, error) {
     log.error(`Chunk ${chunk.chunkIndex} error:`, error.message);
 
+    if (error.code === REMOTE_CHANGED) {
+      this._discardForRemoteChange(error);
+      return;
+    }
+
     // Registrar error en circuit breaker si está habilitado
     // Nota: El circuit breaker ya registró el error en su método execute(),
     // pero aquí podemos verificar si el circuit está abierto para decidir si reintentar
@@ -1993,6 +2194,9 @@ class ChunkedDownloader {
 
     this.activeChunks.delete(chunk.chunkIndex);
 
+    // El reintento se asignará a otro servidor si lo hay
+    this._recordSourceFailure(chunk);
+
     // Verificar reintentos
     if (!chunk.retryCount) chunk.retryCount = 0;
     chunk.retryCount++;
@@ -2853,7 +3057,7 @@ class ChunkedDownloader {
    *
    * @static
    * @param {string} url - URL del archivo a verificar
-   * @returns {Promise<Object>} Resultado de la verificación: { supported: boolean, error?: string, statusCode?: number }
+   * @returns {Promise<Object>} Resultado de la verificación: { supported: boolean, error?: string, statusCode?: number, totalBytes?: number }
    *
    * @example
    * // Verificar soporte de Range antes de usar descarga fragmentada
@@ -2870,12 +3074,7 @@ class ChunkedDownloader {
    */
   static async checkRangeSupport(url) {
     return new Promise(resolve => {
-      const request = net.request({ method: 'HEAD', url });
-
-      request.setHeader(
-        'User-Agent',
-        'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
-      );
+      const request = networkProfile.request({ method: 'HEAD', url });
       request.setHeader('Range', 'bytes=0-0');
 
       // CRÍTICO: Usar timeout configurado en lugar de valor hardcodeado
@@ -2898,12 +3097,21 @@ class ChunkedDownloader {
         const supported =
           response.statusCode === 206 || acceptRanges === 'bytes' || contentRange !== undefined;
 
+        // Tamaño total del archivo: 'bytes 0-0/12345' o Content-Length si ignoró el Range
+        const totalMatch = /\/(\d+)$/.exec(contentRange || '');
+        const totalBytes = totalMatch
+          ? parseInt(totalMatch[1], 10)
+          : response.statusCode === 200
+            ? parseInt(response.headers['content-length'] || 0, 10)
+            : 0;
+
         resolve({
           supported,
           statusCode: response.statusCode,
           acceptRanges,
           contentRange,
           contentLength: response.headers['content-length'],
+          totalBytes,
         });
       });
 
@@ -0,0 +1,185 @@
+/**
+ * @fileoverview Extracción automática de archivos comprimidos descargados
+ * @module archiveExtractor
+ *
+ * Tras completar (y verificar, si procede) una descarga .zip/.7z, extrae su
+ * contenido con 7-Zip en la misma carpeta y, opcionalmente, elimina el
+ * archivo comprimido.
+ *
+ * Las opciones del usuario se leen de download-settings.json en cada
+ * extracción, igual que autoResumeDownloads en main.js:
+ * - autoExtractArchives: activa la extracción
+ * - deleteArchiveAfterExtract: elimina el comprimido si la extracción termina bien
+ *
+ * @author Myrient Downloader
+ * @version 1.0.0
+ */
+
+/**
+ * @typedef {Object} ExtractionResult
+ * @property {boolean} success - Si la extracción terminó correctamente
+ * @property {boolean} [aborted] - Si se interrumpió al cerrar la aplicación
+ * @property {string} [extractedTo] - Carpeta de destino
+ * @property {boolean} [archiveDeleted] - Si se eliminó el archivo comprimido
+ * @property {string} [error] - Motivo del fallo
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('./config');
+const { extractArchive } = require('./utils/sevenZip');
+const { logger, readJSONFile } = require('./utils');
+
+const log = logger.child('ArchiveExtractor');
+
+/**
+ * Extrae descargas comprimidas con 7-Zip, de una en una
+ *
+ * @class ArchiveExtractor
+ * @example
+ * const archiveExtractor = require('./archiveExtractor');
+ * if (archiveExtractor.shouldExtract(savePath)) {
+ *   const result = await archiveExtractor.extract({ id, savePath });
+ * }
+ */
+class ArchiveExtractor {
+  /**
+   * Crea una nueva instancia de ArchiveExtractor
+   *
+   * @constructor
+   */
+  constructor() {
+    this.destroyed = false;
+    this.active = 0;
+    this.waiting = [];
+    this.processes = new Set();
+  }
+
+  /**
+   * Lee las opciones de extracción del usuario
+   *
+   * @returns {{enabled: boolean, deleteArchive: boolean}}
+   */
+  getSettings() {
+    const settings = readJSONFile('download-settings.json') || {};
+    return {
+      enabled: settings.autoExtractArchives === true,
+      deleteArchive: settings.deleteArchiveAfterExtract === true,
+    };
+  }
+
+  /**
+   * Indica si un archivo descargado se debe extraer
+   *
+   * @param {string} filePath - Ruta del archivo descargado
+   * @returns {boolean}
+   */
+  shouldExtract(filePath) {
+    if (!filePath || this.destroyed) return false;
+
+    const extension = path.extname(filePath).toLowerCase();
+    return config.extraction.extensions.includes(extension) && this.getSettings().enabled;
+  }
+
+  /**
+   * Extrae un archivo descargado en su misma carpeta
+   *
+   * @param {Object} params - Parámetros
+   * @param {number} [params.id] - ID de la descarga (para logs)
+   * @param {string} params.savePath - Ruta del archivo comprimido
+   * @param {Function} [params.onProgress] - Recibe (progress 0-1)
+   * @returns {Promise<ExtractionResult>}
+   */
+  async extract({ id, savePath, onProgress }) {
+    await this._acquire();
+
+    try {
+      if (this.destroyed) {
+        return { success: false, aborted: true };
+      }
+
+      const extractedTo = path.dirname(savePath);
+      const { deleteArchive } = this.getSettings();
+      const endOperation = log.startOperation(
+        `Extraer descarga ${id ?? ''} (${path.basename(savePath)})`
+      );
+
+      const { process: child, done } = extractArchive(savePath, extractedTo, { onProgress });
+      this.processes.add(child);
+
+      try {
+        await done;
+      } catch (error) {
+        if (this.destroyed) {
+          return { success: false, aborted: true };
+        }
+        log.error(`Error extrayendo ${savePath}:`, error.message);
+        return { success: false, extractedTo, error: error.message };
+      } finally {
+        this.processes.delete(child);
+      }
+
+      let archiveDeleted = false;
+      if (deleteArchive) {
+        try {
+          await fs.promises.unlink(savePath);
+          archiveDeleted = true;
+        } catch (error) {
+          log.warn(`No se pudo eliminar ${savePath}:`, error.message);
+        }
+      }
+
+      endOperation(`en ${extractedTo}${archiveDeleted ? ' (comprimido eliminado)' : ''}`);
+      return { success: true, extractedTo, archiveDeleted };
+    } finally {
+      this._release();
+    }
+  }
+
+  /**
+   * Interrumpe las extracciones en curso (al cerrar la aplicación)
+   *
+   * @returns {void}
+   */
+  destroy() {
+    this.destroyed = true;
+    this.processes.forEach(child => child.kill());
+    this.processes.clear();
+    this.waiting.splice(0).forEach(resolve => resolve());
+  }
+
+  /**
+   * Espera un hueco de extracción (config.extraction.maxConcurrent)
+   *
+   * @private
+   * @returns {Promise<void>}
+   */
+  _acquire() {
+    if (this.destroyed || this.active < (config.extraction.maxConcurrent || 1)) {
+      this.active++;
+      return Promise.resolve();
+    }
+    return new Promise(resolve => {
+      this.waiting.push(() => {
+        this.active++;
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * Libera el hueco de extracción y da paso a la siguiente en espera
+   *
+   * @private
+   * @returns {void}
+   */
+  _release() {
+    this.active--;
+    const next = this.waiting.shift();
+    if (next) next();
+  }
+}
+
+// Exportar instancia única (singleton)
+module.exports = new ArchiveExtractor();
+module.exports.ArchiveExtractor = ArchiveExtractor;
@@ -0,0 +1,608 @@
+/**
+ * @fileoverview Actualizador incremental del catálogo de Myrient
+ * @module catalogUpdater
+ *
+ * Actualiza myrient.db a partir de los listados HTML en vivo, sin volver a
+ * descargar el archivo .7z completo.
+ *
+ * FLUJO:
+ * 1. Copia myrient.db a un archivo temporal escribible en el mismo directorio
+ * 2. Recorre las carpetas con ScraperEngine.getChildren() comparando cada listado
+ *    con las filas de `nodes` (insertadas, eliminadas y modificadas)
+ * 3. Mantiene sincronizada la tabla FTS (incremental o 'rebuild' según el tipo)
+ * 4. Reemplaza el catálogo en uso de forma atómica (DatabaseService.replaceCatalog)
+ *
+ * RECORRIDO:
+ * - Una carpeta cuya fecha de modificación no cambió y que no contiene
+ *   subcarpetas se omite (sus archivos no pueden haber cambiado)
+ * - Una carpeta sin cambios que sí contiene subcarpetas se recorre, porque la
+ *   fecha de una carpeta solo refleja cambios en sus entradas directas
+ * - Si un listado falla, esa carpeta no se modifica (nunca se borra por error de red)
+ *   y se olvida su fecha para volver a recorrerla en la siguiente actualización
+ *
+ * PROTECCIÓN CONTRA BORRADOS:
+ * - Un listado vacío de una carpeta que tiene hijos en el catálogo se trata como
+ *   error (página de error o de mantenimiento del servidor)
+ * - También un listado obtenido con el parser de fallback (sin tamaños ni fechas)
+ * - Si una carpeta perdería más de config.catalogUpdate.maxRemovalShare de sus
+ *   hijos, se omite salvo que la actualización se lance con confirmRemovals
+ *
+ * @author Myrient Downloader
+ * @version 1.0.0
+ */
+
+/**
+ * @typedef {Object} CatalogUpdateStats
+ * @property {number} foldersVisited - Carpetas cuyo listado se obtuvo
+ * @property {number} foldersSkipped - Carpetas omitidas por no tener cambios
+ * @property {number} inserted - Nodos insertados
+ * @property {number} removed - Nodos eliminados (incluye descendientes)
+ * @property {number} changed - Nodos con tamaño o fecha modificados
+ * @property {number} errors - Carpetas cuyo listado no se pudo obtener o no era válido
+ * @property {Array<string>} blockedFolders - Carpetas omitidas porque perderían demasiados
+ *   hijos (se aplican con confirmRemovals)
+ * @property {number} durationMs - Duración total en milisegundos
+ */
+
+const Database = require('better-sqlite3');
+const fs = require('fs');
+const config = require('./config');
+const database = require('./database');
+const ScraperEngine = require('./data/engines/ScraperEngine');
+const { logger, safeUnlink } = require('./utils');
+
+const log = logger.child('CatalogUpdater');
+
+// Tolerancia al comparar fechas (los listados tienen precisión de minutos)
+const DATE_TOLERANCE_MS = 60 * 1000;
+
+// Código del error de una carpeta cuyos borrados requieren confirmación
+const REMOVALS_NEED_CONFIRMATION = 'REMOVALS_NEED_CONFIRMATION';
+
+/**
+ * Actualizador incremental del catálogo
+ *
+ * @class CatalogUpdater
+ * @example
+ * const catalogUpdater = require('./catalogUpdater');
+ * const result = await catalogUpdater.update({
+ *   onProgress: progress => console.log(progress.phase, progress.foldersVisited),
+ * });
+ */
+class CatalogUpdater {
+  /**
+   * Crea una nueva instancia de CatalogUpdater
+   *
+   * @constructor
+   */
+  constructor() {
+    this.running = false;
+    this.cancelRequested = false;
+    this.scraper = null;
+  }
+
+  /**
+   * Indica si hay una actualización en curso
+   *
+   * @returns {boolean}
+   */
+  isRunning() {
+    return this.running;
+  }
+
+  /**
+   * Solicita la cancelación de la actualización en curso
+   *
+   * La copia temporal se descarta y el catálogo en uso no se modifica.
+   *
+   * @returns {boolean} true si había una actualización que cancelar
+   */
+  cancel() {
+    if (!this.running) {
+      return false;
+    }
+    this.cancelRequested = true;
+    log.info('Cancelación de actualización de catálogo solicitada');
+    return true;
+  }
+
+  /**
+   * Ejecuta la actualización incremental del catálogo
+   *
+   * @param {Object} [options={}] - Opciones
+   * @param {Function} [options.onProgress] - Callback con el progreso ({ phase, ...stats })
+   * @param {boolean} [options.confirmRemovals=false] - Aplicar también los borrados que
+   *   superan config.catalogUpdate.maxRemovalShare de una carpeta
+   * @returns {Promise<Object>} { success, data: CatalogUpdateStats & { applied }, error }
+   */
+  async update(options = {}) {
+    const { onProgress = () => {}, confirmRemovals = false } = options;
+
+    if (this.running) {
+      return { success: false, error: 'Ya hay una actualización de catálogo en curso' };
+    }
+    if (!database.db) {
+      return { success: false, error: 'Base de datos no disponible' };
+    }
+
+    this.running = true;
+    this.cancelRequested = false;
+
+    const endOperation = logger.startOperation('Actualización de catálogo');
+    const { dbPath } = config.paths;
+    const tempPath = `${dbPath}${config.catalogUpdate?.tempSuffix || '.updating'}`;
+    const startTime = Date.now();
+    const stats = {
+      foldersVisited: 0,
+      foldersSkipped: 0,
+      inserted: 0,
+      removed: 0,
+      changed: 0,
+      errors: 0,
+      blockedFolders: [],
+      durationMs: 0,
+    };
+    const report = (phase, extra = {}) => {
+      try {
+        onProgress({ phase, ...stats, ...extra });
+      } catch (error) {
+        log.debug('Error en callback de progreso:', error.message);
+      }
+    };
+
+    let copy = null;
+
+    try {
+      // 1. Copia escribible en el mismo directorio (requisito para el renombrado atómico)
+      report('copying');
+      await fs.promises.rm(tempPath, { force: true });
+      await fs.promises.copyFile(dbPath, tempPath);
+
+      copy = new Database(tempPath, { fileMustExist: true });
+      copy.pragma('journal_mode = DELETE');
+      const ctx = this._createContext(copy);
+      ctx.confirmRemovals = confirmRemovals;
+
+      // 2. Recorrer carpetas
+      this.scraper = this.scraper || new ScraperEngine();
+      await this._walk(ctx, stats, report);
+
+      if (this.cancelRequested) {
+        throw new Error('Actualización cancelada por el usuario');
+      }
+
+      const hasChanges = stats.inserted + stats.removed + stats.changed > 0;
+
+      // 3. Reconstruir FTS de contenido externo (el modo incremental ya se aplicó)
+      if (hasChanges && ctx.fts?.external) {
+        report('indexing');
+        copy.prepare(`INSERT INTO ${ctx.fts.table}(${ctx.fts.table}) VALUES('rebuild')`).run();
+      }
+
+      copy.close();
+      copy = null;
+
+      stats.durationMs = Date.now() - startTime;
+
+      if (!hasChanges) {
+        safeUnlink(tempPath);
+        endOperation('sin cambios');
+        report('done', { applied: false });
+        return { success: true, data: { ...stats, applied: false } };
+      }
+
+      // 4. Reemplazo atómico
+      report('applying');
+      const replaceResult = await database.replaceCatalog(tempPath);
+      if (!replaceResult.success) {
+        throw new Error(replaceResult.error);
+      }
+
+      endOperation(
+        `${stats.inserted} insertados, ${stats.removed} eliminados, ${stats.changed} modificados`
+      );
+      report('done', { applied: true });
+      return { success: true, data: { ...stats, applied: true } };
+    } catch (error) {
+      log.error('Error actualizando catálogo:', error);
+      if (copy) {
+        try {
+          copy.close();
+        } catch (closeError) {
+          log.debug('Error cerrando copia temporal:', closeError.message);
+        }
+      }
+      safeUnlink(tempPath);
+      stats.durationMs = Date.now() - startTime;
+      report('error', { error: error.message });
+      return { success: false, error: error.message, data: { ...stats, applied: false } };
+    } finally {
+      this.running = false;
+      this.cancelRequested = false;
+    }
+  }
+
+  /**
+   * Prepara statements y metadatos sobre la copia escribible
+   *
+   * @private
+   * @param {Object} copy - Conexión better-sqlite3 a la copia
+   * @returns {Object} Contexto del recorrido
+   */
+  _createContext(copy) {
+    const nodeColumns = copy
+      .prepare('PRAGMA table_info(nodes)')
+      .all()
+      .map(col => col.name);
+
+    // Convención de títulos de carpeta (algunos catálogos guardan "Carpeta/")
+    const sampleDir = copy
+      .prepare("SELECT title FROM nodes WHERE type = 'Directory' AND id != 1 LIMIT 1")
+      .get();
+    const dirSuffix = sampleDir?.title?.endsWith('/') ? '/' : '';
+
+    const ctx = {
+      db: copy,
+      dirSuffix,
+      fts: this._detectFTS(copy, nodeColumns),
+      statements: {
+        getNode: copy.prepare('SELECT id, title, url FROM nodes WHERE id = ?'),
+        getChildren: copy.prepare(
+          'SELECT id, title, size, modified_date, type, url FROM nodes WHERE parent_id = ?'
+        ),
+        hasChildFolders: copy
+          .prepare("SELECT 1 FROM nodes WHERE parent_id = ? AND type = 'Directory' LIMIT 1")
+          .pluck(),
+        insertNode: copy.prepare(`
+          INSERT INTO nodes (parent_id, title, size, modified_date, type, url)
+          VALUES (@parentId, @title, @size, @modifiedDate, @type, @url)
+        `),
+        updateNode: copy.prepare(
+          'UPDATE nodes SET size = @size, modified_date = @modifiedDate, url = @url WHERE id = @id'
+        ),
+        getSubtreeIds: copy
+          .prepare(
+            `
+            WITH RECURSIVE subtree AS (
+              SELECT id FROM nodes WHERE id = ?
+              UNION ALL
+              SELECT n.id FROM nodes n INNER JOIN subtree s ON n.parent_id = s.id
+            )
+            SELECT id FROM subtree
+          `
+          )
+          .pluck(),
+        deleteNode: copy.prepare('DELETE FROM nodes WHERE id = ?'),
+        forgetDate: copy.prepare('UPDATE nodes SET modified_date = NULL WHERE id = ?'),
+      },
+    };
+
+    // Statements FTS incrementales (solo para tablas FTS con contenido propio)
+    if (ctx.fts && !ctx.fts.external) {
+      const cols = ctx.fts.columns.join(', ');
+      ctx.fts.deleteRow = copy.prepare(`DELETE FROM ${ctx.fts.table} WHERE rowid = ?`);
+      ctx.fts.insertRow = copy.prepare(
+        `INSERT INTO ${ctx.fts.table}(rowid, ${cols}) SELECT id, ${cols} FROM nodes WHERE id = ?`
+      );
+    }
+
+    return ctx;
+  }
+
+  /**
+   * Obtiene la configuración FTS de la copia
+   *
+   * Reutiliza el nombre de tabla ya validado por DatabaseService y lee su
+   * definición para saber si es de contenido externo (content=...).
+   *
+   * @private
+   * @param {Object} copy - Conexión a la copia
+   * @param {Array<string>} nodeColumns - Columnas de la tabla nodes
+   * @returns {Object|null} { table, external, columns } o null si no hay FTS
+   */
+  _detectFTS(copy, nodeColumns) {
+    if (!database.useFTS || !database.ftsTable) {
+      return null;
+    }
+
+    const row = copy
+      .prepare("SELECT sql FROM sqlite_master WHERE type = 'table' AND name = ?")
+      .get(database.ftsTable);
+    if (!row) {
+      return null;
+    }
+
+    const contentMatch = (row.sql || '').match(/content\s*=\s*'?([a-zA-Z0-9_]*)'?/i);
+    const columns = (database.ftsColumns || ['title']).filter(col => nodeColumns.includes(col));
+
+    return {
+      table: database.ftsTable,
+      external: !!(contentMatch && contentMatch[1]),
+      columns: columns.length > 0 ? columns : ['title'],
+    };
+  }
+
+  /**
+   * Recorre las carpetas con varias peticiones de listado en paralelo
+   *
+   * El ScraperEngine aplica su propio rate limiting; aquí solo se mantienen
+   * tantas carpetas en vuelo como permite su concurrencia.
+   *
+   * @private
+   * @param {Object} ctx - Contexto del recorrido
+   * @param {Object} stats - Estadísticas acumuladas
+   * @param {Function} report - Función de reporte de progreso
+   * @returns {Promise<void>}
+   */
+  async _walk(ctx, stats, report) {
+    const root = ctx.statements.getNode.get(1);
+    const pending = [{ id: 1, url: root?.url || this.scraper.baseUrl, path: '' }];
+    const maxFolders = config.catalogUpdate?.maxFolders || 20000;
+    const concurrency = config.scraper?.rateLimit?.maxConcurrent || 3;
+    let inFlight = 0;
+
+    const runNext = async () => {
+      while (!this.cancelRequested) {
+        if (pending.length === 0) {
+          if (inFlight === 0) return;
+          await new Promise(resolve => setTimeout(resolve, 50));
+          continue;
+        }
+
+        if (stats.foldersVisited >= maxFolders) {
+          log.warn(`Límite de ${maxFolders} carpetas alcanzado, deteniendo recorrido`);
+          pending.length = 0;
+          return;
+        }
+
+        const folder = pending.pop();
+        inFlight++;
+        try {
+          const subfolders = await this._syncFolder(ctx, folder, stats);
+          pending.push(...subfolders);
+        } catch (error) {
+          if (error.code === REMOVALS_NEED_CONFIRMATION) {
+            stats.blockedFolders.push(folder.path || '/');
+          } else {
+            stats.errors++;
+          }
+          log.warn(`No se pudo sincronizar ${folder.path || '/'}: ${error.message}`);
+          // La fecha pudo actualizarse al sincronizar la carpeta padre
+          ctx.statements.forgetDate.run(folder.id);
+        } finally {
+          inFlight--;
+        }
+
+        report('scanning', { currentPath: folder.path, pendingFolders: pending.length });
+      }
+    };
+
+    await Promise.all(Array.from({ length: concurrency }, runNext));
+  }
+
+  /**
+   * Sincroniza los hijos directos de una carpeta con su listado en vivo
+   *
+   * @private
+   * @param {Object} ctx - Contexto del recorrido
+   * @param {Object} folder - { id, url, path }
+   * @param {Object} stats - Estadísticas acumuladas
+   * @returns {Promise<Array<Object>>} Subcarpetas a recorrer
+   * @throws {Error} Si el listado no es fiable o los borrados requieren confirmación
+   *   (code REMOVALS_NEED_CONFIRMATION); la carpeta no se modifica
+   */
+  async _syncFolder(ctx, folder, stats) {
+    const listing = await this.scraper.getChildren(folder.url);
+    stats.foldersVisited++;
+
+    if (this.cancelRequested) {
+      return [];
+    }
+
+    const { statements, dirSuffix } = ctx;
+    const existing = new Map();
+    for (const row of statements.getChildren.all(folder.id)) {
+      existing.set(this._nodeKey(row.title, row.type), row);
+    }
+
+    this._checkListing(ctx, listing, existing);
+
+    const subfolders = [];
+
+    const applyChanges = ctx.db.transaction(() => {
+      for (const node of listing.data) {
+        const isFolder = node.type === 'folder';
+        const key = this._nodeKey(node.title, isFolder ? 'Directory' : 'File');
+        const row = existing.get(key);
+        const childPath = `${folder.path}/${node.title}`;
+        const values = {
+          size: node.size_text,
+          modifiedDate: this._formatDate(node.modified_date),
+          url: node.url,
+        };
+
+        if (!row) {
+          const { lastInsertRowid } = statements.insertNode.run({
+            parentId: folder.id,
+            title: isFolder ? `${node.title}${dirSuffix}` : node.title,
+            type: isFolder ? 'Directory' : 'File',
+            ...values,
+          });
+          this._ftsInsert(ctx, lastInsertRowid);
+          stats.inserted++;
+          if (isFolder) {
+            subfolders.push({ id: Number(lastInsertRowid), url: node.url, path: childPath });
+          }
+          continue;
+        }
+
+        existing.delete(key);
+        const sameDate = this._sameDate(row.modified_date, node.modified_date);
+
+        if (isFolder) {
+          if (!sameDate) {
+            statements.updateNode.run({ id: row.id, ...values, size: row.size });
+            stats.changed++;
+            subfolders.push({ id: row.id, url: node.url, path: childPath });
+          } else if (statements.hasChildFolders.get(row.id)) {
+            subfolders.push({ id: row.id, url: row.url || node.url, path: childPath });
+          } else {
+            stats.foldersSkipped++;
+          }
+        } else if (!sameDate || !this._sameSize(row.size, node)) {
+          statements.updateNode.run({ id: row.id, ...values });
+          this._ftsDelete(ctx, row.id);
+          this._ftsInsert(ctx, row.id);
+          stats.changed++;
+        }
+      }
+
+      // Lo que queda en el mapa ya no existe en el servidor
+      for (const row of existing.values()) {
+        const ids = statements.getSubtreeIds.all(row.id);
+        for (const id of ids) {
+          this._ftsDelete(ctx, id);
+          statements.deleteNode.run(id);
+        }
+        stats.removed += ids.length;
+      }
+    });
+
+    applyChanges();
+    return subfolders;
+  }
+
+  /**
+   * Comprueba que un listado es fiable antes de aplicarlo
+   *
+   * @private
+   * @param {Object} ctx - Contexto del recorrido
+   * @param {Object} listing - Resultado de ScraperEngine.getChildren()
+   * @param {Map<string, Object>} existing - Hijos de la carpeta en el catálogo, por clave
+   * @throws {Error} Si el listado está vacío o es de fallback, o si se borrarían demasiados hijos
+   */
+  _checkListing(ctx, listing, existing) {
+    if (listing.data.length === 0) {
+      if (existing.size > 0) {
+        throw new Error(`Listado vacío para una carpeta con ${existing.size} hijos en el catálogo`);
+      }
+      return;
+    }
+
+    if (listing.fallback) {
+      throw new Error('Formato de listado no reconocido (parser de fallback)');
+    }
+
+    const listedKeys = new Set(
+      listing.data.map(node =>
+        this._nodeKey(node.title, node.type === 'folder' ? 'Directory' : 'File')
+      )
+    );
+    let missing = 0;
+    for (const key of existing.keys()) {
+      if (!listedKeys.has(key)) missing++;
+    }
+
+    const { maxRemovalShare = 0.5, removalCheckMinChildren = 10 } = config.catalogUpdate || {};
+    if (
+      !ctx.confirmRemovals &&
+      existing.size >= removalCheckMinChildren &&
+      missing / existing.size > maxRemovalShare
+    ) {
+      const error = new Error(
+        `Se eliminarían ${missing} de ${existing.size} hijos; requiere confirmación`
+      );
+      error.code = REMOVALS_NEED_CONFIRMATION;
+      throw error;
+    }
+  }
+
+  /**
+   * Elimina un nodo del índice FTS (modo incremental)
+   *
+   * @private
+   */
+  _ftsDelete(ctx, id) {
+    if (ctx.fts?.deleteRow) {
+      ctx.fts.deleteRow.run(id);
+    }
+  }
+
+  /**
+   * Inserta un nodo en el índice FTS (modo incremental)
+   *
+   * @private
+   */
+  _ftsInsert(ctx, id) {
+    if (ctx.fts?.insertRow) {
+      ctx.fts.insertRow.run(id);
+    }
+  }
+
+  /**
+   * Clave de comparación entre filas de la DB y nodos del listado
+   *
+   * @private
+   * @param {string} title - Título (con o sin '/' final)
+   * @param {string} type - 'Directory' | 'File'
+   * @returns {string}
+   */
+  _nodeKey(title, type) {
+    return `${type}:${String(title).replace(/\/$/, '')}`;
+  }
+
+  /**
+   * Compara la fecha almacenada con la del listado
+   *
+   * @private
+   * @param {string|number|null} stored - Valor de modified_date en la DB
+   * @param {number|null} listed - Timestamp del listado (ms)
+   * @returns {boolean}
+   */
+  _sameDate(stored, listed) {
+    if (stored === null || stored === undefined || listed === null) {
+      return stored === null && listed === null;
+    }
+
+    const parsed = typeof stored === 'number' ? stored : Date.parse(String(stored));
+    if (Number.isNaN(parsed)) {
+      return String(stored) === this._formatDate(listed);
+    }
+    return Math.abs(parsed - listed) < DATE_TOLERANCE_MS;
+  }
+
+  /**
+   * Compara el tamaño almacenado con el del listado
+   *
+   * @private
+   * @param {string|number|null} stored - Valor de size en la DB
+   * @param {Object} node - Nodo del listado (size en bytes y size_text original)
+   * @returns {boolean}
+   */
+  _sameSize(stored, node) {
+    if (stored === node.size_text) {
+      return true;
+    }
+    const storedBytes = stored === null ? null : this.scraper._parseSize(String(stored));
+    return storedBytes === node.size;
+  }
+
+  /**
+   * Formatea un timestamp como 'YYYY-MM-DD HH:MM' (ordenable como texto)
+   *
+   * @private
+   * @param {number|null} timestamp - Timestamp en milisegundos
+   * @returns {string|null}
+   */
+  _formatDate(timestamp) {
+    if (timestamp === null || timestamp === undefined) {
+      return null;
+    }
+    const d = new Date(timestamp);
+    const pad = n => String(n).padStart(2, '0');
+    return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())} ${pad(d.getHours())}:${pad(d.getMinutes())}`;
+  }
+}
+
+// Exportar instancia única (singleton)
+module.exports = new CatalogUpdater();
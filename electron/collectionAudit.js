@@ -0,0 +1,319 @@
+/**
+ * @fileoverview Auditoría de colección local contra el catálogo
+ * @module collectionAudit
+ *
+ * Recorre una carpeta local (FileService.scanDirectory) y la compara con los
+ * archivos de una carpeta del catálogo (database.getAllFilesInFolder):
+ * 1. Empareja por ruta relativa y nombre (sin distinguir mayúsculas, con los
+ *    nombres saneados igual que al descargar)
+ * 2. Los archivos sin pareja por ruta se buscan solo por nombre, por si la
+ *    colección local tiene otra estructura de carpetas
+ * 3. Compara el tamaño con FileService.getFileCheckInfo
+ *
+ * El catálogo guarda el tamaño como texto redondeado ("1.5 MiB"), así que la
+ * comparación admite el error de redondeo del texto además del margen de
+ * config.files.sizeMarginBytes.
+ *
+ * @author Myrient Downloader
+ * @version 1.0.0
+ */
+
+/**
+ * @typedef {Object} AuditItem
+ * @property {'missing'|'extra'|'size_mismatch'|'ok'} status - Resultado de la comparación
+ * @property {number|null} id - ID del archivo en el catálogo (null si es un archivo local sobrante)
+ * @property {string} title - Nombre del archivo
+ * @property {string} relativePath - Carpeta relativa a la raíz auditada ('' = raíz)
+ * @property {number|null} expectedSize - Tamaño aproximado según el catálogo (bytes)
+ * @property {string|null} localPath - Ruta del archivo local
+ * @property {number|null} localSize - Tamaño del archivo local (bytes)
+ * @property {boolean} [moved] - Encontrado solo por nombre, en otra carpeta
+ */
+
+/**
+ * @typedef {Object} AuditReport
+ * @property {number} folderId - Carpeta del catálogo auditada
+ * @property {string} folderTitle - Nombre de la carpeta del catálogo
+ * @property {string} localPath - Carpeta local auditada
+ * @property {boolean} truncated - Si se alcanzó config.audit.maxLocalFiles
+ * @property {Object} summary - { catalogFiles, localFiles, missing, extra, sizeMismatch, upToDate, missingSize }
+ * @property {Array<AuditItem>} items - Resultado por archivo
+ */
+
+const config = require('./config');
+const database = require('./database');
+const { serviceManager } = require('./services');
+const FileService = require('./services/FileService');
+const { logger } = require('./utils');
+
+const log = logger.child('CollectionAudit');
+
+const SIZE_UNITS = ['', 'K', 'M', 'G', 'T'];
+
+/**
+ * Interpreta el tamaño de un nodo del catálogo
+ *
+ * @param {string|number|null} size - Tamaño guardado (bytes o texto como "1.5 MiB")
+ * @returns {{bytes: number, tolerance: number}|null} Bytes y error de redondeo del texto
+ */
+function parseCatalogSize(size) {
+  if (typeof size === 'number') {
+    return { bytes: size, tolerance: 0 };
+  }
+  if (!size) return null;
+
+  const match = String(size)
+    .trim()
+    .toUpperCase()
+    .match(/^([\d.]+)\s*([KMGT]?)I?B?$/);
+  if (!match) return null;
+
+  const multiplier = 1024 ** SIZE_UNITS.indexOf(match[2]);
+  const decimals = (match[1].split('.')[1] || '').length;
+
+  return {
+    bytes: Math.round(parseFloat(match[1]) * multiplier),
+    tolerance: multiplier > 1 ? 0.5 * 10 ** -decimals * multiplier : 0,
+  };
+}
+
+/**
+ * Compara una carpeta local con una carpeta del catálogo
+ *
+ * @class CollectionAudit
+ * @example
+ * const collectionAudit = require('./collectionAudit');
+ * const result = await collectionAudit.audit(1234, 'D:/ROMs/Nintendo - Game Boy');
+ * const missingIds = result.data.items
+ *   .filter(item => item.status === 'missing')
+ *   .map(item => item.id);
+ */
+class CollectionAudit {
+  /**
+   * Crea una nueva instancia de CollectionAudit
+   *
+   * @constructor
+   */
+  constructor() {
+    this.running = false;
+  }
+
+  /**
+   * Audita una carpeta local contra una carpeta del catálogo
+   *
+   * @param {number} folderId - Carpeta del catálogo
+   * @param {string} localPath - Carpeta local (ya validada)
+   * @returns {Promise<{success: boolean, data?: AuditReport, error?: string}>}
+   */
+  async audit(folderId, localPath) {
+    if (this.running) {
+      return { success: false, error: 'Ya hay una auditoría en curso' };
+    }
+
+    this.running = true;
+    const startTime = Date.now();
+
+    try {
+      const filesResult = await database.getAllFilesInFolder(folderId);
+      if (!filesResult.success) {
+        return { success: false, error: filesResult.error };
+      }
+
+      const fileService = this._getFileService();
+      const scan = await fileService.scanDirectory(localPath, {
+        maxFiles: config.audit.maxLocalFiles,
+      });
+      if (!scan.success) {
+        return { success: false, error: scan.error };
+      }
+
+      const catalogFiles = filesResult.data || [];
+      const items = await this._compare(catalogFiles, scan.files, fileService);
+
+      const folderInfo = database.getNodeInfo(folderId);
+      const folderTitle =
+        folderInfo.success && folderInfo.data
+          ? folderInfo.data.title.replace(/\/$/, '')
+          : `Carpeta ${folderId}`;
+
+      const summary = {
+        catalogFiles: catalogFiles.length,
+        localFiles: scan.files.length,
+        missing: 0,
+        extra: 0,
+        sizeMismatch: 0,
+        upToDate: 0,
+        missingSize: 0,
+      };
+      items.forEach(item => {
+        if (item.status === 'missing') {
+          summary.missing++;
+          summary.missingSize += item.expectedSize || 0;
+        } else if (item.status === 'extra') {
+          summary.extra++;
+        } else if (item.status === 'size_mismatch') {
+          summary.sizeMismatch++;
+        } else {
+          summary.upToDate++;
+        }
+      });
+
+      log.info(
+        `Auditoría de ${folderTitle} en ${localPath}: ${summary.upToDate} al día, ${summary.missing} faltan, ${summary.sizeMismatch} con otro tamaño, ${summary.extra} sobran (${Date.now() - startTime} ms)`
+      );
+
+      return {
+        success: true,
+        data: {
+          folderId,
+          folderTitle,
+          localPath,
+          truncated: scan.truncated,
+          summary,
+          items,
+        },
+      };
+    } catch (error) {
+      log.error('Error en la auditoría de colección:', error);
+      return { success: false, error: error.message };
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * FileService registrado o una instancia propia si los servicios no están inicializados
+   *
+   * @private
+   * @returns {FileService}
+   */
+  _getFileService() {
+    const fileService = serviceManager.initialized ? serviceManager.getFileService() : null;
+    return fileService || new FileService();
+  }
+
+  /**
+   * Clave de comparación de una ruta (saneada como al descargar, sin mayúsculas)
+   *
+   * @private
+   * @param {Array<string>} segments - Carpetas y nombre del archivo
+   * @param {FileService} fileService - Para sanear los nombres
+   * @returns {string}
+   */
+  _pathKey(segments, fileService) {
+    return segments
+      .filter(Boolean)
+      .map(segment => {
+        const validation = fileService.validateFilename(segment);
+        return (validation.valid ? validation.data : segment).toLowerCase();
+      })
+      .join('/');
+  }
+
+  /**
+   * Empareja archivos del catálogo y locales y calcula el estado de cada uno
+   *
+   * @private
+   * @param {Array<Object>} catalogFiles - Archivos de getAllFilesInFolder
+   * @param {Array<Object>} localFiles - Archivos de scanDirectory
+   * @param {FileService} fileService - Servicio de archivos
+   * @returns {Promise<Array<AuditItem>>}
+   */
+  async _compare(catalogFiles, localFiles, fileService) {
+    const localByPath = new Map();
+    const localByName = new Map();
+
+    localFiles.forEach(file => {
+      localByPath.set(
+        this._pathKey([...file.relativePath.split('/'), file.name], fileService),
+        file
+      );
+
+      const nameKey = this._pathKey([file.name], fileService);
+      if (!localByName.has(nameKey)) localByName.set(nameKey, []);
+      localByName.get(nameKey).push(file);
+    });
+
+    const claimed = new Set();
+    const matches = new Map();
+
+    // Primera pasada: misma ruta relativa
+    catalogFiles.forEach(file => {
+      const key = this._pathKey([...(file.relativePath || '').split('/'), file.title], fileService);
+      const local = localByPath.get(key);
+      if (local && !claimed.has(local)) {
+        claimed.add(local);
+        matches.set(file.id, { local, moved: false });
+      }
+    });
+
+    // Segunda pasada: mismo nombre en otra carpeta
+    catalogFiles.forEach(file => {
+      if (matches.has(file.id)) return;
+      const candidates = localByName.get(this._pathKey([file.title], fileService)) || [];
+      const local = candidates.find(candidate => !claimed.has(candidate));
+      if (local) {
+        claimed.add(local);
+        matches.set(file.id, { local, moved: true });
+      }
+    });
+
+    const items = [];
+
+    for (const file of catalogFiles) {
+      const expected = parseCatalogSize(file.size);
+      const match = matches.get(file.id);
+
+      const item = {
+        status: 'missing',
+        id: file.id,
+        title: file.title,
+        relativePath: file.relativePath || '',
+        expectedSize: expected ? expected.bytes : null,
+        localPath: null,
+        localSize: null,
+      };
+
+      if (match) {
+        item.localPath = match.local.path;
+        item.localSize = match.local.size;
+        item.moved = match.moved;
+        item.status = 'ok';
+
+        if (expected) {
+          const check = await fileService.getFileCheckInfo(match.local.path, expected.bytes);
+          if (!check.exists) {
+            // Borrado durante la auditoría
+            item.status = 'missing';
+            item.localPath = null;
+            item.localSize = null;
+          } else if (!check.similarSize && check.sizeDifference > expected.tolerance) {
+            item.status = 'size_mismatch';
+            item.localSize = check.actualSize;
+          }
+        }
+      }
+
+      items.push(item);
+    }
+
+    localFiles.forEach(file => {
+      if (claimed.has(file)) return;
+      items.push({
+        status: 'extra',
+        id: null,
+        title: file.name,
+        relativePath: file.relativePath,
+        expectedSize: null,
+        localPath: file.path,
+        localSize: file.size,
+      });
+    });
+
+    return items;
+  }
+}
+
+// Exportar instancia única (singleton)
+module.exports = new CollectionAudit();
+module.exports.CollectionAudit = CollectionAudit;
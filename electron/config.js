@@ -29,6 +29,29 @@ module.exports = {
     responseTimeout: 30000,
     // Timeout para conexiones que quedan inactivas sin recibir datos
     idleTimeout: 60000,
+
+    // Perfil de red: proxy, User-Agent y cabeceras de todas las peticiones (ver networkProfile.js)
+    // Nombre del archivo en el directorio de configuración
+    profileFileName: 'network-profile.json',
+    // Partición de la sesión de Electron con el proxy del perfil (en memoria)
+    sessionPartition: 'network-profile',
+    // User-Agent cuando el perfil no define uno
+    userAgent:
+      'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+    // Tipos de proxy: 'system' usa el del sistema operativo y 'none' conecta directamente
+    proxyTypes: ['system', 'none', 'http', 'https', 'socks5'],
+    // Cabeceras que gestiona la aplicación y no se pueden añadir al perfil
+    reservedHeaders: [
+      'host',
+      'user-agent',
+      'range',
+      'if-range',
+      'content-length',
+      'connection',
+      'proxy-authorization',
+    ],
+    // Número máximo de cabeceras adicionales
+    maxHeaders: 20,
   },
 
   // Configuración del Circuit Breaker para prevenir sobrecarga cuando hay errores repetidos
@@ -104,6 +127,13 @@ module.exports = {
     // Permite que el sistema se estabilice antes de iniciar nuevas descargas
     queueProcessDelay: 50,
 
+    // Peticiones HEAD simultáneas al buscar actualizaciones de las descargas completadas
+    // Pocas para no saturar el servidor con historiales grandes
+    updateCheckConcurrency: 4,
+
+    // Intervalo mínimo en milisegundos entre avisos de progreso de esa búsqueda
+    updateCheckProgressInterval: 500,
+
     // Timeout máximo en milisegundos para adquirir un lock de procesamiento
     // Previene deadlocks si un lock nunca se libera
     lockTimeout: 5000,
@@ -266,6 +296,15 @@ module.exports = {
       // Usar un Worker Thread separado para la operación de fusión de chunks
       // Evita bloquear el event loop principal durante el merge, manteniendo la UI responsive
       useWorkerThread: true,
+
+      // Repartir los chunks entre el servidor de la descarga y los espejos que tengan el mismo
+      // archivo (mismo tamaño y soporte de Range). Cada host recibe chunks en proporción a su
+      // velocidad medida, así se suma el ancho de banda de varios servidores
+      multiSource: true,
+
+      // Fallos de chunks en un mismo host antes de dejar de usarlo en esa descarga
+      // Solo se aplica si quedan otros servidores disponibles
+      maxHostFailures: 3,
     },
   },
 
@@ -322,6 +361,169 @@ module.exports = {
     allowedHosts: Object.freeze(['myrient.erista.me']),
   },
 
+  // Configuración del scraper de listados HTML de Myrient
+  scraper: {
+    // URL base del listado público de archivos
+    baseUrl: 'https://myrient.erista.me/files/',
+    // Timeout en milisegundos para cada petición de listado
+    timeout: 30000,
+    rateLimit: {
+      // Número máximo de peticiones de listado simultáneas
+      maxConcurrent: 3,
+      // Tiempo mínimo en milisegundos entre el inicio de dos peticiones
+      minTime: 500,
+    },
+  },
+
+  // Origen de datos para la navegación del catálogo (ver data/DataProvider.js)
+  dataSource: {
+    // Modo por defecto: 'db' (catálogo local), 'web' (listado en vivo) o 'hybrid' (DB verificada contra la web)
+    defaultMode: 'db',
+    // Número máximo de nodos solo-web registrados en memoria durante la sesión
+    maxVirtualNodes: 50000,
+  },
+
+  // Configuración de la actualización incremental del catálogo
+  catalogUpdate: {
+    // Número máximo de carpetas a recorrer en una sola actualización (protección contra recorridos infinitos)
+    maxFolders: 20000,
+    // Sufijo del archivo temporal donde se construye la copia escribible del catálogo
+    tempSuffix: '.updating',
+    // Parte máxima de los hijos de una carpeta que se puede borrar sin confirmación
+    maxRemovalShare: 0.5,
+    // Carpetas con menos hijos que estos no se comprueban (un solo borrado ya sería el 50%)
+    removalCheckMinChildren: 10,
+  },
+
+  // Verificación de integridad contra DATs de No-Intro/Redump/MAME (formato Logiqx XML)
+  verification: {
+    // Si verificar las descargas que coinciden con una entrada de un DAT importado
+    enabled: true,
+    // Extensiones de archivos comprimidos cuyo contenido se compara con los ROMs del juego
+    archiveExtensions: ['.zip'],
+    // Tamaño máximo en bytes de un archivo DAT a importar (los DAT de MAME superan los 100 MB)
+    maxDatSize: 512 * 1024 * 1024,
+    // Entradas de DAT insertadas por transacción durante la importación
+    importBatchSize: 5000,
+  },
+
+  // Extracción automática de archivos comprimidos al terminar la descarga (requiere 7-Zip)
+  // Se activa desde Configuración (download-settings.json: autoExtractArchives)
+  extraction: {
+    // Extensiones que se extraen
+    extensions: ['.zip', '.7z', '.rar'],
+    // Extracciones simultáneas (7-Zip ya usa varios hilos por extracción)
+    maxConcurrent: 1,
+  },
+
+  // Programación semanal de descargas (franjas de cola y límites de velocidad)
+  // Las franjas se guardan en download-schedule.json y se editan desde Configuración
+  schedule: {
+    // Nombre del archivo en el directorio de configuración
+    fileName: 'download-schedule.json',
+    // Cada cuánto se comprueba si ha cambiado la franja activa (ms)
+    checkInterval: 30000,
+  },
+
+  // Reserva de espacio en disco por volumen para las descargas (ver diskBudget.js)
+  // El margen se cambia desde Configuración (download-settings.json: diskSpaceMarginGB)
+  diskSpace: {
+    // Espacio libre que no se reserva al iniciar descargas (bytes)
+    defaultMargin: 2 * 1024 * 1024 * 1024,
+    // Con menos espacio libre se pausan las descargas en curso del volumen (bytes)
+    pauseFloor: 512 * 1024 * 1024,
+    // Cada cuánto se comprueba el espacio libre de los volúmenes con descargas (ms)
+    checkInterval: 15000,
+    // Tiempo que se reutiliza una medición de espacio libre (y el reparto de la cola) al decidir inicios (ms)
+    freeSpaceCacheTtl: 2000,
+  },
+
+  // Reglas de destino por carpeta del catálogo (ver downloadRules.js)
+  downloadRules: {
+    // Nombre del archivo en el directorio de configuración
+    fileName: 'download-rules.json',
+  },
+
+  // Servidores espejo con la misma estructura que scraper.baseUrl (ver mirrorManager.js)
+  mirrors: {
+    // Nombre del archivo en el directorio de configuración
+    fileName: 'mirrors.json',
+    // Cada cuánto se comprueba si los servidores responden (ms)
+    probeInterval: 5 * 60 * 1000,
+    // Tiempo máximo de espera de cada comprobación (ms)
+    probeTimeout: 10000,
+    // Tiempo mínimo entre la última comprobación de un servidor y la que se hace
+    // cuando falla una descarga suya (ms)
+    recheckDelay: 30000,
+  },
+
+  // Búsquedas guardadas que se repiten tras cada actualización del catálogo (ver savedSearches.js)
+  savedSearches: {
+    // Nombre del archivo en el directorio de configuración
+    fileName: 'saved-searches.json',
+    // Resultados por página al repetir una búsqueda
+    resultLimit: 1000,
+    // Resultados como máximo por búsqueda (se deja de paginar al llegar)
+    maxResults: 5000,
+    // Resultados que dejaron de coincidir que se recuerdan, y durante cuánto tiempo
+    goneMaxEntries: 1000,
+    goneMaxAge: 90 * 24 * 60 * 60 * 1000,
+    maxSearches: 50,
+  },
+
+  // Lotes: carpetas encoladas de una vez (ver downloadBatches.js)
+  batches: {
+    // Acciones sobre todas las descargas de un lote
+    actions: ['pause', 'resume', 'cancel', 'retry-failed'],
+  },
+
+  // API HTTP local para controlar la aplicación desde scripts (desactivada por defecto)
+  // La configuración (activa, puerto, token) se guarda en http-api.json
+  httpApi: {
+    // Solo escucha en loopback; para acceder desde otra máquina usar un túnel SSH
+    host: '127.0.0.1',
+    defaultPort: 4780,
+    fileName: 'http-api.json',
+    // Bytes aleatorios del token de acceso (se muestra en hexadecimal)
+    tokenBytes: 24,
+    // Tamaño máximo del cuerpo JSON de una petición (bytes)
+    maxBodySize: 64 * 1024,
+    // Intervalo del comentario keep-alive en el stream de eventos (ms)
+    sseHeartbeatInterval: 15000,
+  },
+
+  // Auditoría de colección: compara una carpeta local con una carpeta del catálogo
+  audit: {
+    // Máximo de archivos locales a recorrer (el resultado se marca como incompleto)
+    maxLocalFiles: 200000,
+  },
+
+  // Icono de bandeja, notificaciones del sistema y progreso en la barra de tareas
+  // Las opciones del usuario (desktopNotifications, minimizeToTray) están en download-settings.json
+  tray: {
+    // Identificador de la app para las notificaciones en Windows (igual que build.appId)
+    appUserModelId: 'com.user.myrientapp',
+    // Intervalo mínimo entre actualizaciones del menú y el tooltip del icono (ms)
+    menuRefreshInterval: 1000,
+    // Espera sin descargas antes de dar por terminado un lote y notificarlo (ms)
+    // El renderer envía la siguiente descarga de su cola cuando termina la anterior
+    batchIdleDelay: 3000,
+    // Descargas fallidas que se nombran en la notificación de un lote
+    maxFailedInNotification: 3,
+  },
+
+  // Suspensión del equipo y acción al terminar la cola (ver queueFinishAction.js)
+  // La acción elegida por el usuario (queueFinishAction) está en download-settings.json
+  power: {
+    // Intervalo de comprobación del estado de la cola (ms)
+    idleCheckInterval: 2000,
+    // Tiempo sin descargas antes de dar la cola por terminada (ms)
+    // Cubre el hueco hasta que el renderer envía la siguiente descarga de su cola
+    finishIdleDelay: 10000,
+    // Cuenta atrás cancelable antes de ejecutar la acción (segundos)
+    finishCountdown: 60,
+  },
+
   // Límites y validaciones relacionadas con archivos
   files: {
     // Tamaño máximo en bytes permitido para un archivo individual (50 GB)
@@ -331,6 +533,20 @@ module.exports = {
     // Margen de tolerancia en bytes al comparar tamaños de archivos existentes con esperados
     // Si la diferencia es menor a este margen, se considera que los archivos tienen el mismo tamaño
     sizeMarginBytes: 10240,
+
+    // Qué hacer cuando el archivo de destino ya existe (ver FileService.resolveConflict)
+    // La política global está en download-settings.json (fileConflictPolicy) y cada
+    // descarga puede traer la suya al encolarla (conflictPolicy)
+    // - 'ask': preguntar si el tamaño coincide (la descarga queda en 'awaiting')
+    // - 'skip': omitir si el tamaño coincide, sobrescribir si no
+    // - 'overwrite': sobrescribir siempre
+    // - 'rename': guardar con un sufijo libre: "archivo (1).zip", "archivo (2).zip"...
+    // - 'resume': continuar si el archivo local es más pequeño, omitir si ya está completo
+    conflictPolicies: ['ask', 'skip', 'overwrite', 'rename', 'resume'],
+    defaultConflictPolicy: 'ask',
+
+    // Sufijos que se prueban al renombrar antes de desistir
+    maxRenameAttempts: 1000,
   },
 
   // Configuración de dimensiones y propiedades de la ventana principal
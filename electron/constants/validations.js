@@ -25,6 +25,9 @@ const ID_VALIDATIONS = {
   DOWNLOAD_MUST_BE_INTEGER: 'El ID de descarga debe ser un número entero',
   DOWNLOAD_MUST_BE_POSITIVE: 'El ID de descarga debe ser positivo',
   DOWNLOAD_MUST_BE_POSITIVE_ALT: 'El ID debe ser un numero positivo', // Variante con "numero"
+  NODE_CANNOT_BE_ZERO: 'El ID de nodo no puede ser 0',
+  DAT_MUST_BE_INTEGER: 'El ID de DAT debe ser un número entero',
+  DAT_MUST_BE_POSITIVE: 'El ID de DAT debe ser positivo',
 };
 
 // =====================
@@ -64,12 +67,101 @@ const DATA_VALIDATIONS = {
   MUST_BE_SERIALIZABLE: 'Los datos deben ser serializables a JSON',
 };
 
+// =====================
+// VALIDACIONES DE PROGRAMACIÓN DE DESCARGAS
+// =====================
+
+const SCHEDULE_VALIDATIONS = {
+  INVALID_SCHEDULE: 'La programación de descargas no es válida',
+  INVALID_TIME: 'La hora debe tener el formato HH:MM (00:00 - 23:59)',
+  INVALID_DAYS: 'Cada franja debe aplicarse al menos a un día (0 = domingo ... 6 = sábado)',
+  INVALID_ACTION: "La acción de la franja debe ser 'allow' o 'pause'",
+  INVALID_BANDWIDTH: 'El límite de velocidad debe ser un número de bytes/s mayor o igual que 0',
+  TOO_MANY_RULES: 'La programación admite como máximo 50 franjas',
+  LABEL_TOO_LONG: 'El nombre de la franja es demasiado largo (máximo 50 caracteres)',
+};
+
+// =====================
+// VALIDACIONES DE REGLAS DE DESTINO
+// =====================
+
+const DOWNLOAD_RULES_VALIDATIONS = {
+  INVALID_RULES: 'Las reglas de destino no son válidas',
+  INVALID_PATTERN: 'Cada regla necesita una ruta del catálogo (máximo 500 caracteres)',
+  INVALID_TARGET: 'Cada regla necesita un destino (máximo 1000 caracteres)',
+  TOO_MANY_RULES: 'Se admiten como máximo 100 reglas de destino',
+  INVALID_SAMPLE: 'La ruta de ejemplo no es válida',
+};
+
+// =====================
+// VALIDACIONES DE SERVIDORES ESPEJO
+// =====================
+
+const MIRRORS_VALIDATIONS = {
+  INVALID_MIRRORS: 'La lista de servidores espejo no es válida',
+  INVALID_URL: 'Cada servidor espejo necesita una URL https:// válida (máximo 500 caracteres)',
+  TOO_MANY_MIRRORS: 'Se admiten como máximo 10 servidores espejo',
+};
+
+// =====================
+// VALIDACIONES DEL PERFIL DE RED
+// =====================
+
+const NETWORK_VALIDATIONS = {
+  INVALID_PROFILE: 'El perfil de red no es válido',
+  INVALID_PROXY_TYPE: "El tipo de proxy debe ser 'system', 'none', 'http', 'https' o 'socks5'",
+  INVALID_PROXY_HOST: 'El proxy necesita un servidor válido (máximo 255 caracteres, sin esquema)',
+  INVALID_PROXY_PORT: 'El puerto del proxy debe ser un número entre 1 y 65535',
+  INVALID_CREDENTIALS: 'El usuario y la contraseña del proxy admiten como máximo 200 caracteres',
+  SOCKS_AUTH_UNSUPPORTED: 'Los proxies SOCKS5 con usuario y contraseña no están soportados',
+  INVALID_BYPASS: 'La lista de exclusiones del proxy admite como máximo 1000 caracteres',
+  INVALID_USER_AGENT: 'El User-Agent admite como máximo 500 caracteres',
+  INVALID_HEADER_NAME: 'El nombre de cada cabecera solo admite letras, números y -',
+  INVALID_HEADER_VALUE:
+    'El valor de cada cabecera admite como máximo 1000 caracteres y una sola línea',
+  RESERVED_HEADER: 'Esa cabecera la gestiona la aplicación y no se puede añadir al perfil',
+  TOO_MANY_HEADERS: 'Se admiten como máximo 20 cabeceras adicionales',
+};
+
+// =====================
+// VALIDACIONES DE BÚSQUEDAS GUARDADAS
+// =====================
+
+const SAVED_SEARCH_VALIDATIONS = {
+  INVALID_SAVED_SEARCH: 'La búsqueda guardada no es válida',
+  INVALID_NAME: 'El nombre de la búsqueda es obligatorio (máximo 100 caracteres)',
+  INVALID_PRESET: 'El nombre del preset de filtros no es válido (máximo 100 caracteres)',
+  INVALID_ID: 'ID de búsqueda guardada inválido',
+};
+
+// =====================
+// VALIDACIONES DE LOTES
+// =====================
+
+const BATCH_VALIDATIONS = {
+  INVALID_ID: 'ID de lote inválido',
+  INVALID_ACTION: "La acción del lote debe ser 'pause', 'resume', 'cancel' o 'retry-failed'",
+};
+
+// =====================
+// VALIDACIONES DE API HTTP
+// =====================
+
+const HTTP_API_VALIDATIONS = {
+  INVALID_SETTINGS: 'La configuración de la API HTTP no es válida',
+  INVALID_PORT: 'El puerto debe ser un número entre 1024 y 65535',
+};
+
 // =====================
 // VALIDACIONES GENÉRICAS
 // =====================
 
 const GENERIC_VALIDATIONS = {
   VALIDATION_ERROR: 'Error de validación',
+  INVALID_DATA_SOURCE: "El origen de datos debe ser 'db', 'web' o 'hybrid'",
+  INVALID_FILE_IDS: 'La selección de archivos debe ser una lista de IDs positivos',
+  INVALID_CONFLICT_POLICY:
+    "La política de conflictos debe ser 'ask', 'skip', 'overwrite', 'rename' o 'resume'",
 };
 
 // =====================
@@ -83,6 +175,13 @@ const VALIDATIONS = {
   PATH: PATH_VALIDATIONS,
   FILE: FILE_VALIDATIONS,
   DATA: DATA_VALIDATIONS,
+  SCHEDULE: SCHEDULE_VALIDATIONS,
+  DOWNLOAD_RULES: DOWNLOAD_RULES_VALIDATIONS,
+  MIRRORS: MIRRORS_VALIDATIONS,
+  NETWORK: NETWORK_VALIDATIONS,
+  SAVED_SEARCH: SAVED_SEARCH_VALIDATIONS,
+  BATCH: BATCH_VALIDATIONS,
+  HTTP_API: HTTP_API_VALIDATIONS,
   GENERIC: GENERIC_VALIDATIONS,
 };
 
@@ -94,5 +193,12 @@ module.exports = {
   PATH_VALIDATIONS,
   FILE_VALIDATIONS,
   DATA_VALIDATIONS,
+  SCHEDULE_VALIDATIONS,
+  DOWNLOAD_RULES_VALIDATIONS,
+  MIRRORS_VALIDATIONS,
+  NETWORK_VALIDATIONS,
+  SAVED_SEARCH_VALIDATIONS,
+  BATCH_VALIDATIONS,
+  HTTP_API_VALIDATIONS,
   GENERIC_VALIDATIONS,
 };
@@ -0,0 +1,409 @@
+/**
+ * @fileoverview Verificación de descargas contra DATs de No-Intro/Redump
+ * @module datVerifier
+ *
+ * Importa DATs en formato Logiqx XML a downloads.db y comprueba los hashes
+ * (CRC32/MD5/SHA1) de los archivos descargados contra ellos.
+ *
+ * FLUJO:
+ * 1. El usuario importa uno o varios DATs (importDat)
+ * 2. Al encolar una descarga se guarda el hash esperado si el título está en
+ *    algún DAT (queueDatabase.addDownload)
+ * 3. Al terminar la descarga, downloadManager llama a verify(): el archivo se
+ *    hashea en un worker thread y se compara con las entradas del DAT
+ *
+ * Un .zip se compara archivo por archivo con todos los ROMs del juego; un
+ * archivo sin comprimir se compara con el ROM del mismo nombre.
+ *
+ * @author Myrient Downloader
+ * @version 1.0.0
+ */
+
+/**
+ * @typedef {Object} VerificationResult
+ * @property {boolean} matched - Si el archivo tiene entrada en algún DAT
+ * @property {boolean} [aborted] - Si se interrumpió al cerrar la aplicación
+ * @property {boolean} [verified] - Si los hashes coinciden (solo si matched)
+ * @property {string|null} [expectedHash] - Hash esperado ('algoritmo:hex')
+ * @property {string|null} [actualHash] - Hash calculado ('algoritmo:hex')
+ * @property {string} [datName] - DAT con el que se verificó
+ * @property {string} [error] - Motivo del fallo
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { Worker } = require('worker_threads');
+const config = require('./config');
+const queueDatabase = require('./queueDatabase');
+const { parseDatFile } = require('./utils/datParser');
+const { logger } = require('./utils');
+
+const log = logger.child('DatVerifier');
+
+// Algoritmos en orden de preferencia para el hash esperado
+const HASH_ALGORITHMS = ['sha1', 'md5', 'crc32'];
+
+/**
+ * Importa DATs y verifica archivos descargados
+ *
+ * @class DatVerifier
+ * @example
+ * const datVerifier = require('./datVerifier');
+ * await datVerifier.importDat('C:/DATs/Nintendo - Game Boy.dat');
+ * const result = await datVerifier.verify({ title: 'Tetris (World).zip', savePath });
+ * // result.matched && result.verified
+ */
+class DatVerifier {
+  /**
+   * Crea una nueva instancia de DatVerifier
+   *
+   * @constructor
+   */
+  constructor() {
+    this.importing = false;
+    this.destroyed = false;
+    this.workers = new Set();
+  }
+
+  /**
+   * Indica si la verificación está activada en la configuración
+   *
+   * @returns {boolean}
+   */
+  isEnabled() {
+    return config.verification?.enabled !== false;
+  }
+
+  /**
+   * Indica si hay una importación de DAT en curso
+   *
+   * @returns {boolean}
+   */
+  isImporting() {
+    return this.importing;
+  }
+
+  /**
+   * Importa un DAT Logiqx XML
+   *
+   * Si ya existe un DAT con el mismo nombre de cabecera se reemplaza por el
+   * nuevo (p. ej. una versión más reciente del mismo sistema).
+   *
+   * @param {string} filePath - Ruta al archivo .dat/.xml
+   * @returns {Promise<Object>} { success, data: { id, name, version, gameCount, romCount, replaced }, error }
+   */
+  async importDat(filePath) {
+    if (this.importing) {
+      return { success: false, error: 'Ya hay una importación de DAT en curso' };
+    }
+
+    let stats;
+    try {
+      stats = await fs.promises.stat(filePath);
+    } catch (error) {
+      return { success: false, error: `No se pudo leer el archivo: ${error.message}` };
+    }
+
+    const maxSize = config.verification?.maxDatSize || 512 * 1024 * 1024;
+    if (stats.size > maxSize) {
+      return {
+        success: false,
+        error: `El DAT supera el tamaño máximo (${Math.round(maxSize / 1024 / 1024)} MB)`,
+      };
+    }
+
+    this.importing = true;
+    const endOperation = log.startOperation(`Importar DAT ${path.basename(filePath)}`);
+    let datId = null;
+
+    try {
+      datId = queueDatabase.beginDatImport(filePath);
+
+      const { header, gameCount, romCount } = await parseDatFile(filePath, {
+        batchSize: config.verification?.importBatchSize || 5000,
+        onBatch: entries => queueDatabase.insertDatRoms(datId, entries),
+      });
+
+      if (romCount === 0) {
+        throw new Error('El DAT no contiene ROMs con hashes');
+      }
+
+      if (!header.name) {
+        header.name = path.basename(filePath, path.extname(filePath));
+      }
+
+      const replaced = queueDatabase.finishDatImport(datId, header, { gameCount, romCount });
+      endOperation(`${header.name}: ${gameCount} juegos, ${romCount} ROMs`);
+
+      return {
+        success: true,
+        data: {
+          id: datId,
+          name: header.name,
+          version: header.version || null,
+          gameCount,
+          romCount,
+          replaced,
+        },
+      };
+    } catch (error) {
+      log.error(`Error importando DAT ${filePath}:`, error.message);
+      if (datId !== null) {
+        queueDatabase.deleteDat(datId);
+      }
+      return { success: false, error: error.message };
+    } finally {
+      this.importing = false;
+    }
+  }
+
+  /**
+   * Lista los DATs importados
+   *
+   * @returns {Object} { success, data: Array<Object> }
+   */
+  getDats() {
+    try {
+      return { success: true, data: queueDatabase.getDats() };
+    } catch (error) {
+      log.error('Error obteniendo DATs:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Elimina un DAT importado
+   *
+   * @param {number} datId - ID del DAT
+   * @returns {Object} { success, error }
+   */
+  removeDat(datId) {
+    if (this.importing) {
+      return { success: false, error: 'Espera a que termine la importación en curso' };
+    }
+
+    if (!queueDatabase.deleteDat(datId)) {
+      return { success: false, error: 'DAT no encontrado' };
+    }
+    return { success: true };
+  }
+
+  /**
+   * Indica si un archivo se puede verificar con los DATs importados
+   *
+   * @param {string} title - Nombre del archivo
+   * @returns {boolean}
+   */
+  canVerify(title) {
+    return this.isEnabled() && queueDatabase.findDatMatch(title) !== null;
+  }
+
+  /**
+   * Verifica un archivo descargado contra los DATs importados
+   *
+   * @param {Object} params - Parámetros
+   * @param {number} [params.id] - ID de la descarga (para logs)
+   * @param {string} params.title - Nombre del archivo en Myrient
+   * @param {string} params.savePath - Ruta del archivo descargado
+   * @param {Function} [params.onProgress] - Recibe (progress 0-1)
+   * @returns {Promise<VerificationResult>}
+   */
+  async verify({ id, title, savePath, onProgress }) {
+    const match = this.isEnabled() ? queueDatabase.findDatMatch(title) : null;
+    if (!match || match.roms.length === 0) {
+      return { matched: false };
+    }
+
+    const expectedHash = this._formatHash(match.roms[0], match.roms[0]);
+    const algorithms = HASH_ALGORITHMS.filter(algorithm => match.roms.some(rom => rom[algorithm]));
+
+    log.info(
+      `Verificando descarga ${id ?? ''} contra ${match.datName} (${match.roms.length} ROMs, ${algorithms.join('/')})`
+    );
+
+    let files;
+    try {
+      files = await this._hashInWorker({
+        filePath: savePath,
+        archive: match.archive,
+        algorithms,
+        onProgress,
+      });
+    } catch (error) {
+      // Al cerrar la aplicación la descarga se queda en 'verifying' y se
+      // verifica de nuevo en el siguiente arranque
+      if (this.destroyed) {
+        return { matched: true, aborted: true };
+      }
+
+      return {
+        matched: true,
+        verified: false,
+        expectedHash,
+        actualHash: null,
+        datName: match.datName,
+        error: error.message,
+      };
+    }
+
+    return {
+      matched: true,
+      expectedHash,
+      datName: match.datName,
+      ...this._compare(match, files),
+    };
+  }
+
+  /**
+   * Termina los workers de hash en curso (al cerrar la aplicación)
+   *
+   * @returns {void}
+   */
+  destroy() {
+    this.destroyed = true;
+    this.workers.forEach(worker => worker.terminate());
+    this.workers.clear();
+  }
+
+  /**
+   * Calcula los hashes de un archivo en un worker thread
+   *
+   * @private
+   * @param {Object} params - { filePath, archive, algorithms, onProgress }
+   * @returns {Promise<Array<Object>>} [{ name, size, crc32, md5, sha1 }]
+   */
+  _hashInWorker({ filePath, archive, algorithms, onProgress }) {
+    return new Promise((resolve, reject) => {
+      const workerPath = this._resolveWorkerPath();
+      if (!workerPath) {
+        reject(new Error('Worker de verificación no encontrado'));
+        return;
+      }
+
+      const worker = new Worker(workerPath);
+      this.workers.add(worker);
+      let settled = false;
+
+      const finish = (callback, value) => {
+        if (settled) return;
+        settled = true;
+        this.workers.delete(worker);
+        worker.terminate();
+        callback(value);
+      };
+
+      worker.on('message', message => {
+        switch (message.type) {
+          case 'progress':
+            if (onProgress) onProgress(message.progress);
+            break;
+          case 'complete':
+            finish(resolve, message.files);
+            break;
+          case 'error':
+            finish(reject, new Error(message.error?.message || 'Error calculando hashes'));
+            break;
+        }
+      });
+
+      worker.on('error', error => finish(reject, error));
+      worker.on('exit', code => {
+        finish(reject, new Error(`Worker de verificación terminó con código ${code}`));
+      });
+
+      worker.postMessage({ type: 'hash', filePath, archive, algorithms });
+    });
+  }
+
+  /**
+   * Resuelve la ruta del worker de hash
+   *
+   * Los worker threads no se cargan desde app.asar; en modo empaquetado el
+   * worker está en app.asar.unpacked (ver build.asarUnpack).
+   *
+   * @private
+   * @returns {string|null}
+   */
+  _resolveWorkerPath() {
+    const candidates = [path.resolve(__dirname, 'workers', 'hashWorker.js')];
+    if (process.resourcesPath) {
+      candidates.push(
+        path.resolve(
+          process.resourcesPath,
+          'app.asar.unpacked',
+          'electron',
+          'workers',
+          'hashWorker.js'
+        )
+      );
+    }
+    return candidates.find(candidate => fs.existsSync(candidate)) || null;
+  }
+
+  /**
+   * Compara los hashes calculados con las entradas del DAT
+   *
+   * @private
+   * @param {Object} match - Entrada del DAT (queueDatabase.findDatMatch)
+   * @param {Array<Object>} files - Hashes calculados por el worker
+   * @returns {Object} { verified, actualHash, error }
+   */
+  _compare(match, files) {
+    const primary = match.roms[0];
+    let actualHash = null;
+
+    for (const rom of match.roms) {
+      const file = match.archive
+        ? files.find(
+            entry => entry.name === rom.name || path.posix.basename(entry.name) === rom.name
+          )
+        : files[0];
+
+      if (!file) {
+        return { verified: false, actualHash, error: `Falta ${rom.name} en el archivo` };
+      }
+
+      if (rom === primary) {
+        actualHash = this._formatHash(primary, file);
+      }
+
+      if (rom.size !== null && file.size !== rom.size) {
+        return {
+          verified: false,
+          actualHash,
+          error: `Tamaño incorrecto en ${rom.name}: ${file.size} bytes (esperado ${rom.size})`,
+        };
+      }
+
+      const mismatch = HASH_ALGORITHMS.find(
+        algorithm => rom[algorithm] && file[algorithm] !== rom[algorithm]
+      );
+      if (mismatch) {
+        return {
+          verified: false,
+          actualHash,
+          error: `${mismatch.toUpperCase()} incorrecto en ${rom.name}`,
+        };
+      }
+    }
+
+    return { verified: true, actualHash };
+  }
+
+  /**
+   * Formatea el hash más fuerte disponible en el ROM de referencia
+   *
+   * @private
+   * @param {Object} reference - ROM del DAT (decide el algoritmo)
+   * @param {Object} source - Objeto del que se toma el valor
+   * @returns {string|null} 'algoritmo:hex'
+   */
+  _formatHash(reference, source) {
+    const algorithm = HASH_ALGORITHMS.find(name => reference[name]);
+    return algorithm && source[algorithm] ? `${algorithm}:${source[algorithm]}` : null;
+  }
+}
+
+// Exportar instancia única (singleton)
+module.exports = new DatVerifier();
+module.exports.DatVerifier = DatVerifier;
@@ -0,0 +1,328 @@
+/**
+ * @fileoverview DataProvider - Origen de datos para la navegación del catálogo
+ * @module DataProvider
+ *
+ * Selecciona de dónde se obtienen los listados de navegación:
+ * - 'db': catálogo SQLite local (por defecto, rápido, sin red)
+ * - 'web': listado HTML en vivo de Myrient (con fallback a DB si falla la red)
+ * - 'hybrid': DB primero, verificado contra el listado en vivo
+ *
+ * NODOS VIRTUALES:
+ * Las entradas que solo existen en el listado web (añadidas después del
+ * snapshot de la DB) no tienen ID en el catálogo. Se les asigna un ID
+ * negativo válido durante la sesión para que se puedan navegar como
+ * cualquier otra carpeta. Estos nodos son solo de navegación: para
+ * descargarlos hay que actualizar el catálogo.
+ *
+ * Todos los resultados incluyen `source` ('db' | 'web' | 'hybrid') y cada
+ * elemento de `data` indica su propio `source`.
+ *
+ * @author Myrient Downloader
+ * @version 1.0.0
+ */
+
+const config = require('../config');
+const { logger } = require('../utils');
+const dbEngine = require('./engines/DBEngine');
+const ScraperEngine = require('./engines/ScraperEngine');
+
+const log = logger.child('DataProvider');
+
+/**
+ * Modos de origen de datos disponibles
+ * @readonly
+ * @enum {string}
+ */
+const DataSourceMode = Object.freeze({
+  DB: 'db',
+  WEB: 'web',
+  HYBRID: 'hybrid',
+});
+
+/**
+ * Proveedor de datos de navegación con soporte de DB, web e híbrido
+ *
+ * @class DataProvider
+ * @example
+ * const dataProvider = require('./data/DataProvider');
+ * dataProvider.setMode('hybrid');
+ * const result = await dataProvider.getChildren(1);
+ * // result.source === 'hybrid', result.data[i].source === 'db' | 'web'
+ */
+class DataProvider {
+  /**
+   * Crea una nueva instancia de DataProvider
+   *
+   * @constructor
+   */
+  constructor() {
+    this.mode = config.dataSource?.defaultMode || DataSourceMode.DB;
+    this.scraper = null;
+
+    // Nodos que solo existen en la web: id negativo -> nodo
+    this.virtualNodes = new Map();
+    this.virtualIdsByUrl = new Map();
+    this.nextVirtualId = -1;
+  }
+
+  /**
+   * Cambia el modo de origen de datos
+   *
+   * @param {string} mode - 'db' | 'web' | 'hybrid'
+   * @returns {boolean} true si el modo es válido y se aplicó
+   */
+  setMode(mode) {
+    if (!Object.values(DataSourceMode).includes(mode)) {
+      log.warn(`Modo de origen de datos inválido: ${mode}`);
+      return false;
+    }
+
+    if (this.mode !== mode) {
+      log.info(`Origen de datos: ${this.mode} -> ${mode}`);
+      this.mode = mode;
+    }
+    return true;
+  }
+
+  /**
+   * Obtiene el modo de origen de datos actual
+   *
+   * @returns {string}
+   */
+  getMode() {
+    return this.mode;
+  }
+
+  /**
+   * Indica si un ID corresponde a un nodo virtual (solo web)
+   *
+   * @param {number} nodeId - ID del nodo
+   * @returns {boolean}
+   */
+  isVirtualId(nodeId) {
+    return nodeId < 0;
+  }
+
+  /**
+   * Descarta los nodos virtuales (p. ej. tras actualizar el catálogo)
+   *
+   * @returns {void}
+   */
+  clearVirtualNodes() {
+    this.virtualNodes.clear();
+    this.virtualIdsByUrl.clear();
+    log.debug('Nodos virtuales descartados');
+  }
+
+  /**
+   * Obtiene los hijos de un nodo según el modo actual
+   *
+   * @param {number} parentId - ID del nodo padre (negativo si es virtual)
+   * @returns {Promise<Object>} { success, data, source, [verifyError] }
+   */
+  async getChildren(parentId) {
+    // Los nodos virtuales solo existen en la web
+    if (this.isVirtualId(parentId)) {
+      return this._getWebChildren(parentId, null);
+    }
+
+    if (this.mode === DataSourceMode.DB) {
+      return dbEngine.getChildren(parentId);
+    }
+
+    const dbResult = await dbEngine.getChildren(parentId);
+    if (!dbResult.success) {
+      return dbResult;
+    }
+
+    const webResult = await this._getWebChildren(parentId, dbResult.data);
+    if (!webResult.success) {
+      // Fallback: la DB sigue siendo válida aunque no se pudo verificar
+      log.warn(`Listado web no disponible para ${parentId}, usando DB: ${webResult.error}`);
+      return { ...dbResult, verifyError: webResult.error };
+    }
+
+    return webResult;
+  }
+
+  /**
+   * Obtiene los ancestros de un nodo (breadcrumb)
+   *
+   * Para nodos virtuales se sube por la cadena de padres virtuales hasta el
+   * primer nodo del catálogo y se completa con sus ancestros de la DB.
+   *
+   * @param {number} nodeId - ID del nodo
+   * @returns {Promise<Object>} { success, data: [{ id, title }], source }
+   */
+  async getAncestors(nodeId) {
+    if (!this.isVirtualId(nodeId)) {
+      return dbEngine.getAncestors(nodeId);
+    }
+
+    const chain = [];
+    let current = this.virtualNodes.get(nodeId);
+    while (current) {
+      chain.unshift({ id: current.id, title: current.title });
+      if (!this.isVirtualId(current.parent_id)) break;
+      current = this.virtualNodes.get(current.parent_id);
+    }
+
+    if (!current) {
+      return { success: false, error: 'Nodo no encontrado', source: 'web' };
+    }
+
+    // El catálogo excluye la raíz (id 1) del breadcrumb
+    if (current.parent_id === 1) {
+      return { success: true, data: chain, source: 'web' };
+    }
+
+    const dbAncestors = await dbEngine.getAncestors(current.parent_id);
+    if (!dbAncestors.success) {
+      return { ...dbAncestors, source: 'web' };
+    }
+
+    return { success: true, data: [...dbAncestors.data, ...chain], source: 'web' };
+  }
+
+  /**
+   * Obtiene la información de un nodo
+   *
+   * @param {number} nodeId - ID del nodo
+   * @returns {Promise<Object>} { success, data, source }
+   */
+  async getNodeInfo(nodeId) {
+    if (!this.isVirtualId(nodeId)) {
+      return dbEngine.getNodeInfo(nodeId);
+    }
+
+    const node = this.virtualNodes.get(nodeId);
+    if (!node) {
+      return { success: false, error: 'Nodo no encontrado', source: 'web' };
+    }
+
+    return {
+      success: true,
+      data: { id: node.id, parent_id: node.parent_id, title: node.title, type: node.type, url: node.url },
+      source: 'web',
+    };
+  }
+
+  /**
+   * Obtiene el listado web de un nodo y lo combina con los hijos de la DB
+   *
+   * - Modo 'web': el listado web es la fuente; los elementos que también
+   *   están en la DB conservan su ID real
+   * - Modo 'hybrid': se devuelven los hijos de la DB marcados con `verified`
+   *   más los elementos que solo existen en la web
+   *
+   * @private
+   * @param {number} parentId - ID del nodo padre
+   * @param {Array<Object>|null} dbChildren - Hijos en la DB (null para nodos virtuales)
+   * @returns {Promise<Object>} { success, data, source }
+   */
+  async _getWebChildren(parentId, dbChildren) {
+    const parent = await this.getNodeInfo(parentId);
+    if (!parent.success) {
+      return parent;
+    }
+    if (!parent.data.url) {
+      return { success: false, error: `El nodo ${parentId} no tiene URL`, source: 'web' };
+    }
+
+    let listing;
+    try {
+      this.scraper = this.scraper || new ScraperEngine();
+      listing = await this.scraper.getChildren(parent.data.url);
+    } catch (error) {
+      return { success: false, error: error.message, source: 'web' };
+    }
+
+    const dbByKey = new Map();
+    (dbChildren || []).forEach(child => dbByKey.set(this._key(child.title, child.type), child));
+
+    const webOnly = [];
+    const matched = [];
+    const seenKeys = new Set();
+
+    for (const webNode of listing.data) {
+      const key = this._key(webNode.title, webNode.type);
+      seenKeys.add(key);
+      const dbNode = dbByKey.get(key);
+
+      if (dbNode) {
+        matched.push({ ...dbNode, source: 'db', verified: true });
+      } else {
+        webOnly.push({ ...this._registerVirtualNode(parentId, webNode), source: 'web' });
+      }
+    }
+
+    if (this.mode === DataSourceMode.WEB || !dbChildren) {
+      return { success: true, data: [...matched, ...webOnly], source: 'web' };
+    }
+
+    // Híbrido: conservar también lo que la DB tiene y la web ya no
+    const missing = dbChildren
+      .filter(child => !seenKeys.has(this._key(child.title, child.type)))
+      .map(child => ({ ...child, source: 'db', verified: false }));
+
+    if (webOnly.length > 0 || missing.length > 0) {
+      log.info(
+        `Verificación de ${parentId}: ${webOnly.length} nuevos en la web, ${missing.length} ausentes en la web`
+      );
+    }
+
+    return { success: true, data: [...matched, ...missing, ...webOnly], source: 'hybrid' };
+  }
+
+  /**
+   * Registra (o reutiliza) un nodo virtual para una entrada solo web
+   *
+   * @private
+   * @param {number} parentId - ID del padre (real o virtual)
+   * @param {Object} webNode - Nodo del ScraperEngine
+   * @returns {Object} Nodo con ID virtual
+   */
+  _registerVirtualNode(parentId, webNode) {
+    let id = this.virtualIdsByUrl.get(webNode.url);
+
+    if (id === undefined) {
+      const maxNodes = config.dataSource?.maxVirtualNodes || 50000;
+      if (this.virtualNodes.size >= maxNodes) {
+        log.warn(`Límite de ${maxNodes} nodos virtuales alcanzado, reiniciando registro`);
+        this.clearVirtualNodes();
+      }
+
+      id = this.nextVirtualId--;
+      this.virtualIdsByUrl.set(webNode.url, id);
+    }
+
+    const node = {
+      id,
+      parent_id: parentId,
+      title: webNode.title,
+      type: webNode.type,
+      size: webNode.size_text,
+      modified_date: webNode.modified_date,
+      url: webNode.url,
+    };
+    this.virtualNodes.set(id, node);
+    return node;
+  }
+
+  /**
+   * Clave de comparación entre nodos de DB y web
+   *
+   * @private
+   * @param {string} title - Título
+   * @param {string} type - 'folder' | 'file'
+   * @returns {string}
+   */
+  _key(title, type) {
+    return `${type}:${String(title).replace(/\/$/, '')}`;
+  }
+}
+
+// Exportar instancia única (singleton)
+module.exports = new DataProvider();
+module.exports.DataProvider = DataProvider;
+module.exports.DataSourceMode = DataSourceMode;
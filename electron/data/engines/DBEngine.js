@@ -0,0 +1,68 @@
+/**
+ * @fileoverview DBEngine - Motor de datos sobre el catálogo SQLite local
+ * @module DBEngine
+ *
+ * Adaptador asíncrono sobre DatabaseService con la misma interfaz que
+ * ScraperEngine, para que el DataProvider pueda usar ambos motores de forma
+ * intercambiable. Todos los resultados se etiquetan con `source: 'db'`.
+ *
+ * @author Myrient Downloader
+ * @version 1.0.0
+ */
+
+const database = require('../../database');
+
+/**
+ * Añade la etiqueta de origen a un resultado de DatabaseService
+ *
+ * @param {Object} result - Resultado { success, data, error }
+ * @returns {Object} Resultado con `source: 'db'`
+ */
+function tagResult(result) {
+  return { ...result, source: 'db' };
+}
+
+/**
+ * Obtiene los hijos de un nodo desde el catálogo local
+ *
+ * @param {number} parentId - ID del nodo padre
+ * @returns {Promise<Object>} { success, data, source: 'db' }
+ */
+async function getChildren(parentId) {
+  return tagResult(database.getChildren(parentId));
+}
+
+/**
+ * Obtiene los ancestros de un nodo desde el catálogo local
+ *
+ * @param {number} nodeId - ID del nodo
+ * @returns {Promise<Object>} { success, data: [{ id, title }], source: 'db' }
+ */
+async function getAncestors(nodeId) {
+  return tagResult(database.getAncestors(nodeId));
+}
+
+/**
+ * Obtiene la información de un nodo desde el catálogo local, incluyendo su URL
+ *
+ * @param {number} nodeId - ID del nodo
+ * @returns {Promise<Object>} { success, data: { id, parent_id, title, type, url }, source: 'db' }
+ */
+async function getNodeInfo(nodeId) {
+  const result = database.getNodeInfo(nodeId);
+  if (!result.success) {
+    return tagResult(result);
+  }
+
+  const downloadInfo = database.getFileDownloadInfo(nodeId);
+  return tagResult({
+    success: true,
+    data: { ...result.data, url: downloadInfo?.url || null },
+  });
+}
+
+module.exports = {
+  getChildren,
+  getAncestors,
+  getNodeInfo,
+};
@@ -0,0 +1,114 @@
+/**
+ * @fileoverview RateLimiter - Planificador de peticiones para el scraper
+ * @module RateLimiter
+ *
+ * Limita la concurrencia y el intervalo mínimo entre peticiones salientes
+ * al sitio de Myrient. A diferencia de utils/rateLimiter (que rechaza
+ * peticiones entrantes), este planificador encola las tareas y las ejecuta
+ * cuando hay capacidad disponible.
+ *
+ * @author Myrient Downloader
+ * @version 1.0.0
+ */
+
+/**
+ * Planificador de tareas asíncronas con concurrencia e intervalo mínimo
+ *
+ * @class RateLimiter
+ *
+ * @example
+ * const limiter = new RateLimiter({ maxConcurrent: 3, minTime: 500 });
+ * const html = await limiter.schedule(() => fetchListing(url));
+ */
+class RateLimiter {
+  /**
+   * Crea una nueva instancia de RateLimiter
+   *
+   * @constructor
+   * @param {Object} [options={}] - Opciones del planificador
+   * @param {number} [options.maxConcurrent=3] - Número máximo de tareas simultáneas
+   * @param {number} [options.minTime=0] - Milisegundos mínimos entre el inicio de dos tareas
+   */
+  constructor(options = {}) {
+    this.maxConcurrent = Math.max(1, options.maxConcurrent || 3);
+    this.minTime = Math.max(0, options.minTime || 0);
+    this.running = 0;
+    this.queue = [];
+    this.lastStart = 0;
+    this.timer = null;
+  }
+
+  /**
+   * Encola una tarea y la ejecuta cuando haya capacidad disponible
+   *
+   * @param {Function} task - Función que retorna una Promise
+   * @returns {Promise<*>} Resultado de la tarea
+   */
+  schedule(task) {
+    return new Promise((resolve, reject) => {
+      this.queue.push({ task, resolve, reject });
+      this._next();
+    });
+  }
+
+  /**
+   * Número de tareas pendientes (en cola, sin iniciar)
+   *
+   * @returns {number}
+   */
+  get pending() {
+    return this.queue.length;
+  }
+
+  /**
+   * Descarta las tareas pendientes rechazándolas con el motivo indicado
+   *
+   * @param {string} [reason='Planificador detenido'] - Motivo del rechazo
+   * @returns {void}
+   */
+  clear(reason = 'Planificador detenido') {
+    const pending = this.queue.splice(0);
+    pending.forEach(item => item.reject(new Error(reason)));
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Inicia la siguiente tarea si se cumplen los límites
+   *
+   * @private
+   */
+  _next() {
+    if (this.timer || this.running >= this.maxConcurrent || this.queue.length === 0) {
+      return;
+    }
+
+    const wait = this.lastStart + this.minTime - Date.now();
+    if (wait > 0) {
+      this.timer = setTimeout(() => {
+        this.timer = null;
+        this._next();
+      }, wait);
+      return;
+    }
+
+    const { task, resolve, reject } = this.queue.shift();
+    this.running++;
+    this.lastStart = Date.now();
+
+    Promise.resolve()
+      .then(task)
+      .then(resolve, reject)
+      .finally(() => {
+        this.running--;
+        this._next();
+      });
+
+    // Intentar iniciar más tareas si queda capacidad
+    this._next();
+  }
+}
+
+module.exports = RateLimiter;
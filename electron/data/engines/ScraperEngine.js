@@ -16,12 +16,12 @@
  * @version 1.0.0
  */
 
-const fetch = require('node-fetch');
 const cheerio = require('cheerio');
 const { URL } = require('url');
 const RateLimiter = require('./RateLimiter');
 const { logger } = require('../../utils');
 const config = require('../../config');
+const networkProfile = require('../../networkProfile');
 
 /**
  * Motor de scraping web para obtener datos de Myrient en tiempo real
@@ -45,15 +45,12 @@ class ScraperEngine {
    * @constructor
    */
   constructor() {
-    this.baseUrl = 'https://myrient.erista.me/files/';
+    this.baseUrl = config.scraper?.baseUrl || 'https://myrient.erista.me/files/';
     this.rateLimiter = new RateLimiter({
       maxConcurrent: config.scraper?.rateLimit?.maxConcurrent || 3,
       minTime: config.scraper?.rateLimit?.minTime || 500,
     });
     this.log = logger.child('ScraperEngine');
-    this.userAgent =
-      config.scraper?.userAgent ||
-      'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
   }
 
   /**
@@ -67,6 +64,8 @@ class ScraperEngine {
    * @returns {boolean} returns.success - Si la operación fue exitosa
    * @returns {Array} returns.data - Array de nodos encontrados
    * @returns {string} returns.source - 'web' (indica que viene de scraping)
+   * @returns {boolean} returns.fallback - Si la tabla del listado no se reconoció y se
+   *   usó el parser de fallback (enlaces sin tamaño ni fecha)
    *
    * @example
    * // Obtener hijos por URL
@@ -102,12 +101,20 @@ class ScraperEngine {
         return await this._fetchHTML(url);
       });
 
-      const nodes = await this._parseDirectoryListing(html, url);
+      let nodes = await this._parseDirectoryListing(html, url);
+
+      // Si no encontramos nada con el selector principal, intentar fallback
+      const fallback = nodes.length === 0;
+      if (fallback) {
+        this.log.warn('No se encontraron nodos con selector principal, intentando fallback...');
+        nodes = await this._parseDirectoryListingFallback(html, url);
+      }
 
       return {
         success: true,
         data: nodes,
         source: 'web',
+        fallback,
       };
     } catch (error) {
       this.log.error(`Error scrapeando ${url}:`, error);
@@ -199,8 +206,8 @@ class ScraperEngine {
   /**
    * Fetch HTML con headers apropiados
    *
-   * Realiza una petición HTTP GET al URL especificado con headers
-   * que simulan un navegador real para evitar bloqueos.
+   * Realiza una petición HTTP GET al URL especificado con el perfil de red
+   * (proxy, User-Agent y cabeceras adicionales) y headers de navegador.
    *
    * @private
    * @param {string} url - URL a obtener
@@ -208,23 +215,21 @@ class ScraperEngine {
    * @throws {Error} Si la petición falla o el status no es OK
    */
   async _fetchHTML(url) {
-    const response = await fetch(url, {
-      headers: {
-        'User-Agent': this.userAgent,
-        Accept: 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
-        'Accept-Language': 'en-US,en;q=0.5',
-        'Accept-Encoding': 'gzip, deflate, br',
-        Connection: 'keep-alive',
-        'Upgrade-Insecure-Requests': '1',
-      },
-      timeout: config.scraper?.timeout || 30000,
-    });
-
-    if (!response.ok) {
-      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    // La pila de red de Chromium descomprime la respuesta automáticamente
+    try {
+      return await networkProfile.fetchText(url, {
+        headers: {
+          Accept: 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
+          'Accept-Language': 'en-US,en;q=0.5',
+        },
+        timeout: config.scraper?.timeout || 30000,
+      });
+    } catch (error) {
+      if (error.code === 'TIMEOUT') {
+        throw new Error(`Timeout obteniendo listado: ${url}`);
+      }
+      throw error;
     }
-
-    return await response.text();
   }
 
   /**
@@ -334,6 +339,7 @@ class ScraperEngine {
           title: title,
           type: isDirectory ? 'folder' : 'file',
           size: size,
+          size_text: size !== null ? sizeText : null, // Texto original, tal como lo muestra el listado
           modified_date: modified,
           url: fullUrl,
         };
@@ -347,12 +353,6 @@ class ScraperEngine {
       }
     });
 
-    // Si no encontramos nada con el selector principal, intentar fallback
-    if (nodes.length === 0) {
-      this.log.warn('No se encontraron nodos con selector principal, intentando fallback...');
-      return await this._parseDirectoryListingFallback(html, baseUrl);
-    }
-
     // Ordenar: carpetas primero, luego archivos, ambos alfabéticamente
     nodes.sort((a, b) => {
       if (a.type !== b.type) {
@@ -374,7 +374,7 @@ class ScraperEngine {
   /**
    * Parser de fallback para estructuras HTML alternativas
    *
-   * Se usa si el parser principal no encuentra resultados. Intenta
+   * getChildren() lo usa si el parser principal no encuentra resultados. Intenta
    * parsear con selectores más genéricos (listas, enlaces directos).
    *
    * @private
@@ -420,6 +420,7 @@ class ScraperEngine {
         title: title,
         type: isDirectory ? 'folder' : 'file',
         size: null,
+        size_text: null,
         modified_date: null,
         url: fullUrl,
       });
@@ -459,6 +460,7 @@ class ScraperEngine {
           title: title,
           type: isDirectory ? 'folder' : 'file',
           size: null,
+          size_text: null,
           modified_date: null,
           url: fullUrl,
         });
@@ -473,6 +475,7 @@ class ScraperEngine {
    *
    * Formatos soportados:
    * - "1.5 GB" → 1610612736 bytes
+   * - "1.5 GiB" → 1610612736 bytes
    * - "500 MB" → 524288000 bytes
    * - "1024 KB" → 1048576 bytes
    * - "1024" → 1024 bytes
@@ -490,10 +493,11 @@ class ScraperEngine {
     const cleanText = sizeText.trim().toUpperCase();
 
     // Intentar parsear como número con unidad
-    const match = cleanText.match(/^([\d.]+)\s*([KMGT]?B?)$/);
+    const match = cleanText.match(/^([\d.]+)\s*([KMGT]?)I?(B?)$/);
     if (match) {
       const value = parseFloat(match[1]);
-      const unit = (match[2] || 'B').toUpperCase();
+      // Normalizar "GiB"/"G"/"GB" a "GB"
+      const unit = match[2] ? `${match[2]}B` : 'B';
 
       const multipliers = {
         B: 1,
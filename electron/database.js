@@ -32,6 +32,7 @@
  * @property {boolean} success - Si la búsqueda fue exitosa
  * @property {Array<Object>} data - Array de resultados encontrados
  * @property {number} [total] - Total de resultados (para paginación)
+ * @property {boolean} [totalCapped] - Si hay más resultados que total (conteo acotado sin FTS)
  * @property {string} [error] - Mensaje de error si falló
  */
 
@@ -60,10 +61,25 @@ const { app, dialog, BrowserWindow } = require('electron');
 const config = require('./config');
 const { logger, escapeLikeTerm } = require('./utils');
 const { getWorkerManager } = require('./utils/dbQueryWorkerManager');
+const { find7zPath } = require('./utils/sevenZip');
+const {
+  parseSearchQuery,
+  hasQuerySyntax,
+  compileSearchQuery,
+  getFilterConditions,
+  registerSearchFunctions,
+} = require('./utils/searchQuery');
 
 // Logger con scope específico para este módulo
 const log = logger.child('Database');
 
+// Máximo de statements de la sintaxis de búsqueda guardados por SQL
+const MAX_QUERY_STATEMENTS = 50;
+
+// Sin FTS el total se cuenta hasta este número y se informa como "N+": un
+// COUNT(*) exacto con LIKE '%…%' recorre toda la tabla en cada búsqueda
+const LIKE_COUNT_LIMIT = 1000;
+
 /**
  * Servicio de base de datos SQLite para el catálogo de Myrient
  *
@@ -92,6 +108,8 @@ class DatabaseService {
   constructor() {
     this.db = null;
     this.statements = null;
+    // Statements de la sintaxis de búsqueda (ver searchQuery.js), por SQL
+    this.queryStatements = new Map();
     
     // Worker thread para búsquedas FTS pesadas (opcional, con fallback)
     this.workerManager = getWorkerManager();
@@ -349,6 +367,10 @@ class DatabaseService {
   _prepareStatements() {
     log.debug('Preparando statements SQL...');
 
+    // Funciones size_bytes() y catalog_date() de la sintaxis de búsqueda
+    registerSearchFunctions(this.db);
+    this.queryStatements = new Map();
+
     // Detectar FTS
     const ftsInfo = this._detectFTS();
     this.ftsTable = ftsInfo ? ftsInfo.name : null;
@@ -442,6 +464,13 @@ class DatabaseService {
           })()
         : null,
 
+      // Total de resultados FTS (primera página de una búsqueda paginada)
+      countFTS: this.useFTS
+        ? this.db
+            .prepare(`SELECT COUNT(*) FROM ${this.ftsTable} WHERE ${this.ftsTable} MATCH ?`)
+            .pluck()
+        : null,
+
       // Búsqueda mejorada con LIKE (fallback) - optimizada con índices
       searchLike: this.db.prepare(`
                 SELECT id, title, modified_date, type, parent_id, size,
@@ -476,6 +505,21 @@ class DatabaseService {
                 LIMIT 500
             `),
 
+      // Total de resultados LIKE (mismas condiciones que searchLike, hasta LIMIT ?)
+      countLike: this.db
+        .prepare(
+          `
+                SELECT COUNT(*) FROM (
+                  SELECT 1 FROM nodes
+                  WHERE title LIKE ? ESCAPE '|'
+                     OR title LIKE ? ESCAPE '|'
+                     OR title LIKE ? ESCAPE '|'
+                  LIMIT ?
+                )
+            `
+        )
+        .pluck(),
+
       // Búsqueda simple (compatibilidad)
       search: this.db.prepare(`
                 SELECT id, title, modified_date, type, parent_id, size
@@ -508,7 +552,15 @@ class DatabaseService {
       // Query optimizada con pluck() para obtener solo el título
       getNodeTitle: this.db.prepare('SELECT title FROM nodes WHERE id = ?').pluck(),
 
-      getNodeWithUrl: this.db.prepare('SELECT url, title FROM nodes WHERE id = ?'),
+      getNodeWithUrl: this.db.prepare('SELECT url, title, size FROM nodes WHERE id = ?'),
+
+      // Hijo por nombre (las carpetas pueden guardarse con '/' final)
+      getChildByTitle: this.db.prepare(`
+                SELECT id, parent_id, title, size, type, url
+                FROM nodes
+                WHERE parent_id = ? AND (title = ? OR title = ?)
+                LIMIT 1
+            `),
 
       getAncestors: this.db.prepare(`
                 WITH RECURSIVE ancestors AS (
@@ -535,15 +587,22 @@ class DatabaseService {
 
       getAllFilesRecursive: this.db.prepare(`
                 WITH RECURSIVE folder_tree AS (
-                    SELECT id, parent_id, title, type, url, size, modified_date
+                    SELECT id, parent_id, title, type, url, size, modified_date,
+                        0 AS depth, '' AS relative_path
                     FROM nodes 
                     WHERE id = ?
                     UNION ALL
-                    SELECT n.id, n.parent_id, n.title, n.type, n.url, n.size, n.modified_date
+                    SELECT n.id, n.parent_id, n.title, n.type, n.url, n.size, n.modified_date,
+                        ft.depth + 1,
+                        CASE
+                            WHEN ft.depth = 0 THEN ''
+                            WHEN ft.depth = 1 THEN rtrim(ft.title, '/')
+                            ELSE ft.relative_path || '/' || rtrim(ft.title, '/')
+                        END
                     FROM nodes n
                     INNER JOIN folder_tree ft ON n.parent_id = ft.id
                 )
-                SELECT id, title, url, size, modified_date
+                SELECT id, title, url, size, modified_date, relative_path
                 FROM folder_tree
                 WHERE type = 'File'
                 ORDER BY title ASC
@@ -725,12 +784,173 @@ class DatabaseService {
     return results;
   }
 
+  /**
+   * Cuenta los resultados de una búsqueda LIKE, como mucho LIKE_COUNT_LIMIT
+   * @param {string} term - Término de búsqueda
+   * @returns {{total: number, totalCapped: boolean}} totalCapped si hay más de total
+   */
+  _countWithLike(term) {
+    const patterns = this._prepareLikeTerms(term);
+    const total = this.statements.countLike.get(
+      patterns[0],
+      patterns[1],
+      patterns[2],
+      LIKE_COUNT_LIMIT + 1
+    );
+    return total > LIKE_COUNT_LIMIT
+      ? { total: LIKE_COUNT_LIMIT, totalCapped: true }
+      : { total, totalCapped: false };
+  }
+
+  /**
+   * Búsqueda con la sintaxis de consulta (campos, frases, exclusiones y filtros avanzados)
+   *
+   * Usa el worker con los mismos criterios que las búsquedas FTS normales. Si
+   * el MATCH falla, repite la consulta resolviendo las palabras con LIKE.
+   *
+   * @private
+   * @param {Object} query - Consulta analizada (searchQuery.parseSearchQuery)
+   * @param {Object} options - { limit, offset, usePrefix, countTotal }
+   * @returns {Promise<{results: Array, total: number|null, totalCapped: boolean}>} Resultados y
+   *   total (si countTotal; sin FTS como mucho LIKE_COUNT_LIMIT, con totalCapped si hay más)
+   */
+  async _searchWithQuery(query, { limit, offset, usePrefix, countTotal }) {
+    const ftsTable = this.useFTS ? this.ftsTable : null;
+    const shouldUseWorker =
+      this.useWorkerForFTS && limit >= this.workerFTSThreshold && this.workerManager.isInitialized;
+
+    if (shouldUseWorker) {
+      try {
+        const workerResult = await this.workerManager.searchQuery(
+          query,
+          { limit, offset, usePrefix, countTotal, countLimit: LIKE_COUNT_LIMIT },
+          ftsTable,
+          this.ftsType
+        );
+        if (workerResult.success) {
+          return {
+            results: workerResult.data || [],
+            total: workerResult.total ?? null,
+            totalCapped: workerResult.totalCapped === true,
+          };
+        }
+        throw new Error(workerResult.error || 'Error desconocido en worker');
+      } catch (workerError) {
+        log.warn('Error en worker, usando modo síncrono:', workerError.message);
+      }
+    }
+
+    const pageOptions = { limit, offset, countTotal };
+    try {
+      const compileOptions = { ftsTable, ftsType: this.ftsType, usePrefix };
+      return this._runQuerySync(query, compileOptions, pageOptions);
+    } catch (error) {
+      if (!ftsTable) throw error;
+      log.warn('Error en búsqueda FTS, usando fallback:', error.message);
+      return this._runQuerySync(query, { ftsTable: null, usePrefix }, pageOptions);
+    }
+  }
+
+  /**
+   * Compila y ejecuta una consulta en la conexión principal
+   *
+   * @private
+   * @param {Object} query - Consulta analizada
+   * @param {Object} compileOptions - Opciones de compileSearchQuery
+   * @param {Object} pageOptions - { limit, offset, countTotal }
+   * @returns {{results: Array, total: number|null, totalCapped: boolean}}
+   */
+  _runQuerySync(query, compileOptions, { limit, offset, countTotal }) {
+    const page = compileSearchQuery(query, compileOptions);
+    const results = this._getQueryStatement(page.sql).all(...page.params, limit, offset);
+
+    let total = null;
+    let totalCapped = false;
+    if (countTotal) {
+      const counter = compileSearchQuery(query, {
+        ...compileOptions,
+        count: true,
+        countLimit: LIKE_COUNT_LIMIT,
+      });
+      total = this._getQueryStatement(counter.sql).get(...counter.params).total;
+      totalCapped = Boolean(counter.bounded) && total > LIKE_COUNT_LIMIT;
+      if (totalCapped) total = LIKE_COUNT_LIMIT;
+    }
+    return { results, total, totalCapped };
+  }
+
+  /**
+   * Statement de una consulta compilada (se reutiliza mientras siga en caché)
+   *
+   * @private
+   * @param {string} sql - SQL de compileSearchQuery
+   * @returns {Object} Statement de better-sqlite3
+   */
+  _getQueryStatement(sql) {
+    let stmt = this.queryStatements.get(sql);
+    if (!stmt) {
+      if (this.queryStatements.size >= MAX_QUERY_STATEMENTS) {
+        this.queryStatements.delete(this.queryStatements.keys().next().value);
+      }
+      stmt = this.db.prepare(sql);
+      this.queryStatements.set(sql, stmt);
+    }
+    return stmt;
+  }
+
+  /**
+   * Cursor opaco de la página siguiente
+   *
+   * Guarda la posición y el total de la primera página, así las siguientes
+   * no vuelven a contar los resultados.
+   *
+   * @private
+   * @param {number} offset - Primer resultado de la página siguiente
+   * @param {number} total - Total de resultados
+   * @param {boolean} totalCapped - Si el total es un mínimo ("N+")
+   * @returns {string}
+   */
+  _encodeCursor(offset, total, totalCapped) {
+    return Buffer.from(JSON.stringify({ offset, total, totalCapped })).toString('base64url');
+  }
+
+  /**
+   * @private
+   * @param {string} cursor - Cursor de _encodeCursor
+   * @returns {{offset: number, total: number, totalCapped: boolean}|null} null si no es válido
+   */
+  _decodeCursor(cursor) {
+    try {
+      const { offset, total, totalCapped } = JSON.parse(
+        Buffer.from(cursor, 'base64url').toString('utf8')
+      );
+      if (!Number.isInteger(offset) || !Number.isInteger(total) || offset < 0 || total < 0) {
+        return null;
+      }
+      return { offset, total, totalCapped: totalCapped === true };
+    } catch {
+      return null;
+    }
+  }
+
   /**
    * Busca nodos por término usando FTS si está disponible, sino LIKE mejorado
+   *
+   * Admite la sintaxis de searchQuery.js (ext:, size:, in:, region:, date:,
+   * frases entre comillas y exclusiones con '-'); los términos de solo
+   * palabras siguen la búsqueda habitual. Los filtros avanzados se aplican en
+   * la misma consulta, antes del límite.
+   *
+   * La primera página cuenta el total de resultados (sin FTS, como mucho
+   * LIKE_COUNT_LIMIT: entonces totalCapped indica que hay más); nextCursor pide
+   * la siguiente (null en la última).
    * @param {string} searchTerm - Término de búsqueda
    * @param {Object} options - Opciones de búsqueda
    * @param {number} options.limit - Límite de resultados (default: 500)
    * @param {number} options.offset - Offset para paginación (default: 0)
+   * @param {string} [options.cursor] - nextCursor de la página anterior (sustituye a offset)
+   * @param {Object} [options.filters] - Filtros avanzados (ver searchQuery.getFilterConditions)
+   * @param {number|null} [options.folderId] - Limitar a una carpeta y sus subcarpetas
    * @param {boolean} options.usePrefix - Usar wildcard al final (default: true)
    * @param {boolean} options.usePhrase - Buscar frase exacta (default: false)
    * @param {boolean} options.useOR - Usar OR en lugar de AND (default: false)
@@ -750,13 +970,43 @@ class DatabaseService {
       return { success: false, error: 'Término de búsqueda demasiado largo' };
     }
 
-    const { limit = 500, offset = 0, usePrefix = true, usePhrase = false, useOR = false } = options;
+    const { limit = 500, usePrefix = true, usePhrase = false, useOR = false } = options;
+
+    let { offset = 0 } = options;
+    let knownTotal = null;
+    let knownCapped = false;
+    if (options.cursor) {
+      const cursor = this._decodeCursor(options.cursor);
+      if (!cursor) {
+        return { success: false, error: 'Cursor de búsqueda no válido' };
+      }
+      ({ offset, total: knownTotal, totalCapped: knownCapped } = cursor);
+    }
+    const countTotal = knownTotal === null;
+
+    const query = parseSearchQuery(cleanSearchTerm);
+    if (query.error) {
+      return { success: false, error: query.error };
+    }
+    query.conditions.push(...getFilterConditions(options.filters));
+    if (options.folderId) {
+      query.conditions.push({ field: 'folder', negated: false, value: options.folderId });
+    }
 
     try {
       let results;
-      let total = 0;
-
-      if (this.useFTS && this.statements.searchFTS) {
+      let total = null;
+      let totalCapped = false;
+
+      if (hasQuerySyntax(query)) {
+        ({ results, total, totalCapped } = await this._searchWithQuery(query, {
+          limit,
+          offset,
+          usePrefix,
+          countTotal,
+        }));
+        log.debug(`Búsqueda con sintaxis "${cleanSearchTerm}": ${results.length} resultados`);
+      } else if (this.useFTS && this.statements.searchFTS) {
         // Usar FTS5/FTS4 optimizado
         const ftsTerm = this._prepareFTSTerm(cleanSearchTerm, { usePrefix, usePhrase, useOR });
         log.debug(
@@ -775,14 +1025,14 @@ class DatabaseService {
             try {
               const workerResult = await this.workerManager.searchFTS(
                 ftsTerm,
-                { limit, offset },
+                { limit, offset, countTotal },
                 this.ftsTable,
                 this.ftsType
               );
 
               if (workerResult.success) {
                 results = workerResult.data || [];
-                total = workerResult.total || results.length;
+                total = countTotal ? workerResult.total : null;
                 log.debug(`Búsqueda FTS en worker: ${results.length} resultados`);
               } else {
                 throw new Error(workerResult.error || 'Error desconocido en worker');
@@ -791,35 +1041,50 @@ class DatabaseService {
               // Fallback a modo síncrono si el worker falla
               log.warn('Error en worker, usando modo síncrono:', workerError.message);
               results = this._searchFTSSync(ftsTerm, limit, offset);
-              total = results.length;
+              total = countTotal ? this.statements.countFTS.get(ftsTerm) : null;
             }
           } else {
             // Usar modo síncrono para búsquedas pequeñas o si el worker no está disponible
             results = this._searchFTSSync(ftsTerm, limit, offset);
-            total = results.length;
+            total = countTotal ? this.statements.countFTS.get(ftsTerm) : null;
           }
         } catch (ftsError) {
           // Si FTS falla, usar fallback
           log.warn('Error en búsqueda FTS, usando fallback:', ftsError.message);
           // No desactivar FTS permanentemente, podría ser un término específico
           results = this._searchWithLike(cleanSearchTerm, limit, offset);
-          total = results.length;
+          if (countTotal) ({ total, totalCapped } = this._countWithLike(cleanSearchTerm));
         }
       } else {
         // Usar búsqueda LIKE mejorada
         results = this._searchWithLike(cleanSearchTerm, limit, offset);
-        total = results.length;
+        if (countTotal) ({ total, totalCapped } = this._countWithLike(cleanSearchTerm));
+      }
+
+      if (total === null) {
+        total = knownTotal ?? offset + results.length;
+        totalCapped = knownCapped;
+      }
+
+      // Con el total acotado, se sigue paginando mientras las páginas lleguen llenas
+      if (totalCapped) {
+        total = Math.max(total, offset + results.length);
       }
 
       const normalized = results.map(item => this._normalizeNode(item));
+      const hasMore = results.length === limit && (totalCapped || offset + results.length < total);
 
       return {
         success: true,
         data: normalized,
         total,
+        totalCapped,
         limit,
         offset,
-        hasMore: total === limit, // Indica si podría haber más resultados
+        hasMore,
+        nextCursor: hasMore
+          ? this._encodeCursor(offset + results.length, total, totalCapped)
+          : null,
       };
     } catch (error) {
       log.error('Error en la búsqueda:', error);
@@ -923,7 +1188,7 @@ class DatabaseService {
   }
 
   /**
-   * Obtiene URL y título de un archivo para descarga
+   * Obtiene URL, título y tamaño (del catálogo) de un archivo para descarga
    */
   getFileDownloadInfo(nodeId) {
     if (!this.db) return null;
@@ -950,6 +1215,80 @@ class DatabaseService {
     }
   }
 
+  /**
+   * Busca un nodo recorriendo el catálogo desde la raíz
+   * @param {Array<string>} segments - Nombres desde la raíz (p. ej. ['No-Intro', 'Nintendo - Game Boy', 'Tetris (World).zip'])
+   * @returns {Object|null} { id, parent_id, title, size, type, url } o null si algún tramo no existe
+   */
+  findNodeByPath(segments) {
+    if (!this.db || !Array.isArray(segments) || segments.length === 0) return null;
+
+    try {
+      let node = null;
+      let parentId = 1;
+
+      for (const segment of segments) {
+        const title = String(segment).replace(/\/$/, '');
+        node = this.statements.getChildByTitle.get(parentId, title, `${title}/`);
+        if (!node) return null;
+        parentId = node.id;
+      }
+
+      return {
+        ...node,
+        title: node.title.replace(/\/$/, ''),
+        type: this._normalizeType(node.type),
+      };
+    } catch (error) {
+      log.error('Error al buscar nodo por ruta:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Busca un archivo del catálogo a partir de su URL de descarga
+   *
+   * Acepta URLs absolutas del mirror o rutas relativas como las guardadas
+   * en la columna url, con o sin codificar.
+   *
+   * @param {string} url - URL del archivo
+   * @returns {Object|null} Nodo del archivo (ver findNodeByPath) o null si no está en el catálogo
+   */
+  findFileByUrl(url) {
+    if (typeof url !== 'string' || !url.trim()) return null;
+
+    let relativePath = url.trim();
+    const baseUrl = config.scraper.baseUrl;
+
+    if (/^https?:\/\//i.test(relativePath)) {
+      let parsed;
+      try {
+        parsed = new URL(relativePath);
+      } catch {
+        return null;
+      }
+
+      const base = new URL(baseUrl);
+      if (parsed.host !== base.host || !parsed.pathname.startsWith(base.pathname)) {
+        return null;
+      }
+      relativePath = parsed.pathname.slice(base.pathname.length);
+    }
+
+    let segments;
+    try {
+      segments = relativePath
+        .split('/')
+        .filter(Boolean)
+        .map(segment => decodeURIComponent(segment));
+    } catch {
+      return null;
+    }
+
+    const node = this.findNodeByPath(segments);
+    return node && node.type === 'file' ? node : null;
+  }
+
   /**
    * Obtiene todos los archivos de una carpeta recursivamente
    * @param {number} folderId - ID de la carpeta
@@ -998,6 +1337,7 @@ class DatabaseService {
           url: file.url,
           size: file.size,
           modified_date: file.modified_date,
+          relativePath: file.relative_path,
         })),
       };
     } catch (error) {
@@ -1026,6 +1366,54 @@ class DatabaseService {
     }
   }
 
+  /**
+   * Reemplaza el catálogo en uso por una copia actualizada
+   *
+   * Cierra las conexiones (principal y del worker), renombra la copia sobre
+   * myrient.db y vuelve a abrir en modo solo lectura. El renombrado es atómico
+   * en el mismo volumen, por lo que nunca queda un catálogo a medio escribir.
+   * Si el renombrado falla se reabre el catálogo original.
+   *
+   * @param {string} updatedDbPath - Ruta de la copia actualizada (mismo directorio que dbPath)
+   * @returns {Promise<Object>} Resultado de la operación
+   */
+  async replaceCatalog(updatedDbPath) {
+    const { dbPath } = config.paths;
+    let replaceError = null;
+
+    // Cerrar conexiones para liberar el archivo (Windows no permite renombrar archivos abiertos)
+    await this.workerManager.closeDatabase('catalog');
+    this.close();
+
+    try {
+      fs.renameSync(updatedDbPath, dbPath);
+      log.info(`Catálogo reemplazado con ${path.basename(updatedDbPath)}`);
+    } catch (error) {
+      log.error('Error reemplazando catálogo, se mantiene el original:', error);
+      replaceError = error;
+    }
+
+    try {
+      this.db = new Database(dbPath, { readonly: true, fileMustExist: true });
+      this._prepareStatements();
+
+      if (this.useWorkerForFTS) {
+        this.workerManager.initialize(dbPath, 'catalog').catch(error => {
+          log.warn('No se pudo reinicializar worker thread, usando modo síncrono:', error.message);
+          this.useWorkerForFTS = false;
+        });
+      }
+    } catch (error) {
+      log.error('Error reabriendo catálogo:', error);
+      return { success: false, error: error.message };
+    }
+
+    if (replaceError) {
+      return { success: false, error: replaceError.message };
+    }
+    return { success: true };
+  }
+
   // Cierra la conexión a la base de datos y libera todos los recursos asociados
   // Limpia los prepared statements y marca la conexión como cerrada
   close() {
@@ -1170,7 +1558,7 @@ class DatabaseService {
             `);
 
       // Buscar el ejecutable de 7-Zip en ubicaciones comunes del sistema
-      const sevenZipPath = this._find7zPath();
+      const sevenZipPath = find7zPath();
       log.info('Usando 7-Zip:', sevenZipPath);
 
       // Ejecutar proceso de extracción usando 7-Zip con parámetros para extracción silenciosa
@@ -1229,41 +1617,6 @@ class DatabaseService {
       });
     });
   }
-
-  // Busca el ejecutable de 7-Zip en ubicaciones comunes según la plataforma
-  // Verifica rutas típicas de instalación antes de usar el fallback al PATH del sistema
-  // Retorna: Ruta completa al ejecutable de 7-Zip o '7z' para usar desde PATH
-  _find7zPath() {
-    // Rutas comunes de instalación de 7-Zip según plataforma
-    const possiblePaths =
-      process.platform === 'darwin'
-        ? [
-            '/usr/local/bin/7z',
-            '/opt/homebrew/bin/7z',
-            path.join(process.resourcesPath, '7z'),
-            '7z',
-          ]
-        : [
-            'C:\\Program Files\\7-Zip\\7z.exe',
-            'C:\\Program Files (x86)\\7-Zip\\7z.exe',
-            path.join(process.resourcesPath, '7z.exe'),
-            '7z',
-          ];
-
-    // Intentar encontrar 7-Zip en las ubicaciones comunes
-    for (const p of possiblePaths) {
-      try {
-        if (fs.existsSync(p)) {
-          return p;
-        }
-      } catch (e) {
-        // Ignorar errores de acceso al verificar existencia de archivo
-      }
-    }
-
-    // Fallback: retornar '7z' para que el sistema lo busque en el PATH
-    return '7z';
-  }
 }
 
 // Exportar instancia única (singleton)
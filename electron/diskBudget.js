@@ -0,0 +1,505 @@
+/**
+ * @fileoverview Reserva de espacio en disco por volumen para las descargas
+ * @module diskBudget
+ *
+ * validateDiskSpace() comprueba un archivo contra el espacio libre de un
+ * momento, así que varias descargas grandes simultáneas pueden pasar la
+ * comprobación y llenar el disco entre todas. Este módulo lleva la cuenta de
+ * los bytes que aún van a escribir las descargas en curso y en cola de cada
+ * volumen:
+ * - Al iniciar una descarga se reservan sus bytes pendientes. Si no caben en el
+ *   espacio libre menos lo ya reservado y el margen, la descarga queda en
+ *   espera en la cola hasta que haya sitio (el usuario libera espacio, se
+ *   pausa otra descarga...). Las descargas en espera no bloquean a las
+ *   siguientes que sí caben.
+ * - Las descargas fragmentadas reservan además el tamaño completo del archivo:
+ *   los fragmentos se escriben en archivos temporales y la fusión escribe el
+ *   archivo final antes de borrarlos.
+ * - Las descargas de la cola reservan, en el orden de la cola, lo que les
+ *   falta por descargar (o el tamaño del catálogo si no han empezado). Las que
+ *   ya no caben detrás de las anteriores quedan en espera sin llegar a
+ *   iniciarse, así la cola no promete más espacio del que hay.
+ * - Cada config.diskSpace.checkInterval se mide el espacio libre de los
+ *   volúmenes con descargas; por debajo de config.diskSpace.pauseFloor se
+ *   pausan todas las descargas en curso de ese volumen.
+ *
+ * El espacio libre se mide con statfs de forma asíncrona; las decisiones de la
+ * cola usan la última medición. Los volúmenes se identifican por el
+ * dispositivo (fs.Stats.dev) de la carpeta existente más cercana a la ruta de
+ * destino. Las reservas no se liberan a mano: se descartan cuando el
+ * DownloadManager deja de tener la descarga activa (o en cola, si estaba en
+ * espera).
+ *
+ * @author Myrient Downloader
+ * @version 1.0.0
+ */
+
+/**
+ * @typedef {Object} DiskReservation
+ * @property {string} volume - Identificador del volumen
+ * @property {string} directory - Carpeta existente del volumen (para medir y para los mensajes)
+ * @property {number} totalBytes - Tamaño del archivo
+ * @property {number} downloadedBytes - Bytes ya escritos
+ * @property {number} mergeBytes - Bytes extra de la fusión (solo fragmentadas)
+ */
+
+/**
+ * @typedef {Object} ReserveResult
+ * @property {boolean} valid - Si la descarga puede empezar
+ * @property {boolean} [warning] - Si no se pudo comprobar el espacio (se permite)
+ * @property {string} [error] - Motivo de la espera
+ * @property {number} [required] - Bytes que necesita la descarga
+ * @property {number} [available] - Bytes libres descontando reservas y margen
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('./config');
+const { logger, readJSONFile, getAvailableDiskSpaceAsync, formatBytes } = require('./utils');
+
+const log = logger.child('DiskBudget');
+
+const BYTES_PER_GB = 1024 * 1024 * 1024;
+
+/**
+ * Volumen de una ruta de destino (que puede no existir todavía)
+ *
+ * @param {string} targetPath - Ruta del archivo a descargar
+ * @returns {{key: string, directory: string}|null}
+ */
+function getVolume(targetPath) {
+  let directory = path.resolve(path.dirname(targetPath));
+  while (!fs.existsSync(directory)) {
+    const parent = path.dirname(directory);
+    if (parent === directory) return null;
+    directory = parent;
+  }
+
+  try {
+    return { key: String(fs.statSync(directory).dev), directory };
+  } catch (error) {
+    log.warn(`No se pudo identificar el volumen de ${directory}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Reserva el espacio de las descargas y vigila el espacio libre de cada volumen
+ *
+ * @class DiskBudget
+ * @example
+ * const diskBudget = require('./diskBudget');
+ * diskBudget.start({ isActive, isQueued, getQueued, describeQueued, onLowSpace, onSpaceAvailable });
+ * const reservation = await diskBudget.reserve(id, { savePath, totalBytes, chunked: true });
+ * if (!reservation.valid) console.log(reservation.error);
+ */
+class DiskBudget {
+  /**
+   * Crea una nueva instancia de DiskBudget
+   *
+   * @constructor
+   */
+  constructor() {
+    /** @type {Map<number, DiskReservation>} */
+    this.reservations = new Map();
+    // Descargas en espera de espacio: id -> { volume, directory, required, reason }
+    this.holds = new Map();
+    // Estimación de las descargas de la cola: id -> { volume, directory, bytes } o null
+    this.queued = new Map();
+    // Reparto del espacio entre la cola (ver _planQueue)
+    this.plan = null;
+    // Última medición por volumen: key -> { bytes, at }
+    this.freeSpace = new Map();
+    // Volumen de cada carpeta de destino (se vacía en cada comprobación)
+    this.volumes = new Map();
+    this.settings = null;
+    this.timer = null;
+    this.hooks = null;
+    this.checking = false;
+  }
+
+  /**
+   * Empieza a vigilar el espacio libre de los volúmenes con descargas
+   *
+   * @param {Object} hooks - Enlace con el DownloadManager
+   * @param {function(number): boolean} hooks.isActive - Si la descarga sigue en curso
+   * @param {function(number): boolean} hooks.isQueued - Si la descarga sigue en la cola
+   * @param {function(): Array<Object>} hooks.getQueued - Descargas de la cola, en orden
+   * @param {function(Object): ({targetPath: string, bytes: number}|null)} hooks.describeQueued -
+   *   Destino y bytes pendientes de una descarga de la cola (null si no se conocen)
+   * @param {function(number[], string): void} hooks.onLowSpace - Recibe las descargas a pausar y el motivo
+   * @param {function(): void} hooks.onSpaceAvailable - Alguna descarga en espera ya cabe
+   * @returns {void}
+   */
+  start(hooks) {
+    this.stop();
+    this.hooks = hooks;
+    this.timer = setInterval(() => this.check(), config.diskSpace.checkInterval);
+  }
+
+  /**
+   * Detiene la vigilancia y descarta las reservas
+   *
+   * @returns {void}
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    this.hooks = null;
+    this.reservations.clear();
+    this.holds.clear();
+    this.queued.clear();
+    this.plan = null;
+    this.freeSpace.clear();
+    this.volumes.clear();
+    this.settings = null;
+  }
+
+  /**
+   * Margen y mínimo de espacio libre
+   *
+   * El margen nunca es menor que el mínimo: una descarga que empezara por
+   * debajo se pausaría en la siguiente comprobación. Se lee una vez de
+   * download-settings.json; reloadSettings() lo vuelve a leer.
+   *
+   * @returns {{margin: number, floor: number}} Bytes
+   */
+  getSettings() {
+    if (!this.settings) {
+      const { diskSpaceMarginGB } = readJSONFile('download-settings.json') || {};
+      const margin =
+        typeof diskSpaceMarginGB === 'number' && diskSpaceMarginGB >= 0
+          ? diskSpaceMarginGB * BYTES_PER_GB
+          : config.diskSpace.defaultMargin;
+      const floor = config.diskSpace.pauseFloor;
+      this.settings = { margin: Math.max(margin, floor), floor };
+    }
+    return this.settings;
+  }
+
+  /**
+   * Descarta el margen guardado en memoria (tras guardar download-settings.json)
+   *
+   * @returns {void}
+   */
+  reloadSettings() {
+    this.settings = null;
+    this.plan = null;
+  }
+
+  /**
+   * Reserva el espacio que falta por escribir de una descarga que va a empezar
+   *
+   * Si no cabe, la descarga queda en espera (isHeld) con el motivo en error.
+   *
+   * @param {number} id - ID de la descarga
+   * @param {Object} params - Datos de la descarga
+   * @param {string} params.savePath - Ruta de destino
+   * @param {number} params.totalBytes - Tamaño del archivo (0 = desconocido)
+   * @param {number} [params.downloadedBytes=0] - Bytes ya descargados (reanudación)
+   * @param {boolean} [params.chunked=false] - Si es una descarga fragmentada
+   * @returns {Promise<ReserveResult>}
+   */
+  async reserve(id, { savePath, totalBytes, downloadedBytes = 0, chunked = false }) {
+    this.holds.delete(id);
+    this.reservations.delete(id);
+    this.queued.delete(id);
+    this.plan = null;
+
+    if (!totalBytes || totalBytes <= 0) {
+      log.debug(`Descarga ${id} sin tamaño conocido, no se reserva espacio`);
+      return { valid: true, warning: true };
+    }
+
+    const volume = this._getVolume(savePath);
+    if (!volume) {
+      return { valid: true, warning: true };
+    }
+
+    await this._refreshFreeSpace(volume.key, volume.directory);
+
+    // Desde aquí no hay más esperas: ninguna otra reserva se cuela entre el
+    // cálculo del espacio disponible y el registro de esta
+    this._prune();
+    const reservation = {
+      volume: volume.key,
+      directory: volume.directory,
+      totalBytes,
+      downloadedBytes: Math.min(Math.max(downloadedBytes, 0), totalBytes),
+      mergeBytes: chunked ? totalBytes : 0,
+    };
+    const required = this._getPendingBytes(reservation);
+    const available = this._getAvailable(volume.key);
+
+    if (available === null) {
+      log.warn(
+        `No se pudo medir el espacio libre de ${volume.directory}, continuando con precaución`
+      );
+      this.reservations.set(id, reservation);
+      return { valid: true, warning: true };
+    }
+
+    if (required > available) {
+      const reason = `Esperando espacio en disco: necesita ${formatBytes(required)}, disponibles ${formatBytes(Math.max(available, 0))} en ${volume.directory}`;
+      this.holds.set(id, { volume: volume.key, directory: volume.directory, required, reason });
+      log.warn(`Descarga ${id} en espera: ${reason}`);
+      return { valid: false, error: reason, required, available };
+    }
+
+    this.reservations.set(id, reservation);
+    log.debug(
+      `Reservados ${formatBytes(required)} para la descarga ${id} en ${volume.directory} (disponibles ${formatBytes(available)})`
+    );
+    return { valid: true, required, available };
+  }
+
+  /**
+   * Actualiza los bytes escritos de una descarga en curso
+   *
+   * @param {number} id - ID de la descarga
+   * @param {number} downloadedBytes - Bytes descargados
+   * @returns {void}
+   */
+  updateProgress(id, downloadedBytes) {
+    const reservation = this.reservations.get(id);
+    if (reservation && downloadedBytes > reservation.downloadedBytes) {
+      reservation.downloadedBytes = Math.min(downloadedBytes, reservation.totalBytes);
+    }
+  }
+
+  /**
+   * Indica si una descarga de la cola espera espacio y todavía no cabe
+   *
+   * Espera si no cupo al iniciarse o si no cabe detrás de las descargas
+   * anteriores de la cola. Usa la última medición de cada volumen, sin
+   * consultar al sistema.
+   *
+   * @param {number} id - ID de la descarga
+   * @returns {boolean}
+   */
+  isHeld(id) {
+    const plan = this._planQueue();
+    const hold = this.holds.get(id);
+    if (hold) {
+      const available = this._getAvailable(hold.volume);
+      if (available !== null && hold.required > available) return true;
+    }
+    return plan.over.has(id);
+  }
+
+  /**
+   * Mide el espacio libre de los volúmenes con descargas
+   *
+   * Pausa las descargas de los volúmenes por debajo del mínimo y avisa si
+   * alguna descarga en espera ya cabe.
+   *
+   * @returns {Promise<void>}
+   */
+  async check() {
+    if (!this.hooks || this.checking) return;
+    this.checking = true;
+
+    try {
+      this._prune();
+      this.volumes.clear();
+
+      const volumes = new Map();
+      const track = (volume, directory) => {
+        if (!volumes.has(volume)) volumes.set(volume, { directory, ids: [] });
+        return volumes.get(volume);
+      };
+      this.reservations.forEach((reservation, id) => {
+        track(reservation.volume, reservation.directory).ids.push(id);
+      });
+      this.holds.forEach(hold => track(hold.volume, hold.directory));
+      this.hooks.getQueued().forEach(download => {
+        const estimate = this._getEstimate(download);
+        if (estimate) track(estimate.volume, estimate.directory);
+      });
+
+      for (const [volume, { directory }] of volumes) {
+        await this._refreshFreeSpace(volume, directory, true);
+      }
+      // stop() durante la medición
+      if (!this.hooks) return;
+
+      const { floor } = this.getSettings();
+      volumes.forEach(({ directory, ids }, volume) => {
+        const free = this.freeSpace.get(volume)?.bytes ?? null;
+        if (ids.length === 0 || free === null || free >= floor) return;
+
+        const reason = `Pausada por falta de espacio en disco: quedan ${formatBytes(free)} libres en ${directory} (mínimo ${formatBytes(floor)})`;
+        log.warn(`${reason}. Pausando ${ids.length} descargas`);
+        ids.forEach(id => this.reservations.delete(id));
+        this.hooks.onLowSpace(ids, reason);
+      });
+
+      const waiting = [...this.holds.keys(), ...(this.plan?.over || [])];
+      this.plan = null;
+      if (waiting.some(id => !this.isHeld(id))) {
+        log.info('Hay espacio para descargas en espera, reanudando la cola');
+        this.hooks.onSpaceAvailable();
+      }
+    } finally {
+      this.checking = false;
+    }
+  }
+
+  /**
+   * Reparte el espacio libre entre las descargas de la cola, en su orden
+   *
+   * Cada descarga cuenta lo que reservan las anteriores del mismo volumen; las
+   * que no caben quedan en over y no suman. Se reutiliza durante
+   * config.diskSpace.freeSpaceCacheTtl para no recorrer la cola en cada
+   * llamada a isHeld.
+   *
+   * @private
+   * @returns {{at: number, over: Set<number>}}
+   */
+  _planQueue() {
+    if (this.plan && Date.now() - this.plan.at < config.diskSpace.freeSpaceCacheTtl) {
+      return this.plan;
+    }
+
+    this._prune();
+    const plan = { at: Date.now(), over: new Set() };
+    if (this.hooks) {
+      const queuedIds = new Set();
+      const reserved = new Map();
+      for (const download of this.hooks.getQueued()) {
+        queuedIds.add(download.id);
+        const estimate = this._getEstimate(download);
+        const available = estimate ? this._getAvailable(estimate.volume) : null;
+        if (available === null) continue;
+
+        const ahead = reserved.get(estimate.volume) || 0;
+        if (estimate.bytes > available - ahead) {
+          plan.over.add(download.id);
+        } else {
+          reserved.set(estimate.volume, ahead + estimate.bytes);
+        }
+      }
+
+      this.queued.forEach((estimate, id) => {
+        if (!queuedIds.has(id)) this.queued.delete(id);
+      });
+      if (plan.over.size > 0) {
+        log.debug(`${plan.over.size} descargas de la cola esperan espacio en disco`);
+      }
+    }
+
+    this.plan = plan;
+    return plan;
+  }
+
+  /**
+   * Destino y bytes pendientes de una descarga de la cola (se calculan una vez)
+   *
+   * @private
+   * @param {Object} download - Descarga de la cola
+   * @returns {{volume: string, directory: string, bytes: number}|null}
+   */
+  _getEstimate(download) {
+    if (this.queued.has(download.id)) return this.queued.get(download.id);
+
+    let estimate = null;
+    const described = this.hooks.describeQueued(download);
+    if (described && described.bytes > 0) {
+      const volume = this._getVolume(described.targetPath);
+      if (volume) {
+        estimate = { volume: volume.key, directory: volume.directory, bytes: described.bytes };
+      }
+    }
+
+    this.queued.set(download.id, estimate);
+    return estimate;
+  }
+
+  /**
+   * Bytes libres de un volumen descontando las reservas y el margen
+   *
+   * @private
+   * @param {string} volume - Identificador del volumen
+   * @returns {number|null} null si todavía no se ha medido o no se pudo medir
+   */
+  _getAvailable(volume) {
+    const free = this.freeSpace.get(volume)?.bytes ?? null;
+    if (free === null) return null;
+
+    let reserved = 0;
+    this.reservations.forEach(reservation => {
+      if (reservation.volume === volume) {
+        reserved += this._getPendingBytes(reservation);
+      }
+    });
+
+    return free - reserved - this.getSettings().margin;
+  }
+
+  /**
+   * @private
+   * @param {DiskReservation} reservation - Reserva
+   * @returns {number} Bytes que faltan por escribir
+   */
+  _getPendingBytes(reservation) {
+    return reservation.totalBytes - reservation.downloadedBytes + reservation.mergeBytes;
+  }
+
+  /**
+   * Volumen de una ruta de destino, reutilizando el de su carpeta
+   *
+   * @private
+   * @param {string} targetPath - Ruta del archivo
+   * @returns {{key: string, directory: string}|null}
+   */
+  _getVolume(targetPath) {
+    const directory = path.dirname(path.resolve(targetPath));
+    if (!this.volumes.has(directory)) {
+      this.volumes.set(directory, getVolume(targetPath));
+    }
+    return this.volumes.get(directory);
+  }
+
+  /**
+   * Mide el espacio libre de un volumen si la última medición no es reciente
+   *
+   * @private
+   * @param {string} volume - Identificador del volumen
+   * @param {string} directory - Carpeta del volumen
+   * @param {boolean} [fresh=false] - Medir aunque haya una medición reciente
+   * @returns {Promise<void>}
+   */
+  async _refreshFreeSpace(volume, directory, fresh = false) {
+    const cached = this.freeSpace.get(volume);
+    if (!fresh && cached && Date.now() - cached.at < config.diskSpace.freeSpaceCacheTtl) {
+      return;
+    }
+
+    const bytes = await getAvailableDiskSpaceAsync(directory);
+    this.freeSpace.set(volume, { bytes, at: Date.now() });
+  }
+
+  /**
+   * Descarta las reservas de descargas que ya no están en curso y las esperas
+   * de descargas que ya no están en la cola
+   *
+   * @private
+   * @returns {void}
+   */
+  _prune() {
+    if (!this.hooks) return;
+
+    this.reservations.forEach((reservation, id) => {
+      if (!this.hooks.isActive(id)) this.reservations.delete(id);
+    });
+    this.holds.forEach((hold, id) => {
+      if (!this.hooks.isQueued(id)) this.holds.delete(id);
+    });
+  }
+}
+
+// Exportar instancia única (singleton)
+module.exports = new DiskBudget();
+module.exports.DiskBudget = DiskBudget;
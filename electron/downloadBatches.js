@@ -0,0 +1,139 @@
+/**
+ * @fileoverview Lotes de descargas: carpetas encoladas de una vez
+ * @module downloadBatches
+ *
+ * Cada carpeta encolada con download-folder crea un lote en la BD de la cola
+ * (tablas batches y batch_downloads, ver downloadManager.createFolderBatch).
+ * Este módulo da el progreso conjunto de cada lote y aplica una acción a
+ * todas sus descargas:
+ * - pause: las que están en cola o descargando
+ * - resume: las pausadas
+ * - cancel: las que están en cola, descargando o pausadas
+ * - retry-failed: las fallidas o con verificación fallida
+ *
+ * Las acciones pasan por los mismos handlers IPC que las de una descarga
+ * individual, con sus validaciones y notificaciones al renderer.
+ *
+ * @author Myrient Downloader
+ * @version 1.0.0
+ */
+
+const downloadManager = require('./downloadManager');
+const queueDatabase = require('./queueDatabase');
+const { DownloadState } = require('./queueDatabase');
+const { logger } = require('./utils');
+
+const log = logger.child('DownloadBatches');
+
+// Handler IPC y estados de las descargas afectadas por cada acción (en el orden
+// en que se procesan: las de la cola primero, para que no arranquen al liberarse
+// el slot de una activa)
+const BATCH_ACTIONS = {
+  pause: {
+    channel: 'pause-download',
+    states: [DownloadState.QUEUED, DownloadState.DOWNLOADING],
+  },
+  resume: {
+    channel: 'resume-download',
+    states: [DownloadState.PAUSED],
+  },
+  cancel: {
+    channel: 'cancel-download',
+    states: [DownloadState.QUEUED, DownloadState.PAUSED, DownloadState.DOWNLOADING],
+  },
+  'retry-failed': {
+    channel: 'retry-download',
+    states: [DownloadState.FAILED, DownloadState.VERIFY_FAILED],
+  },
+};
+
+/**
+ * Progreso conjunto y acciones de los lotes de descargas
+ *
+ * @class DownloadBatches
+ * @example
+ * const downloadBatches = require('./downloadBatches');
+ * const batches = downloadBatches.getAll();
+ * await downloadBatches.control(3, 'pause', invokeHandler);
+ */
+class DownloadBatches {
+  /**
+   * Lotes con sus descargas, progreso conjunto, velocidad y tiempo restante
+   *
+   * La velocidad es la suma de las descargas activas del lote y el tiempo
+   * restante se estima con ella sobre los bytes que faltan de las descargas
+   * pendientes.
+   *
+   * @returns {Array<Object>} BatchSummary de queueDatabase más
+   *   { downloadIds, speed, remainingTime }; speed en bytes/s y remainingTime en
+   *   segundos (null si no hay descargas activas)
+   */
+  getAll() {
+    const speeds = new Map();
+    downloadManager.getActiveDownloadsSpeed().forEach(({ id, speedBytesPerSec }) => {
+      const batchId = queueDatabase.getBatchIdOfDownload(id);
+      if (batchId) {
+        speeds.set(batchId, (speeds.get(batchId) || 0) + (speedBytesPerSec || 0));
+      }
+    });
+
+    return queueDatabase.getBatches().map(batch => {
+      const speed = Math.round(speeds.get(batch.id) || 0);
+      return {
+        ...batch,
+        downloadIds: queueDatabase.getBatchDownloads(batch.id).map(download => download.id),
+        speed,
+        remainingTime: speed > 0 ? Math.ceil(batch.remainingBytes / speed) : null,
+      };
+    });
+  }
+
+  /**
+   * Aplica una acción a todas las descargas de un lote
+   *
+   * @param {number} batchId - ID del lote
+   * @param {string} action - Una de config.batches.actions
+   * @param {function(string, ...*): Promise<Object>} invoke - ipcHandlers.invokeHandler
+   * @returns {Promise<{success: boolean, data?: {affected: number, failed: number}, error?: string}>}
+   */
+  async control(batchId, action, invoke) {
+    const batch = queueDatabase.getBatch(batchId);
+    if (!batch) return { success: false, error: 'Lote no encontrado' };
+
+    const { channel, states } = BATCH_ACTIONS[action];
+    const downloads = queueDatabase.getBatchDownloads(batchId);
+    const targets = states.flatMap(state => downloads.filter(download => download.state === state));
+
+    let affected = 0;
+    let failed = 0;
+    for (const download of targets) {
+      const result = await invoke(channel, download.id);
+      if (!result?.success) {
+        failed++;
+        log.warn(
+          `Lote ${batchId}: ${action} falló en la descarga ${download.id}: ${result?.error}`
+        );
+        continue;
+      }
+      affected++;
+
+      // cancel-download solo actúa sobre descargas activas o en la cola en memoria
+      if (action === 'cancel' && download.state === DownloadState.PAUSED) {
+        queueDatabase.cancelDownload(download.id);
+      }
+    }
+
+    if ((action === 'resume' || action === 'retry-failed') && affected > 0) {
+      queueDatabase.setBatchFinished(batchId, false);
+    }
+
+    log.info(
+      `Lote ${batchId} (${batch.title}): ${action} en ${affected} descargas, ${failed} fallos`
+    );
+    return { success: true, data: { affected, failed } };
+  }
+}
+
+// Exportar instancia única (singleton)
+module.exports = new DownloadBatches();
+module.exports.DownloadBatches = DownloadBatches;
@@ -16,7 +16,7 @@
 /**
  * @typedef {Object} DownloadProgressInfo
  * @property {number} id - ID único de la descarga
- * @property {string} state - Estado actual: 'starting' | 'progressing' | 'completed' | 'paused' | 'cancelled' | 'interrupted' | 'awaiting-confirmation'
+ * @property {string} state - Estado actual: 'starting' | 'progressing' | 'verifying' | 'completed' | 'verify_failed' | 'paused' | 'cancelled' | 'interrupted' | 'awaiting-confirmation'
  * @property {string} [title] - Título del archivo
  * @property {number} [percent] - Porcentaje completado (0-1)
  * @property {number} [speed] - Velocidad de descarga en MB/s
@@ -107,19 +107,37 @@
 
 const fs = require('fs');
 const path = require('path');
-const { net } = require('electron');
+const { powerSaveBlocker } = require('electron');
 const config = require('./config');
-const { logger, readJSONFile, writeJSONFile, sanitizeFilename, safeUnlink, validateDiskSpace, BandwidthManager } = require('./utils');
+const { logger, readJSONFile, writeJSONFile, sanitizeFilename, safeUnlink, BandwidthManager } = require('./utils');
 const database = require('./database');
 const queueDatabase = require('./queueDatabase');
 const { DownloadState, DownloadPriority } = require('./queueDatabase');
 const { isValidUrl, getNetworkErrorMessage } = require('./utils/validation');
 const ChunkedDownloader = require('./ChunkedDownloader');
+const datVerifier = require('./datVerifier');
+const archiveExtractor = require('./archiveExtractor');
+const downloadScheduler = require('./downloadScheduler');
+const diskBudget = require('./diskBudget');
+const mirrorManager = require('./mirrorManager');
+const networkProfile = require('./networkProfile');
 const { CircuitBreaker } = require('./utils/circuitBreaker');
+const { REMOTE_CHANGED, getHeader, getIfRange, getRemoteChange } = require('./utils/remoteVersion');
+const { parseSizeText } = require('./utils/searchQuery');
 const { serviceManager } = require('./services');
 
 const log = logger.child('DownloadManager');
 
+// Estados en la BD con los que una descarga de un lote ya no avanza sola
+// (las que se reintentan vuelven a 'queued'); al llegar todas se resume el lote
+const BATCH_FINAL_STATES = [
+  DownloadState.COMPLETED,
+  DownloadState.FAILED,
+  DownloadState.CANCELLED,
+  DownloadState.VERIFY_FAILED,
+  DownloadState.AWAITING,
+];
+
 /**
  * Gestor de descargas principal
  *
@@ -166,6 +184,10 @@ class DownloadManager {
     this.chunkedDownloads = new Map(); // Descargas fragmentadas activas
     this.downloadQueue = []; // Cola de descargas pendientes
     this.processing = false; // Indicador de procesamiento
+    this.scheduleBlocked = false; // La programación de descargas tiene la cola en pausa
+    this.scheduleState = null; // Última franja aplicada (ver downloadScheduler)
+    this.powerSaveBlockerId = null; // Impide suspender el equipo mientras hay descargas
+    this.updateCheck = null; // Búsqueda de actualizaciones en curso ({ cancelRequested })
     this.processingLock = false; // Un bloqueo clasico para evitar los race conditions
     this.maxRetries = config.network.maxRetries;
     this.retryDelay = config.network.retryDelay;
@@ -282,6 +304,51 @@ class DownloadManager {
       // QueueService ya tiene maxConcurrent configurado
       log.debug('QueueService inicializado, usando lógica de negocio para gestión de cola');
     }
+
+    // Aplicar la programación semanal de descargas (franjas y límites de velocidad)
+    downloadScheduler.start(state => this._applySchedule(state));
+
+    // Reservar el espacio de las descargas por volumen y pausarlas si se agota
+    diskBudget.start({
+      isActive: id => this.hasActiveDownload(id),
+      isQueued: id => this.downloadQueue.some(d => d.id === id),
+      getQueued: () => this.downloadQueue,
+      describeQueued: download => this._describeQueuedForDisk(download),
+      onLowSpace: (ids, reason) => ids.forEach(id => this.pauseDownload(id, { reason })),
+      onSpaceAvailable: () => this.processQueue(),
+    });
+  }
+
+  /**
+   * Aplica la franja activa de la programación de descargas
+   *
+   * Fuera de las franjas permitidas no se inician descargas nuevas (igual que
+   * pauseQueue); las que ya están en curso terminan con el límite de velocidad
+   * de la franja. Notifica al renderer por el canal 'schedule-changed'.
+   *
+   * @private
+   * @param {Object} state - Estado de downloadScheduler.getActiveState()
+   * @returns {void}
+   */
+  _applySchedule(state) {
+    const wasBlocked = this.scheduleBlocked;
+    this.scheduleState = state;
+    this.scheduleBlocked = !state.allowDownloads;
+
+    if (this.bandwidthManager) {
+      this.bandwidthManager.setScheduleLimit(state.maxBytesPerSecond);
+    }
+
+    if (this.mainWindow && !this.mainWindow.isDestroyed()) {
+      this.mainWindow.webContents.send('schedule-changed', state);
+    }
+
+    if (wasBlocked && !this.scheduleBlocked) {
+      log.info('Franja de descarga iniciada, reanudando la cola');
+      this.processQueue();
+    } else if (!wasBlocked && this.scheduleBlocked) {
+      log.info('Cola en pausa por la programación de descargas');
+    }
   }
 
   /**
@@ -325,11 +392,24 @@ class DownloadManager {
     this.chunkedDownloads.clear();
     this.downloadHandlers.clear();
     this.downloadQueue = [];
+    this._updatePowerSaveBlocker();
 
     // Limpiar referencias
     this.mainWindow = null;
     this.progressThrottler = null;
 
+    // Terminar verificaciones en curso (se reanudan en el siguiente arranque)
+    datVerifier.destroy();
+
+    // Interrumpir extracciones en curso (el comprimido se conserva)
+    archiveExtractor.destroy();
+
+    // Detener la programación de descargas
+    downloadScheduler.stop();
+
+    // Detener la vigilancia del espacio en disco
+    diskBudget.stop();
+
     // Destruir BandwidthManager
     if (this.bandwidthManager) {
       this.bandwidthManager.destroy();
@@ -482,7 +562,7 @@ class DownloadManager {
         addedAt: now,
         createdAt: now,
         retryCount: 0,
-        priority: download.priority || DownloadPriority.NORMAL,
+        priority: download.priority ?? DownloadPriority.NORMAL,
       };
 
       this.downloadQueue.push(enrichedDownload);
@@ -536,7 +616,7 @@ class DownloadManager {
       addedAt: Date.now(),
       createdAt: Date.now(), // Para ordenamiento por fecha
       retryCount: 0,
-      priority: download.priority || DownloadPriority.NORMAL,
+      priority: download.priority ?? DownloadPriority.NORMAL,
     };
 
     // Agregar a la cola
@@ -606,16 +686,23 @@ class DownloadManager {
         : null;
 
     // Primero agregar a SQLite
-    queueDatabase.addDownload({
+    const added = queueDatabase.addDownload({
       id: download.id,
       title: download.title,
+      savePath: download.savePath || null, // Regla de destino por carpeta
       downloadPath: normalizedDownloadPath, // Normalizado: null si está vacío
       preserveStructure: download.preserveStructure,
       forceOverwrite: download.forceOverwrite,
-      priority: download.priority || DownloadPriority.NORMAL,
+      conflictPolicy: download.conflictPolicy || null,
+      priority: download.priority ?? DownloadPriority.NORMAL,
       metadata: download.metadata || {},
     });
 
+    // Si ya estaba en la base de datos, al menos aplicar la política pedida al encolar
+    if (!added && download.conflictPolicy) {
+      queueDatabase.setConflictPolicy(download.id, download.conflictPolicy);
+    }
+
     // Actualizar download con la ruta normalizada antes de agregar a la cola en memoria
     const normalizedDownload = {
       ...download,
@@ -653,6 +740,93 @@ class DownloadManager {
     return removed;
   }
 
+  /**
+   * Cambia la prioridad de una descarga en cola
+   *
+   * @param {number} downloadId - ID de la descarga
+   * @param {number} priority - Nueva prioridad (DownloadPriority)
+   * @returns {{success: boolean, data?: Array<{id: number, priority: number, queuePosition: number}>, error?: string}}
+   */
+  setQueuePriority(downloadId, priority) {
+    if (!this.queueService) {
+      return { success: false, error: 'QueueService no disponible' };
+    }
+
+    const result = this.queueService.prioritizeDownload(
+      downloadId,
+      queueDatabase.getQueued(),
+      priority
+    );
+    if (!result.success) return result;
+
+    return this._applyQueueOrder(result.queue);
+  }
+
+  /**
+   * Mueve una descarga a otra posición de la cola
+   *
+   * @param {number} downloadId - ID de la descarga
+   * @param {number|'top'|'bottom'} position - Posición destino (0-based) o extremo de la cola
+   * @returns {{success: boolean, data?: Array<{id: number, priority: number, queuePosition: number}>, error?: string}}
+   *
+   * @example
+   * // Pasar al frente una descarga aunque otras tengan más prioridad
+   * downloadManager.moveInQueue(12345, 'top');
+   */
+  moveInQueue(downloadId, position) {
+    if (!this.queueService) {
+      return { success: false, error: 'QueueService no disponible' };
+    }
+
+    const queue = queueDatabase.getQueued();
+    const newPosition =
+      position === 'top'
+        ? 0
+        : position === 'bottom'
+          ? queue.length - 1
+          : Math.min(position, queue.length - 1);
+
+    const result = this.queueService.reorderDownload(downloadId, queue, newPosition);
+    if (!result.success) return result;
+
+    return this._applyQueueOrder(result.queue);
+  }
+
+  /**
+   * Persiste un orden de cola y lo aplica a la cola en memoria
+   *
+   * Numera las posiciones de forma consecutiva para que processQueue() y
+   * getQueued() devuelvan exactamente el mismo orden.
+   *
+   * @private
+   * @param {Array<Object>} queue - Cola ordenada (descargas de queueDatabase)
+   * @returns {{success: boolean, data?: Array<{id: number, priority: number, queuePosition: number}>, error?: string}}
+   */
+  _applyQueueOrder(queue) {
+    const order = queue.map((download, index) => ({
+      id: download.id,
+      priority: download.priority ?? DownloadPriority.NORMAL,
+      queuePosition: index + 1,
+    }));
+
+    if (!queueDatabase.saveQueueOrder(order)) {
+      return { success: false, error: 'No se pudo guardar el orden de la cola' };
+    }
+
+    const byId = new Map(order.map(entry => [entry.id, entry]));
+    this.downloadQueue.forEach(download => {
+      const entry = byId.get(download.id);
+      if (entry) {
+        download.priority = entry.priority;
+        download.queuePosition = entry.queuePosition;
+      }
+    });
+    this.downloadQueue = this.queueService.sortQueue(this.downloadQueue);
+
+    log.info(`Orden de la cola actualizado (${order.length} descargas)`);
+    return { success: true, data: order };
+  }
+
   // =============================
   // GESTIÍ“N DE DESCARGAS ACTIVAS
   // =============================
@@ -718,12 +892,21 @@ class DownloadManager {
    * // Las descargas de mayor prioridad se iniciarán primero
    */
   async processQueue() {
+    // Todas las descargas que terminan, se pausan o se cancelan pasan por aquí
+    this._updatePowerSaveBlocker();
+
     // CRÍTICO: Doble verificación para prevenir race conditions
     if (this.processing) {
       log.debug('Ya hay un proceso de cola en ejecución, ignorando llamada duplicada');
       return;
     }
 
+    // Fuera de la franja de descarga programada no se inician descargas nuevas
+    if (this.scheduleBlocked) {
+      log.debug('Cola en pausa por la programación de descargas');
+      return;
+    }
+
     // Adquirir lock con timeout
     const lockAcquired = await this.acquireLock(5000);
     if (!lockAcquired) {
@@ -806,18 +989,18 @@ class DownloadManager {
           }
         }
 
+        // Las descargas que esperan espacio en disco siguen en la cola pero no ocupan slot
+        const startableQueue = this.downloadQueue.filter(d => !diskBudget.isHeld(d.id));
+
         // Seleccionar descargas a iniciar usando QueueService si está disponible
         // selectDownloadsToStart ya ordena la cola internamente, así que no necesitamos ordenar de nuevo
         let downloadsToStart = [];
         if (this.queueService) {
-          downloadsToStart = this.queueService.selectDownloadsToStart(
-            this.downloadQueue,
-            totalActive
-          );
+          downloadsToStart = this.queueService.selectDownloadsToStart(startableQueue, totalActive);
         } else {
           // Fallback: tomar la primera de la cola
-          if (this.downloadQueue.length > 0) {
-            downloadsToStart = [this.downloadQueue[0]];
+          if (startableQueue.length > 0) {
+            downloadsToStart = [startableQueue[0]];
           }
         }
 
@@ -960,6 +1143,9 @@ class DownloadManager {
     // Verificar si se va a reintentar
     const dbDownload = queueDatabase.getById(download.id);
 
+    // Volver a comprobar el servidor para que el reintento pueda cambiar a un espejo
+    mirrorManager.reportFailure(dbDownload?.url);
+
     if (dbDownload && dbDownload.state === DownloadState.QUEUED) {
       // Se va a reintentar - agregar de vuelta a la cola en memoria
       log.info(
@@ -1083,26 +1269,20 @@ class DownloadManager {
     });
 
     try {
-      // Obtener información del archivo
-      const fileInfo = database.getFileDownloadInfo(id);
-      if (!fileInfo) {
-        throw new Error('Archivo no encontrado en la base de datos');
-      }
-
-      // Construir URL
-      let downloadUrl = fileInfo.url;
-      if (!downloadUrl.startsWith('http')) {
-        const urlParts = downloadUrl.split('/').map(part => encodeURIComponent(part));
-        downloadUrl = `https://myrient.erista.me/files/${urlParts.join('/')}`;
-      }
+      // Construir URL (en un servidor espejo si el host original no está disponible)
+      const downloadUrl = mirrorManager.resolveUrl(
+        this._buildDownloadUrl(id),
+        candidateUrl => !this._getHostCircuitBreaker(candidateUrl)?.isOpen()
+      );
 
       // Validar URL usando servicio
       if (!isValidUrl(downloadUrl)) {
         throw new Error('URL de descarga inválida');
       }
 
-      // Obtener tamaño esperado
-      const expectedFileSize = await this._getFileSize(downloadUrl);
+      // Obtener tamaño esperado y versión del archivo en el servidor
+      const remote = await this._getRemoteFileInfo(downloadUrl);
+      const expectedFileSize = remote.size;
       log.info('Tamaño esperado:', expectedFileSize, 'bytes');
 
       // Determinar ruta de guardado usando FileService
@@ -1134,62 +1314,19 @@ class DownloadManager {
         return;
       }
 
-      // CRÍTICO: Validar espacio disponible en disco antes de iniciar descarga
-      if (expectedFileSize > 0) {
-        const spaceCheck = validateDiskSpace(savePath, expectedFileSize);
-        if (!spaceCheck.valid) {
-          log.error(`Espacio insuficiente para descarga ${id}:`, spaceCheck.error);
-          this.deleteActiveDownload(id);
-          // CRÍTICO: Flush progreso pendiente antes de marcar como fallida
-          queueDatabase.flushProgress();
-          queueDatabase.failDownload(id, spaceCheck.error);
-          this._sendProgress({
-            id,
-            state: 'interrupted',
-            error: spaceCheck.error,
-            savePath,
-          });
-          setTimeout(() => this.processQueue(), config.downloads.queueProcessDelay);
-          return;
-        }
-        if (spaceCheck.warning) {
-          log.warn(`No se pudo verificar espacio en disco para descarga ${id}, continuando con precaución`);
-        } else {
-          log.debug(
-            `Espacio disponible verificado para descarga ${id}: ${(spaceCheck.available / 1024 / 1024).toFixed(2)} MB`
-          );
-        }
-      }
-
-      // Verificar archivo existente usando FileService
-      // Para descargas fragmentadas, verificar si ya existe el archivo final completo
-      if (!forceOverwrite && expectedFileSize > 0) {
-        let fileCheck;
-
-        // Usar FileService para verificar archivo existente si está disponible
-        if (this.fileService) {
-          fileCheck = await this.fileService.getFileCheckInfo(savePath, expectedFileSize);
-        } else {
-          // Fallback: usar método legacy síncrono
-          log.warn(
-            '[DownloadManager] FileService no disponible, usando método legacy para verificar archivo'
-          );
-          fileCheck = this._checkExistingFile(savePath, expectedFileSize);
-        }
-
-        // También verificar si hay un archivo parcial que podría ser confundido
-        const partialFilePath = savePath + '.part';
-        const hasPartialFile = fs.existsSync(partialFilePath);
+      // Lo ya descargado de otra versión del archivo no sirve para reanudar
+      this._checkRemoteVersion({ id, title, savePath, remote });
 
-        // Solo pedir confirmación si:
-        // 1. El archivo final existe Y tiene tamaño similar (o shouldOverwrite es true)
-        // 2. NO hay archivo parcial (para evitar confusión)
-        const shouldConfirm =
-          fileCheck.exists &&
-          (fileCheck.shouldOverwrite || fileCheck.similarSize) &&
-          !hasPartialFile;
+      // Archivo de destino existente: aplicar la política de conflictos de la
+      // descarga (o la global). Con forceOverwrite el usuario ya decidió
+      let conflictAction = null;
+      if (!forceOverwrite) {
+        const decision = await this._resolveFileConflict({ id, savePath, expectedFileSize });
+        conflictAction = decision.action;
+        savePath = decision.savePath;
 
-        if (shouldConfirm) {
+        if (decision.action === 'ask') {
+          const { fileCheck } = decision;
           log.info('Solicitando confirmación para:', title);
           this.deleteActiveDownload(id);
 
@@ -1210,18 +1347,15 @@ class DownloadManager {
                 fileCheck.similarSize !== undefined
                   ? fileCheck.similarSize
                   : fileCheck.sizeDifference <= config.files?.sizeMarginBytes,
-              hasPartialFile: hasPartialFile,
+              hasPartialFile: false,
             },
           });
           return;
         }
 
-        // Si hay archivo parcial pero el archivo final no existe o es diferente,
-        // continuar normalmente (el archivo parcial se usará para reanudación)
-        if (fileCheck.exists && !fileCheck.similarSize && !fileCheck.shouldOverwrite) {
-          log.info(
-            `Archivo existente tiene tamaño diferente (${fileCheck.actualSize || fileCheck.existingSize} vs ${expectedFileSize}), continuando con descarga`
-          );
+        if (decision.action === 'skip') {
+          this._skipExistingFile({ id, title, savePath });
+          return;
         }
       }
 
@@ -1303,6 +1437,37 @@ class DownloadManager {
         }
       }
 
+      // Solo la descarga simple continúa desde un archivo local incompleto
+      if (useChunked && conflictAction === 'resume') {
+        log.info(
+          `[DownloadManager] Continuando ${title} desde el archivo existente, descarga simple`
+        );
+        useChunked = false;
+      }
+
+      // Reservar el espacio que falta por escribir en el volumen de destino.
+      // Si no cabe junto a las demás descargas, vuelve a la cola en espera
+      const reservation = await diskBudget.reserve(id, {
+        savePath,
+        totalBytes: expectedFileSize,
+        downloadedBytes: queueDatabase.getById(id)?.downloadedBytes || 0,
+        chunked: useChunked,
+      });
+      if (!reservation.valid) {
+        this._holdForDiskSpace(
+          {
+            id,
+            title,
+            downloadPath: normalizedDownloadPath,
+            preserveStructure,
+            forceOverwrite,
+            savePath,
+          },
+          reservation.error
+        );
+        return;
+      }
+
       if (useChunked) {
         log.info(
           `[DownloadManager] Usando descarga FRAGMENTADA para ${title} (${this._formatBytes(expectedFileSize)})`
@@ -1313,7 +1478,8 @@ class DownloadManager {
           downloadUrl,
           savePath,
           expectedFileSize,
-          forceOverwrite,
+          forceOverwrite: forceOverwrite || conflictAction === 'overwrite',
+          ifRange: getIfRange(remote),
         });
       } else {
         log.info(
@@ -1325,7 +1491,8 @@ class DownloadManager {
           downloadUrl,
           savePath,
           expectedFileSize,
-          forceOverwrite,
+          forceOverwrite: forceOverwrite || conflictAction === 'overwrite',
+          ifRange: getIfRange(remote),
         });
       }
     } catch (error) {
@@ -1346,6 +1513,222 @@ class DownloadManager {
     }
   }
 
+  /**
+   * Compara la versión del archivo en el servidor con la guardada en la descarga
+   *
+   * Si cambió (tamaño, ETag o Last-Modified, ver remoteVersion.getRemoteChange),
+   * lo descargado en sesiones anteriores se descarta. Después se guarda la
+   * versión actual, que es la que se envía en If-Range al reanudar.
+   *
+   * @private
+   * @param {Object} params - Parámetros
+   * @param {number} params.id - ID de la descarga
+   * @param {string} params.title - Título del archivo
+   * @param {string} params.savePath - Ruta de destino
+   * @param {Object} params.remote - Resultado de _getRemoteFileInfo()
+   * @returns {void}
+   */
+  _checkRemoteVersion({ id, title, savePath, remote }) {
+    const download = queueDatabase.getById(id);
+    if (!download) return;
+
+    const stored = {
+      etag: download.etag,
+      lastModified: download.lastModified,
+      host: download.remoteHost,
+      size: download.totalBytes || 0,
+    };
+    const reason = getRemoteChange(stored, remote);
+    if (reason) {
+      log.warn(`[DownloadManager] ${title} cambió en el servidor (${reason}), se empieza de cero`);
+      queueDatabase.logRemoteChange(id, { reason, previous: stored, current: remote });
+      this._discardPartialData(id, savePath);
+    }
+
+    if (remote.etag || remote.lastModified) {
+      queueDatabase.setRemoteValidators(id, remote);
+    }
+  }
+
+  /**
+   * Elimina lo descargado de una descarga: el .part y los chunks con sus archivos
+   *
+   * Se borra de forma síncrona porque a continuación se comprueba si quedan
+   * archivos a medias (_resolveFileConflict, _executeDownload).
+   *
+   * @private
+   * @param {number} id - ID de la descarga
+   * @param {string} savePath - Ruta de destino
+   * @returns {void}
+   */
+  _discardPartialData(id, savePath) {
+    const remove = filePath => {
+      try {
+        if (filePath) fs.rmSync(filePath, { force: true });
+      } catch (error) {
+        log.warn(`No se pudo eliminar ${filePath}:`, error.message);
+      }
+    };
+
+    remove(`${savePath}.part`);
+
+    const chunks = queueDatabase.getChunks(id);
+    if (chunks.length > 0) {
+      chunks.forEach(chunk => remove(chunk.temp_file));
+      // Con chunks, el archivo de destino es el que pre-asignó la descarga fragmentada
+      if (this.chunkedConfig.preallocateFile) remove(savePath);
+      queueDatabase.deleteChunks(id);
+    }
+  }
+
+  /**
+   * Política ante archivos de destino existentes de una descarga
+   *
+   * La elegida al encolar (conflictPolicy en la BD) o, si no, la global de
+   * download-settings.json (fileConflictPolicy).
+   *
+   * @private
+   * @param {number} id - ID de la descarga
+   * @returns {string} Una de config.files.conflictPolicies
+   */
+  _getConflictPolicy(id) {
+    const stored = queueDatabase.getById(id)?.conflictPolicy;
+    if (stored) return stored;
+
+    const { fileConflictPolicy } = readJSONFile('download-settings.json') || {};
+    return config.files.conflictPolicies.includes(fileConflictPolicy)
+      ? fileConflictPolicy
+      : config.files.defaultConflictPolicy;
+  }
+
+  /**
+   * Decide qué hacer si el archivo de destino ya existe y lo registra en el historial
+   *
+   * Una descarga propia a medias (.part o fragmentos guardados) no es un
+   * conflicto: se continúa.
+   *
+   * @private
+   * @param {Object} params - { id, savePath, expectedFileSize }
+   * @returns {Promise<Object>} Decisión de FileService.resolveConflict()
+   */
+  async _resolveFileConflict({ id, savePath, expectedFileSize }) {
+    const policy = this._getConflictPolicy(id);
+
+    const hasPartialFile =
+      fs.existsSync(`${savePath}.part`) || queueDatabase.getChunks(id).length > 0;
+    if (hasPartialFile) {
+      return { conflict: false, policy, action: 'download', savePath };
+    }
+
+    let decision;
+    if (this.fileService) {
+      decision = await this.fileService.resolveConflict(savePath, expectedFileSize, policy);
+    } else {
+      // Fallback: método legacy, solo pregunta por archivos del mismo tamaño
+      log.warn(
+        '[DownloadManager] FileService no disponible, usando método legacy para verificar archivo'
+      );
+      const fileCheck = this._checkExistingFile(savePath, expectedFileSize);
+      decision = {
+        conflict: fileCheck.exists,
+        policy,
+        action: fileCheck.exists && fileCheck.similarSize ? 'ask' : 'download',
+        savePath,
+        existingPath: savePath,
+        existingSize: fileCheck.existingSize,
+        expectedSize: expectedFileSize,
+        fileCheck,
+      };
+    }
+
+    if (decision.conflict) {
+      log.info(
+        `Archivo existente ${savePath} (${this._formatBytes(decision.existingSize || 0)}): política '${policy}' -> ${decision.action}`
+      );
+      queueDatabase.logConflict(id, decision);
+    }
+    return decision;
+  }
+
+  /**
+   * Da por completada una descarga cuyo archivo ya existe completo
+   *
+   * @private
+   * @param {Object} params - { id, title, savePath }
+   * @returns {void}
+   */
+  _skipExistingFile({ id, title, savePath }) {
+    log.info(`Omitiendo ${title}: el archivo ya existe con el mismo tamaño`);
+    this.deleteActiveDownload(id);
+
+    queueDatabase.completeDownload(id, { savePath, skipped: true });
+    this._sendProgress({ id, title, state: 'completed', savePath, percent: 1, skipped: true });
+
+    setTimeout(() => this.processQueue(), config.downloads.queueProcessDelay);
+  }
+
+  /**
+   * Devuelve a la cola una descarga que no cabe en el disco
+   *
+   * Conserva su orden (fecha de creación, posición y prioridad de la BD) y la
+   * ruta ya calculada. processQueue la salta mientras diskBudget.isHeld() y el
+   * DiskBudget reanuda la cola cuando hay espacio.
+   *
+   * @private
+   * @param {Object} download - { id, title, downloadPath, preserveStructure, forceOverwrite, savePath }
+   * @param {string} reason - Motivo de la espera
+   * @returns {void}
+   */
+  _holdForDiskSpace(download, reason) {
+    this.deleteActiveDownload(download.id);
+
+    if (!this.downloadQueue.some(d => d.id === download.id)) {
+      const stored = queueDatabase.getById(download.id);
+      const createdAt = stored?.createdAt || Date.now();
+      this.downloadQueue.push({
+        ...download,
+        retryCount: stored?.retryCount || 0,
+        addedAt: createdAt,
+        createdAt,
+        queuePosition: stored?.queuePosition,
+        priority: stored?.priority ?? DownloadPriority.NORMAL,
+      });
+
+      if (this.queueService) {
+        this.downloadQueue = this.queueService.sortQueue(this.downloadQueue);
+      }
+    }
+
+    this._sendProgress({ id: download.id, state: 'queued', reason });
+    setTimeout(() => this.processQueue(), config.downloads.queueProcessDelay);
+  }
+
+  /**
+   * Destino y bytes pendientes de una descarga de la cola, para el DiskBudget
+   *
+   * Los bytes son los que faltan si la descarga ya empezó alguna vez y, si no,
+   * el tamaño del catálogo. Sin ruta base (se preguntará al iniciar) o sin
+   * tamaño conocido no se reserva nada.
+   *
+   * @private
+   * @param {Object} download - Descarga de la cola
+   * @returns {{targetPath: string, bytes: number}|null}
+   */
+  _describeQueuedForDisk(download) {
+    const targetPath =
+      download.savePath ||
+      (download.downloadPath ? path.join(download.downloadPath, download.title || '') : null);
+    if (!targetPath) return null;
+
+    const stored = queueDatabase.getById(download.id);
+    if (stored?.totalBytes > 0) {
+      return { targetPath, bytes: Math.max(stored.totalBytes - (stored.downloadedBytes || 0), 0) };
+    }
+
+    const bytes = parseSizeText(database.getFileDownloadInfo(download.id)?.size ?? null);
+    return bytes ? { targetPath, bytes } : null;
+  }
+
   /**
    * Ejecuta una descarga fragmentada usando ChunkedDownloader
    *
@@ -1357,6 +1740,7 @@ class DownloadManager {
    * @param {string} params.savePath - Ruta donde guardar el archivo
    * @param {number} params.expectedFileSize - Tamaño esperado en bytes
    * @param {boolean} params.forceOverwrite - Si sobrescribir archivo existente
+   * @param {string|null} [params.ifRange] - If-Range de la versión del archivo (ver remoteVersion)
    * @returns {Promise<void>}
    *
    * @example
@@ -1376,33 +1760,40 @@ class DownloadManager {
     savePath,
     expectedFileSize,
     forceOverwrite,
+    ifRange = null,
   }) {
-    // Eliminar de descargas simples si estaba ahí
-    this.activeDownloads.delete(id);
-
-    // Registrar inicio en SQLite
-    queueDatabase.startDownload(id, {
-      url: downloadUrl,
-      savePath,
-      totalBytes: expectedFileSize,
-      downloadedBytes: 0,
-      isChunked: true,
-    });
+    // Servidores con el mismo archivo para repartir los chunks
+    const sources = await this._getChunkSources(downloadUrl, expectedFileSize);
 
     // Crear instancia de ChunkedDownloader
     const chunked = new ChunkedDownloader({
       downloadId: id,
       url: downloadUrl,
+      sources,
       savePath,
       totalBytes: expectedFileSize,
       title,
+      ifRange,
       onProgress: info => this._onChunkedProgress(info),
       onComplete: info => this._onChunkedComplete(info),
       onError: (downloader, error) => this._onChunkedError(downloader, error),
       bandwidthManager: this.bandwidthManager, // Pasar BandwidthManager
     });
 
-    // Guardar referencia
+    // Registrar inicio en SQLite (chunks y simultáneas quedan en el historial para estadísticas)
+    queueDatabase.startDownload(id, {
+      url: downloadUrl,
+      savePath,
+      totalBytes: expectedFileSize,
+      downloadedBytes: 0,
+      isChunked: true,
+      chunks: chunked.numChunks,
+      concurrent: this.activeDownloads.size + this.chunkedDownloads.size + 1,
+    });
+
+    // Pasar de descargas simples a fragmentadas (después de buscar servidores,
+    // para que la descarga no deje de contar como activa mientras tanto)
+    this.activeDownloads.delete(id);
     this.chunkedDownloads.set(id, chunked);
 
     // Notificar inicio
@@ -1418,6 +1809,48 @@ class DownloadManager {
     await chunked.start();
   }
 
+  /**
+   * Servidores desde los que descargar los chunks de un archivo
+   *
+   * Además del servidor de la descarga, incluye los espejos disponibles que
+   * sirven el mismo archivo: mismo tamaño y soporte de Range requests.
+   *
+   * @private
+   * @param {string} downloadUrl - URL de descarga
+   * @param {number} expectedFileSize - Tamaño esperado en bytes
+   * @returns {Promise<string[]>} URL del archivo en cada servidor (la primera es downloadUrl)
+   */
+  async _getChunkSources(downloadUrl, expectedFileSize) {
+    if (!this.chunkedConfig.multiSource) return [downloadUrl];
+
+    const candidates = mirrorManager
+      .getAlternateUrls(downloadUrl, url => !this._getHostCircuitBreaker(url)?.isOpen())
+      .filter(url => isValidUrl(url));
+    if (candidates.length === 0) return [downloadUrl];
+
+    const checks = await Promise.all(
+      candidates.map(url => ChunkedDownloader.checkRangeSupport(url))
+    );
+
+    const sources = [downloadUrl];
+    candidates.forEach((url, index) => {
+      const check = checks[index];
+      if (check.supported && check.totalBytes === expectedFileSize) {
+        sources.push(url);
+      } else {
+        log.debug(
+          `[DownloadManager] ${new URL(url).hostname} descartado para chunks:`,
+          check.error || `tamaño ${check.totalBytes}, Range ${check.supported}`
+        );
+      }
+    });
+
+    if (sources.length > 1) {
+      log.info(`[DownloadManager] Chunks repartidos entre ${sources.length} servidores`);
+    }
+    return sources;
+  }
+
   /**
    * Callback de progreso para descargas fragmentadas
    */
@@ -1444,6 +1877,7 @@ class DownloadManager {
     if (chunked) {
       chunked.lastUpdate = Date.now();
     }
+    diskBudget.updateProgress(info.downloadId, info.downloadedBytes);
 
     // Preparar información de progreso
     // remainingTime ya viene calculado desde ChunkedDownloader en segundos
@@ -1507,14 +1941,8 @@ class DownloadManager {
       timestamp: Date.now(),
     });
 
-    // Marcar como completada en SQLite
     // CRÍTICO: Flush progreso pendiente antes de completar
     queueDatabase.flushProgress();
-    
-    queueDatabase.completeDownload(info.downloadId, {
-      savePath: info.savePath,
-      duration: info.duration,
-    });
 
     // Eliminar de activas
     this.chunkedDownloads.delete(info.downloadId);
@@ -1524,12 +1952,10 @@ class DownloadManager {
       this.progressThrottler.cancelPending(info.downloadId);
     }
 
-    // Notificar completado
-    this._sendProgress({
-      id: info.downloadId,
-      state: 'completed',
+    // Marcar como completada (o verificar contra los DATs) y notificar
+    this._finalizeCompletedDownload(info.downloadId, {
       savePath: info.savePath,
-      percent: 1,
+      duration: info.duration,
       chunked: true,
     });
 
@@ -1537,6 +1963,166 @@ class DownloadManager {
     setTimeout(() => this.processQueue(), config.downloads.queueProcessDelay);
   }
 
+  /**
+   * Marca una descarga terminada como completada, verificándola antes si
+   * el archivo aparece en algún DAT importado
+   *
+   * La verificación se hace en segundo plano (worker thread), por lo que la
+   * cola puede seguir avanzando mientras tanto.
+   *
+   * @private
+   * @param {number} id - ID de la descarga
+   * @param {Object} info - Información del archivo descargado
+   * @param {string} info.savePath - Ruta final del archivo
+   * @param {number} [info.duration] - Duración de la descarga en ms
+   * @param {boolean} [info.chunked] - Si fue una descarga fragmentada
+   * @returns {void}
+   */
+  _finalizeCompletedDownload(id, { savePath, duration, chunked }) {
+    const download = queueDatabase.getById(id);
+
+    if (!download || !datVerifier.canVerify(download.title)) {
+      queueDatabase.completeDownload(id, { savePath, duration });
+      this._sendCompleted({ id, savePath, chunked });
+      return;
+    }
+
+    queueDatabase.startVerification(id, { savePath });
+    this._verifyDownload({ id, title: download.title, savePath, chunked }).catch(error => {
+      log.error(`Error verificando descarga ${id}:`, error);
+    });
+  }
+
+  /**
+   * Verifica una descarga contra los DATs y registra el resultado
+   *
+   * @private
+   * @param {Object} params - { id, title, savePath, chunked }
+   * @returns {Promise<void>}
+   */
+  async _verifyDownload({ id, title, savePath, chunked }) {
+    this._sendProgress({ id, state: 'verifying', savePath, percent: 1, verifyProgress: 0, chunked });
+
+    const result = await datVerifier.verify({
+      id,
+      title,
+      savePath,
+      onProgress: progress => {
+        this._sendProgress({ id, state: 'verifying', percent: 1, verifyProgress: progress, chunked });
+      },
+    });
+
+    if (result.aborted) return;
+
+    // El DAT pudo eliminarse mientras se descargaba: completar sin verificar
+    if (!result.matched) {
+      queueDatabase.completeDownload(id, { savePath });
+      this._sendCompleted({ id, savePath, chunked });
+      return;
+    }
+
+    queueDatabase.finishVerification(id, result);
+
+    if (result.verified) {
+      this._sendCompleted({ id, savePath, chunked, verified: true });
+    } else {
+      this._sendProgress({ id, state: 'verify_failed', savePath, percent: 1, chunked, error: result.error });
+    }
+  }
+
+  /**
+   * Notifica una descarga completada, extrayéndola antes si es un archivo
+   * comprimido y el usuario activó la extracción automática
+   *
+   * La descarga ya está en 'completed' en la base de datos; mientras se
+   * extrae, el frontend la muestra como 'extracting'.
+   *
+   * @private
+   * @param {Object} params - { id, savePath, chunked, verified }
+   * @returns {void}
+   */
+  _sendCompleted({ id, savePath, chunked, verified }) {
+    const completed = { id, state: 'completed', savePath, percent: 1, chunked, verified };
+
+    if (!archiveExtractor.shouldExtract(savePath)) {
+      this._sendProgress(completed);
+      return;
+    }
+
+    this._sendProgress({
+      id,
+      state: 'extracting',
+      savePath,
+      percent: 1,
+      extractProgress: 0,
+      chunked,
+    });
+
+    archiveExtractor
+      .extract({
+        id,
+        savePath,
+        onProgress: progress => {
+          this._sendProgress({
+            id,
+            state: 'extracting',
+            percent: 1,
+            extractProgress: progress,
+            chunked,
+          });
+        },
+      })
+      .then(result => {
+        if (result.aborted) return;
+
+        queueDatabase.recordExtraction(id, result);
+        this._sendProgress({
+          ...completed,
+          extractedTo: result.extractedTo,
+          archiveDeleted: result.archiveDeleted,
+          extractError: result.success ? undefined : result.error,
+        });
+      })
+      .catch(error => {
+        log.error(`Error extrayendo descarga ${id}:`, error);
+        queueDatabase.recordExtraction(id, { success: false, error: error.message });
+        this._sendProgress({ ...completed, extractError: error.message });
+      });
+  }
+
+  /**
+   * Reanuda las verificaciones interrumpidas por un cierre de la aplicación
+   *
+   * @returns {number} Número de verificaciones reanudadas
+   */
+  resumePendingVerifications() {
+    const pending = queueDatabase.getByState(DownloadState.VERIFYING);
+
+    pending.forEach(download => {
+      if (!download.savePath || !fs.existsSync(download.savePath)) {
+        queueDatabase.finishVerification(download.id, {
+          verified: false,
+          error: 'El archivo descargado ya no existe',
+        });
+        this._sendProgress({
+          id: download.id,
+          state: 'verify_failed',
+          error: 'El archivo descargado ya no existe',
+        });
+        return;
+      }
+
+      this._verifyDownload({ id: download.id, title: download.title, savePath: download.savePath }).catch(
+        error => log.error(`Error verificando descarga ${download.id}:`, error)
+      );
+    });
+
+    if (pending.length > 0) {
+      log.info(`Reanudando ${pending.length} verificaciones pendientes`);
+    }
+    return pending.length;
+  }
+
   /**
    * Callback de error para descargas fragmentadas
    */
@@ -1554,6 +2140,15 @@ class DownloadManager {
   _onChunkedError(downloader, error) {
     log.error(`Error en descarga fragmentada ${downloader.downloadId}:`, error.message);
 
+    // El archivo cambió en el servidor: ChunkedDownloader ya descartó los chunks
+    // y el reintento empieza de cero con la versión nueva
+    if (error.code === REMOTE_CHANGED) {
+      queueDatabase.logRemoteChange(downloader.downloadId, {
+        reason: 'if-range',
+        previous: { ifRange: downloader.ifRange },
+      });
+    }
+
     // Marcar como fallida en SQLite
       // CRÍTICO: Flush progreso pendiente antes de marcar como fallida
       queueDatabase.flushProgress();
@@ -1616,6 +2211,7 @@ class DownloadManager {
    * @param {string} params.savePath - Ruta donde guardar el archivo
    * @param {number} params.expectedFileSize - Tamaño esperado en bytes
    * @param {boolean} params.forceOverwrite - Si sobrescribir archivo existente
+   * @param {string|null} [params.ifRange] - If-Range de la versión del archivo (ver remoteVersion)
    * @returns {Promise<void>}
    *
    * @example
@@ -1628,7 +2224,15 @@ class DownloadManager {
    *   forceOverwrite: false
    * });
    */
-  async _executeDownload({ id, title, downloadUrl, savePath, expectedFileSize, forceOverwrite }) {
+  async _executeDownload({
+    id,
+    title,
+    downloadUrl,
+    savePath,
+    expectedFileSize,
+    forceOverwrite,
+    ifRange = null,
+  }) {
     const partialFilePath = savePath + '.part';
     let resumeFromByte = 0;
     let isResuming = false;
@@ -1662,6 +2266,7 @@ class DownloadManager {
       totalBytes: expectedFileSize,
       downloadedBytes: resumeFromByte,
       isChunked: false,
+      concurrent: this.activeDownloads.size + this.chunkedDownloads.size,
     });
 
     // Obtener circuit breaker apropiado
@@ -1674,7 +2279,7 @@ class DownloadManager {
       try {
         request = await circuitBreaker.execute(
           async () => {
-            return net.request(downloadUrl);
+            return networkProfile.request(downloadUrl);
           },
           () => {
             // Fallback: si circuit está abierto, lanzar error
@@ -1700,7 +2305,7 @@ class DownloadManager {
         return;
       }
     } else {
-      request = net.request(downloadUrl);
+      request = networkProfile.request(downloadUrl);
     }
 
     // CRÍTICO: Configurar timeout para prevenir requests colgadas indefinidamente
@@ -1751,14 +2356,15 @@ class DownloadManager {
       timeoutId, // Guardar timeoutId para limpiarlo si se cancela
     });
 
-    // Headers
-    request.setHeader('User-Agent', 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36');
-    request.setHeader('Referer', 'https://myrient.erista.me/');
+    // Headers (User-Agent y cabeceras del perfil de red ya puestos)
+    request.setHeader('Referer', `${new URL(downloadUrl).origin}/`);
     request.setHeader('Accept', '*/*');
     request.setHeader('Connection', 'keep-alive');
 
     if (isResuming && resumeFromByte > 0) {
       request.setHeader('Range', `bytes=${resumeFromByte}-`);
+      // Si el archivo cambió, el servidor envía el archivo completo (200) y se empieza de cero
+      if (ifRange) request.setHeader('If-Range', ifRange);
     }
 
     // Notificar inicio
@@ -1794,6 +2400,7 @@ class DownloadManager {
         expectedFileSize,
         resumeFromByte,
         isResuming,
+        ifRange,
       });
     });
 
@@ -1825,6 +2432,7 @@ class DownloadManager {
     expectedFileSize,
     resumeFromByte,
     isResuming,
+    ifRange,
   }) {
     const download = this.getActiveDownload(id);
     if (download) {
@@ -1870,7 +2478,13 @@ class DownloadManager {
       actualResumeFromByte = resumeFromByte;
       log.info(`Servidor aceptó reanudación desde byte ${resumeFromByte}`);
     } else if (isResuming && !serverSupportsResume) {
-      log.warn('Servidor no soporta reanudación, descargando desde inicio');
+      if (ifRange) {
+        // Con If-Range, un 200 es el archivo completo en otra versión
+        log.warn('El archivo cambió en el servidor, descargando desde inicio');
+        queueDatabase.logRemoteChange(id, { reason: 'if-range', previous: { ifRange } });
+      } else {
+        log.warn('Servidor no soporta reanudación, descargando desde inicio');
+      }
       try {
         if (fs.existsSync(partialFilePath)) {
           fs.unlinkSync(partialFilePath);
@@ -2151,6 +2765,7 @@ class DownloadManager {
 
         // Actualizar progreso en SQLite
         queueDatabase.updateProgress(id, percent, downloadedBytes);
+        diskBudget.updateProgress(id, downloadedBytes);
 
         const elapsedSeconds = (now - (downloadInfo?.startTime || now)) / 1000;
         const bytesThisSession = downloadedBytes - actualResumeFromByte;
@@ -2322,19 +2937,11 @@ class DownloadManager {
           this.progressThrottler.cancelPending(id);
         }
 
-        // Marcar como completada en SQLite
         // CRÍTICO: Flush progreso pendiente antes de completar
         queueDatabase.flushProgress();
-        
-        queueDatabase.completeDownload(id, { savePath });
 
-        this._sendProgress({
-          id,
-          state: 'completed',
-          savePath,
-          percent: 1,
-          chunked: false,
-        });
+        // Marcar como completada (o verificar contra los DATs) y notificar
+        this._finalizeCompletedDownload(id, { savePath, chunked: false });
 
         this.processQueue();
       };
@@ -2434,6 +3041,8 @@ class DownloadManager {
    * Actualiza el estado en SQLite para persistencia.
    *
    * @param {number} downloadId - ID de la descarga a pausar
+   * @param {Object} [options] - Opciones de la pausa
+   * @param {string} [options.reason] - Motivo que se muestra en la interfaz (p. ej. falta de espacio en disco)
    * @returns {Promise<Object>} Resultado de la operación: { success: boolean, source: string, error?: string }
    * @returns {boolean} returns.success - Si la pausa fue exitosa
    * @returns {string} returns.source - Origen de la descarga: 'chunked' | 'simple' | 'queue' | 'none'
@@ -2454,8 +3063,11 @@ class DownloadManager {
    *
    * CRÍTICO: Flush de progreso antes de pausar para asegurar que el estado se guarde
    */
-  async pauseDownload(downloadId) {
+  async pauseDownload(downloadId, { reason } = {}) {
     log.info(`=== PAUSANDO DESCARGA ${downloadId} ===`);
+    if (reason) {
+      log.warn(`[DownloadManager] ${reason}`);
+    }
 
     const lockAcquired = await this.acquireLock(2000);
     if (!lockAcquired) {
@@ -2477,7 +3089,7 @@ class DownloadManager {
           this.progressThrottler.cancelPending(downloadId);
         }
 
-        this._sendProgress({ id: downloadId, state: 'paused', chunked: true });
+        this._sendProgress({ id: downloadId, state: 'paused', chunked: true, reason });
         setImmediate(() => this.processQueue());
         return { success: true, source: 'chunked' };
       }
@@ -2526,6 +3138,7 @@ class DownloadManager {
           state: 'paused',
           percent: currentPercent,
           chunked: false,
+          reason,
         });
 
         setImmediate(() => this.processQueue());
@@ -2542,7 +3155,7 @@ class DownloadManager {
           this.progressThrottler.cancelPending(downloadId);
         }
 
-        this._sendProgress({ id: downloadId, state: 'paused' });
+        this._sendProgress({ id: downloadId, state: 'paused', reason });
         return { success: true, source: 'queue' };
       }
 
@@ -2906,6 +3519,7 @@ class DownloadManager {
       ...dbStats,
       maxConcurrent: config.downloads.maxConcurrent,
       processing: this.processing,
+      scheduleBlocked: this.scheduleBlocked,
       locked: this.processingLock,
       chunkedConfig: {
         threshold: this.chunkedConfig.sizeThreshold,
@@ -2973,27 +3587,49 @@ class DownloadManager {
   }
 
   /**
-   * Obtiene el tamaño de un archivo remoto mediante HEAD request
+   * URL de descarga de un archivo del catálogo en el servidor principal
+   *
+   * @private
+   * @param {number} id - ID del archivo
+   * @returns {string} URL completa
+   * @throws {Error} Si el archivo no está en la base de datos
+   */
+  _buildDownloadUrl(id) {
+    const fileInfo = database.getFileDownloadInfo(id);
+    if (!fileInfo) {
+      throw new Error('Archivo no encontrado en la base de datos');
+    }
+
+    if (fileInfo.url.startsWith('http')) return fileInfo.url;
+    const urlParts = fileInfo.url.split('/').map(part => encodeURIComponent(part));
+    return `https://myrient.erista.me/files/${urlParts.join('/')}`;
+  }
+
+  /**
+   * Obtiene el tamaño y la versión de un archivo remoto mediante HEAD request
    *
-   * Realiza una petición HEAD para obtener el tamaño del archivo sin descargarlo.
+   * Realiza una petición HEAD para obtener el tamaño del archivo sin descargarlo,
+   * junto con el ETag y el Last-Modified que identifican su versión en el servidor.
    * Soporta reintentos automáticos y circuit breaker para manejar errores de red.
    *
    * @private
    * @param {string} url - URL del archivo remoto
    * @param {number} [retries=config.network.maxRetries] - Número máximo de reintentos
-   * @returns {Promise<number>} Tamaño del archivo en bytes, o 0 si no se pudo obtener
+   * @returns {Promise<{size: number, etag: string|null, lastModified: string|null, host: string}>}
+   *   size es 0 si no se pudo obtener
    *
    * @example
-   * const fileSize = await this._getFileSize('https://myrient.erista.me/files/archivo.zip');
-   * if (fileSize > 0) {
-   *   console.log(`Tamaño del archivo: ${fileSize} bytes`);
+   * const remote = await this._getRemoteFileInfo('https://myrient.erista.me/files/archivo.zip');
+   * if (remote.size > 0) {
+   *   console.log(`Tamaño del archivo: ${remote.size} bytes (ETag ${remote.etag})`);
    * } else {
    *   console.log('No se pudo obtener el tamaño del archivo');
    * }
    */
-  async _getFileSize(url, retries = config.network.maxRetries) {
+  async _getRemoteFileInfo(url, retries = config.network.maxRetries) {
     // Obtener circuit breaker apropiado
     const circuitBreaker = this._getHostCircuitBreaker(url);
+    const unknown = { size: 0, etag: null, lastModified: null, host: new URL(url).hostname };
 
     // Operación protegida por circuit breaker
     const operation = async () => {
@@ -3002,7 +3638,7 @@ class DownloadManager {
         let headRequest = null;
 
         try {
-          headRequest = net.request({ method: 'HEAD', url });
+          headRequest = networkProfile.request({ method: 'HEAD', url });
 
           const timeoutPromise = new Promise((_, reject) => {
             timeoutId = setTimeout(() => {
@@ -3028,7 +3664,12 @@ class DownloadManager {
           if (timeoutId) clearTimeout(timeoutId);
 
           const size = parseInt(response.headers['content-length'] || 0, 10);
-          return Math.max(0, size);
+          return {
+            ...unknown,
+            size: Math.max(0, size),
+            etag: getHeader(response.headers, 'etag'),
+            lastModified: getHeader(response.headers, 'last-modified'),
+          };
         } catch (error) {
           if (timeoutId) clearTimeout(timeoutId);
 
@@ -3052,20 +3693,20 @@ class DownloadManager {
       try {
         return await circuitBreaker.execute(operation, () => {
           log.warn(`[CircuitBreaker] Request rechazado para ${url} (circuit abierto)`);
-          return 0; // Fallback: retornar 0 si circuit está abierto
+          return unknown; // Fallback: tamaño 0 si circuit está abierto
         });
       } catch (error) {
         // El circuit breaker ya registró el error
-        log.error(`[CircuitBreaker] Error en _getFileSize para ${url}:`, error.message);
-        return 0;
+        log.error(`[CircuitBreaker] Error en _getRemoteFileInfo para ${url}:`, error.message);
+        return unknown;
       }
     } else {
       // Sin circuit breaker, ejecutar directamente
       try {
         return await operation();
       } catch (error) {
-        log.error(`Error en _getFileSize para ${url}:`, error.message);
-        return 0;
+        log.error(`Error en _getRemoteFileInfo para ${url}:`, error.message);
+        return unknown;
       }
     }
   }
@@ -3384,11 +4025,280 @@ class DownloadManager {
    */
   _sendProgress(progressInfo) {
     if (this.mainWindow && !this.mainWindow.isDestroyed()) {
-      if (['completed', 'interrupted', 'cancelled'].includes(progressInfo.state)) {
+      if (['completed', 'interrupted', 'cancelled', 'verify_failed'].includes(progressInfo.state)) {
         log.info(`Enviando estado '${progressInfo.state}' para descarga ${progressInfo.id}`);
       }
       this.mainWindow.webContents.send('download-progress', progressInfo);
     }
+
+    // Suscriptores externos del progreso (API HTTP local)
+    if (this.progressThrottler) {
+      this.progressThrottler.publish([progressInfo]);
+    }
+
+    this._updatePowerSaveBlocker();
+    this._updateFolderBatches(progressInfo);
+  }
+
+  /**
+   * Comprueba si las descargas completadas tienen otra versión en el servidor
+   *
+   * Hace una petición HEAD por descarga (config.downloads.updateCheckConcurrency
+   * a la vez) al servidor del que se descargó si sigue configurado, y compara
+   * el tamaño, el ETag y el Last-Modified con los guardados. Las descargas
+   * anteriores a que se guardara la versión solo se comparan por tamaño.
+   *
+   * Con cancelCompletedUpdateCheck() deja de lanzar peticiones y devuelve lo
+   * comprobado hasta entonces (cancelled: true).
+   *
+   * @param {Object} [options={}] - Opciones
+   * @param {function(Object): void} [options.onProgress] - Recibe { total, done, checked, unavailable, changed }
+   *   como mucho cada config.downloads.updateCheckProgressInterval
+   * @returns {Promise<{success: boolean, data?: {total: number, checked: number, unavailable: number, changed: Array<Object>, cancelled: boolean}, error?: string}>}
+   *   changed: { id, title, savePath, reason, previousSize, size }
+   */
+  async checkCompletedForUpdates({ onProgress } = {}) {
+    if (this.updateCheck) {
+      return { success: false, error: 'Ya hay una búsqueda de actualizaciones en curso' };
+    }
+
+    const completed = queueDatabase.getByState(DownloadState.COMPLETED);
+    const state = { cancelRequested: false };
+    const changed = [];
+    let checked = 0;
+    let unavailable = 0;
+    let next = 0;
+    let lastProgressAt = 0;
+
+    const reportProgress = (force = false) => {
+      const now = Date.now();
+      if (
+        !onProgress ||
+        (!force && now - lastProgressAt < config.downloads.updateCheckProgressInterval)
+      ) {
+        return;
+      }
+      lastProgressAt = now;
+      onProgress({
+        total: completed.length,
+        done: checked + unavailable,
+        checked,
+        unavailable,
+        changed: changed.length,
+      });
+    };
+
+    const worker = async () => {
+      while (!state.cancelRequested && next < completed.length) {
+        const download = completed[next++];
+        const result = await this._checkCompletedDownload(download);
+        if (!result) {
+          unavailable++;
+        } else {
+          checked++;
+          if (result.reason) changed.push(result);
+        }
+        reportProgress();
+      }
+    };
+
+    log.info(`[DownloadManager] Buscando actualizaciones de ${completed.length} descargas`);
+    this.updateCheck = state;
+    try {
+      reportProgress(true);
+      const workers = Math.min(config.downloads.updateCheckConcurrency, completed.length);
+      await Promise.all(Array.from({ length: workers }, worker));
+      reportProgress(true);
+    } finally {
+      this.updateCheck = null;
+    }
+
+    const cancelled = state.cancelRequested;
+    log.info(
+      `[DownloadManager] Actualizaciones${cancelled ? ' (cancelada)' : ''}: ${changed.length} cambiadas de ${checked} comprobadas (${unavailable} sin respuesta)`
+    );
+    return {
+      success: true,
+      data: { total: completed.length, checked, unavailable, changed, cancelled },
+    };
+  }
+
+  /**
+   * Cancela la búsqueda de actualizaciones en curso
+   *
+   * Las peticiones ya lanzadas terminan y la búsqueda devuelve lo comprobado.
+   *
+   * @returns {boolean} true si había una búsqueda que cancelar
+   */
+  cancelCompletedUpdateCheck() {
+    if (!this.updateCheck) return false;
+    this.updateCheck.cancelRequested = true;
+    log.info('[DownloadManager] Cancelación de la búsqueda de actualizaciones solicitada');
+    return true;
+  }
+
+  /**
+   * Compara una descarga completada con la versión del servidor
+   *
+   * @private
+   * @param {Object} download - Descarga completada de queueDatabase
+   * @returns {Promise<Object|null>} null si no se pudo comprobar; si no,
+   *   { id, title, savePath, reason, previousSize, size } con reason null si no cambió
+   */
+  async _checkCompletedDownload(download) {
+    const isHostAvailable = url => !this._getHostCircuitBreaker(url)?.isOpen();
+    let downloadUrl;
+    try {
+      const url = this._buildDownloadUrl(download.id);
+      downloadUrl =
+        [url, ...mirrorManager.getAlternateUrls(url, isHostAvailable)].find(
+          candidate => new URL(candidate).hostname === download.remoteHost
+        ) || mirrorManager.resolveUrl(url, isHostAvailable);
+    } catch (error) {
+      log.debug(`[DownloadManager] ${download.title} no se puede comprobar:`, error.message);
+      return null;
+    }
+
+    const remote = await this._getRemoteFileInfo(downloadUrl, 1);
+    if (!remote.size && !remote.etag && !remote.lastModified) {
+      return null;
+    }
+
+    return {
+      id: download.id,
+      title: download.title,
+      savePath: download.savePath,
+      reason: getRemoteChange(
+        {
+          etag: download.etag,
+          lastModified: download.lastModified,
+          host: download.remoteHost,
+          size: download.totalBytes || 0,
+        },
+        remote
+      ),
+      previousSize: download.totalBytes || 0,
+      size: remote.size,
+    };
+  }
+
+  /**
+   * Crea el lote de una carpeta encolada para seguir sus descargas como un todo
+   *
+   * El lote se guarda en la BD, así que sobrevive a reinicios. Cuando todas sus
+   * descargas llegan a un estado final (BATCH_FINAL_STATES) se marca como
+   * terminado y se envía al renderer ('folder-batch-finished') qué se hizo con
+   * los archivos que ya existían.
+   *
+   * @param {Object} batch - Carpeta encolada
+   * @param {string} batch.title - Nombre de la carpeta
+   * @param {number|null} [batch.folderId] - ID de la carpeta en el catálogo
+   * @param {Array<{id: number, catalogBytes?: number|null}>} batch.downloads - Descargas agregadas
+   * @returns {number|null} ID del lote (null si no hay descargas o no se pudo crear)
+   */
+  createFolderBatch({ title, folderId = null, downloads }) {
+    if (!Array.isArray(downloads) || downloads.length === 0) return null;
+    return queueDatabase.createBatch({ title, folderId, downloads });
+  }
+
+  /**
+   * Actualiza el lote de una descarga que empieza o termina
+   *
+   * Una descarga que vuelve a empezar reabre su lote si ya estaba terminado;
+   * la última que llega a un estado final lo termina.
+   *
+   * @private
+   * @param {Object} progressInfo - Progreso enviado por _sendProgress
+   * @returns {void}
+   */
+  _updateFolderBatches(progressInfo) {
+    const { id, state } = progressInfo;
+    const isFinal = [
+      'completed',
+      'interrupted',
+      'cancelled',
+      'verify_failed',
+      'awaiting-confirmation',
+    ].includes(state);
+    if (state !== 'starting' && !isFinal) return;
+
+    const batchId = queueDatabase.getBatchIdOfDownload(id);
+    if (!batchId) return;
+
+    const batch = queueDatabase.getBatch(batchId);
+    if (!batch) return;
+
+    if (state === 'starting') {
+      if (batch.finishedAt) queueDatabase.setBatchFinished(batchId, false);
+      return;
+    }
+
+    const dbState = queueDatabase.getById(id)?.state || DownloadState.CANCELLED;
+    if (!BATCH_FINAL_STATES.includes(dbState) || batch.finishedAt) return;
+
+    const pending = batch.queued + batch.downloading + batch.paused + batch.verifying;
+    if (pending > 0) return;
+
+    queueDatabase.setBatchFinished(batchId, true);
+    this._finishFolderBatch(batch);
+  }
+
+  /**
+   * Registra y notifica el resumen de un lote terminado
+   *
+   * @private
+   * @param {Object} batch - Resumen del lote (queueDatabase.getBatch)
+   * @returns {void}
+   */
+  _finishFolderBatch(batch) {
+    const ids = queueDatabase.getBatchDownloads(batch.id).map(download => download.id);
+    const conflicts = queueDatabase.getConflictSummary(ids, batch.createdAt);
+    const conflictCount = Object.values(conflicts).reduce((total, count) => total + count, 0);
+
+    log.info(
+      `Lote terminado: ${batch.title} (${batch.total} archivos, ${batch.completed} completados, ${batch.failed} con error, ${conflictCount} ya existían)`,
+      conflicts
+    );
+
+    if (this.mainWindow && !this.mainWindow.isDestroyed()) {
+      this.mainWindow.webContents.send('folder-batch-finished', {
+        batchId: batch.id,
+        title: batch.title,
+        total: batch.total,
+        completed: batch.completed,
+        failed: batch.failed,
+        cancelled: batch.cancelled,
+        conflicts,
+        conflictCount,
+      });
+    }
+  }
+
+  /**
+   * Impide que el equipo se suspenda mientras hay descargas en curso
+   *
+   * Mantiene un powerSaveBlocker ('prevent-app-suspension') mientras haya
+   * descargas activas (simples o fragmentadas) y lo libera al quedar inactivo.
+   * Solo actúa cuando cambia el estado, así que se puede llamar en cada
+   * actualización de progreso.
+   *
+   * @private
+   * @returns {void}
+   */
+  _updatePowerSaveBlocker() {
+    const downloading = this.activeDownloads.size + this.chunkedDownloads.size > 0;
+    const blocking = this.powerSaveBlockerId !== null;
+
+    if (downloading && !blocking) {
+      this.powerSaveBlockerId = powerSaveBlocker.start('prevent-app-suspension');
+      log.info('Suspensión del equipo bloqueada mientras hay descargas en curso');
+    } else if (!downloading && blocking) {
+      if (powerSaveBlocker.isStarted(this.powerSaveBlockerId)) {
+        powerSaveBlocker.stop(this.powerSaveBlockerId);
+      }
+      this.powerSaveBlockerId = null;
+      log.info('Sin descargas en curso, suspensión del equipo permitida');
+    }
   }
 
   /**
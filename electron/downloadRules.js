@@ -0,0 +1,316 @@
+/**
+ * @fileoverview Reglas de destino por carpeta del catálogo
+ * @module downloadRules
+ *
+ * Guarda en el directorio de configuración (download-rules.json) una lista
+ * de reglas que deciden dónde se guarda cada archivo al encolarlo, en lugar
+ * de la carpeta de descarga (con o sin la estructura del servidor). Por ejemplo:
+ * - 'No-Intro/Nintendo - Game Boy/*' → 'D:/Roms/gb/{title}'
+ * - 'Redump/**' → '{collection}/{system}/{region}/{title}'
+ *
+ * La ruta del catálogo se compara por prefijo: '*' equivale a cualquier
+ * texto dentro de un nivel y '**' a cualquier número de niveles. Se aplica
+ * la primera regla activa que coincide.
+ *
+ * El destino es una plantilla con marcadores ({title}, {name}, {ext},
+ * {system}, {collection}, {folder}, {region}). Si es relativa, cuelga de la
+ * carpeta de descarga; si no incluye {title} ni {name}, el nombre del
+ * archivo se añade al final. Los marcadores sin valor eliminan su nivel.
+ *
+ * @author Myrient Downloader
+ * @version 1.0.0
+ */
+
+/**
+ * @typedef {Object} DownloadRule
+ * @property {string} id - Identificador de la regla
+ * @property {boolean} enabled - Si la regla se aplica
+ * @property {string} pattern - Ruta del catálogo (p. ej. 'No-Intro/Nintendo - Game Boy/*')
+ * @property {string} target - Plantilla de destino (p. ej. 'D:/Roms/gb/{title}')
+ * @property {boolean} stripTags - Quitar las etiquetas entre paréntesis y corchetes del nombre
+ */
+
+const path = require('path');
+const config = require('./config');
+const database = require('./database');
+const { parseRomTitle } = require('./utils/romSelection.mjs');
+const {
+  logger,
+  readJSONFile,
+  writeJSONFile,
+  sanitizeFilename,
+  validateAndSanitizeDownloadPath,
+} = require('./utils');
+
+const log = logger.child('DownloadRules');
+
+// Marcadores admitidos en la plantilla de destino
+const PLACEHOLDERS = ['title', 'name', 'ext', 'system', 'collection', 'folder', 'region'];
+
+/**
+ * Convierte la ruta del catálogo de una regla en una expresión regular de prefijo
+ *
+ * @param {string} pattern - Ruta del catálogo con comodines
+ * @returns {RegExp}
+ */
+function patternToRegExp(pattern) {
+  const source = pattern
+    .trim()
+    .replace(/\\/g, '/')
+    .replace(/^\/+|\/+$/g, '')
+    .split(/(\*\*|\*)/)
+    .map(part => {
+      if (part === '**') return '.*';
+      if (part === '*') return '[^/]*';
+      return part.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('');
+
+  return new RegExp(`^${source}(?:/|$)`, 'i');
+}
+
+/**
+ * Marcadores de la plantilla que no están admitidos
+ *
+ * @param {string} target - Plantilla de destino
+ * @returns {string[]}
+ */
+function getUnknownPlaceholders(target) {
+  const used = (target.match(/\{([^}]*)\}/g) || []).map(match => match.slice(1, -1));
+  return used.filter(name => !PLACEHOLDERS.includes(name));
+}
+
+/**
+ * Valores de los marcadores para un archivo
+ *
+ * @param {string[]} folders - Carpetas del catálogo desde la raíz
+ * @param {string} title - Nombre del archivo en el servidor
+ * @param {boolean} stripTags - Quitar las etiquetas del nombre
+ * @returns {Object<string, string>}
+ */
+function getPlaceholderValues(folders, title, stripTags) {
+  const ext = (title.match(/\.[a-z0-9]{1,4}$/i) || [''])[0];
+  let name = title.slice(0, title.length - ext.length);
+
+  if (stripTags) {
+    name =
+      name
+        .replace(/\s*(\([^)]*\)|\[[^\]]*\])/g, '')
+        .replace(/\s+/g, ' ')
+        .trim() || name;
+  }
+
+  return {
+    title: `${name}${ext}`,
+    name,
+    ext: ext.slice(1),
+    collection: folders[0] || '',
+    system: folders[1] || folders[0] || '',
+    folder: folders[folders.length - 1] || '',
+    region: parseRomTitle(title).regions[0] || '',
+  };
+}
+
+/**
+ * Construye la ruta de guardado de un archivo según una regla
+ *
+ * @param {DownloadRule} rule - Regla que coincide con el archivo
+ * @param {string[]} folders - Carpetas del catálogo desde la raíz
+ * @param {string} title - Nombre del archivo en el servidor
+ * @param {string|null} downloadPath - Carpeta de descarga configurada
+ * @returns {{success: boolean, data?: string, error?: string}}
+ */
+function buildRuleSavePath(rule, folders, title, downloadPath) {
+  let template = rule.target.trim();
+  if (!/\{(title|name)\}/.test(template)) {
+    template = `${template.replace(/[\\/]+$/, '')}/{title}`;
+  }
+
+  const root = path.isAbsolute(template) ? path.parse(template).root : null;
+  if (!root && !downloadPath) {
+    return {
+      success: false,
+      error: 'El destino es relativo y no hay carpeta de descarga configurada',
+    };
+  }
+
+  const values = getPlaceholderValues(folders, title, rule.stripTags);
+  const segments = template
+    .slice(root ? root.length : 0)
+    .split(/[\\/]+/)
+    .map(segment =>
+      segment.replace(/\{([a-z]+)\}/g, (match, key) =>
+        values[key] ? sanitizeFilename(values[key]) : ''
+      )
+    )
+    .map(segment => segment.trim())
+    .filter(segment => segment.length > 0)
+    .map(segment => sanitizeFilename(segment));
+
+  const savePath = path.join(root || downloadPath, ...segments);
+
+  // Mismas carpetas permitidas que la carpeta de descarga
+  const validation = validateAndSanitizeDownloadPath(path.dirname(savePath));
+  if (!validation.valid) {
+    return { success: false, error: validation.error };
+  }
+
+  return { success: true, data: path.join(validation.path, path.basename(savePath)) };
+}
+
+/**
+ * Aplica las reglas de destino por carpeta
+ *
+ * @class DownloadRules
+ * @example
+ * const downloadRules = require('./downloadRules');
+ * const ruled = downloadRules.resolve({ id: 12345, title: 'Tetris (World).zip', downloadPath });
+ * // ruled = { ruleId: 'rule-1', savePath: 'D:/Roms/gb/Tetris (World).zip' } o null
+ */
+class DownloadRules {
+  /**
+   * Crea una nueva instancia de DownloadRules
+   *
+   * @constructor
+   */
+  constructor() {
+    this.rules = null;
+  }
+
+  /**
+   * Obtiene las reglas guardadas
+   *
+   * @returns {Array<DownloadRule>}
+   */
+  getRules() {
+    if (!this.rules) {
+      const saved = readJSONFile(config.downloadRules.fileName);
+      this.rules = Array.isArray(saved?.rules) ? saved.rules : [];
+    }
+    return this.rules;
+  }
+
+  /**
+   * Guarda las reglas
+   *
+   * @param {Array<DownloadRule>} rules - Reglas ya validadas
+   * @returns {{success: boolean, data?: Array<DownloadRule>, error?: string}}
+   */
+  saveRules(rules) {
+    for (const rule of rules) {
+      const unknown = getUnknownPlaceholders(rule.target);
+      if (unknown.length > 0) {
+        return {
+          success: false,
+          error: `Marcador desconocido en el destino: {${unknown[0]}}. Admitidos: ${PLACEHOLDERS.map(name => `{${name}}`).join(', ')}`,
+        };
+      }
+    }
+
+    if (!writeJSONFile(config.downloadRules.fileName, { rules })) {
+      return { success: false, error: 'No se pudieron guardar las reglas de destino' };
+    }
+
+    this.rules = rules;
+    log.info(`Reglas de destino guardadas: ${rules.length}`);
+    return { success: true, data: rules };
+  }
+
+  /**
+   * Carpetas del catálogo que contienen un nodo, desde la raíz
+   *
+   * @param {number} nodeId - ID del archivo o carpeta
+   * @returns {string[]}
+   */
+  getCatalogFolders(nodeId) {
+    return database
+      .getFileAncestorPath(nodeId)
+      .map(ancestor => ancestor.title.replace(/\/$/, ''))
+      .filter(Boolean);
+  }
+
+  /**
+   * Calcula la ruta de guardado de un archivo al encolarlo
+   *
+   * @param {Object} download - Descarga a encolar
+   * @param {number} download.id - ID del archivo en el catálogo
+   * @param {string} download.title - Nombre del archivo
+   * @param {string|null} [download.downloadPath] - Carpeta de descarga configurada
+   * @param {string[]} [folders] - Carpetas del catálogo (se consultan si no se indican)
+   * @returns {{ruleId: string, savePath: string}|null} null si ninguna regla se aplica
+   */
+  resolve({ id, title, downloadPath }, folders = null) {
+    const rules = this.getRules().filter(rule => rule.enabled);
+    if (rules.length === 0) return null;
+
+    const catalogFolders = folders || this.getCatalogFolders(id);
+    const rule = this._findRule(rules, catalogFolders, title);
+    if (!rule) return null;
+
+    const result = buildRuleSavePath(rule, catalogFolders, title, downloadPath || null);
+    if (!result.success) {
+      log.warn(`Regla '${rule.pattern}' no aplicada a ${title}: ${result.error}`);
+      return null;
+    }
+
+    return { ruleId: rule.id, savePath: result.data };
+  }
+
+  /**
+   * Vista previa de unas reglas (sin guardar) para una ruta de ejemplo
+   *
+   * @param {Array<DownloadRule>} rules - Reglas ya validadas
+   * @param {string} samplePath - Ruta del catálogo de un archivo (p. ej. 'No-Intro/Nintendo - Game Boy/Tetris (World).zip')
+   * @param {string|null} downloadPath - Carpeta de descarga configurada
+   * @returns {{success: boolean, data?: {ruleId: string|null, savePath: string|null}, error?: string}}
+   */
+  preview(rules, samplePath, downloadPath) {
+    const segments = samplePath
+      .split(/[\\/]+/)
+      .map(segment => segment.trim())
+      .filter(Boolean);
+    if (segments.length === 0) {
+      return { success: false, error: 'Indica la ruta de un archivo del catálogo' };
+    }
+
+    const title = segments.pop();
+    const rule = this._findRule(
+      rules.filter(candidate => candidate.enabled),
+      segments,
+      title
+    );
+    if (!rule) {
+      return { success: true, data: { ruleId: null, savePath: null } };
+    }
+
+    const unknown = getUnknownPlaceholders(rule.target);
+    if (unknown.length > 0) {
+      return { success: false, error: `Marcador desconocido en el destino: {${unknown[0]}}` };
+    }
+
+    const result = buildRuleSavePath(rule, segments, title, downloadPath || null);
+    if (!result.success) {
+      return result;
+    }
+
+    return { success: true, data: { ruleId: rule.id, savePath: result.data } };
+  }
+
+  /**
+   * Primera regla que coincide con la ruta del catálogo de un archivo
+   *
+   * @private
+   * @param {Array<DownloadRule>} rules - Reglas activas
+   * @param {string[]} folders - Carpetas del catálogo desde la raíz
+   * @param {string} title - Nombre del archivo
+   * @returns {DownloadRule|null}
+   */
+  _findRule(rules, folders, title) {
+    const catalogPath = [...folders, title].join('/');
+    return rules.find(rule => patternToRegExp(rule.pattern).test(catalogPath)) || null;
+  }
+}
+
+// Exportar instancia única (singleton)
+module.exports = new DownloadRules();
+module.exports.DownloadRules = DownloadRules;
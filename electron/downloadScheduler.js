@@ -0,0 +1,305 @@
+/**
+ * @fileoverview Programación semanal de descargas
+ * @module downloadScheduler
+ *
+ * Guarda en el directorio de configuración (download-schedule.json) una lista
+ * de franjas semanales. Cada franja indica si la cola puede iniciar descargas
+ * y, opcionalmente, un límite de velocidad. Por ejemplo:
+ * - 01:00 - 07:00 todos los días: permitir, sin límite
+ * - 09:00 - 18:00 de lunes a viernes: permitir, 2 MB/s
+ *
+ * La primera franja que coincide con la hora actual es la regla activa.
+ * Fuera de todas las franjas se aplica defaultAction sin límite de velocidad.
+ * Si la hora de fin es anterior a la de inicio, la franja cruza la medianoche
+ * y pertenece al día en que empieza.
+ *
+ * El DownloadManager aplica la regla activa (ver _applySchedule): bloquea el
+ * inicio de nuevas descargas y ajusta el límite del BandwidthManager.
+ *
+ * @author Myrient Downloader
+ * @version 1.0.0
+ */
+
+/**
+ * @typedef {Object} ScheduleRule
+ * @property {string} id - Identificador de la franja
+ * @property {string} [label] - Nombre visible (p. ej. "Horario laboral")
+ * @property {Array<number>} days - Días de la semana (0 = domingo ... 6 = sábado)
+ * @property {string} start - Hora de inicio (HH:MM)
+ * @property {string} end - Hora de fin (HH:MM, exclusiva)
+ * @property {'allow'|'pause'} action - Permitir descargas o pausar la cola
+ * @property {number} [maxBytesPerSecond] - Límite de velocidad (0 = ilimitado)
+ */
+
+/**
+ * @typedef {Object} DownloadSchedule
+ * @property {boolean} enabled - Si la programación está activa
+ * @property {'allow'|'pause'} defaultAction - Acción fuera de todas las franjas
+ * @property {Array<ScheduleRule>} rules - Franjas en orden de prioridad
+ */
+
+/**
+ * @typedef {Object} ScheduleState
+ * @property {boolean} enabled - Si la programación está activa
+ * @property {string|null} ruleId - Franja activa (null = ninguna)
+ * @property {string|null} label - Nombre de la franja activa
+ * @property {boolean} allowDownloads - Si la cola puede iniciar descargas
+ * @property {number} maxBytesPerSecond - Límite de velocidad (0 = ilimitado)
+ * @property {number|null} until - Timestamp del próximo cambio de franja (null = sin cambios)
+ */
+
+const config = require('./config');
+const { logger, readJSONFile, writeJSONFile } = require('./utils');
+
+const log = logger.child('DownloadScheduler');
+
+const MINUTES_PER_DAY = 24 * 60;
+const MINUTES_PER_WEEK = 7 * MINUTES_PER_DAY;
+
+/** @type {DownloadSchedule} */
+const DEFAULT_SCHEDULE = {
+  enabled: false,
+  defaultAction: 'allow',
+  rules: [],
+};
+
+/**
+ * Convierte una hora HH:MM en minutos desde la medianoche
+ *
+ * @param {string} time - Hora en formato HH:MM
+ * @returns {number}
+ */
+function toMinutes(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+/**
+ * Indica si una franja incluye el minuto indicado de la semana
+ *
+ * @param {ScheduleRule} rule - Franja a comprobar
+ * @param {number} day - Día de la semana (0 = domingo)
+ * @param {number} minute - Minuto del día (0-1439)
+ * @returns {boolean}
+ */
+function ruleMatches(rule, day, minute) {
+  const start = toMinutes(rule.start);
+  const end = toMinutes(rule.end);
+
+  // Inicio y fin iguales: el día completo
+  if (start === end) {
+    return rule.days.includes(day);
+  }
+
+  if (start < end) {
+    return rule.days.includes(day) && minute >= start && minute < end;
+  }
+
+  // Cruza la medianoche: desde start hasta fin del día y desde 00:00 hasta end del día siguiente
+  const previousDay = (day + 6) % 7;
+  return (
+    (rule.days.includes(day) && minute >= start) ||
+    (rule.days.includes(previousDay) && minute < end)
+  );
+}
+
+/**
+ * Aplica la programación semanal de descargas
+ *
+ * @class DownloadScheduler
+ * @example
+ * const downloadScheduler = require('./downloadScheduler');
+ * downloadScheduler.start(state => {
+ *   console.log(state.allowDownloads, state.maxBytesPerSecond);
+ * });
+ */
+class DownloadScheduler {
+  /**
+   * Crea una nueva instancia de DownloadScheduler
+   *
+   * @constructor
+   */
+  constructor() {
+    this.schedule = null;
+    this.timer = null;
+    this.onChange = null;
+    this.lastStateKey = null;
+  }
+
+  /**
+   * Obtiene la programación guardada (o la predeterminada si no existe)
+   *
+   * @returns {DownloadSchedule}
+   */
+  getSchedule() {
+    if (!this.schedule) {
+      const saved = readJSONFile(config.schedule.fileName);
+      this.schedule = {
+        ...DEFAULT_SCHEDULE,
+        ...(saved || {}),
+        rules: Array.isArray(saved?.rules) ? saved.rules : [],
+      };
+    }
+    return this.schedule;
+  }
+
+  /**
+   * Guarda la programación y aplica la franja activa inmediatamente
+   *
+   * @param {DownloadSchedule} schedule - Programación ya validada
+   * @returns {{success: boolean, data?: ScheduleState, error?: string}}
+   */
+  saveSchedule(schedule) {
+    if (!writeJSONFile(config.schedule.fileName, schedule)) {
+      return { success: false, error: 'No se pudo guardar la programación de descargas' };
+    }
+
+    this.schedule = schedule;
+    log.info(
+      `Programación guardada: ${schedule.enabled ? 'activa' : 'inactiva'}, ${schedule.rules.length} franjas`
+    );
+
+    return { success: true, data: this.refresh(true) };
+  }
+
+  /**
+   * Calcula la franja activa en un momento dado
+   *
+   * @param {Date} [date=new Date()] - Momento a evaluar
+   * @returns {ScheduleState}
+   */
+  getActiveState(date = new Date()) {
+    const schedule = this.getSchedule();
+
+    if (!schedule.enabled) {
+      return {
+        enabled: false,
+        ruleId: null,
+        label: null,
+        allowDownloads: true,
+        maxBytesPerSecond: 0,
+        until: null,
+      };
+    }
+
+    const day = date.getDay();
+    const minute = date.getHours() * 60 + date.getMinutes();
+    const rule = this._findRule(day, minute);
+
+    return {
+      enabled: true,
+      ruleId: rule ? rule.id : null,
+      label: rule ? rule.label || `${rule.start} - ${rule.end}` : null,
+      allowDownloads: (rule ? rule.action : schedule.defaultAction) !== 'pause',
+      maxBytesPerSecond: rule && rule.action !== 'pause' ? rule.maxBytesPerSecond || 0 : 0,
+      until: this._findNextChange(date, rule),
+    };
+  }
+
+  /**
+   * Empieza a comprobar la programación periódicamente
+   *
+   * @param {Function} onChange - Recibe (ScheduleState) al arrancar y cada vez que cambia la franja activa
+   * @returns {void}
+   */
+  start(onChange) {
+    this.stop();
+    this.onChange = onChange;
+    this.lastStateKey = null;
+
+    this.refresh();
+    this.timer = setInterval(() => this.refresh(), config.schedule.checkInterval);
+  }
+
+  /**
+   * Vuelve a evaluar la programación y notifica si la franja activa cambió
+   *
+   * @param {boolean} [force=false] - Notificar aunque no haya cambiado
+   * @returns {ScheduleState}
+   */
+  refresh(force = false) {
+    const state = this.getActiveState();
+    const stateKey = `${state.enabled}|${state.ruleId}|${state.allowDownloads}|${state.maxBytesPerSecond}`;
+
+    if (force || stateKey !== this.lastStateKey) {
+      this.lastStateKey = stateKey;
+
+      if (state.enabled) {
+        log.info(
+          `Franja activa: ${state.label || 'fuera de franja'} (${
+            state.allowDownloads ? 'descargas permitidas' : 'cola en pausa'
+          }, límite ${
+            state.maxBytesPerSecond > 0
+              ? `${(state.maxBytesPerSecond / (1024 * 1024)).toFixed(1)} MB/s`
+              : 'ninguno'
+          })`
+        );
+      }
+
+      if (this.onChange) {
+        try {
+          this.onChange(state);
+        } catch (error) {
+          log.error('Error aplicando la programación de descargas:', error);
+        }
+      }
+    }
+
+    return state;
+  }
+
+  /**
+   * Detiene la comprobación periódica
+   *
+   * @returns {void}
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    this.onChange = null;
+  }
+
+  /**
+   * Busca la primera franja que incluye el minuto indicado
+   *
+   * @private
+   * @param {number} day - Día de la semana (0 = domingo)
+   * @param {number} minute - Minuto del día
+   * @returns {ScheduleRule|null}
+   */
+  _findRule(day, minute) {
+    return this.getSchedule().rules.find(rule => ruleMatches(rule, day, minute)) || null;
+  }
+
+  /**
+   * Calcula cuándo dejará de estar activa la franja actual
+   *
+   * Recorre la semana minuto a minuto (como mucho 10.080 comprobaciones).
+   *
+   * @private
+   * @param {Date} date - Momento actual
+   * @param {ScheduleRule|null} currentRule - Franja activa
+   * @returns {number|null} Timestamp del cambio o null si la semana entera es igual
+   */
+  _findNextChange(date, currentRule) {
+    const currentId = currentRule ? currentRule.id : null;
+    const next = new Date(date);
+    next.setSeconds(0, 0);
+
+    for (let i = 1; i <= MINUTES_PER_WEEK; i++) {
+      next.setMinutes(next.getMinutes() + 1);
+      const rule = this._findRule(next.getDay(), next.getHours() * 60 + next.getMinutes());
+      if ((rule ? rule.id : null) !== currentId) {
+        return next.getTime();
+      }
+    }
+
+    return null;
+  }
+}
+
+// Exportar instancia única (singleton)
+module.exports = new DownloadScheduler();
+module.exports.DownloadScheduler = DownloadScheduler;
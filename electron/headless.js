@@ -0,0 +1,597 @@
+/**
+ * @fileoverview Modo sin ventana (--headless) para usar el gestor de descargas desde la terminal
+ * @module headless
+ *
+ * Permite buscar, encolar y consultar descargas sin crear la BrowserWindow,
+ * por ejemplo en un servidor sin pantalla al que se accede por SSH:
+ *
+ *   myrient-ddl --headless search "tetris"
+ *   myrient-ddl --headless enqueue 123456 --dest /srv/roms
+ *   myrient-ddl --headless enqueue "No-Intro/Nintendo - Game Boy/Tetris (World) (Rev 1).zip"
+ *   myrient-ddl --headless enqueue-folder "No-Intro/Nintendo - Game Boy" --1g1r
+ *   myrient-ddl --headless status
+ *
+ * (En desarrollo: npx electron . --headless <comando>)
+ *
+ * Los comandos usan los mismos handlers que el renderer (ipcHandlers.invokeHandler),
+ * así que la validación y la lógica de cola son idénticas a las de la interfaz.
+ * Tras encolar, el proceso muestra el progreso y espera a que terminen las
+ * descargas (salvo con --no-wait, que las deja en cola para la próxima ejecución
+ * o para la interfaz).
+ *
+ * Usa la misma cola (queue.db) que la interfaz, por lo que no conviene
+ * ejecutarlo mientras la aplicación está abierta.
+ *
+ * Códigos de salida: 0 = correcto, 1 = alguna operación o descarga falló,
+ * 2 = uso incorrecto (comando u opciones inválidas).
+ *
+ * @author Myrient Downloader
+ * @version 1.0.0
+ */
+
+const config = require('./config');
+const queueDatabase = require('./queueDatabase');
+const { readJSONFile, formatBytes } = require('./utils');
+const {
+  selectOneGameOneRom,
+  getPickedIds,
+  DEFAULT_REGION_PRIORITY,
+  DEFAULT_LANGUAGE_PRIORITY,
+} = require('./utils/romSelection.mjs');
+
+const EXIT_OK = 0;
+const EXIT_FAILURE = 1;
+const EXIT_USAGE = 2;
+
+// ID del nodo raíz del catálogo
+const ROOT_NODE_ID = 1;
+
+// Intervalo de comprobación del estado de las descargas en espera (ms)
+const POLL_INTERVAL = 1000;
+
+// Sin terminal interactiva (salida redirigida) el resumen se imprime con esta frecuencia (ms)
+const PLAIN_SUMMARY_INTERVAL = 10000;
+
+// Estados en los que una descarga ya no avanzará sin intervención
+const FINAL_STATES = ['completed', 'failed', 'cancelled', 'verify_failed', 'awaiting', 'paused'];
+
+const USAGE = `Uso: myrient-ddl --headless <comando> [opciones]
+
+Comandos:
+  search <término>               Busca en el catálogo
+  enqueue <id|ruta>              Descarga un archivo
+  enqueue-folder <id|ruta>       Descarga el contenido de una carpeta
+  status                         Muestra el estado de la cola
+
+Opciones:
+  --dest <carpeta>               Carpeta de destino (por defecto, la de la configuración)
+  --preserve-structure           Recrear la estructura de carpetas de Myrient
+  --flat                         Guardar todos los archivos en la carpeta de destino
+  --overwrite                    Sobrescribir archivos existentes
+  --on-conflict <política>       Si el archivo ya existe: ask, skip (mismo tamaño),
+                                 overwrite, rename o resume (por defecto, la de la configuración)
+  --1g1r                         (enqueue-folder) Un archivo por juego según las
+                                 preferencias de región e idioma de la configuración
+  --no-wait                      Encolar y salir sin esperar a que terminen
+  --limit <n>                    (search) Número máximo de resultados (por defecto 50)
+  --json                         (search, status) Salida en JSON
+
+Las rutas son relativas a la raíz del catálogo, separadas por "/".
+Códigos de salida: 0 = correcto, 1 = error en alguna descarga, 2 = uso incorrecto.`;
+
+/**
+ * Error de uso (comando u opciones inválidas)
+ *
+ * @private
+ */
+class UsageError extends Error {}
+
+/**
+ * Obtiene los argumentos que siguen a --headless
+ *
+ * @param {string[]} [argv=process.argv] - Argumentos del proceso
+ * @returns {string[]|null} Argumentos del comando o null si no se pidió el modo sin ventana
+ */
+function getHeadlessArgs(argv = process.argv) {
+  const index = argv.indexOf('--headless');
+  return index === -1 ? null : argv.slice(index + 1);
+}
+
+/**
+ * Separa los argumentos en comando, posicionales y opciones
+ *
+ * @param {string[]} args - Argumentos tras --headless
+ * @returns {{command: string|undefined, positional: string[], options: Object}}
+ */
+function parseArgs(args) {
+  const valueOptions = ['dest', 'limit', 'on-conflict'];
+  const flagOptions = [
+    'preserve-structure',
+    'flat',
+    'overwrite',
+    '1g1r',
+    'no-wait',
+    'json',
+    'help',
+  ];
+  const positional = [];
+  const options = {};
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (!arg.startsWith('--')) {
+      positional.push(arg);
+      continue;
+    }
+
+    const [name, inlineValue] = arg.slice(2).split(/=(.*)/s);
+    if (valueOptions.includes(name)) {
+      const value = inlineValue ?? args[++i];
+      if (value === undefined) throw new UsageError(`Falta el valor de --${name}`);
+      options[name] = value;
+    } else if (flagOptions.includes(name)) {
+      options[name] = true;
+    } else {
+      throw new UsageError(`Opción desconocida: --${name}`);
+    }
+  }
+
+  if (options['preserve-structure'] && options.flat) {
+    throw new UsageError('--preserve-structure y --flat no se pueden usar juntas');
+  }
+
+  const [command, ...rest] = positional;
+  return { command, positional: rest, options };
+}
+
+/**
+ * Escribe una línea en la salida estándar
+ *
+ * @private
+ * @param {string} [text=''] - Texto
+ * @returns {void}
+ */
+function print(text = '') {
+  process.stdout.write(`${text}\n`);
+}
+
+/**
+ * Escribe una línea en la salida de errores
+ *
+ * @private
+ * @param {string} text - Texto
+ * @returns {void}
+ */
+function printError(text) {
+  process.stderr.write(`${text}\n`);
+}
+
+/**
+ * Ejecuta un comando del modo sin ventana
+ *
+ * Requiere las bases de datos, el DownloadManager y los handlers IPC ya
+ * inicializados (ver main.js).
+ *
+ * @param {string[]} args - Argumentos tras --headless
+ * @param {Object} deps - Dependencias
+ * @param {Function} deps.invoke - Invoca un handler IPC: (channel, ...args) => Promise<Object>
+ * @param {Object} deps.progressThrottler - Instancia de ProgressThrottler
+ * @returns {Promise<number>} Código de salida
+ */
+async function runHeadless(args, { invoke, progressThrottler }) {
+  let parsed;
+  try {
+    parsed = parseArgs(args);
+  } catch (error) {
+    printError(error.message);
+    printError(USAGE);
+    return EXIT_USAGE;
+  }
+
+  const { command, positional, options } = parsed;
+  if (!command || options.help || command === 'help') {
+    print(USAGE);
+    return command || options.help ? EXIT_OK : EXIT_USAGE;
+  }
+
+  const commands = {
+    search: () => runSearch(invoke, positional, options),
+    enqueue: () => runEnqueue(invoke, progressThrottler, positional, options),
+    'enqueue-folder': () => runEnqueueFolder(invoke, progressThrottler, positional, options),
+    status: () => runStatus(options),
+  };
+
+  if (!commands[command]) {
+    printError(`Comando desconocido: ${command}`);
+    printError(USAGE);
+    return EXIT_USAGE;
+  }
+
+  try {
+    return await commands[command]();
+  } catch (error) {
+    printError(`Error: ${error.message}`);
+    if (error instanceof UsageError) {
+      printError(USAGE);
+      return EXIT_USAGE;
+    }
+    return EXIT_FAILURE;
+  }
+}
+
+// =====================
+// COMANDOS
+// =====================
+
+/**
+ * search <término>: lista los resultados de la búsqueda
+ *
+ * @private
+ * @returns {Promise<number>} Código de salida
+ */
+async function runSearch(invoke, positional, options) {
+  const term = positional.join(' ').trim();
+  if (!term) throw new UsageError('Indica el término de búsqueda');
+
+  const limit = options.limit === undefined ? 50 : Number(options.limit);
+  if (!Number.isInteger(limit) || limit <= 0) {
+    throw new UsageError('--limit debe ser un entero positivo');
+  }
+
+  const result = await invoke('search-db', term, { limit });
+  if (!result.success) {
+    printError(`Error en la búsqueda: ${result.error}`);
+    return EXIT_FAILURE;
+  }
+
+  const items = result.data || [];
+  if (options.json) {
+    print(JSON.stringify(items, null, 2));
+    return EXIT_OK;
+  }
+
+  if (items.length === 0) {
+    print('Sin resultados');
+    return EXIT_OK;
+  }
+
+  items.forEach(item => {
+    const location = item.type === 'folder' ? item.displayTitle : item.fullPath;
+    const size = item.type === 'file' && item.size ? formatBytes(item.size) : 'carpeta';
+    print(`${String(item.id).padStart(9)}  ${size.padStart(10)}  ${item.title}`);
+    if (location && location !== item.title) print(`${' '.repeat(23)}${location}`);
+  });
+  print(`\n${items.length} resultados${result.hasMore ? ' (hay más; usa --limit)' : ''}`);
+  return EXIT_OK;
+}
+
+/**
+ * enqueue <id|ruta>: encola un archivo y espera a que termine
+ *
+ * @private
+ * @returns {Promise<number>} Código de salida
+ */
+async function runEnqueue(invoke, progressThrottler, positional, options) {
+  if (positional.length !== 1) throw new UsageError('Indica un ID o una ruta de archivo');
+
+  const node = await resolveNode(invoke, positional[0]);
+  if (isFolder(node)) {
+    throw new UsageError(`"${node.title}" es una carpeta; usa enqueue-folder`);
+  }
+
+  const result = await invoke('download-file', {
+    id: node.id,
+    title: node.title,
+    ...getDownloadOptions(options),
+  });
+
+  if (!result.success) {
+    printError(`No se pudo encolar ${node.title}: ${result.error}`);
+    return EXIT_FAILURE;
+  }
+  if (result.completed) {
+    print(`Ya descargado: ${node.title}`);
+    return EXIT_OK;
+  }
+
+  print(`Encolado: ${node.title}`);
+  if (options['no-wait']) return EXIT_OK;
+
+  return waitForDownloads([node.id], progressThrottler);
+}
+
+/**
+ * enqueue-folder <id|ruta>: encola el contenido de una carpeta y espera a que termine
+ *
+ * @private
+ * @returns {Promise<number>} Código de salida
+ */
+async function runEnqueueFolder(invoke, progressThrottler, positional, options) {
+  if (positional.length !== 1) throw new UsageError('Indica un ID o una ruta de carpeta');
+
+  const node = await resolveNode(invoke, positional[0]);
+  if (!isFolder(node)) {
+    throw new UsageError(`"${node.title}" es un archivo; usa enqueue`);
+  }
+
+  const params = { folderId: node.id, ...getDownloadOptions(options) };
+
+  if (options['1g1r']) {
+    const filesResult = await invoke('get-folder-files', node.id);
+    if (!filesResult.success) {
+      printError(`No se pudieron obtener los archivos: ${filesResult.error}`);
+      return EXIT_FAILURE;
+    }
+
+    const settings = readJSONFile('download-settings.json') || {};
+    const files = filesResult.data || [];
+    const groups = selectOneGameOneRom(files, {
+      regions: settings.romRegionPriority?.length
+        ? settings.romRegionPriority
+        : DEFAULT_REGION_PRIORITY,
+      languages: settings.romLanguagePriority?.length
+        ? settings.romLanguagePriority
+        : DEFAULT_LANGUAGE_PRIORITY,
+    });
+
+    const fileIds = getPickedIds(groups);
+    if (fileIds.length === 0) {
+      printError('La selección 1G1R no contiene ningún archivo');
+      return EXIT_FAILURE;
+    }
+
+    params.fileIds = fileIds;
+    print(`Selección 1G1R: ${fileIds.length} de ${files.length} archivos`);
+  }
+
+  const result = await invoke('download-folder', params);
+  if (!result.success) {
+    printError(`No se pudo encolar ${node.title}: ${result.error}`);
+    return EXIT_FAILURE;
+  }
+
+  print(
+    `Encolados ${result.added} archivos de ${result.folderTitle}` +
+      (result.skipped > 0 ? ` (${result.skipped} omitidos, ya en cola o inválidos)` : '')
+  );
+  (result.errors || []).forEach(error => printError(`  ${error.fileName}: ${error.error}`));
+
+  if (options['no-wait'] || !result.addedIds?.length) {
+    return result.errors ? EXIT_FAILURE : EXIT_OK;
+  }
+
+  const exitCode = await waitForDownloads(result.addedIds, progressThrottler);
+  return result.errors ? EXIT_FAILURE : exitCode;
+}
+
+/**
+ * status: muestra el estado de la cola guardada
+ *
+ * @private
+ * @returns {Promise<number>} Código de salida
+ */
+async function runStatus(options) {
+  const counts = queueDatabase.getStats();
+  const pending = [
+    ...queueDatabase.getActive(),
+    ...queueDatabase.getQueued(),
+    ...queueDatabase.getPaused(),
+    ...queueDatabase.getByState('awaiting'),
+  ];
+
+  if (options.json) {
+    print(JSON.stringify({ counts, pending }, null, 2));
+    return EXIT_OK;
+  }
+
+  print(
+    `En cola: ${counts.queued}  Descargando: ${counts.downloading}  Pausadas: ${counts.paused}  ` +
+      `Completadas: ${counts.completed}  Fallidas: ${counts.failed}`
+  );
+
+  const seen = new Set();
+  pending.forEach(download => {
+    if (seen.has(download.id)) return;
+    seen.add(download.id);
+    const percent = `${Math.round((download.progress || 0) * 100)}%`.padStart(4);
+    print(
+      `${String(download.id).padStart(9)}  ${download.state.padEnd(11)} ${percent}  ${download.title}`
+    );
+    if (download.lastError) print(`${' '.repeat(11)}${download.lastError}`);
+  });
+
+  return EXIT_OK;
+}
+
+// =====================
+// AUXILIARES
+// =====================
+
+/**
+ * Obtiene un nodo del catálogo por ID o por ruta ("Carpeta/Subcarpeta/Archivo")
+ *
+ * @private
+ * @param {Function} invoke - Invoca un handler IPC
+ * @param {string} target - ID numérico o ruta desde la raíz del catálogo
+ * @returns {Promise<Object>} Nodo ({ id, title, type, ... })
+ */
+async function resolveNode(invoke, target) {
+  if (/^\d+$/.test(target)) {
+    const result = await invoke('get-node-info', Number(target));
+    if (!result.success || !result.data) {
+      throw new Error(`No existe el nodo ${target}: ${result.error || 'no encontrado'}`);
+    }
+    return { ...result.data, title: result.data.title.replace(/\/$/, '') };
+  }
+
+  const segments = target.split('/').filter(Boolean);
+  if (segments.length === 0) throw new UsageError('La ruta está vacía');
+
+  let node = null;
+  let parentId = ROOT_NODE_ID;
+
+  for (const segment of segments) {
+    const result = await invoke('get-children', parentId);
+    if (!result.success) {
+      throw new Error(`No se pudo leer el catálogo: ${result.error}`);
+    }
+
+    const children = result.data || [];
+    node =
+      children.find(child => child.title === segment) ||
+      children.find(child => child.title.toLowerCase() === segment.toLowerCase());
+    if (!node) throw new Error(`No se encontró "${segment}" en el catálogo (${target})`);
+    parentId = node.id;
+  }
+
+  return node;
+}
+
+/**
+ * Indica si un nodo es una carpeta (el catálogo usa 'Directory', la navegación 'folder')
+ *
+ * @private
+ * @param {Object} node - Nodo del catálogo
+ * @returns {boolean}
+ */
+function isFolder(node) {
+  return /^(folder|directory)$/i.test(node.type || '');
+}
+
+/**
+ * Opciones de descarga: valores de la línea de comandos o de la configuración del usuario
+ *
+ * @private
+ * @param {Object} options - Opciones de la línea de comandos
+ * @returns {{downloadPath: string, preserveStructure: boolean, forceOverwrite: boolean, conflictPolicy?: string}}
+ */
+function getDownloadOptions(options) {
+  const settings = readJSONFile('download-settings.json') || {};
+  const downloadPath = options.dest || settings.downloadPath;
+
+  // Sin carpeta de destino el DownloadManager abriría un diálogo de guardado
+  if (!downloadPath) {
+    throw new UsageError('Indica la carpeta de destino con --dest o configúrala en la aplicación');
+  }
+
+  let preserveStructure = settings.preserveStructure === true;
+  if (options['preserve-structure']) preserveStructure = true;
+  if (options.flat) preserveStructure = false;
+
+  const downloadOptions = {
+    downloadPath,
+    preserveStructure,
+    forceOverwrite: options.overwrite === true,
+  };
+
+  const policies = config.files.conflictPolicies;
+  if (options['on-conflict'] && !policies.includes(options['on-conflict'])) {
+    throw new UsageError(`--on-conflict debe ser una de: ${policies.join(', ')}`);
+  }
+  const conflictPolicy = options['on-conflict'] || settings.fileConflictPolicy;
+  if (policies.includes(conflictPolicy)) downloadOptions.conflictPolicy = conflictPolicy;
+
+  return downloadOptions;
+}
+
+/**
+ * Espera a que las descargas terminen mostrando el progreso
+ *
+ * El progreso llega del ProgressThrottler; el estado final se lee de la cola
+ * (queueDatabase), que también refleja los reintentos automáticos.
+ *
+ * @private
+ * @param {number[]} ids - IDs de las descargas a esperar
+ * @param {Object} progressThrottler - Instancia de ProgressThrottler
+ * @returns {Promise<number>} EXIT_OK si todas se completaron, EXIT_FAILURE si no
+ */
+function waitForDownloads(ids, progressThrottler) {
+  const interactive = process.stdout.isTTY === true;
+  const progress = new Map();
+  const extracting = new Set();
+  const finished = new Map();
+  let lastSummary = 0;
+  let summaryVisible = false;
+
+  const clearSummary = () => {
+    if (summaryVisible) {
+      process.stdout.write('\r\x1b[2K');
+      summaryVisible = false;
+    }
+  };
+
+  const unsubscribe = progressThrottler.subscribe(updates => {
+    updates.forEach(update => {
+      progress.set(update.id, update);
+      if (update.state === 'extracting') extracting.add(update.id);
+      if (update.state === 'completed') extracting.delete(update.id);
+    });
+  });
+
+  const printSummary = () => {
+    const active = ids.filter(id => !finished.has(id) && progress.has(id));
+    const speed = active.reduce((total, id) => total + (progress.get(id).speed || 0), 0);
+    const current = active
+      .map(id => progress.get(id))
+      .find(update => update.state === 'progressing');
+    const percent = current ? ` ${(current.percent * 100).toFixed(1)}%` : '';
+    const line =
+      `[${finished.size}/${ids.length}] ${speed.toFixed(2)} MB/s` +
+      (current ? `  ${queueDatabase.getById(current.id)?.title || current.id}${percent}` : '');
+
+    if (interactive) {
+      process.stdout.write(`\r\x1b[2K${line.slice(0, (process.stdout.columns || 80) - 1)}`);
+      summaryVisible = true;
+    } else {
+      print(line);
+    }
+  };
+
+  return new Promise(resolve => {
+    const check = () => {
+      ids.forEach(id => {
+        if (finished.has(id) || extracting.has(id)) return;
+
+        const download = queueDatabase.getById(id);
+        const state = download ? download.state : 'cancelled';
+        if (!FINAL_STATES.includes(state)) return;
+
+        finished.set(id, state);
+        clearSummary();
+        const title = download?.title || `Descarga ${id}`;
+        if (state === 'completed') {
+          print(`✓ ${title}`);
+        } else if (state === 'awaiting') {
+          printError(`✗ ${title}: el archivo ya existe (usa --overwrite o --on-conflict)`);
+        } else {
+          printError(`✗ ${title}: ${download?.lastError || state}`);
+        }
+      });
+
+      if (finished.size === ids.length) {
+        clearInterval(timer);
+        clearSummary();
+        unsubscribe();
+
+        const completed = [...finished.values()].filter(state => state === 'completed').length;
+        print(`${completed} de ${ids.length} descargas completadas`);
+        resolve(completed === ids.length ? EXIT_OK : EXIT_FAILURE);
+        return;
+      }
+
+      const now = Date.now();
+      if (interactive || now - lastSummary >= PLAIN_SUMMARY_INTERVAL) {
+        lastSummary = now;
+        printSummary();
+      }
+    };
+
+    const timer = setInterval(check, POLL_INTERVAL);
+    check();
+  });
+}
+
+module.exports = {
+  getHeadlessArgs,
+  runHeadless,
+};
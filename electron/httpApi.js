@@ -0,0 +1,592 @@
+/**
+ * @fileoverview API HTTP/JSON local para controlar el gestor de descargas
+ * @module httpApi
+ *
+ * Servidor HTTP opcional (desactivado por defecto) que expone búsqueda,
+ * navegación, encolado, pausa/reanudación/cancelación y estadísticas para
+ * controlar la aplicación desde scripts. Solo escucha en 127.0.0.1; para
+ * usarla desde otra máquina de la red local, con un túnel SSH:
+ *
+ *   ssh -L 4780:127.0.0.1:4780 usuario@equipo-con-myrient
+ *
+ * Cada petición se resuelve con el mismo handler IPC que usa el renderer
+ * (ipcHandlers.invokeHandler), así que la validación con los schemas de Zod
+ * y la lógica de cola son idénticas.
+ *
+ * Autenticación: cabecera "Authorization: Bearer <token>". El stream de
+ * eventos (GET /api/events) también acepta ?token=<token>, ya que EventSource
+ * no permite cabeceras. El token se genera al activar la API y se guarda en
+ * http-api.json (directorio de configuración).
+ *
+ * Rutas:
+ * - GET  /api/stats                          Estadísticas de la cola
+ * - GET  /api/search?q=texto&limit=&cursor=  Búsqueda en el catálogo (cursor: nextCursor de la respuesta)
+ * - GET  /api/nodes/:id                      Información de un nodo
+ * - GET  /api/nodes/:id/children             Contenido de una carpeta
+ * - GET  /api/nodes/:id/ancestors            Ruta hasta un nodo
+ * - POST /api/downloads                      Encolar archivo {id, title?, downloadPath?, ...}
+ * - POST /api/folders/:id/download           Encolar carpeta {downloadPath?, preserveStructure?, fileIds?}
+ * - POST /api/downloads/:id/pause            Pausar descarga
+ * - POST /api/downloads/:id/resume           Reanudar descarga
+ * - POST /api/downloads/:id/cancel           Cancelar descarga
+ * - GET  /api/batches                        Lotes (carpetas encoladas) con su progreso conjunto
+ * - POST /api/batches/:id/:acción            pause | resume | cancel | retry-failed en todo el lote
+ * - GET  /api/events                         Server-Sent Events con el progreso (ProgressThrottler)
+ *
+ * @author Myrient Downloader
+ * @version 1.0.0
+ */
+
+/**
+ * @typedef {Object} HttpApiStatus
+ * @property {boolean} enabled - Si la API está activada
+ * @property {boolean} running - Si el servidor está escuchando
+ * @property {string} host - Dirección de escucha
+ * @property {number} port - Puerto
+ * @property {string} token - Token de acceso
+ * @property {string} url - URL base de la API
+ * @property {number} clients - Clientes conectados al stream de eventos
+ * @property {string} [error] - Último error al arrancar el servidor
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const config = require('./config');
+const { logger, readJSONFile, writeJSONFile } = require('./utils');
+
+const log = logger.child('HttpApi');
+
+/**
+ * Error HTTP con código de estado
+ *
+ * @private
+ */
+class HttpError extends Error {
+  constructor(statusCode, message) {
+    super(message);
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Convierte un segmento de ruta en ID numérico (la validación la hace el handler)
+ *
+ * @param {string} value - Segmento de la URL
+ * @returns {number}
+ */
+const toId = value => Number(value);
+
+/**
+ * Servidor HTTP local de control remoto
+ *
+ * @class HttpApiServer
+ * @example
+ * const httpApi = require('./httpApi');
+ * httpApi.start({ invoke: invokeHandler, progressThrottler });
+ */
+class HttpApiServer {
+  /**
+   * Crea una nueva instancia de HttpApiServer
+   *
+   * @constructor
+   */
+  constructor() {
+    this.server = null;
+    this.settings = null;
+    this.invoke = null;
+    this.progressThrottler = null;
+    this.unsubscribeProgress = null;
+    this.sseClients = new Set();
+    this.heartbeatTimer = null;
+    this.lastError = null;
+
+    // Tabla de rutas: [método, patrón, handler(match, url, body)]
+    this.routes = [
+      ['GET', /^\/api\/stats$/, () => this.invoke('get-download-stats')],
+      ['GET', /^\/api\/search$/, (match, url) => this._search(url)],
+      ['GET', /^\/api\/nodes\/(-?\d+)$/, match => this.invoke('get-node-info', toId(match[1]))],
+      [
+        'GET',
+        /^\/api\/nodes\/(-?\d+)\/children$/,
+        match => this.invoke('get-children', toId(match[1])),
+      ],
+      [
+        'GET',
+        /^\/api\/nodes\/(-?\d+)\/ancestors$/,
+        match => this.invoke('get-ancestors', toId(match[1])),
+      ],
+      ['POST', /^\/api\/downloads$/, (match, url, body) => this._enqueueFile(body)],
+      [
+        'POST',
+        /^\/api\/folders\/(\d+)\/download$/,
+        (match, url, body) => this._enqueueFolder(toId(match[1]), body),
+      ],
+      [
+        'POST',
+        /^\/api\/downloads\/(\d+)\/pause$/,
+        match => this.invoke('pause-download', toId(match[1])),
+      ],
+      [
+        'POST',
+        /^\/api\/downloads\/(\d+)\/resume$/,
+        match => this.invoke('resume-download', toId(match[1])),
+      ],
+      [
+        'POST',
+        /^\/api\/downloads\/(\d+)\/cancel$/,
+        match => this.invoke('cancel-download', toId(match[1])),
+      ],
+      ['GET', /^\/api\/batches$/, () => this.invoke('get-download-batches')],
+      [
+        'POST',
+        /^\/api\/batches\/(\d+)\/(pause|resume|cancel|retry-failed)$/,
+        match => this.invoke('control-download-batch', toId(match[1]), match[2]),
+      ],
+    ];
+  }
+
+  /**
+   * Obtiene la configuración guardada (http-api.json)
+   *
+   * @returns {{enabled: boolean, port: number, token: string}}
+   */
+  getSettings() {
+    if (!this.settings) {
+      const saved = readJSONFile(config.httpApi.fileName) || {};
+      this.settings = {
+        enabled: saved.enabled === true,
+        port: saved.port || config.httpApi.defaultPort,
+        token: saved.token || '',
+      };
+    }
+    return this.settings;
+  }
+
+  /**
+   * Obtiene el estado actual de la API
+   *
+   * @returns {HttpApiStatus}
+   */
+  getStatus() {
+    const { enabled, port, token } = this.getSettings();
+    return {
+      enabled,
+      running: !!this.server?.listening,
+      host: config.httpApi.host,
+      port,
+      token,
+      url: `http://${config.httpApi.host}:${port}/api`,
+      clients: this.sseClients.size,
+      error: this.lastError,
+    };
+  }
+
+  /**
+   * Cambia la configuración y arranca o detiene el servidor según corresponda
+   *
+   * @param {Object} options - Opciones ya validadas
+   * @param {boolean} options.enabled - Activar la API
+   * @param {number} options.port - Puerto de escucha
+   * @param {boolean} [options.regenerateToken] - Generar un token nuevo
+   * @returns {Promise<{success: boolean, data?: HttpApiStatus, error?: string}>}
+   */
+  async configure({ enabled, port, regenerateToken = false }) {
+    const settings = { ...this.getSettings(), enabled, port };
+    if (regenerateToken || (enabled && !settings.token)) {
+      settings.token = crypto.randomBytes(config.httpApi.tokenBytes).toString('hex');
+    }
+
+    if (!writeJSONFile(config.httpApi.fileName, settings)) {
+      return { success: false, error: 'No se pudo guardar la configuración de la API HTTP' };
+    }
+
+    const restart = this.server && (port !== this.settings.port || !enabled);
+    this.settings = settings;
+
+    // Un token nuevo invalida las conexiones de eventos abiertas
+    if (regenerateToken) {
+      this._closeClients();
+    }
+
+    if (restart) {
+      await this._close();
+    }
+    if (enabled && !this.server) {
+      await this._listen();
+    }
+
+    return { success: true, data: this.getStatus() };
+  }
+
+  /**
+   * Prepara la API y arranca el servidor si está activada
+   *
+   * @param {Object} deps - Dependencias
+   * @param {Function} deps.invoke - Invoca un handler IPC: (channel, ...args) => Promise<Object>
+   * @param {Object} deps.progressThrottler - Instancia de ProgressThrottler
+   * @returns {Promise<void>}
+   */
+  async start({ invoke, progressThrottler }) {
+    this.invoke = invoke;
+    this.progressThrottler = progressThrottler;
+
+    if (this.getSettings().enabled) {
+      await this._listen();
+    }
+  }
+
+  /**
+   * Detiene el servidor y cierra los streams de eventos (al cerrar la aplicación)
+   *
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    await this._close();
+    this.invoke = null;
+    this.progressThrottler = null;
+  }
+
+  /**
+   * Arranca el servidor HTTP en config.httpApi.host
+   *
+   * @private
+   * @returns {Promise<void>}
+   */
+  _listen() {
+    const { port } = this.getSettings();
+    this.lastError = null;
+
+    return new Promise(resolve => {
+      const server = http.createServer((req, res) => this._handleRequest(req, res));
+
+      server.once('error', error => {
+        this.lastError =
+          error.code === 'EADDRINUSE' ? `El puerto ${port} ya está en uso` : error.message;
+        log.error(`No se pudo iniciar la API HTTP en el puerto ${port}:`, this.lastError);
+        this.server = null;
+        resolve();
+      });
+
+      server.listen(port, config.httpApi.host, () => {
+        this.server = server;
+        this.unsubscribeProgress = this.progressThrottler
+          ? this.progressThrottler.subscribe(updates => this._broadcast('progress', updates))
+          : null;
+        this.heartbeatTimer = setInterval(
+          () => this._sendHeartbeat(),
+          config.httpApi.sseHeartbeatInterval
+        );
+        log.info(`API HTTP escuchando en http://${config.httpApi.host}:${port}/api`);
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * Cierra el servidor HTTP y los streams de eventos
+   *
+   * @private
+   * @returns {Promise<void>}
+   */
+  _close() {
+    if (this.unsubscribeProgress) {
+      this.unsubscribeProgress();
+      this.unsubscribeProgress = null;
+    }
+    if (this.heartbeatTimer) {
+      clearInterval(this.heartbeatTimer);
+      this.heartbeatTimer = null;
+    }
+    this._closeClients();
+
+    const server = this.server;
+    this.server = null;
+    if (!server) return Promise.resolve();
+
+    return new Promise(resolve => {
+      server.close(() => {
+        log.info('API HTTP detenida');
+        resolve();
+      });
+      // Las conexiones keep-alive impedirían que close() termine
+      server.closeAllConnections?.();
+    });
+  }
+
+  /**
+   * Atiende una petición HTTP
+   *
+   * @private
+   * @param {http.IncomingMessage} req - Petición
+   * @param {http.ServerResponse} res - Respuesta
+   * @returns {Promise<void>}
+   */
+  async _handleRequest(req, res) {
+    try {
+      let url;
+      try {
+        url = new URL(req.url, `http://${config.httpApi.host}`);
+      } catch {
+        throw new HttpError(400, 'URL de la petición no válida');
+      }
+
+      if (!this._isAuthorized(req, url)) {
+        throw new HttpError(401, 'Token de acceso inválido o ausente');
+      }
+
+      if (req.method === 'GET' && url.pathname === '/api/events') {
+        this._openEventStream(req, res);
+        return;
+      }
+
+      const route = this.routes.find(
+        ([method, pattern]) => pattern.test(url.pathname) && method === req.method
+      );
+      if (!route) {
+        const pathExists = this.routes.some(([, pattern]) => pattern.test(url.pathname));
+        throw pathExists
+          ? new HttpError(405, `Método ${req.method} no permitido`)
+          : new HttpError(404, `Ruta no encontrada: ${url.pathname}`);
+      }
+
+      const [, pattern, handler] = route;
+      const body = req.method === 'POST' ? await this._readBody(req) : null;
+      const result = await handler(url.pathname.match(pattern), url, body);
+
+      // Algunos handlers (get-download-stats) devuelven los datos sin envolver
+      const response =
+        result && typeof result.success === 'boolean' ? result : { success: true, data: result };
+      this._sendJSON(res, response.success ? 200 : 400, response);
+    } catch (error) {
+      const statusCode = error.statusCode || 500;
+      if (statusCode === 500) {
+        log.error(`Error en ${req.method} ${req.url}:`, error);
+      }
+      this._sendJSON(res, statusCode, { success: false, error: error.message });
+    }
+  }
+
+  /**
+   * Comprueba el token de la petición en tiempo constante
+   *
+   * @private
+   * @param {http.IncomingMessage} req - Petición
+   * @param {URL} url - URL de la petición
+   * @returns {boolean}
+   */
+  _isAuthorized(req, url) {
+    const { token } = this.getSettings();
+    if (!token) return false;
+
+    const header = req.headers.authorization || '';
+    const provided = header.startsWith('Bearer ')
+      ? header.slice(7).trim()
+      : url.pathname === '/api/events'
+        ? url.searchParams.get('token') || ''
+        : '';
+
+    const expected = Buffer.from(token);
+    const received = Buffer.from(provided);
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+  }
+
+  /**
+   * Lee y parsea el cuerpo JSON de la petición (máximo config.httpApi.maxBodySize)
+   *
+   * @private
+   * @param {http.IncomingMessage} req - Petición
+   * @returns {Promise<Object>}
+   */
+  _readBody(req) {
+    return new Promise((resolve, reject) => {
+      let size = 0;
+      let tooLarge = false;
+      const chunks = [];
+
+      // Si se supera el límite se responde 413 y el resto del cuerpo se descarta
+      req.on('data', chunk => {
+        size += chunk.length;
+        if (tooLarge) return;
+        if (size > config.httpApi.maxBodySize) {
+          tooLarge = true;
+          chunks.length = 0;
+          reject(new HttpError(413, 'El cuerpo de la petición es demasiado grande'));
+          return;
+        }
+        chunks.push(chunk);
+      });
+
+      req.on('end', () => {
+        if (tooLarge) return;
+        const raw = Buffer.concat(chunks).toString('utf8').trim();
+        if (!raw) {
+          resolve({});
+          return;
+        }
+        try {
+          const body = JSON.parse(raw);
+          if (!body || typeof body !== 'object' || Array.isArray(body)) {
+            reject(new HttpError(400, 'El cuerpo debe ser un objeto JSON'));
+            return;
+          }
+          resolve(body);
+        } catch {
+          reject(new HttpError(400, 'El cuerpo no es JSON válido'));
+        }
+      });
+
+      req.on('error', reject);
+    });
+  }
+
+  /**
+   * Envía una respuesta JSON
+   *
+   * @private
+   * @param {http.ServerResponse} res - Respuesta
+   * @param {number} statusCode - Código HTTP
+   * @param {Object} payload - Cuerpo de la respuesta
+   * @returns {void}
+   */
+  _sendJSON(res, statusCode, payload) {
+    if (res.headersSent) return;
+    res.writeHead(statusCode, {
+      'Content-Type': 'application/json; charset=utf-8',
+      'Cache-Control': 'no-store',
+    });
+    res.end(JSON.stringify(payload));
+  }
+
+  /**
+   * Búsqueda en el catálogo (GET /api/search?q=...)
+   *
+   * @private
+   * @param {URL} url - URL de la petición
+   * @returns {Promise<Object>}
+   */
+  _search(url) {
+    const options = {};
+    if (url.searchParams.has('limit')) options.limit = Number(url.searchParams.get('limit'));
+    if (url.searchParams.has('offset')) options.offset = Number(url.searchParams.get('offset'));
+    if (url.searchParams.has('cursor')) options.cursor = url.searchParams.get('cursor');
+    return this.invoke('search-db', url.searchParams.get('q') || '', options);
+  }
+
+  /**
+   * Encola un archivo (POST /api/downloads)
+   *
+   * Si no se indica título o ruta, se usan el título del catálogo y la carpeta
+   * de destino de la configuración del usuario (download-settings.json).
+   *
+   * @private
+   * @param {Object} body - {id, title?, downloadPath?, preserveStructure?, forceOverwrite?}
+   * @returns {Promise<Object>}
+   */
+  async _enqueueFile(body) {
+    const params = { ...this._getDownloadDefaults(), ...body };
+
+    if (!params.title && Number.isInteger(params.id)) {
+      const node = await this.invoke('get-node-info', params.id);
+      if (!node.success) return node;
+      params.title = node.data?.title;
+    }
+
+    return this.invoke('download-file', params);
+  }
+
+  /**
+   * Encola una carpeta completa o una selección (POST /api/folders/:id/download)
+   *
+   * @private
+   * @param {number} folderId - ID de la carpeta
+   * @param {Object} body - {downloadPath?, preserveStructure?, forceOverwrite?, fileIds?}
+   * @returns {Promise<Object>}
+   */
+  _enqueueFolder(folderId, body) {
+    return this.invoke('download-folder', { ...this._getDownloadDefaults(), ...body, folderId });
+  }
+
+  /**
+   * Valores por defecto de la configuración de descargas del usuario
+   *
+   * @private
+   * @returns {{downloadPath?: string, preserveStructure?: boolean}}
+   */
+  _getDownloadDefaults() {
+    const settings = readJSONFile('download-settings.json') || {};
+    const defaults = {};
+    if (settings.downloadPath) defaults.downloadPath = settings.downloadPath;
+    if (typeof settings.preserveStructure === 'boolean') {
+      defaults.preserveStructure = settings.preserveStructure;
+    }
+    return defaults;
+  }
+
+  /**
+   * Abre un stream de Server-Sent Events (GET /api/events)
+   *
+   * Envía un evento 'progress' por cada lote de actualizaciones del
+   * ProgressThrottler. El campo data es un array de ProgressInfo.
+   *
+   * @private
+   * @param {http.IncomingMessage} req - Petición
+   * @param {http.ServerResponse} res - Respuesta
+   * @returns {void}
+   */
+  _openEventStream(req, res) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream; charset=utf-8',
+      'Cache-Control': 'no-store',
+      Connection: 'keep-alive',
+    });
+    res.write(`retry: 5000\n\n`);
+
+    this.sseClients.add(res);
+    log.info(`Cliente de eventos conectado (${this.sseClients.size} activos)`);
+
+    req.on('close', () => {
+      this.sseClients.delete(res);
+      log.debug(`Cliente de eventos desconectado (${this.sseClients.size} activos)`);
+    });
+  }
+
+  /**
+   * Envía un evento a todos los clientes del stream
+   *
+   * @private
+   * @param {string} event - Nombre del evento
+   * @param {*} data - Datos (se serializan como JSON)
+   * @returns {void}
+   */
+  _broadcast(event, data) {
+    if (this.sseClients.size === 0) return;
+
+    const message = `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+    this.sseClients.forEach(res => res.write(message));
+  }
+
+  /**
+   * Mantiene vivas las conexiones de eventos (y los túneles SSH) con un comentario
+   *
+   * @private
+   * @returns {void}
+   */
+  _sendHeartbeat() {
+    this.sseClients.forEach(res => res.write(`: ping ${Date.now()}\n\n`));
+  }
+
+  /**
+   * Cierra todos los streams de eventos abiertos
+   *
+   * @private
+   * @returns {void}
+   */
+  _closeClients() {
+    this.sseClients.forEach(res => res.end());
+    this.sseClients.clear();
+  }
+}
+
+// Exportar instancia única (singleton)
+module.exports = new HttpApiServer();
+module.exports.HttpApiServer = HttpApiServer;
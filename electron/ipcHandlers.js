@@ -49,8 +49,22 @@ const { ipcMain, dialog, shell } = require('electron');
 const fs = require('fs');
 const path = require('path');
 const database = require('./database');
+const catalogUpdater = require('./catalogUpdater');
+const collectionAudit = require('./collectionAudit');
+const datVerifier = require('./datVerifier');
+const diskBudget = require('./diskBudget');
+const dataProvider = require('./data/DataProvider');
+const downloadBatches = require('./downloadBatches');
 const downloadManager = require('./downloadManager');
+const downloadRules = require('./downloadRules');
+const mirrorManager = require('./mirrorManager');
+const networkProfile = require('./networkProfile');
+const savedSearches = require('./savedSearches');
+const downloadScheduler = require('./downloadScheduler');
+const httpApi = require('./httpApi');
 const queueDatabase = require('./queueDatabase');
+const queueFinishAction = require('./queueFinishAction');
+const queueTransfer = require('./queueTransfer');
 const { serviceManager } = require('./services');
 const { safeUnlink } = require('./utils/fileHelpers');
 const {
@@ -59,21 +73,37 @@ const {
   writeJSONFile,
   validateDownloadParams,
   validateSearchTerm,
+  validateBrowseNodeId,
   validateNodeId,
+  validateDataSourceMode,
   validateDownloadId,
+  validateDatId,
+  validateDownloadSchedule,
+  validateDownloadRules,
+  validateDownloadRulesPreview,
+  validateMirrors,
+  validateNetworkProfile,
+  validateSavedSearch,
+  validateSavedSearchUpdate,
+  validateBatchAction,
+  validateHttpApiSettings,
   validateConfigFilename,
   validateDownloadFolderParams,
   sanitizeSearchTerm,
   validateAndSanitizeDownloadPath,
   sanitizeFileName,
 } = require('./utils');
-const { sendDownloadProgress } = require('./utils/ipcHelpers');
+const { sendDownloadProgress, sendBatchDownloadProgress } = require('./utils/ipcHelpers');
+const { parseSizeText } = require('./utils/searchQuery');
 const { ERRORS } = require('./constants/errors');
 const { RateLimiter } = require('./utils/rateLimiter');
 const config = require('./config');
 
 const log = logger.child('IPC');
 
+// Handlers registrados por canal (ver invokeHandler)
+const registeredHandlers = new Map();
+
 // =====================
 // RATE LIMITING
 // =====================
@@ -116,7 +146,7 @@ if (typeof process !== 'undefined') {
  * // { success: false, error: 'mensaje de error' }
  */
 function createHandler(channel, handler, options = {}) {
-  return async (event, ...args) => {
+  const wrappedHandler = async (event, ...args) => {
     try {
       return await handler(event, ...args);
     } catch (error) {
@@ -127,6 +157,31 @@ function createHandler(channel, handler, options = {}) {
       };
     }
   };
+
+  registeredHandlers.set(channel, wrappedHandler);
+  return wrappedHandler;
+}
+
+/**
+ * Invoca un handler IPC registrado desde el propio proceso principal
+ *
+ * Lo usa la API HTTP local (httpApi.js) para ejecutar la misma lógica y las
+ * mismas validaciones que el renderer. El evento simulado identifica el origen
+ * para el rate limiting de búsquedas.
+ *
+ * @param {string} channel - Nombre del canal IPC
+ * @param {...*} args - Argumentos del handler
+ * @returns {Promise<Object>} Respuesta del handler ({success, data, error})
+ *
+ * @example
+ * const stats = await invokeHandler('get-download-stats');
+ */
+async function invokeHandler(channel, ...args) {
+  const handler = registeredHandlers.get(channel);
+  if (!handler) {
+    return { success: false, error: `Operación no disponible: ${channel}` };
+  }
+  return handler({ sender: { id: 'http-api' } }, ...args);
 }
 
 /**
@@ -171,6 +226,7 @@ function getServices() {
  * Handlers registrados:
  * - Búsqueda: 'search-db', 'get-children', 'get-ancestors', 'get-node-info'
  * - Descargas: 'download-file', 'download-folder', 'pause-download', 'cancel-download', etc.
+ * - Cola: 'export-queue', 'import-queue'
  * - Configuración: 'get-settings', 'save-settings', etc.
  * - Estado: 'get-downloads', 'get-queue', 'get-stats', etc.
  *
@@ -252,7 +308,7 @@ function registerHandlers(mainWindow) {
             const pagination = searchService.calculatePagination(
               cachedResult.total,
               normalizedOptions.limit,
-              normalizedOptions.offset
+              cachedResult.offset
             );
             return { ...cachedResult, pagination };
           }
@@ -266,6 +322,8 @@ function registerHandlers(mainWindow) {
           usePrefix: options.usePrefix !== false,
           usePhrase: options.usePhrase === true,
           useOR: options.useOR === true,
+          cursor: typeof options.cursor === 'string' ? options.cursor : null,
+          filters: options.filters || null,
         };
       }
 
@@ -282,7 +340,7 @@ function registerHandlers(mainWindow) {
         const pagination = searchService.calculatePagination(
           result.total,
           normalizedOptions.limit,
-          normalizedOptions.offset
+          result.offset
         );
         return { ...result, pagination };
       }
@@ -294,36 +352,56 @@ function registerHandlers(mainWindow) {
   ipcMain.handle(
     'get-children',
     createHandler('get-children', (event, parentId) => {
-      const validation = validateNodeId(parentId);
+      const validation = validateBrowseNodeId(parentId);
       if (!validation.valid) {
         return { success: false, error: validation.error };
       }
 
-      return database.getChildren(validation.data);
+      return dataProvider.getChildren(validation.data);
     })
   );
 
   ipcMain.handle(
     'get-ancestors',
     createHandler('get-ancestors', (event, nodeId) => {
-      const validation = validateNodeId(nodeId);
+      const validation = validateBrowseNodeId(nodeId);
       if (!validation.valid) {
         return { success: false, error: validation.error };
       }
 
-      return database.getAncestors(validation.data);
+      return dataProvider.getAncestors(validation.data);
     })
   );
 
   ipcMain.handle(
     'get-node-info',
     createHandler('get-node-info', (event, nodeId) => {
-      const validation = validateNodeId(nodeId);
+      const validation = validateBrowseNodeId(nodeId);
       if (!validation.valid) {
         return { success: false, error: validation.error };
       }
 
-      return database.getNodeInfo(validation.data);
+      return dataProvider.getNodeInfo(validation.data);
+    })
+  );
+
+  ipcMain.handle(
+    'get-data-source',
+    createHandler('get-data-source', () => {
+      return { success: true, data: dataProvider.getMode() };
+    })
+  );
+
+  ipcMain.handle(
+    'set-data-source',
+    createHandler('set-data-source', (event, mode) => {
+      const validation = validateDataSourceMode(mode);
+      if (!validation.valid) {
+        return { success: false, error: validation.error };
+      }
+
+      dataProvider.setMode(validation.data);
+      return { success: true, data: dataProvider.getMode() };
     })
   );
 
@@ -334,6 +412,154 @@ function registerHandlers(mainWindow) {
     })
   );
 
+  ipcMain.handle(
+    'update-catalog',
+    createHandler('update-catalog', async (event, options = {}) => {
+      const result = await catalogUpdater.update({
+        confirmRemovals: options?.confirmRemovals === true,
+        onProgress: progress => {
+          if (mainWindow && !mainWindow.isDestroyed()) {
+            mainWindow.webContents.send('catalog-update-progress', progress);
+          }
+        },
+      });
+
+      // Los resultados cacheados pueden referirse a nodos que ya no existen
+      if (result.success && result.data?.applied) {
+        const { searchService } = getServices();
+        searchService?.clearCache();
+        // Los nodos solo-web ahora pueden tener ID real en el catálogo
+        dataProvider.clearVirtualNodes();
+
+        // Repetir las búsquedas guardadas sin retrasar la respuesta
+        savedSearches
+          .checkAll(invokeHandler)
+          .then(summary => {
+            if (mainWindow && !mainWindow.isDestroyed()) {
+              mainWindow.webContents.send('saved-searches-updated', summary);
+            }
+          })
+          .catch(error => log.error('Error comprobando búsquedas guardadas:', error.message));
+      }
+
+      return result;
+    })
+  );
+
+  ipcMain.handle(
+    'cancel-catalog-update',
+    createHandler('cancel-catalog-update', () => {
+      return { success: catalogUpdater.cancel() };
+    })
+  );
+
+  // =====================
+  // BÚSQUEDAS GUARDADAS
+  // =====================
+
+  /**
+   * Búsquedas guardadas (ver savedSearches.js)
+   * data es la lista de búsquedas con los IDs de los resultados nuevos
+   */
+  ipcMain.handle(
+    'get-saved-searches',
+    createHandler('get-saved-searches', () => {
+      return { success: true, data: savedSearches.getAll() };
+    })
+  );
+
+  ipcMain.handle(
+    'create-saved-search',
+    createHandler('create-saved-search', async (event, params) => {
+      const validation = validateSavedSearch({
+        ...params,
+        term: sanitizeSearchTerm(params?.term),
+      });
+      if (!validation.valid) {
+        return { success: false, error: validation.error };
+      }
+
+      return savedSearches.create(validation.data);
+    })
+  );
+
+  ipcMain.handle(
+    'update-saved-search',
+    createHandler('update-saved-search', (event, changes) => {
+      const validation = validateSavedSearchUpdate(changes);
+      if (!validation.valid) {
+        return { success: false, error: validation.error };
+      }
+
+      return savedSearches.update(validation.data);
+    })
+  );
+
+  ipcMain.handle(
+    'delete-saved-search',
+    createHandler('delete-saved-search', (event, id) => {
+      if (typeof id !== 'string' || !id) {
+        return { success: false, error: 'ID de búsqueda guardada inválido' };
+      }
+
+      return savedSearches.remove(id);
+    })
+  );
+
+  ipcMain.handle(
+    'acknowledge-saved-search',
+    createHandler('acknowledge-saved-search', (event, id) => {
+      if (typeof id !== 'string' || !id) {
+        return { success: false, error: 'ID de búsqueda guardada inválido' };
+      }
+
+      return savedSearches.acknowledge(id);
+    })
+  );
+
+  // =====================
+  // VERIFICACIÓN (DATS)
+  // =====================
+
+  ipcMain.handle(
+    'import-dat',
+    createHandler('import-dat', async () => {
+      const result = await dialog.showOpenDialog(mainWindow, {
+        title: 'Importar DAT (No-Intro / Redump)',
+        properties: ['openFile'],
+        filters: [
+          { name: 'DAT Logiqx XML', extensions: ['dat', 'xml'] },
+          { name: 'Todos los archivos', extensions: ['*'] },
+        ],
+      });
+
+      if (result.canceled || result.filePaths.length === 0) {
+        return { success: false, canceled: true };
+      }
+
+      return datVerifier.importDat(result.filePaths[0]);
+    })
+  );
+
+  ipcMain.handle(
+    'get-dats',
+    createHandler('get-dats', () => {
+      return datVerifier.getDats();
+    })
+  );
+
+  ipcMain.handle(
+    'remove-dat',
+    createHandler('remove-dat', (event, datId) => {
+      const validation = validateDatId(datId);
+      if (!validation.valid) {
+        return { success: false, error: validation.error };
+      }
+
+      return datVerifier.removeDat(validation.data);
+    })
+  );
+
   // =====================
   // DESCARGAS
   // =====================
@@ -366,6 +592,12 @@ function registerHandlers(mainWindow) {
 
       const validatedParams = validation.data;
 
+      // Reglas de destino por carpeta: la ruta se decide al encolar
+      const ruled = downloadRules.resolve(validatedParams);
+      if (ruled) {
+        validatedParams.savePath = ruled.savePath;
+      }
+
       log.info(`=== SOLICITUD DE DESCARGA ===`);
       log.info(`ID: ${validatedParams.id}`);
       log.info(`Título: ${validatedParams.title}`);
@@ -421,10 +653,16 @@ function registerHandlers(mainWindow) {
         shouldQueue = !canStart;
       }
 
+      // Fuera de la franja de descarga programada las descargas nuevas solo se encolan
+      if (canStart && downloadManager.scheduleBlocked) {
+        canStart = false;
+        shouldQueue = stats.queuedInMemory < config.downloads.maxQueueSize;
+      }
+
       // Si no hay slots disponibles, agregar a la cola
       if (!canStart && shouldQueue) {
         // Calcular prioridad usando DownloadService si está disponible
-        if (downloadService && !validatedParams.priority) {
+        if (downloadService && validatedParams.priority === undefined) {
           validatedParams.priority = downloadService.calculatePriority(validatedParams);
         }
 
@@ -474,14 +712,17 @@ function registerHandlers(mainWindow) {
           id: validatedParams.id,
           title: validatedParams.title,
           url: null, // Se establecerá al iniciar
-          savePath: null, // Se establecerá al iniciar
+          savePath: validatedParams.savePath || null, // Regla de destino o al iniciar
           downloadPath: normalizedDownloadPath, // Normalizado: null si está vacío
           preserveStructure: validatedParams.preserveStructure || false,
           forceOverwrite: validatedParams.forceOverwrite || false,
+          conflictPolicy: validatedParams.conflictPolicy || null,
           state: 'queued',
           priority: validatedParams.priority || 1,
           totalBytes: validatedParams.expectedFileSize || 0,
         });
+      } else if (validatedParams.conflictPolicy) {
+        queueDatabase.setConflictPolicy(validatedParams.id, validatedParams.conflictPolicy);
       }
 
       // Iniciar descarga
@@ -648,7 +889,7 @@ function registerHandlers(mainWindow) {
         };
       }
 
-      const validStates = ['cancelled', 'failed', 'awaiting', 'paused'];
+      const validStates = ['cancelled', 'failed', 'awaiting', 'paused', 'verify_failed'];
       // Permitir reiniciar descargas en estado 'queued' si tienen un error (están esperando reintento automático)
       const isQueuedWithError = dbDownload.state === 'queued' && dbDownload.lastError;
       if (!validStates.includes(dbDownload.state) && !isQueuedWithError) {
@@ -939,6 +1180,216 @@ function registerHandlers(mainWindow) {
     })
   );
 
+  /**
+   * Prioridad y orden manual de la cola
+   * Devuelven el orden nuevo de las descargas en cola: [{ id, priority, queuePosition }]
+   */
+  ipcMain.handle(
+    'set-download-priority',
+    createHandler('set-download-priority', (event, params) => {
+      const validation = validateDownloadId(params?.downloadId);
+      if (!validation.valid) {
+        return { success: false, error: validation.error };
+      }
+
+      return downloadManager.setQueuePriority(validation.data, params.priority);
+    })
+  );
+
+  ipcMain.handle(
+    'move-download',
+    createHandler('move-download', (event, params) => {
+      const validation = validateDownloadId(params?.downloadId);
+      if (!validation.valid) {
+        return { success: false, error: validation.error };
+      }
+
+      const position = params.position;
+      if (
+        position !== 'top' &&
+        position !== 'bottom' &&
+        !(Number.isInteger(position) && position >= 0)
+      ) {
+        return { success: false, error: 'Posición inválida' };
+      }
+
+      return downloadManager.moveInQueue(validation.data, position);
+    })
+  );
+
+  /**
+   * Programación semanal de descargas (franjas de cola y límites de velocidad)
+   * data.state es la franja activa en este momento
+   */
+  ipcMain.handle(
+    'get-schedule',
+    createHandler('get-schedule', () => {
+      return {
+        success: true,
+        data: {
+          schedule: downloadScheduler.getSchedule(),
+          state: downloadScheduler.getActiveState(),
+        },
+      };
+    })
+  );
+
+  ipcMain.handle(
+    'save-schedule',
+    createHandler('save-schedule', (event, schedule) => {
+      const validation = validateDownloadSchedule(schedule);
+      if (!validation.valid) {
+        return { success: false, error: validation.error };
+      }
+
+      const result = downloadScheduler.saveSchedule(validation.data);
+      if (!result.success) {
+        return result;
+      }
+
+      return {
+        success: true,
+        data: { schedule: validation.data, state: result.data },
+      };
+    })
+  );
+
+  /**
+   * Acción al terminar la cola (nada, cerrar, suspender o apagar)
+   * La acción se guarda en download-settings.json; aquí solo se consulta
+   * y se cancela la cuenta atrás. Los cambios se emiten por 'queue-finish-changed'
+   */
+  ipcMain.handle(
+    'get-queue-finish-action',
+    createHandler('get-queue-finish-action', () => {
+      return { success: true, data: queueFinishAction.getState() };
+    })
+  );
+
+  ipcMain.handle(
+    'cancel-queue-finish-action',
+    createHandler('cancel-queue-finish-action', () => {
+      return queueFinishAction.cancel();
+    })
+  );
+
+  /**
+   * Reglas de destino por carpeta del catálogo (ver downloadRules.js)
+   * Se aplican al encolar; las descargas ya encoladas conservan su ruta
+   */
+  ipcMain.handle(
+    'get-download-rules',
+    createHandler('get-download-rules', () => {
+      return { success: true, data: downloadRules.getRules() };
+    })
+  );
+
+  ipcMain.handle(
+    'save-download-rules',
+    createHandler('save-download-rules', (event, rules) => {
+      const validation = validateDownloadRules(rules);
+      if (!validation.valid) {
+        return { success: false, error: validation.error };
+      }
+
+      return downloadRules.saveRules(validation.data);
+    })
+  );
+
+  ipcMain.handle(
+    'preview-download-rules',
+    createHandler('preview-download-rules', (event, params) => {
+      const validation = validateDownloadRulesPreview(params);
+      if (!validation.valid) {
+        return { success: false, error: validation.error };
+      }
+
+      const { rules, samplePath, downloadPath } = validation.data;
+      return downloadRules.preview(rules, samplePath, downloadPath);
+    })
+  );
+
+  /**
+   * Servidores espejo (ver mirrorManager.js)
+   * data incluye el servidor principal y el resultado de la última comprobación
+   */
+  ipcMain.handle(
+    'get-mirrors',
+    createHandler('get-mirrors', () => {
+      return { success: true, data: mirrorManager.getStatus() };
+    })
+  );
+
+  ipcMain.handle(
+    'save-mirrors',
+    createHandler('save-mirrors', (event, mirrors) => {
+      const validation = validateMirrors(mirrors);
+      if (!validation.valid) {
+        return { success: false, error: validation.error };
+      }
+
+      return mirrorManager.saveMirrors(validation.data);
+    })
+  );
+
+  ipcMain.handle(
+    'probe-mirrors',
+    createHandler('probe-mirrors', async () => {
+      return { success: true, data: await mirrorManager.probeAll() };
+    })
+  );
+
+  /**
+   * Perfil de red: proxy, User-Agent y cabeceras de todas las peticiones (ver networkProfile.js)
+   * data nunca incluye la contraseña del proxy, solo proxy.hasPassword
+   */
+  ipcMain.handle(
+    'get-network-profile',
+    createHandler('get-network-profile', () => {
+      return { success: true, data: networkProfile.getProfile() };
+    })
+  );
+
+  ipcMain.handle(
+    'save-network-profile',
+    createHandler('save-network-profile', async (event, profile) => {
+      const validation = validateNetworkProfile(profile);
+      if (!validation.valid) {
+        return { success: false, error: validation.error };
+      }
+
+      return networkProfile.save(validation.data);
+    })
+  );
+
+  ipcMain.handle(
+    'test-network-profile',
+    createHandler('test-network-profile', () => networkProfile.test())
+  );
+
+  /**
+   * API HTTP local para scripts (ver httpApi.js)
+   * data incluye la URL, el token y si el servidor está escuchando
+   */
+  ipcMain.handle(
+    'get-http-api',
+    createHandler('get-http-api', () => {
+      return { success: true, data: httpApi.getStatus() };
+    })
+  );
+
+  ipcMain.handle(
+    'configure-http-api',
+    createHandler('configure-http-api', async (event, settings) => {
+      const validation = validateHttpApiSettings(settings);
+      if (!validation.valid) {
+        return { success: false, error: validation.error };
+      }
+
+      return httpApi.configure(validation.data);
+    })
+  );
+
   ipcMain.handle(
     'clean-history',
     createHandler('clean-history', async (event, daysOld = 30) => {
@@ -980,6 +1431,116 @@ function registerHandlers(mainWindow) {
     })
   );
 
+  /**
+   * Estadísticas de descargas construidas con el historial de eventos
+   * (volumen por día/semana, velocidad por host y modo, fallos, carpetas)
+   */
+  ipcMain.handle(
+    'get-download-statistics',
+    createHandler('get-download-statistics', async (event, days = 30) => {
+      if (!Number.isInteger(days) || days < 1 || days > 365) {
+        return { success: false, error: 'Días inválidos (debe ser entre 1 y 365)' };
+      }
+
+      return { success: true, data: queueDatabase.getHistoryStatistics(days) };
+    })
+  );
+
+  /**
+   * Descargas completadas cuyo archivo cambió en el servidor
+   * (HEAD de cada una comparando tamaño, ETag y Last-Modified).
+   * El progreso se emite por el canal 'completed-updates-progress'
+   */
+  ipcMain.handle(
+    'check-completed-updates',
+    createHandler('check-completed-updates', () =>
+      downloadManager.checkCompletedForUpdates({
+        onProgress: progress => {
+          if (mainWindow && !mainWindow.isDestroyed()) {
+            mainWindow.webContents.send('completed-updates-progress', progress);
+          }
+        },
+      })
+    )
+  );
+
+  ipcMain.handle(
+    'cancel-completed-updates',
+    createHandler('cancel-completed-updates', () => {
+      return { success: downloadManager.cancelCompletedUpdateCheck() };
+    })
+  );
+
+  // =====================
+  // LOTES (CARPETAS ENCOLADAS)
+  // =====================
+
+  ipcMain.handle(
+    'get-download-batches',
+    createHandler('get-download-batches', () => {
+      return { success: true, data: downloadBatches.getAll() };
+    })
+  );
+
+  ipcMain.handle(
+    'control-download-batch',
+    createHandler('control-download-batch', (event, batchId, action) => {
+      const validation = validateBatchAction({ batchId, action });
+      if (!validation.valid) {
+        return { success: false, error: validation.error };
+      }
+
+      return downloadBatches.control(
+        validation.data.batchId,
+        validation.data.action,
+        invokeHandler
+      );
+    })
+  );
+
+  ipcMain.handle(
+    'get-folder-files',
+    createHandler('get-folder-files', async (event, folderId) => {
+      const validation = validateNodeId(folderId);
+      if (!validation.valid) {
+        return { success: false, error: validation.error };
+      }
+
+      return database.getAllFilesInFolder(validation.data);
+    })
+  );
+
+  ipcMain.handle(
+    'audit-collection',
+    createHandler('audit-collection', async (event, params = {}) => {
+      const validation = validateNodeId(params.folderId);
+      if (!validation.valid) {
+        return { success: false, error: validation.error };
+      }
+
+      // Sin ruta: pedir la carpeta local al usuario
+      let localPath = params.localPath;
+      if (!localPath) {
+        const result = await dialog.showOpenDialog(mainWindow, {
+          title: 'Elegir la carpeta local a auditar',
+          properties: ['openDirectory'],
+        });
+
+        if (result.canceled || result.filePaths.length === 0) {
+          return { success: false, canceled: true };
+        }
+        localPath = result.filePaths[0];
+      }
+
+      const pathValidation = validateAndSanitizeDownloadPath(localPath);
+      if (!pathValidation.valid) {
+        return { success: false, error: pathValidation.error };
+      }
+
+      return collectionAudit.audit(validation.data, pathValidation.path);
+    })
+  );
+
   ipcMain.handle(
     'download-folder',
     createHandler('download-folder', async (event, params) => {
@@ -1015,7 +1576,14 @@ function registerHandlers(mainWindow) {
           return { success: false, error: filesResult.error || ERRORS.DOWNLOAD.GET_FILES_FAILED };
         }
 
-        const files = filesResult.data || [];
+        let files = filesResult.data || [];
+
+        // Selección 1G1R: solo los archivos revisados por el usuario (siempre dentro de la carpeta)
+        if (validatedParams.fileIds) {
+          const selectedIds = new Set(validatedParams.fileIds);
+          files = files.filter(file => selectedIds.has(file.id));
+          log.info(`Selección de archivos: ${files.length} de ${filesResult.data.length}`);
+        }
 
         // Validar si la carpeta puede ser descargada usando DownloadService si está disponible
         if (downloadService) {
@@ -1059,6 +1627,12 @@ function registerHandlers(mainWindow) {
             ? folderInfo.data.title
             : `Carpeta ${validatedParams.folderId}`;
 
+        // Carpetas del catálogo hasta la carpeta descargada (para las reglas de destino)
+        const folderCatalogPath = [
+          ...downloadRules.getCatalogFolders(validatedParams.folderId),
+          folderTitle.replace(/\/$/, ''),
+        ];
+
         // OPTIMIZACIÓN: Crear un Set de IDs activos/en cola para búsquedas O(1)
         const activeIdsSet = new Set([
           ...downloadManager.activeDownloads.keys(),
@@ -1110,6 +1684,7 @@ function registerHandlers(mainWindow) {
               downloadPath: validatedParams.downloadPath,
               preserveStructure: validatedParams.preserveStructure !== false,
               forceOverwrite: validatedParams.forceOverwrite || false,
+              conflictPolicy: validatedParams.conflictPolicy || null,
             };
           }
 
@@ -1125,11 +1700,21 @@ function registerHandlers(mainWindow) {
             downloadParams.downloadPath = pathValidation.path;
           }
 
+          // Reglas de destino por carpeta
+          const ruled = downloadRules.resolve(downloadParams, [
+            ...folderCatalogPath,
+            ...(file.relativePath || '').split('/').filter(Boolean),
+          ]);
+          if (ruled) {
+            downloadParams.savePath = ruled.savePath;
+          }
+
           downloadsToAdd.push(downloadParams);
         }
 
         // CRÍTICO: Insertar todas las descargas en una sola transacción
         let addedCount = 0;
+        const addedIds = [];
         if (downloadsToAdd.length > 0) {
           try {
             const now = Date.now();
@@ -1146,7 +1731,7 @@ function registerHandlers(mainWindow) {
                   id: download.id,
                   title: download.title,
                   url: download.url || null,
-                  savePath: null,
+                  savePath: download.savePath || null,
                   downloadPath: download.downloadPath || null,
                   preserveStructure: download.preserveStructure ? 1 : 0,
                   state: 'queued',
@@ -1155,6 +1740,8 @@ function registerHandlers(mainWindow) {
                   totalBytes: 0,
                   priority: download.priority ?? 1,
                   forceOverwrite: download.forceOverwrite ? 1 : 0,
+                  conflictPolicy: download.conflictPolicy || null,
+                  expectedHash: queueDatabase.getExpectedHash(download.title),
                   createdAt: now,
                   updatedAt: now,
                   queuePosition: nextPosition + i,
@@ -1164,6 +1751,7 @@ function registerHandlers(mainWindow) {
 
             transaction(downloadsToAdd);
             addedCount = downloadsToAdd.length;
+            addedIds.push(...downloadsToAdd.map(download => download.id));
             log.info(`Transacción completada: ${addedCount} descargas insertadas en batch`);
 
             // Notificar en bloque (Batch) para evitar saturación IPC
@@ -1178,7 +1766,6 @@ function registerHandlers(mainWindow) {
             }));
 
             if (queuedNotifications.length > 0) {
-              const { sendBatchDownloadProgress } = require('./utils/ipcHelpers');
               sendBatchDownloadProgress(mainWindow, queuedNotifications);
               log.info(`Notificadas ${queuedNotifications.length} descargas en cola vía Batch IPC`);
             }
@@ -1190,6 +1777,7 @@ function registerHandlers(mainWindow) {
                 const position = downloadManager.addToQueueWithPersist(download);
                 if (position > 0) {
                   addedCount++;
+                  addedIds.push(download.id);
                   sendDownloadProgress(mainWindow, {
                     id: download.id,
                     state: 'queued',
@@ -1206,6 +1794,14 @@ function registerHandlers(mainWindow) {
         }
 
         const skippedCount = skippedFiles.length;
+
+        // Lote de la carpeta: progreso conjunto, acciones y resumen al terminar
+        const catalogBytes = new Map(files.map(file => [file.id, parseSizeText(file.size)]));
+        const batchId = downloadManager.createFolderBatch({
+          title: folderTitle.replace(/\/$/, ''),
+          folderId: validatedParams.folderId,
+          downloads: addedIds.map(id => ({ id, catalogBytes: catalogBytes.get(id) })),
+        });
         downloadManager.processQueue();
 
         log.info(
@@ -1217,6 +1813,8 @@ function registerHandlers(mainWindow) {
           success: true,
           totalFiles: files.length,
           added: addedCount,
+          addedIds,
+          batchId,
           skipped: skippedCount,
           folderTitle: folderTitle.replace(/\/$/, ''),
           errors: errors.length > 0 ? errors : undefined,
@@ -1241,6 +1839,87 @@ function registerHandlers(mainWindow) {
     })
   );
 
+  // =====================
+  // EXPORTAR / IMPORTAR COLA
+  // =====================
+
+  ipcMain.handle(
+    'export-queue',
+    createHandler('export-queue', async (event, downloadIds = []) => {
+      // Validar IDs (lista vacía = exportar todas)
+      const ids = [];
+      for (const downloadId of Array.isArray(downloadIds) ? downloadIds : []) {
+        const validation = validateDownloadId(downloadId);
+        if (!validation.valid) {
+          return { success: false, error: validation.error };
+        }
+        ids.push(validation.data);
+      }
+
+      const result = await dialog.showSaveDialog(mainWindow, {
+        title: ids.length > 0 ? 'Exportar descargas seleccionadas' : 'Exportar cola de descargas',
+        defaultPath: `myrient-cola-${new Date().toISOString().split('T')[0]}.json`,
+        filters: [
+          { name: 'Manifiesto JSON', extensions: ['json'] },
+          { name: 'Lista de URLs', extensions: ['txt'] },
+        ],
+      });
+
+      if (result.canceled || !result.filePath) {
+        return { success: false, canceled: true };
+      }
+
+      return queueTransfer.exportQueue(result.filePath, ids);
+    })
+  );
+
+  ipcMain.handle(
+    'import-queue',
+    createHandler('import-queue', async (event, params = {}) => {
+      let downloadPath = null;
+      if (params.downloadPath) {
+        const pathValidation = validateAndSanitizeDownloadPath(params.downloadPath);
+        if (!pathValidation.valid) {
+          return { success: false, error: pathValidation.error };
+        }
+        downloadPath = pathValidation.path;
+      }
+
+      const result = await dialog.showOpenDialog(mainWindow, {
+        title: 'Importar lista de descargas',
+        properties: ['openFile'],
+        filters: [
+          { name: 'Manifiesto JSON o lista de URLs', extensions: ['json', 'txt'] },
+          { name: 'Todos los archivos', extensions: ['*'] },
+        ],
+      });
+
+      if (result.canceled || result.filePaths.length === 0) {
+        return { success: false, canceled: true };
+      }
+
+      const imported = await queueTransfer.importQueue(result.filePaths[0], {
+        downloadPath,
+        preserveStructure: params.preserveStructure !== false,
+      });
+
+      // Notificar en bloque las descargas encoladas
+      if (imported.success && imported.data.queued.length > 0) {
+        sendBatchDownloadProgress(
+          mainWindow,
+          imported.data.queued.map(download => ({
+            id: download.id,
+            state: 'queued',
+            title: download.title,
+            progress: 0,
+          }))
+        );
+      }
+
+      return imported;
+    })
+  );
+
   // =====================
   // CONFIGURACIÓN
   // =====================
@@ -1281,6 +1960,10 @@ function registerHandlers(mainWindow) {
       }
 
       const result = writeJSONFile(filenameValidation.data, data);
+      // El margen de espacio en disco se guarda en memoria
+      if (result && filenameValidation.data === 'download-settings.json') {
+        diskBudget.reloadSettings();
+      }
       return { success: result };
     })
   );
@@ -1368,7 +2051,13 @@ function registerHandlers(mainWindow) {
         
         // Verificar si la ruta existe
         if (!fs.existsSync(resolvedPath)) {
-          return { success: false, error: 'La ruta no existe' };
+          // El archivo pudo eliminarse tras extraerlo: abrir su carpeta
+          const parentDir = path.dirname(resolvedPath);
+          if (!fs.existsSync(parentDir)) {
+            return { success: false, error: 'La ruta no existe' };
+          }
+          await shell.openPath(parentDir);
+          return { success: true };
         }
 
         // Verificar si es un directorio o un archivo
@@ -1475,13 +2164,51 @@ function removeHandlers() {
     'get-children',
     'get-ancestors',
     'get-node-info',
+    'get-data-source',
+    'set-data-source',
     'get-db-update-date',
+    'update-catalog',
+    'cancel-catalog-update',
+    'get-saved-searches',
+    'create-saved-search',
+    'update-saved-search',
+    'delete-saved-search',
+    'acknowledge-saved-search',
+    'import-dat',
+    'get-dats',
+    'remove-dat',
     'download-file',
+    'get-folder-files',
+    'audit-collection',
     'download-folder',
+    'export-queue',
+    'import-queue',
     'pause-download',
     'resume-download',
     'cancel-download',
     'get-download-stats',
+    'get-download-statistics',
+    'check-completed-updates',
+    'cancel-completed-updates',
+    'get-download-batches',
+    'control-download-batch',
+    'set-download-priority',
+    'move-download',
+    'get-schedule',
+    'save-schedule',
+    'get-queue-finish-action',
+    'cancel-queue-finish-action',
+    'get-download-rules',
+    'save-download-rules',
+    'preview-download-rules',
+    'get-mirrors',
+    'save-mirrors',
+    'probe-mirrors',
+    'get-network-profile',
+    'save-network-profile',
+    'test-network-profile',
+    'get-http-api',
+    'configure-http-api',
     'read-config-file',
     'write-config-file',
     'window-minimize',
@@ -1497,6 +2224,7 @@ function removeHandlers() {
   // Remover handlers de logging
   ipcMain.removeHandler('frontend-log');
   ipcMain.removeHandler('save-logs-to-file');
+  registeredHandlers.clear();
 
   log.info('Handlers IPC removidos');
 }
@@ -1504,4 +2232,5 @@ function removeHandlers() {
 module.exports = {
   registerHandlers,
   removeHandlers,
+  invokeHandler,
 };
@@ -33,15 +33,25 @@ const queueDatabase = require('./queueDatabase');
 const downloadManager = require('./downloadManager');
 const ProgressThrottler = require('./progressThrottler');
 const { createMainWindow, getMainWindow } = require('./window');
-const { registerHandlers, removeHandlers } = require('./ipcHandlers');
+const { registerHandlers, removeHandlers, invokeHandler } = require('./ipcHandlers');
+const httpApi = require('./httpApi');
+const trayManager = require('./trayManager');
+const queueFinishAction = require('./queueFinishAction');
+const mirrorManager = require('./mirrorManager');
+const networkProfile = require('./networkProfile');
+const { getHeadlessArgs, runHeadless } = require('./headless');
+
+// Argumentos del modo sin ventana (null si se abre la interfaz normal)
+const headlessArgs = getHeadlessArgs();
 
 // Configurar el sistema de logging ANTES que cualquier otra operación
 // Esto garantiza que todos los logs subsecuentes se registren correctamente
+// En modo sin ventana la consola es la salida del comando: solo se muestran errores
 configureLogger({
   fileLevel: 'info',
-  consoleLevel: 'debug',
+  consoleLevel: headlessArgs ? 'error' : 'debug',
   maxSize: 10 * 1024 * 1024,
-  isDev: !app.isPackaged,
+  isDev: !app.isPackaged || !!headlessArgs,
 });
 
 // Configurar el logger con la referencia a la ventana principal para permitir el envío de logs vía IPC
@@ -115,28 +125,28 @@ process.on('unhandledRejection', (reason, promise) => {
   sendErrorToRenderer(error, 'unhandledRejection');
 });
 
+// Sin ventana no hace falta GPU ni servidor gráfico (servidores sin pantalla, sesiones SSH)
+if (headlessArgs) {
+  app.disableHardwareAcceleration();
+  if (process.platform === 'linux') {
+    app.commandLine.appendSwitch('ozone-platform', 'headless');
+  }
+}
+
 // Instancias globales que se utilizan en múltiples partes del proceso principal
 const progressThrottler = new ProgressThrottler();
 let cleanupInterval = null;
 let historyCleanupInterval = null;
 
 /**
- * Función principal de inicialización que prepara todos los componentes de la aplicación
+ * Inicializa el directorio de configuración y las bases de datos
  *
- * Se ejecuta cuando Electron está listo y configura:
- * - Bases de datos (Myrient DB y Queue DB)
- * - Ventana principal
- * - Handlers IPC
- * - Servicios de negocio
- * - Restauración de descargas interrumpidas
- * - Limpieza periódica de recursos
+ * Compartido por la interfaz normal y el modo sin ventana (--headless).
  *
  * @async
- * @returns {Promise<void>}
+ * @returns {Promise<boolean>} false si alguna base de datos no se pudo abrir
  */
-async function initialize() {
-  const endInit = log.startOperation('Inicialización de aplicación');
-
+async function initializeCore() {
   log.separator('INICIANDO MYRIENT DDL');
   log.info('Versión de Electron:', process.versions.electron);
   log.info('Versión de Node:', process.versions.node);
@@ -155,6 +165,9 @@ async function initialize() {
   // Mantiene solo los logs de los últimos 5 días
   await cleanOldLogs(5);
 
+  // Aplicar el proxy del perfil de red antes de cualquier petición HTTP
+  await networkProfile.apply();
+
   // Inicializar las bases de datos necesarias para el funcionamiento de la aplicación
 
   // Base de datos de índice Myrient: contiene el catálogo completo de archivos disponibles
@@ -162,8 +175,7 @@ async function initialize() {
   const dbInitialized = await database.initialize();
   if (!dbInitialized) {
     log.error('No se pudo inicializar la base de datos de índice');
-    app.quit();
-    return;
+    return false;
   }
 
   // Base de datos de cola de descargas: almacena el estado persistente de todas las descargas
@@ -171,8 +183,7 @@ async function initialize() {
   const queueInitialized = queueDatabase.initialize();
   if (!queueInitialized) {
     log.error('No se pudo inicializar la base de datos de cola');
-    app.quit();
-    return;
+    return false;
   }
 
   // Limpiar descargas que tienen estados incorrectos en la base de datos
@@ -200,9 +211,55 @@ async function initialize() {
     fallidas: stats.failed,
   });
 
+  return true;
+}
+
+/**
+ * Configura el intervalo periódico que limpia descargas "zombies" (sin actividad por mucho tiempo)
+ *
+ * Las descargas zombies pueden ocurrir si la aplicación se cierra abruptamente o hay errores de red.
+ *
+ * @returns {void}
+ */
+function startStaleCleanup() {
+  cleanupInterval = setInterval(() => {
+    const cleaned = downloadManager.cleanupStaleDownloads();
+    if (cleaned > 0) {
+      log.info(`Limpiadas ${cleaned} descargas zombies`);
+      // Procesar la cola después de limpiar para iniciar descargas que estaban bloqueadas
+      downloadManager.processQueue();
+    }
+  }, config.downloads.staleTimeout);
+}
+
+/**
+ * Función principal de inicialización que prepara todos los componentes de la aplicación
+ *
+ * Se ejecuta cuando Electron está listo y configura:
+ * - Bases de datos (Myrient DB y Queue DB)
+ * - Ventana principal
+ * - Handlers IPC
+ * - Servicios de negocio
+ * - Restauración de descargas interrumpidas
+ * - Limpieza periódica de recursos
+ *
+ * @async
+ * @returns {Promise<void>}
+ */
+async function initialize() {
+  const endInit = log.startOperation('Inicialización de aplicación');
+
+  if (!(await initializeCore())) {
+    app.quit();
+    return;
+  }
+
   // Crear la ventana principal de la aplicación
   const mainWindow = createMainWindow();
 
+  // Cargar los servidores espejo (sus hosts se permiten en las descargas) y comprobarlos
+  mirrorManager.start();
+
   // Configurar el throttler de progreso y el gestor de descargas con referencias necesarias
   progressThrottler.setMainWindow(mainWindow);
   await downloadManager.initialize(mainWindow, progressThrottler);
@@ -210,6 +267,15 @@ async function initialize() {
   // Registrar todos los handlers IPC que permiten comunicación entre el renderer y el proceso principal
   registerHandlers(mainWindow);
 
+  // Arrancar la API HTTP local si el usuario la activó (usa los mismos handlers que el renderer)
+  await httpApi.start({ invoke: invokeHandler, progressThrottler });
+
+  // Icono de bandeja, notificaciones del sistema y progreso en la barra de tareas
+  trayManager.start({ mainWindow, progressThrottler });
+
+  // Acción al terminar la cola (cerrar, suspender o apagar el equipo)
+  queueFinishAction.start(mainWindow);
+
   // Restaurar descargas pendientes cuando la ventana termine de cargar el contenido
   // Esto permite mostrar al usuario las descargas que estaban en progreso antes de cerrar la app
   mainWindow.webContents.on('did-finish-load', () => {
@@ -320,6 +386,7 @@ async function initialize() {
     const allQueuedNow = queueDatabase.getQueued();
     const activeDownloads = queueDatabase.getActive();
     const awaitingDownloads = queueDatabase.getByState('awaiting');
+    const verifyingDownloads = queueDatabase.getByState('verifying');
 
     // Combinar todas las descargas relevantes de diferentes estados
     const allRelevant = [
@@ -327,6 +394,7 @@ async function initialize() {
       ...allQueuedNow,
       ...activeDownloads,
       ...awaitingDownloads,
+      ...verifyingDownloads,
     ];
 
     // Eliminar duplicados usando un Map donde la clave es el ID de la descarga
@@ -342,18 +410,14 @@ async function initialize() {
     if (relevantDownloads.length > 0) {
       mainWindow.webContents.send('downloads-restored', relevantDownloads);
     }
-  });
 
-  // Configurar intervalo periódico para limpiar descargas "zombies" (sin actividad por mucho tiempo)
-  // Las descargas zombies pueden ocurrir si la aplicación se cierra abruptamente o hay errores de red
-  cleanupInterval = setInterval(() => {
-    const cleaned = downloadManager.cleanupStaleDownloads();
-    if (cleaned > 0) {
-      log.info(`Limpiadas ${cleaned} descargas zombies`);
-      // Procesar la cola después de limpiar para iniciar descargas que estaban bloqueadas
-      downloadManager.processQueue();
+    // Volver a verificar las descargas cuya verificación se interrumpió al cerrar
+    if (verifyingDownloads.length > 0) {
+      downloadManager.resumePendingVerifications();
     }
-  }, config.downloads.staleTimeout);
+  });
+
+  startStaleCleanup();
 
   // Ejecutar limpieza inicial del historial de descargas al iniciar la aplicación
   // Elimina registros de descargas completadas o fallidas más antiguos de 30 días
@@ -393,31 +457,80 @@ async function initialize() {
 // Eventos del ciclo de vida de la aplicación Electron
 // Manejan la inicialización, activación, y cierre de la aplicación
 
-// Inicializar la aplicación cuando Electron esté completamente listo
-app.whenReady().then(initialize);
+if (headlessArgs) {
+  // Modo sin ventana: ejecutar el comando y salir con su código
+  app.whenReady().then(initializeHeadless);
 
-// Evento específico de macOS: crear ventana si no hay ninguna cuando la app se activa
-// En otros sistemas operativos este evento no se dispara típicamente
-app.on('activate', () => {
-  if (BrowserWindow.getAllWindows().length === 0) {
-    initialize();
-  }
-});
+  // Ctrl+C: guardar el estado de las descargas en curso para reanudarlas más tarde
+  process.on('SIGINT', () => {
+    cleanup();
+    app.exit(130);
+  });
+} else {
+  // Inicializar la aplicación cuando Electron esté completamente listo
+  app.whenReady().then(initialize);
+
+  // Evento específico de macOS: crear ventana si no hay ninguna cuando la app se activa
+  // En otros sistemas operativos este evento no se dispara típicamente
+  app.on('activate', () => {
+    if (BrowserWindow.getAllWindows().length === 0) {
+      initialize();
+    }
+  });
 
-// Cuando todas las ventanas se cierran, ejecutar limpieza y salir
-// En macOS la aplicación normalmente continúa corriendo aunque no haya ventanas
-app.on('window-all-closed', () => {
-  if (process.platform !== 'darwin') {
+  // Cuando todas las ventanas se cierran, ejecutar limpieza y salir
+  // En macOS la aplicación normalmente continúa corriendo aunque no haya ventanas
+  app.on('window-all-closed', () => {
+    if (process.platform !== 'darwin') {
+      cleanup();
+      app.quit();
+    }
+  });
+
+  // Ejecutar limpieza antes de que la aplicación comience a cerrarse
+  // Garantiza que todos los recursos se liberen y el estado se guarde correctamente
+  app.on('before-quit', () => {
     cleanup();
-    app.quit();
+  });
+}
+
+/**
+ * Inicialización del modo sin ventana (--headless)
+ *
+ * Prepara las bases de datos, el DownloadManager y los handlers sin crear la
+ * BrowserWindow, ejecuta el comando (ver headless.js) y cierra la aplicación
+ * con su código de salida.
+ *
+ * @async
+ * @returns {Promise<void>}
+ */
+async function initializeHeadless() {
+  app.dock?.hide();
+
+  if (!(await initializeCore())) {
+    process.stderr.write(`No se pudieron abrir las bases de datos (ver ${logger.getFilePath()})\n`);
+    app.exit(1);
+    return;
+  }
+
+  // Cargar los servidores espejo y comprobarlos, igual que con ventana
+  mirrorManager.start();
+
+  await downloadManager.initialize(null, progressThrottler);
+  registerHandlers(null);
+  startStaleCleanup();
+
+  let exitCode = 1;
+  try {
+    exitCode = await runHeadless(headlessArgs, { invoke: invokeHandler, progressThrottler });
+  } catch (error) {
+    log.error('Error en modo sin ventana:', error);
+    process.stderr.write(`Error: ${error.message}\n`);
   }
-});
 
-// Ejecutar limpieza antes de que la aplicación comience a cerrarse
-// Garantiza que todos los recursos se liberen y el estado se guarde correctamente
-app.on('before-quit', () => {
   cleanup();
-});
+  app.exit(exitCode);
+}
 
 // Función de limpieza que se ejecuta antes de cerrar la aplicación
 // Guarda el estado actual de descargas, cierra conexiones, y libera recursos
@@ -534,6 +647,18 @@ function cleanup() {
     log.info('Intervalo de limpieza de historial detenido');
   }
 
+  // Detener la API HTTP local y cerrar los streams de eventos antes que el throttler
+  httpApi.stop();
+
+  // Quitar el icono de bandeja y el progreso de la barra de tareas
+  trayManager.destroy();
+
+  // Cancelar la cuenta atrás de la acción al terminar la cola
+  queueFinishAction.stop();
+
+  // Detener la comprobación periódica de servidores espejo
+  mirrorManager.stop();
+
   // Destruir el throttler de progreso y cancelar cualquier actualización pendiente
   progressThrottler.destroy();
   log.info('Throttler destruido');
@@ -0,0 +1,369 @@
+/**
+ * @fileoverview Servidores espejo y comprobación de su estado
+ * @module mirrorManager
+ *
+ * Guarda en el directorio de configuración (mirrors.json) una lista de URL
+ * base con la misma estructura de carpetas que el listado principal
+ * (config.scraper.baseUrl). Sus hosts se añaden a la lista de hosts
+ * permitidos de isValidUrl (ver validation.setMirrorHosts).
+ *
+ * Cada cierto tiempo (config.mirrors.probeInterval) se comprueba con una
+ * petición HEAD que cada servidor responde. Al iniciar una descarga, el
+ * DownloadManager pide la URL a resolveUrl(): si el host original tiene el
+ * circuit breaker abierto o no respondió a la última comprobación, la URL se
+ * reescribe al primer servidor (principal o espejo) que esté disponible.
+ * Los reintentos vuelven a pasar por startDownload, así que también cambian
+ * de servidor.
+ *
+ * @author Myrient Downloader
+ * @version 1.0.0
+ */
+
+/**
+ * @typedef {Object} Mirror
+ * @property {string} id - Identificador del espejo
+ * @property {string} baseUrl - URL base terminada en '/' (p. ej. 'https://mirror.example.org/files/')
+ * @property {boolean} enabled - Si se usa para descargas
+ */
+
+/**
+ * @typedef {Object} MirrorHealth
+ * @property {boolean} healthy - Si respondió a la última comprobación
+ * @property {number|null} latency - Tiempo de respuesta en ms
+ * @property {number} checkedAt - Timestamp de la comprobación
+ * @property {string|null} error - Motivo del fallo
+ */
+
+const config = require('./config');
+const networkProfile = require('./networkProfile');
+const { logger, readJSONFile, writeJSONFile, setMirrorHosts } = require('./utils');
+
+const log = logger.child('Mirrors');
+
+// Identificador del servidor principal (config.scraper.baseUrl)
+const PRIMARY_ID = 'primary';
+
+/**
+ * Host de una URL base
+ *
+ * @param {string} baseUrl - URL base
+ * @returns {string|null}
+ */
+function getHost(baseUrl) {
+  try {
+    return new URL(baseUrl).hostname;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Gestiona los servidores espejo y elige el servidor de cada descarga
+ *
+ * @class MirrorManager
+ * @example
+ * const mirrorManager = require('./mirrorManager');
+ * mirrorManager.start();
+ * const url = mirrorManager.resolveUrl(downloadUrl, candidate => isHostUp(candidate));
+ */
+class MirrorManager {
+  /**
+   * Crea una nueva instancia de MirrorManager
+   *
+   * @constructor
+   */
+  constructor() {
+    this.mirrors = null;
+    /** @type {Map<string, MirrorHealth>} */
+    this.health = new Map();
+    this.probeTimer = null;
+    this.probing = null;
+  }
+
+  /**
+   * Obtiene los espejos guardados
+   *
+   * @returns {Array<Mirror>}
+   */
+  getMirrors() {
+    if (!this.mirrors) {
+      const saved = readJSONFile(config.mirrors.fileName);
+      this.mirrors = Array.isArray(saved?.mirrors) ? saved.mirrors : [];
+      this._registerHosts();
+    }
+    return this.mirrors;
+  }
+
+  /**
+   * Guarda los espejos y los comprueba
+   *
+   * @param {Array<Mirror>} mirrors - Espejos ya validados
+   * @returns {{success: boolean, data?: Array<Object>, error?: string}}
+   */
+  saveMirrors(mirrors) {
+    if (!writeJSONFile(config.mirrors.fileName, { mirrors })) {
+      return { success: false, error: 'No se pudieron guardar los servidores espejo' };
+    }
+
+    this.mirrors = mirrors;
+    this._registerHosts();
+
+    // Olvidar el estado de los espejos eliminados
+    const ids = new Set(this._getSources().map(source => source.id));
+    for (const id of this.health.keys()) {
+      if (!ids.has(id)) this.health.delete(id);
+    }
+
+    log.info(`Servidores espejo guardados: ${mirrors.length}`);
+    this.probeAll().catch(error =>
+      log.error('Error comprobando servidores espejo:', error.message)
+    );
+    return { success: true, data: this.getStatus() };
+  }
+
+  /**
+   * Servidor principal y espejos con el resultado de su última comprobación
+   *
+   * @returns {Array<Object>} { id, baseUrl, enabled, primary, health }
+   */
+  getStatus() {
+    const primary = { id: PRIMARY_ID, baseUrl: config.scraper.baseUrl, enabled: true };
+    return [primary, ...this.getMirrors()].map(source => ({
+      ...source,
+      primary: source.id === PRIMARY_ID,
+      health: this.health.get(source.id) || null,
+    }));
+  }
+
+  /**
+   * Empieza a comprobar periódicamente los servidores
+   *
+   * @returns {void}
+   */
+  start() {
+    if (this.probeTimer) return;
+
+    this.getMirrors();
+    this.probeAll().catch(error =>
+      log.error('Error comprobando servidores espejo:', error.message)
+    );
+    this.probeTimer = setInterval(() => {
+      this.probeAll().catch(error =>
+        log.error('Error comprobando servidores espejo:', error.message)
+      );
+    }, config.mirrors.probeInterval);
+  }
+
+  /**
+   * Deja de comprobar los servidores
+   *
+   * @returns {void}
+   */
+  stop() {
+    if (this.probeTimer) {
+      clearInterval(this.probeTimer);
+      this.probeTimer = null;
+    }
+  }
+
+  /**
+   * Comprueba todos los servidores activos
+   *
+   * Si ya hay una comprobación en curso, devuelve la misma promesa.
+   *
+   * @returns {Promise<Array<Object>>} Estado de los servidores (ver getStatus)
+   */
+  probeAll() {
+    if (!this.probing) {
+      this.probing = Promise.all(this._getSources().map(source => this._probe(source)))
+        .then(() => this.getStatus())
+        .finally(() => {
+          this.probing = null;
+        });
+    }
+    return this.probing;
+  }
+
+  /**
+   * Elige el servidor de una descarga
+   *
+   * @param {string} url - URL de descarga en el servidor principal
+   * @param {function(string): boolean} isHostAvailable - Recibe una URL y indica si su host
+   *   acepta peticiones (circuit breaker cerrado)
+   * @returns {string} URL original o reescrita a un servidor disponible
+   */
+  resolveUrl(url, isHostAvailable) {
+    const sources = this._getSources();
+    const current = sources.find(source => url.startsWith(source.baseUrl));
+    if (!current || sources.length < 2) return url;
+
+    if (this._isAvailable(current, isHostAvailable)) return url;
+
+    const fallback = sources.find(
+      source => source !== current && this._isAvailable(source, isHostAvailable)
+    );
+    if (!fallback) {
+      log.warn(`Ningún servidor disponible para ${url}, se usa el original`);
+      return url;
+    }
+
+    const resolved = `${fallback.baseUrl}${url.slice(current.baseUrl.length)}`;
+    log.info(
+      `Servidor ${getHost(current.baseUrl)} no disponible, usando ${getHost(fallback.baseUrl)}`
+    );
+    return resolved;
+  }
+
+  /**
+   * URL del mismo archivo en los demás servidores disponibles
+   *
+   * Las usa el DownloadManager para repartir los chunks de una descarga
+   * fragmentada entre varios servidores.
+   *
+   * @param {string} url - URL de descarga (en el servidor principal o en un espejo)
+   * @param {function(string): boolean} isHostAvailable - Estado del circuit breaker (ver resolveUrl)
+   * @returns {string[]} URL en otros servidores (vacío si no hay espejos)
+   */
+  getAlternateUrls(url, isHostAvailable) {
+    const sources = this._getSources();
+    const current = sources.find(source => url.startsWith(source.baseUrl));
+    if (!current) return [];
+
+    const relative = url.slice(current.baseUrl.length);
+    return sources
+      .filter(source => source !== current && this._isAvailable(source, isHostAvailable))
+      .map(source => `${source.baseUrl}${relative}`);
+  }
+
+  /**
+   * Comprueba de nuevo el servidor de una descarga que ha fallado
+   *
+   * Así el siguiente reintento ya sabe si tiene que cambiar de servidor.
+   * Solo se comprueba si la última comprobación es anterior a
+   * config.mirrors.recheckDelay.
+   *
+   * @param {string|null} url - URL de la descarga
+   * @returns {void}
+   */
+  reportFailure(url) {
+    if (!url) return;
+
+    const source = this._getSources().find(candidate => url.startsWith(candidate.baseUrl));
+    if (!source) return;
+
+    const health = this.health.get(source.id);
+    if (health && Date.now() - health.checkedAt < config.mirrors.recheckDelay) return;
+
+    this._probe(source).catch(error =>
+      log.error(`Error comprobando ${source.baseUrl}:`, error.message)
+    );
+  }
+
+  /**
+   * Servidor principal y espejos activos, en orden de preferencia
+   *
+   * @private
+   * @returns {Array<Mirror>}
+   */
+  _getSources() {
+    return [
+      { id: PRIMARY_ID, baseUrl: config.scraper.baseUrl, enabled: true },
+      ...this.getMirrors().filter(mirror => mirror.enabled),
+    ];
+  }
+
+  /**
+   * Un servidor está disponible si no falló su última comprobación y su
+   * circuit breaker no está abierto. Los servidores sin comprobar cuentan
+   * como disponibles.
+   *
+   * @private
+   * @param {Mirror} source - Servidor
+   * @param {function(string): boolean} isHostAvailable - Estado del circuit breaker
+   * @returns {boolean}
+   */
+  _isAvailable(source, isHostAvailable) {
+    const health = this.health.get(source.id);
+    if (health && !health.healthy) return false;
+    return isHostAvailable(source.baseUrl);
+  }
+
+  /**
+   * Comprueba un servidor con una petición HEAD a su URL base
+   *
+   * @private
+   * @param {Mirror} source - Servidor
+   * @returns {Promise<MirrorHealth>}
+   */
+  _probe(source) {
+    const startedAt = Date.now();
+
+    return new Promise(resolve => {
+      let settled = false;
+      let request = null;
+
+      const finish = (healthy, error = null) => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(timeoutId);
+
+        const health = {
+          healthy,
+          latency: healthy ? Date.now() - startedAt : null,
+          checkedAt: Date.now(),
+          error,
+        };
+
+        // Avisar solo de los cambios (un servidor sin comprobar cuenta como disponible)
+        const wasHealthy = this.health.get(source.id)?.healthy ?? true;
+        if (wasHealthy !== healthy) {
+          const host = getHost(source.baseUrl);
+          if (healthy) {
+            log.info(`Servidor ${host} disponible de nuevo`);
+          } else {
+            log.warn(`Servidor ${host} no disponible: ${error}`);
+          }
+        }
+
+        this.health.set(source.id, health);
+        resolve(health);
+      };
+
+      const timeoutId = setTimeout(() => {
+        if (request) request.abort();
+        finish(false, 'Sin respuesta');
+      }, config.mirrors.probeTimeout);
+
+      try {
+        request = networkProfile.request({ method: 'HEAD', url: source.baseUrl });
+        request.on('response', response => {
+          const ok = response.statusCode >= 200 && response.statusCode < 400;
+          finish(ok, ok ? null : `HTTP ${response.statusCode}`);
+        });
+        request.on('error', error => finish(false, error.message));
+        request.end();
+      } catch (error) {
+        finish(false, error.message);
+      }
+    });
+  }
+
+  /**
+   * Registra los hosts de los espejos activos como permitidos
+   *
+   * @private
+   * @returns {void}
+   */
+  _registerHosts() {
+    setMirrorHosts(
+      this.mirrors
+        .filter(mirror => mirror.enabled)
+        .map(mirror => getHost(mirror.baseUrl))
+        .filter(Boolean)
+    );
+  }
+}
+
+// Exportar instancia única (singleton)
+module.exports = new MirrorManager();
+module.exports.MirrorManager = MirrorManager;
@@ -0,0 +1,346 @@
+/**
+ * @fileoverview Perfil de red: proxy, User-Agent y cabeceras de todas las peticiones HTTP
+ * @module networkProfile
+ *
+ * Guarda en el directorio de configuración (network-profile.json) el proxy
+ * (el del sistema, ninguno o uno HTTP, HTTPS o SOCKS5 con usuario y contraseña
+ * opcionales), el User-Agent y cabeceras adicionales.
+ *
+ * Todas las peticiones del proceso principal (descargas, comprobación de
+ * Range, HEAD, detección de ancho de banda, comprobación de espejos y
+ * scraper) se crean con request(), que:
+ * - Usa una sesión propia (config.network.sessionPartition) con el proxy del perfil
+ * - Pone el User-Agent y las cabeceras adicionales; quien crea la petición
+ *   puede añadir después las suyas (Range, Referer...)
+ * - Responde a la autenticación del proxy (evento 'login')
+ *
+ * La contraseña del proxy se cifra con safeStorage si el sistema lo permite.
+ * Chromium no admite usuario y contraseña en proxies SOCKS5.
+ *
+ * @author Myrient Downloader
+ * @version 1.0.0
+ */
+
+/**
+ * @typedef {Object} NetworkProfile
+ * @property {Object} proxy - Proxy de las peticiones
+ * @property {string} proxy.type - Uno de config.network.proxyTypes
+ * @property {string} proxy.host - Servidor (solo http, https y socks5)
+ * @property {number|null} proxy.port - Puerto (solo http, https y socks5)
+ * @property {string} proxy.username - Usuario ('' = sin autenticación)
+ * @property {string} proxy.bypass - Hosts que no pasan por el proxy (reglas de Chromium, separadas por ',')
+ * @property {string} userAgent - User-Agent ('' = config.network.userAgent)
+ * @property {Array<{name: string, value: string}>} headers - Cabeceras adicionales
+ */
+
+const { net, session, safeStorage } = require('electron');
+const config = require('./config');
+const { logger, readJSONFile, writeJSONFile } = require('./utils');
+
+const log = logger.child('NetworkProfile');
+
+// Perfil inicial: el proxy del sistema, como hace Chromium por defecto
+const DEFAULT_PROFILE = {
+  proxy: { type: 'system', host: '', port: null, username: '', bypass: '' },
+  userAgent: '',
+  headers: [],
+};
+
+// Tipos de proxy con servidor propio (esquema de la regla de Chromium)
+const FIXED_PROXY_TYPES = ['http', 'https', 'socks5'];
+
+/**
+ * Gestiona el perfil de red y crea las peticiones HTTP con él
+ *
+ * @class NetworkProfile
+ * @example
+ * const networkProfile = require('./networkProfile');
+ * await networkProfile.apply();
+ * const request = networkProfile.request({ method: 'HEAD', url });
+ */
+class NetworkProfile {
+  /**
+   * Crea una nueva instancia de NetworkProfile
+   *
+   * @constructor
+   */
+  constructor() {
+    this.profile = null;
+    this.password = null;
+    this.session = null;
+  }
+
+  /**
+   * Perfil guardado sin la contraseña del proxy
+   *
+   * @returns {NetworkProfile & {proxy: {hasPassword: boolean}, defaultUserAgent: string}}
+   */
+  getProfile() {
+    const profile = this._load();
+    return {
+      ...profile,
+      proxy: { ...profile.proxy, hasPassword: !!this.password },
+      defaultUserAgent: config.network.userAgent,
+    };
+  }
+
+  /**
+   * Guarda el perfil y lo aplica a la sesión de red
+   *
+   * @param {Object} profile - Perfil ya validado; sin proxy.password se conserva la
+   *   contraseña guardada y con null o '' se borra
+   * @returns {Promise<{success: boolean, data?: Object, error?: string}>}
+   */
+  async save(profile) {
+    this._load();
+    const { password, ...proxy } = profile.proxy;
+    const nextPassword = password === undefined ? this.password : password || null;
+    const next = { ...profile, proxy };
+
+    if (!writeJSONFile(config.network.profileFileName, this._serialize(next, nextPassword))) {
+      return { success: false, error: 'No se pudo guardar el perfil de red' };
+    }
+
+    this.profile = next;
+    this.password = proxy.username ? nextPassword : null;
+    await this.apply();
+    return { success: true, data: this.getProfile() };
+  }
+
+  /**
+   * Aplica el proxy del perfil a la sesión de red
+   *
+   * Cierra las conexiones abiertas para que las siguientes peticiones usen ya
+   * el proxy nuevo (las descargas en curso siguen por la conexión que tenían).
+   *
+   * @returns {Promise<void>}
+   */
+  async apply() {
+    const { proxy } = this._load();
+    const ses = this._getSession();
+
+    try {
+      await ses.setProxy(this._toProxyConfig(proxy));
+      await ses.closeAllConnections();
+      log.info(
+        FIXED_PROXY_TYPES.includes(proxy.type)
+          ? `Proxy ${proxy.type}://${proxy.host}:${proxy.port}${proxy.username ? ' con autenticación' : ''}`
+          : `Proxy: ${proxy.type === 'system' ? 'el del sistema' : 'ninguno'}`
+      );
+    } catch (error) {
+      log.error('Error aplicando el proxy del perfil de red:', error.message);
+    }
+  }
+
+  /**
+   * Crea una petición con el perfil de red
+   *
+   * @param {string|Object} options - URL u opciones de net.request ({ method, url, ... })
+   * @returns {Electron.ClientRequest} Petición sin enviar (falta request.end())
+   */
+  request(options) {
+    const profile = this._load();
+    const request = net.request({
+      ...(typeof options === 'string' ? { url: options } : options),
+      session: this._getSession(),
+    });
+
+    request.setHeader('User-Agent', profile.userAgent || config.network.userAgent);
+    profile.headers.forEach(({ name, value }) => request.setHeader(name, value));
+
+    // Se responde una sola vez: si las credenciales son incorrectas, el proxy
+    // devuelve 407 en lugar de pedirlas en bucle
+    let answered = false;
+    request.on('login', (authInfo, callback) => {
+      const { username } = this._load().proxy;
+      if (authInfo.isProxy && username && this.password && !answered) {
+        answered = true;
+        callback(username, this.password);
+        return;
+      }
+      if (authInfo.isProxy) {
+        log.warn(`El proxy ${authInfo.host}:${authInfo.port} rechazó las credenciales`);
+      }
+      callback();
+    });
+
+    return request;
+  }
+
+  /**
+   * Descarga un recurso de texto (listados del scraper)
+   *
+   * @param {string} url - URL
+   * @param {Object} [options] - Opciones
+   * @param {Object<string, string>} [options.headers] - Cabeceras de esta petición
+   * @param {number} [options.timeout] - Tiempo máximo en ms (config.network.timeout por defecto)
+   * @returns {Promise<string>} Cuerpo de la respuesta
+   * @throws {Error} Si la respuesta no es 2xx o se agota el tiempo (error.code = 'TIMEOUT')
+   */
+  fetchText(url, { headers = {}, timeout = config.network.timeout } = {}) {
+    return new Promise((resolve, reject) => {
+      const request = this.request(url);
+      Object.entries(headers).forEach(([name, value]) => request.setHeader(name, value));
+
+      const timeoutId = setTimeout(() => {
+        request.abort();
+        const error = new Error(`Sin respuesta en ${timeout}ms`);
+        error.code = 'TIMEOUT';
+        reject(error);
+      }, timeout);
+
+      request.on('response', response => {
+        if (response.statusCode < 200 || response.statusCode >= 300) {
+          clearTimeout(timeoutId);
+          request.abort();
+          reject(new Error(`HTTP ${response.statusCode}: ${response.statusMessage}`));
+          return;
+        }
+
+        const chunks = [];
+        response.on('data', chunk => chunks.push(chunk));
+        response.on('end', () => {
+          clearTimeout(timeoutId);
+          resolve(Buffer.concat(chunks).toString('utf8'));
+        });
+        response.on('error', error => {
+          clearTimeout(timeoutId);
+          reject(error);
+        });
+      });
+      request.on('error', error => {
+        clearTimeout(timeoutId);
+        reject(error);
+      });
+      request.end();
+    });
+  }
+
+  /**
+   * Comprueba la conexión con el servidor principal usando el perfil guardado
+   *
+   * @returns {Promise<{success: boolean, data?: {statusCode: number, latency: number}, error?: string}>}
+   */
+  test() {
+    const startedAt = Date.now();
+
+    return new Promise(resolve => {
+      const request = this.request({ method: 'HEAD', url: config.scraper.baseUrl });
+
+      const timeoutId = setTimeout(() => {
+        request.abort();
+        resolve({ success: false, error: `Sin respuesta en ${config.network.timeout}ms` });
+      }, config.network.timeout);
+
+      request.on('response', response => {
+        clearTimeout(timeoutId);
+        const latency = Date.now() - startedAt;
+        if (response.statusCode === 407) {
+          resolve({
+            success: false,
+            error: 'El proxy rechazó el usuario o la contraseña (HTTP 407)',
+          });
+        } else if (response.statusCode >= 400) {
+          resolve({ success: false, error: `HTTP ${response.statusCode}` });
+        } else {
+          resolve({ success: true, data: { statusCode: response.statusCode, latency } });
+        }
+      });
+      request.on('error', error => {
+        clearTimeout(timeoutId);
+        resolve({ success: false, error: error.message });
+      });
+      request.end();
+    });
+  }
+
+  /**
+   * Sesión de las peticiones (se crea la primera vez, con la aplicación ya lista)
+   *
+   * @private
+   * @returns {Electron.Session}
+   */
+  _getSession() {
+    if (!this.session) {
+      this.session = session.fromPartition(config.network.sessionPartition);
+    }
+    return this.session;
+  }
+
+  /**
+   * Configuración de proxy de Electron para un perfil
+   *
+   * @private
+   * @param {NetworkProfile['proxy']} proxy - Proxy del perfil
+   * @returns {Electron.ProxyConfig}
+   */
+  _toProxyConfig(proxy) {
+    if (proxy.type === 'none') return { mode: 'direct' };
+    if (!FIXED_PROXY_TYPES.includes(proxy.type)) return { mode: 'system' };
+    return {
+      mode: 'fixed_servers',
+      proxyRules: `${proxy.type}://${proxy.host}:${proxy.port}`,
+      proxyBypassRules: proxy.bypass || '<local>',
+    };
+  }
+
+  /**
+   * @private
+   * @returns {NetworkProfile}
+   */
+  _load() {
+    if (!this.profile) {
+      const saved = readJSONFile(config.network.profileFileName) || {};
+      const { password, passwordEncrypted, ...proxy } = saved.proxy || {};
+
+      this.profile = {
+        proxy: { ...DEFAULT_PROFILE.proxy, ...proxy },
+        userAgent: typeof saved.userAgent === 'string' ? saved.userAgent : '',
+        headers: Array.isArray(saved.headers) ? saved.headers : [],
+      };
+      this.password = this._decodePassword(password, passwordEncrypted);
+    }
+    return this.profile;
+  }
+
+  /**
+   * Perfil tal como se guarda en disco (contraseña cifrada si se puede)
+   *
+   * @private
+   * @param {NetworkProfile} profile - Perfil
+   * @param {string|null} password - Contraseña del proxy
+   * @returns {Object}
+   */
+  _serialize(profile, password) {
+    const proxy = { ...profile.proxy };
+    if (password && proxy.username) {
+      if (safeStorage.isEncryptionAvailable()) {
+        proxy.passwordEncrypted = safeStorage.encryptString(password).toString('base64');
+      } else {
+        log.warn('Cifrado del sistema no disponible: la contraseña del proxy se guarda sin cifrar');
+        proxy.password = password;
+      }
+    }
+    return { ...profile, proxy };
+  }
+
+  /**
+   * @private
+   * @param {string} [password] - Contraseña sin cifrar
+   * @param {string} [passwordEncrypted] - Contraseña cifrada con safeStorage (base64)
+   * @returns {string|null}
+   */
+  _decodePassword(password, passwordEncrypted) {
+    if (!passwordEncrypted) return password || null;
+    try {
+      return safeStorage.decryptString(Buffer.from(passwordEncrypted, 'base64'));
+    } catch (error) {
+      log.error('No se pudo descifrar la contraseña del proxy:', error.message);
+      return null;
+    }
+  }
+}
+
+// Exportar instancia única (singleton)
+module.exports = new NetworkProfile();
+module.exports.NetworkProfile = NetworkProfile;
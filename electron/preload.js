@@ -17,6 +17,13 @@ const validEventChannels = [
   'downloads-restored',
   'error-notification',
   'backend-log',
+  'catalog-update-progress',
+  'schedule-changed',
+  'tray-action',
+  'queue-finish-changed',
+  'saved-searches-updated',
+  'folder-batch-finished',
+  'completed-updates-progress',
 ];
 
 // Canales permitidos para invocaciones bidireccionales (renderer <-> main)
@@ -27,10 +34,28 @@ const validInvokeChannels = [
   'get-children',
   'get-ancestors',
   'get-node-info',
+  'get-data-source',
+  'set-data-source',
   'get-db-update-date',
+  'update-catalog',
+  'cancel-catalog-update',
+  // Búsquedas guardadas
+  'get-saved-searches',
+  'create-saved-search',
+  'update-saved-search',
+  'delete-saved-search',
+  'acknowledge-saved-search',
+  // Verificación de descargas con DATs
+  'import-dat',
+  'get-dats',
+  'remove-dat',
   // Gestión de descargas
   'download-file',
+  'get-folder-files',
+  'audit-collection',
   'download-folder',
+  'export-queue',
+  'import-queue',
   'pause-download',
   'resume-download',
   'cancel-download',
@@ -39,8 +64,36 @@ const validInvokeChannels = [
   'delete-download',
   'get-download-stats',
   'get-queue-time-estimate',
+  'set-download-priority',
+  'move-download',
   'clean-history',
   'clear-history',
+  'get-download-statistics',
+  'check-completed-updates',
+  'cancel-completed-updates',
+  // Lotes (carpetas encoladas)
+  'get-download-batches',
+  'control-download-batch',
+  // Programación semanal de descargas
+  'get-schedule',
+  'save-schedule',
+  // Acción al terminar la cola
+  'get-queue-finish-action',
+  'cancel-queue-finish-action',
+  // Reglas de destino por carpeta
+  'get-download-rules',
+  'save-download-rules',
+  'preview-download-rules',
+  // Servidores espejo
+  'get-mirrors',
+  'save-mirrors',
+  'probe-mirrors',
+  // Perfil de red (proxy, User-Agent y cabeceras)
+  'get-network-profile',
+  'save-network-profile',
+  'test-network-profile',
+  'get-http-api',
+  'configure-http-api',
   // Lectura y escritura de archivos de configuración
   'read-config-file',
   'write-config-file',
@@ -120,7 +173,8 @@ const api = {
 
   // Busca archivos y carpetas en la base de datos usando el término proporcionado
   // term: Texto de búsqueda que se utilizará para encontrar coincidencias
-  search: term => safeInvoke('search-db', term),
+  // options: { limit, cursor, filters } para paginar y aplicar los filtros avanzados
+  search: (term, options) => safeInvoke('search-db', term, options),
 
   // Obtiene los nodos hijos directos de un nodo padre en la estructura de carpetas
   // parentId: ID numérico del nodo padre del cual obtener los hijos
@@ -134,10 +188,56 @@ const api = {
   // nodeId: ID numérico del nodo del cual obtener la información
   getNodeInfo: nodeId => safeInvoke('get-node-info', nodeId),
 
+  // Obtiene el origen de datos de navegación actual ('db', 'web' o 'hybrid')
+  getDataSource: () => safeInvoke('get-data-source'),
+
+  // Cambia el origen de datos de navegación
+  // mode: 'db' (catálogo local), 'web' (listado en vivo) o 'hybrid' (DB verificada contra la web)
+  setDataSource: mode => safeInvoke('set-data-source', mode),
+
   // Obtiene la fecha de última actualización de la base de datos de índice
   // Útil para mostrar al usuario cuán actualizada está la información
   getDbUpdateDate: () => safeInvoke('get-db-update-date'),
 
+  // Actualiza el catálogo local comparándolo con los listados en vivo de Myrient
+  // El progreso se emite por el canal 'catalog-update-progress'
+  updateCatalog: options => safeInvoke('update-catalog', options),
+
+  // Cancela la actualización del catálogo en curso sin modificar el catálogo actual
+  cancelCatalogUpdate: () => safeInvoke('cancel-catalog-update'),
+
+  // Búsquedas guardadas (se repiten tras cada actualización del catálogo)
+  // Los resultados nuevos se emiten por el canal 'saved-searches-updated'
+
+  // Obtiene las búsquedas guardadas con sus resultados nuevos
+  getSavedSearches: () => safeInvoke('get-saved-searches'),
+
+  // Guarda una búsqueda; sus resultados actuales cuentan como vistos
+  // params: Objeto con name, term, preset, scopeFolderId y autoEnqueue
+  createSavedSearch: params => safeInvoke('create-saved-search', params),
+
+  // Cambia el nombre o la descarga automática de una búsqueda
+  // changes: Objeto con id y opcionalmente name y autoEnqueue
+  updateSavedSearch: changes => safeInvoke('update-saved-search', changes),
+
+  // Elimina una búsqueda guardada
+  deleteSavedSearch: id => safeInvoke('delete-saved-search', id),
+
+  // Marca como revisados los resultados nuevos de una búsqueda
+  acknowledgeSavedSearch: id => safeInvoke('acknowledge-saved-search', id),
+
+  // Verificación de descargas contra DATs de No-Intro/Redump
+
+  // Abre el diálogo para elegir un DAT (Logiqx XML) y lo importa
+  importDat: () => safeInvoke('import-dat'),
+
+  // Obtiene la lista de DATs importados
+  getDats: () => safeInvoke('get-dats'),
+
+  // Elimina un DAT importado
+  // datId: ID numérico del DAT a eliminar
+  removeDat: datId => safeInvoke('remove-dat', datId),
+
   // Control de descargas de archivos individuales y carpetas completas
   // Todas las operaciones de descarga se gestionan a través de estos métodos
 
@@ -145,10 +245,28 @@ const api = {
   // file: Objeto con información del archivo (id, title, downloadPath, etc.)
   download: file => safeInvoke('download-file', file),
 
+  // Obtiene todos los archivos de una carpeta (recursivo) sin encolarlos
+  // Se usa para revisar la selección 1G1R antes de descargar la carpeta
+  // folderId: ID numérico de la carpeta
+  getFolderFiles: folderId => safeInvoke('get-folder-files', folderId),
+
+  // Compara una carpeta local con una carpeta del catálogo (faltan, sobran, tamaño distinto)
+  // params: Objeto con folderId y localPath (sin localPath se abre un diálogo para elegirla)
+  auditCollection: params => safeInvoke('audit-collection', params),
+
   // Inicia la descarga recursiva de todos los archivos contenidos en una carpeta
   // params: Objeto con folderId, downloadPath, preserveStructure, etc.
+  // params.fileIds: IDs opcionales para descargar solo una selección de la carpeta (1G1R)
   downloadFolder: params => safeInvoke('download-folder', params),
 
+  // Exporta descargas a un manifiesto JSON o lista de URLs (abre diálogo de guardado)
+  // downloadIds: IDs a exportar; vacío = toda la lista
+  exportQueue: downloadIds => safeInvoke('export-queue', downloadIds),
+
+  // Importa un manifiesto JSON o lista de URLs y encola los archivos encontrados en el catálogo
+  // params: Objeto con downloadPath y preserveStructure para las descargas nuevas
+  importQueue: params => safeInvoke('import-queue', params),
+
   // Pausa temporalmente una descarga activa, preservando los archivos parciales (.part)
   // downloadId: ID numérico de la descarga a pausar
   pauseDownload: downloadId => safeInvoke('pause-download', downloadId),
@@ -182,6 +300,14 @@ const api = {
   // downloadId: ID opcional de la descarga específica, o null para estimación total de cola
   getQueueTimeEstimate: (downloadId = null) => safeInvoke('get-queue-time-estimate', downloadId),
 
+  // Cambia la prioridad de una descarga en cola (0 = baja ... 3 = urgente)
+  // params: { downloadId, priority }
+  setDownloadPriority: params => safeInvoke('set-download-priority', params),
+
+  // Mueve una descarga dentro de la cola
+  // params: { downloadId, position } donde position es un índice (0 = primera), 'top' o 'bottom'
+  moveDownload: params => safeInvoke('move-download', params),
+
   // Limpia el historial de descargas eliminando registros más antiguos que los días especificados
   // daysOld: Número de días de antigüedad mínimo para considerar una descarga como histórica
   cleanHistory: daysOld => safeInvoke('clean-history', daysOld),
@@ -189,6 +315,89 @@ const api = {
   // Limpia todo el historial de descargas (sin importar la fecha)
   clearHistory: () => safeInvoke('clear-history'),
 
+  // Estadísticas construidas con el historial de eventos de las descargas
+  // days: días a incluir contando hoy (1-365)
+  getDownloadStatistics: days => safeInvoke('get-download-statistics', days),
+
+  // Busca descargas completadas cuyo archivo cambió en el servidor (ETag, Last-Modified, tamaño)
+  // El progreso se emite por el canal 'completed-updates-progress'
+  checkCompletedUpdates: () => safeInvoke('check-completed-updates'),
+
+  // Cancela la búsqueda de actualizaciones en curso (devuelve los resultados parciales)
+  cancelCompletedUpdates: () => safeInvoke('cancel-completed-updates'),
+
+  // Lotes: carpetas encoladas con su progreso conjunto
+  getDownloadBatches: () => safeInvoke('get-download-batches'),
+
+  // Aplica una acción a todas las descargas de un lote
+  // action: 'pause' | 'resume' | 'cancel' | 'retry-failed'
+  controlDownloadBatch: (batchId, action) => safeInvoke('control-download-batch', batchId, action),
+
+  // Programación semanal de descargas (franjas de cola y límites de velocidad)
+  // Los cambios de franja activa se emiten por el canal 'schedule-changed'
+
+  // Obtiene la programación guardada y la franja activa
+  getSchedule: () => safeInvoke('get-schedule'),
+
+  // Guarda la programación y la aplica inmediatamente
+  // schedule: Objeto con enabled, defaultAction y rules
+  saveSchedule: schedule => safeInvoke('save-schedule', schedule),
+
+  // Acción al terminar la cola (se configura en download-settings.json)
+  // La cuenta atrás se emite por el canal 'queue-finish-changed'
+
+  // Obtiene la acción configurada y la cuenta atrás en curso
+  getQueueFinishAction: () => safeInvoke('get-queue-finish-action'),
+
+  // Cancela la cuenta atrás en curso
+  cancelQueueFinishAction: () => safeInvoke('cancel-queue-finish-action'),
+
+  // Reglas de destino por carpeta del catálogo (se aplican al encolar)
+
+  // Obtiene las reglas guardadas
+  getDownloadRules: () => safeInvoke('get-download-rules'),
+
+  // Guarda las reglas
+  // rules: Array de { id, enabled, pattern, target, stripTags }
+  saveDownloadRules: rules => safeInvoke('save-download-rules', rules),
+
+  // Calcula dónde se guardaría un archivo de ejemplo con unas reglas sin guardar
+  // params: Objeto con rules, samplePath y downloadPath
+  previewDownloadRules: params => safeInvoke('preview-download-rules', params),
+
+  // Servidores espejo para cambiar de servidor cuando el principal falla
+
+  // Obtiene el servidor principal y los espejos con su estado
+  getMirrors: () => safeInvoke('get-mirrors'),
+
+  // Guarda los espejos
+  // mirrors: Array de { id, baseUrl, enabled }
+  saveMirrors: mirrors => safeInvoke('save-mirrors', mirrors),
+
+  // Comprueba ahora si los servidores responden
+  probeMirrors: () => safeInvoke('probe-mirrors'),
+
+  // Perfil de red de todas las peticiones HTTP
+
+  // Obtiene el perfil (sin la contraseña del proxy, solo proxy.hasPassword)
+  getNetworkProfile: () => safeInvoke('get-network-profile'),
+
+  // Guarda el perfil y aplica el proxy
+  // profile: { proxy: { type, host, port, username, password?, bypass }, userAgent, headers }
+  saveNetworkProfile: profile => safeInvoke('save-network-profile', profile),
+
+  // Comprueba la conexión con el servidor principal usando el perfil guardado
+  testNetworkProfile: () => safeInvoke('test-network-profile'),
+
+  // API HTTP local para controlar la aplicación desde scripts
+
+  // Obtiene el estado de la API (activa, URL, token)
+  getHttpApi: () => safeInvoke('get-http-api'),
+
+  // Activa/desactiva la API, cambia el puerto o regenera el token
+  // settings: Objeto con enabled, port y regenerateToken
+  configureHttpApi: settings => safeInvoke('configure-http-api', settings),
+
   // Gestión de archivos de configuración JSON almacenados en el directorio de configuración
   // Estos archivos persisten preferencias del usuario entre sesiones
 
@@ -11,6 +11,7 @@
  * - Envío inmediato para estados críticos
  * - Cancelación de actualizaciones pendientes
  * - Agrupación inteligente de actualizaciones
+ * - Suscriptores externos (API HTTP local) que reciben las mismas actualizaciones
  *
  * @author Myrient Downloader
  * @version 2.0.0
@@ -69,6 +70,7 @@ class ProgressThrottler {
     this.lastGlobalSend = 0;
     this.sendTimeout = null;
     this.mainWindow = null;
+    this.listeners = new Set();
   }
 
   /**
@@ -88,6 +90,45 @@ class ProgressThrottler {
     this.mainWindow = window;
   }
 
+  /**
+   * Suscribe una función a las actualizaciones de progreso
+   *
+   * El suscriptor recibe un array con las actualizaciones de cada envío
+   * (las mismas que van al renderer, pero con todos sus campos).
+   *
+   * @param {Function} listener - Recibe (Array<ProgressInfo>)
+   * @returns {Function} Función para cancelar la suscripción
+   *
+   * @example
+   * const unsubscribe = throttler.subscribe(updates => console.log(updates.length));
+   * unsubscribe();
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * Entrega actualizaciones a los suscriptores sin enviarlas por IPC
+   *
+   * Lo usa también DownloadManager para los estados que envía directamente
+   * al renderer (completado, verificando, extrayendo...).
+   *
+   * @param {Array<ProgressInfo>} updates - Actualizaciones a entregar
+   * @returns {void}
+   */
+  publish(updates) {
+    if (this.listeners.size === 0 || updates.length === 0) return;
+
+    this.listeners.forEach(listener => {
+      try {
+        listener(updates);
+      } catch (error) {
+        log.error('Error en suscriptor de progreso:', error.message);
+      }
+    });
+  }
+
   /**
    * Encola una actualización de progreso para envío throttled
    *
@@ -137,6 +178,7 @@ class ProgressThrottler {
     if (this.mainWindow && !this.mainWindow.isDestroyed()) {
       this.mainWindow.webContents.send('download-progress', progressInfo);
     }
+    this.publish([progressInfo]);
   }
 
   /**
@@ -197,6 +239,8 @@ class ProgressThrottler {
 
     if (this.pendingUpdates.size === 0) return;
 
+    this.publish(Array.from(this.pendingUpdates.values()));
+
     if (!this.mainWindow || this.mainWindow.isDestroyed()) {
       this.pendingUpdates.clear();
       return;
@@ -231,6 +275,7 @@ class ProgressThrottler {
       this.sendTimeout = null;
     }
     this.pendingUpdates.clear();
+    this.listeners.clear();
     this.mainWindow = null;
   }
 }
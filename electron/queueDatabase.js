@@ -3,9 +3,12 @@
  * @module queueDatabase
  *
  * Maneja toda la persistencia de descargas incluyendo:
- * - Estados: queued, downloading, paused, completed, failed, cancelled, awaiting
+ * - Estados: queued, downloading, paused, completed, failed, cancelled, awaiting,
+ *   verifying, verify_failed
  * - Fragmentos parciales (chunks) para reanudación
  * - Historial de descargas para estadísticas
+ * - Lotes: carpetas encoladas de una vez y sus descargas
+ * - DATs importados (No-Intro/Redump/MAME) para verificar hashes
  * - Metadatos y configuración
  *
  * Decisiones técnicas:
@@ -27,12 +30,16 @@
  * @property {string} [save_path] - Ruta de guardado
  * @property {string} [download_path] - Directorio base configurado
  * @property {boolean} preserve_structure - Si mantener estructura de carpetas
- * @property {string} state - Estado actual: 'queued' | 'downloading' | 'paused' | 'completed' | 'failed' | 'cancelled' | 'awaiting'
+ * @property {string} state - Estado actual: 'queued' | 'downloading' | 'paused' | 'completed' | 'failed' | 'cancelled' | 'awaiting' | 'verifying' | 'verify_failed'
  * @property {number} progress - Progreso (0.0 - 1.0)
  * @property {number} downloaded_bytes - Bytes descargados
  * @property {number} total_bytes - Tamaño total del archivo
  * @property {number} priority - Prioridad (0-3)
  * @property {boolean} force_overwrite - Si forzar sobrescritura
+ * @property {string} [conflict_policy] - Política si el archivo ya existe (null = la global)
+ * @property {string} [etag] - ETag de la última respuesta HEAD
+ * @property {string} [last_modified] - Last-Modified de la última respuesta HEAD
+ * @property {string} [remote_host] - Servidor que dio el ETag y el Last-Modified
  * @property {number} created_at - Timestamp de creación
  * @property {number} [started_at] - Timestamp de inicio
  * @property {number} [completed_at] - Timestamp de completado
@@ -40,6 +47,17 @@
  * @property {number} retry_count - Intentos realizados
  * @property {number} max_retries - Máximo de reintentos
  * @property {string} [last_error] - Último error
+ * @property {string} [expected_hash] - Hash esperado según el DAT ('algoritmo:hex')
+ * @property {string} [actual_hash] - Hash calculado tras la descarga ('algoritmo:hex')
+ */
+
+/**
+ * @typedef {Object} DatMatch
+ * @property {number} datId - ID del DAT que contiene la entrada
+ * @property {string} datName - Nombre del DAT
+ * @property {string} gameName - Nombre del juego en el DAT
+ * @property {boolean} archive - true si se comparan los archivos dentro de un comprimido
+ * @property {Array<Object>} roms - ROMs esperados: { name, size, crc32, md5, sha1 }
  */
 
 /**
@@ -52,10 +70,33 @@
  * @property {number} downloaded_bytes - Bytes descargados en este chunk
  * @property {string} state - Estado: 'pending' | 'downloading' | 'completed' | 'failed'
  * @property {string} [temp_file] - Archivo temporal del chunk
+ * @property {string} [source_host] - Host del que se descarga el chunk (servidor principal o espejo)
  * @property {number} created_at - Timestamp de creación
  * @property {number} updated_at - Última actualización
  */
 
+/**
+ * @typedef {Object} BatchSummary
+ * @property {number} id - ID del lote
+ * @property {string} title - Nombre de la carpeta encolada
+ * @property {number|null} folderId - ID de la carpeta en Myrient DB
+ * @property {number} createdAt - Timestamp de creación
+ * @property {number|null} finishedAt - Cuando todas sus descargas dejaron de avanzar solas
+ * @property {number} total - Descargas del lote
+ * @property {number} queued - En cola
+ * @property {number} downloading - Descargando
+ * @property {number} paused - Pausadas
+ * @property {number} verifying - Descargadas, verificándose contra el DAT
+ * @property {number} completed - Completadas
+ * @property {number} failed - Fallidas o con verificación fallida
+ * @property {number} cancelled - Canceladas
+ * @property {number} awaiting - Esperando confirmación
+ * @property {number} totalBytes - Tamaño total (real si se conoce, si no el del catálogo)
+ * @property {number} downloadedBytes - Bytes descargados
+ * @property {number} remainingBytes - Bytes por descargar de las que siguen pendientes
+ * @property {number} unknownSize - Descargas sin tamaño conocido
+ */
+
 const Database = require('better-sqlite3');
 const fs = require('fs');
 const path = require('path');
@@ -81,6 +122,8 @@ const DownloadState = Object.freeze({
   FAILED: 'failed', // Falló después de reintentos
   CANCELLED: 'cancelled', // Cancelada por el usuario
   AWAITING: 'awaiting', // Esperando confirmación (archivo existente)
+  VERIFYING: 'verifying', // Descargada, calculando hashes contra el DAT
+  VERIFY_FAILED: 'verify_failed', // Descargada pero no coincide con el DAT
 });
 
 /**
@@ -95,13 +138,101 @@ const DownloadPriority = Object.freeze({
   URGENT: 3,
 });
 
+// Carpetas del servidor que se devuelven en las estadísticas
+const STATS_TOP_FOLDERS = 10;
+
+/**
+ * Rangos de la distribución de tiempo hasta completar (límite superior en ms)
+ * @readonly
+ */
+const DURATION_BUCKETS = Object.freeze([
+  { label: '< 1 min', maxMs: 60 * 1000 },
+  { label: '1-5 min', maxMs: 5 * 60 * 1000 },
+  { label: '5-15 min', maxMs: 15 * 60 * 1000 },
+  { label: '15-60 min', maxMs: 60 * 60 * 1000 },
+  { label: '1-3 h', maxMs: 3 * 60 * 60 * 1000 },
+  { label: '> 3 h', maxMs: Infinity },
+]);
+
+// =====================
+// UTILIDADES DE ESTADÍSTICAS
+// =====================
+
+/**
+ * Fecha local en formato YYYY-MM-DD
+ * @param {number|Date} time - Timestamp o fecha
+ * @returns {string}
+ */
+function toDateKey(time) {
+  const date = new Date(time);
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Lunes de la semana de una fecha (YYYY-MM-DD)
+ * @param {number} time - Timestamp
+ * @returns {string}
+ */
+function toWeekKey(time) {
+  const date = new Date(time);
+  date.setDate(date.getDate() - ((date.getDay() + 6) % 7));
+  return toDateKey(date);
+}
+
+/**
+ * Agrupa mensajes de error por tipo: los mensajes llevan bytes, milisegundos
+ * o el índice del chunk, que no deben separar un mismo fallo en varias filas
+ *
+ * @param {string|null} message - Mensaje guardado en el evento
+ * @returns {string} Tipo de error
+ */
+function toErrorType(message) {
+  if (!message) return 'Desconocido';
+
+  const text = String(message).replace(/^Chunk \d+ falló: /, '');
+  const httpStatus = text.match(/HTTP (\d{3})/);
+  if (httpStatus) return `HTTP ${httpStatus[1]}`;
+  if (/timeout|ETIMEDOUT/i.test(text)) return 'Timeout';
+  if (/circuit breaker/i.test(text)) return 'Circuit breaker abierto';
+
+  const code = text.match(/\b(E[A-Z]{3,}|ERR_[A-Z_]+)\b/);
+  if (code) return code[1];
+
+  return text.split(':')[0].replace(/\d+/g, '#').trim().slice(0, 80);
+}
+
+/**
+ * Carpeta del servidor de una URL de descarga (ruta sin el nombre del archivo)
+ * @param {string|null} url - URL de descarga
+ * @returns {string|null}
+ */
+function toRemoteFolder(url) {
+  try {
+    const { pathname } = new URL(url);
+    return decodeURIComponent(path.posix.dirname(pathname));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Velocidad media ponderada (bytes totales / tiempo total)
+ * @param {{speedBytes: number, speedMs: number}} group - Acumulado del grupo
+ * @returns {number|null} Bytes por segundo
+ */
+function averageSpeed(group) {
+  return group.speedMs > 0 ? Math.round((group.speedBytes * 1000) / group.speedMs) : null;
+}
+
 // =====================
 // SCHEMA SQL
 // =====================
 
 // CRÍTICO: Versión del schema - incrementar cuando se hagan cambios incompatibles
 // Si se cambia, se deben agregar migraciones correspondientes
-const SCHEMA_VERSION = 1;
+const SCHEMA_VERSION = 6;
 const MIN_SUPPORTED_SCHEMA_VERSION = 1; // Versión mínima compatible (para migraciones desde versiones muy antiguas)
 
 const CREATE_TABLES_SQL = `
@@ -123,6 +254,12 @@ CREATE TABLE IF NOT EXISTS downloads (
     -- Configuración de descarga
     priority INTEGER DEFAULT 1,                      -- Prioridad (0-3)
     force_overwrite INTEGER DEFAULT 0,               -- Forzar sobrescritura
+    conflict_policy TEXT,                            -- Política si el archivo ya existe (NULL = global)
+
+    -- Versión del archivo en el servidor (respuesta HEAD)
+    etag TEXT,                                       -- ETag
+    last_modified TEXT,                              -- Last-Modified
+    remote_host TEXT,                                -- Servidor que dio ETag y Last-Modified
     
     -- Metadatos de tiempo
     created_at INTEGER NOT NULL,                     -- Timestamp de creación
@@ -153,6 +290,7 @@ CREATE TABLE IF NOT EXISTS download_chunks (
     downloaded_bytes INTEGER DEFAULT 0,              -- Bytes descargados en este chunk
     state TEXT DEFAULT 'pending',                    -- pending, downloading, completed, failed
     temp_file TEXT,                                  -- Archivo temporal del chunk
+    source_host TEXT,                                -- Host del que se descarga (principal o espejo)
     created_at INTEGER NOT NULL,
     updated_at INTEGER NOT NULL,
     
@@ -164,13 +302,63 @@ CREATE TABLE IF NOT EXISTS download_chunks (
 CREATE TABLE IF NOT EXISTS download_history (
     id INTEGER PRIMARY KEY AUTOINCREMENT,
     download_id INTEGER NOT NULL,
-    event_type TEXT NOT NULL,                        -- started, paused, resumed, completed, failed, cancelled
+    event_type TEXT NOT NULL,                        -- started, paused, resumed, completed, failed, cancelled, conflict, remote_changed
     event_data TEXT,                                 -- JSON con datos adicionales
     created_at INTEGER NOT NULL,
     
     FOREIGN KEY (download_id) REFERENCES downloads(id) ON DELETE CASCADE
 );
 
+-- Lotes: carpetas encoladas de una vez (download-folder)
+CREATE TABLE IF NOT EXISTS batches (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    title TEXT NOT NULL,                             -- Nombre de la carpeta
+    folder_id INTEGER,                               -- ID de la carpeta en Myrient DB
+    created_at INTEGER NOT NULL,
+    finished_at INTEGER                              -- Cuando todas sus descargas dejaron de avanzar solas
+);
+
+-- Descargas de cada lote (una descarga pertenece al último lote que la encoló)
+CREATE TABLE IF NOT EXISTS batch_downloads (
+    download_id INTEGER PRIMARY KEY,                 -- FK a downloads
+    batch_id INTEGER NOT NULL,                       -- FK a batches
+    catalog_bytes INTEGER,                           -- Tamaño según el catálogo (hasta conocer el real)
+
+    FOREIGN KEY (download_id) REFERENCES downloads(id) ON DELETE CASCADE,
+    FOREIGN KEY (batch_id) REFERENCES batches(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_batch_downloads_batch ON batch_downloads(batch_id);
+
+-- DATs importados (Logiqx XML) para verificación de integridad
+CREATE TABLE IF NOT EXISTS dat_files (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL,                              -- Nombre del DAT (header/name)
+    description TEXT,
+    version TEXT,
+    source_path TEXT,                                -- Archivo desde el que se importó
+    game_count INTEGER DEFAULT 0,
+    rom_count INTEGER DEFAULT 0,
+    imported_at INTEGER NOT NULL
+);
+
+-- ROMs de cada DAT con sus hashes esperados
+CREATE TABLE IF NOT EXISTS dat_roms (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    dat_id INTEGER NOT NULL,
+    game_name TEXT NOT NULL,                         -- <game name> (nombre del .zip sin extensión)
+    rom_name TEXT NOT NULL,                          -- <rom name> (archivo dentro del juego)
+    size INTEGER,
+    crc32 TEXT,
+    md5 TEXT,
+    sha1 TEXT,
+
+    FOREIGN KEY (dat_id) REFERENCES dat_files(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_dat_roms_game ON dat_roms(game_name);
+CREATE INDEX IF NOT EXISTS idx_dat_roms_rom ON dat_roms(rom_name);
+
 -- Tabla de configuración/metadatos
 CREATE TABLE IF NOT EXISTS metadata (
     key TEXT PRIMARY KEY,
@@ -207,6 +395,36 @@ CREATE INDEX IF NOT EXISTS idx_downloads_history_cleanup
   WHERE state IN ('completed', 'failed', 'cancelled');
 `;
 
+// Resumen de lotes: recuentos por estado y bytes. El tamaño de las descargas que
+// aún no han empezado (total_bytes = 0) es el del catálogo; las completadas
+// cuentan enteras aunque se omitieran por existir ya el archivo. remaining_bytes
+// solo incluye las que aún pueden avanzar (en cola, descargando o pausadas)
+const BATCH_SUMMARY_SQL = `
+                SELECT b.id, b.title, b.folder_id, b.created_at, b.finished_at,
+                       COUNT(*) AS total,
+                       SUM(d.state = 'queued') AS queued,
+                       SUM(d.state = 'downloading') AS downloading,
+                       SUM(d.state = 'paused') AS paused,
+                       SUM(d.state = 'verifying') AS verifying,
+                       SUM(d.state = 'completed') AS completed,
+                       SUM(d.state IN ('failed', 'verify_failed')) AS failed,
+                       SUM(d.state = 'cancelled') AS cancelled,
+                       SUM(d.state = 'awaiting') AS awaiting,
+                       SUM(CASE WHEN d.total_bytes > 0 THEN d.total_bytes
+                                ELSE COALESCE(bd.catalog_bytes, 0) END) AS total_bytes,
+                       SUM(CASE WHEN d.state = 'completed' AND d.total_bytes > 0 THEN d.total_bytes
+                                WHEN d.state = 'completed' THEN COALESCE(bd.catalog_bytes, 0)
+                                ELSE d.downloaded_bytes END) AS downloaded_bytes,
+                       SUM(CASE WHEN d.state IN ('queued', 'downloading', 'paused')
+                                THEN MAX((CASE WHEN d.total_bytes > 0 THEN d.total_bytes
+                                               ELSE COALESCE(bd.catalog_bytes, 0) END)
+                                         - d.downloaded_bytes, 0)
+                                ELSE 0 END) AS remaining_bytes,
+                       SUM(d.total_bytes <= 0 AND bd.catalog_bytes IS NULL) AS unknown_size
+                FROM batches b
+                JOIN batch_downloads bd ON bd.batch_id = b.id
+                JOIN downloads d ON d.id = bd.download_id`;
+
 // =====================
 // CLASE PRINCIPAL
 // =====================
@@ -344,6 +562,12 @@ class QueueDatabase {
       // Recuperar descargas interrumpidas
       this._recoverInterruptedDownloads();
 
+      // Descartar importaciones de DAT que no llegaron a terminar
+      this.statements.deleteIncompleteDats.run();
+
+      // Lotes cuyas descargas se eliminaron una a una
+      this.deleteEmptyBatches();
+
       this.isInitialized = true;
       endInit(`DB en ${config.paths.queueDbPath}`);
 
@@ -410,13 +634,42 @@ class QueueDatabase {
    */
   _getMigration(version) {
     const migrations = {
-      // Migraciones futuras se agregarán aquí
-      // Ejemplo para versión 2:
-      // 2: (db, log) => {
-      //   log.info('Migrando a versión 2...');
-      //   db.exec('ALTER TABLE downloads ADD COLUMN new_field TEXT;');
-      //   db.exec('CREATE INDEX IF NOT EXISTS idx_downloads_new_field ON downloads(new_field);');
-      // },
+      // Versión 2: tablas de DATs para verificación de hashes
+      2: (db, log) => {
+        log.info('Migrando a versión 2: tablas de DATs...');
+        db.exec(CREATE_TABLES_SQL);
+      },
+      // Versión 3: host de cada chunk para descargas repartidas entre servidores espejo
+      3: (db, log) => {
+        log.info('Migrando a versión 3: host de origen de los chunks...');
+        const columns = db.prepare('PRAGMA table_info(download_chunks)').all();
+        if (!columns.some(column => column.name === 'source_host')) {
+          db.exec('ALTER TABLE download_chunks ADD COLUMN source_host TEXT');
+        }
+      },
+      // Versión 4: política de cada descarga ante archivos de destino existentes
+      4: (db, log) => {
+        log.info('Migrando a versión 4: política de conflictos de archivos...');
+        const columns = db.prepare('PRAGMA table_info(downloads)').all();
+        if (!columns.some(column => column.name === 'conflict_policy')) {
+          db.exec('ALTER TABLE downloads ADD COLUMN conflict_policy TEXT');
+        }
+      },
+      // Versión 5: ETag y Last-Modified para detectar archivos cambiados en el servidor
+      5: (db, log) => {
+        log.info('Migrando a versión 5: versión remota de los archivos...');
+        const columns = db.prepare('PRAGMA table_info(downloads)').all();
+        ['etag', 'last_modified', 'remote_host'].forEach(name => {
+          if (!columns.some(column => column.name === name)) {
+            db.exec(`ALTER TABLE downloads ADD COLUMN ${name} TEXT`);
+          }
+        });
+      },
+      // Versión 6: lotes de descargas (carpetas encoladas de una vez)
+      6: (db, log) => {
+        log.info('Migrando a versión 6: lotes de descargas...');
+        db.exec(CREATE_TABLES_SQL);
+      },
     };
 
     return migrations[version] || null;
@@ -577,13 +830,13 @@ class QueueDatabase {
                 INSERT INTO downloads (
                     id, title, url, save_path, download_path, preserve_structure,
                     state, progress, downloaded_bytes, total_bytes,
-                    priority, force_overwrite,
-                    created_at, updated_at, queue_position
+                    priority, force_overwrite, conflict_policy,
+                    created_at, updated_at, queue_position, expected_hash
                 ) VALUES (
                     @id, @title, @url, @savePath, @downloadPath, @preserveStructure,
                     @state, @progress, @downloadedBytes, @totalBytes,
-                    @priority, @forceOverwrite,
-                    @createdAt, @updatedAt, @queuePosition
+                    @priority, @forceOverwrite, @conflictPolicy,
+                    @createdAt, @updatedAt, @queuePosition, @expectedHash
                 )
             `),
 
@@ -605,6 +858,24 @@ class QueueDatabase {
                 WHERE id = @id
             `),
 
+      /** Cambiar la política ante archivos existentes (al volver a encolar) */
+      updateConflictPolicy: this.db.prepare(`
+                UPDATE downloads SET
+                    conflict_policy = @conflictPolicy,
+                    updated_at = @updatedAt
+                WHERE id = @id
+            `),
+
+      /** Guardar la versión remota (ETag, Last-Modified) */
+      updateRemoteValidators: this.db.prepare(`
+                UPDATE downloads SET
+                    etag = @etag,
+                    last_modified = @lastModified,
+                    remote_host = @remoteHost,
+                    updated_at = @updatedAt
+                WHERE id = @id
+            `),
+
       /** Actualizar solo estado */
       updateState: this.db.prepare(`
                 UPDATE downloads SET
@@ -622,6 +893,23 @@ class QueueDatabase {
                 WHERE id = @id
             `),
 
+      /** Actualizar estado y hashes tras la verificación */
+      updateVerification: this.db.prepare(`
+                UPDATE downloads SET
+                    state = @state,
+                    expected_hash = @expectedHash,
+                    actual_hash = @actualHash,
+                    last_error = @lastError,
+                    completed_at = COALESCE(@completedAt, completed_at),
+                    updated_at = @updatedAt
+                WHERE id = @id
+            `),
+
+      /** Actualizar solo el hash esperado */
+      updateExpectedHash: this.db.prepare(`
+                UPDATE downloads SET expected_hash = ? WHERE id = ?
+            `),
+
       /** Obtener descarga por ID */
       getById: this.db.prepare(`
                 SELECT * FROM downloads WHERE id = ?
@@ -658,7 +946,7 @@ class QueueDatabase {
       /** Obtener historial (completadas, fallidas, canceladas) */
       getHistory: this.db.prepare(`
                 SELECT * FROM downloads
-                WHERE state IN ('completed', 'failed', 'cancelled')
+                WHERE state IN ('completed', 'failed', 'cancelled', 'verify_failed')
                 ORDER BY updated_at DESC
                 LIMIT ?
             `),
@@ -669,6 +957,7 @@ class QueueDatabase {
                 ORDER BY 
                     CASE state 
                         WHEN 'downloading' THEN 0 
+                        WHEN 'verifying' THEN 0
                         WHEN 'queued' THEN 1 
                         WHEN 'paused' THEN 2 
                         WHEN 'awaiting' THEN 3
@@ -686,6 +975,12 @@ class QueueDatabase {
                 GROUP BY state
             `),
 
+      /** Guardar prioridad y posición de una descarga en cola (reordenación manual) */
+      updateQueueOrder: this.db.prepare(`
+                UPDATE downloads SET priority = ?, queue_position = ?, updated_at = ?
+                WHERE id = ? AND state = 'queued'
+            `),
+
       /** Obtener siguiente posición en cola */
       getNextQueuePosition: this.db.prepare(`
                 SELECT COALESCE(MAX(queue_position), 0) + 1 as next
@@ -693,6 +988,12 @@ class QueueDatabase {
                 WHERE state = 'queued'
             `),
 
+      /** Obtener descargas pendientes (para asignar hashes esperados al importar un DAT) */
+      getPendingTitles: this.db.prepare(`
+                SELECT id, title FROM downloads
+                WHERE state IN ('queued', 'downloading', 'paused', 'awaiting')
+            `),
+
       /** Verificar si existe descarga */
       exists: this.db.prepare(`
                 SELECT 1 FROM downloads WHERE id = ? LIMIT 1
@@ -717,6 +1018,7 @@ class QueueDatabase {
                     downloaded_bytes = COALESCE(@downloadedBytes, downloaded_bytes),
                     state = COALESCE(@state, state),
                     temp_file = COALESCE(@tempFile, temp_file),
+                    source_host = COALESCE(@sourceHost, source_host),
                     updated_at = @updatedAt
                 WHERE download_id = @downloadId AND chunk_index = @chunkIndex
             `),
@@ -741,6 +1043,71 @@ class QueueDatabase {
                 VALUES (@downloadId, @eventType, @eventData, @createdAt)
             `),
 
+      /**
+       * Decisiones ante archivos existentes de un grupo de descargas desde una
+       * fecha, por acción. Los IDs llegan como array JSON para no depender del
+       * límite de parámetros de SQLite en carpetas grandes.
+       */
+      conflictSummary: this.db.prepare(`
+                SELECT json_extract(event_data, '$.action') AS action, COUNT(*) AS count
+                FROM download_history
+                WHERE event_type = 'conflict'
+                AND created_at >= ?
+                AND download_id IN (SELECT value FROM json_each(?))
+                GROUP BY action
+            `),
+
+      // ===== LOTES =====
+
+      /** Insertar lote */
+      insertBatch: this.db.prepare(`
+                INSERT INTO batches (title, folder_id, created_at)
+                VALUES (@title, @folderId, @createdAt)
+            `),
+
+      /** Asignar una descarga a un lote (la saca del lote anterior) */
+      linkBatchDownload: this.db.prepare(`
+                INSERT OR REPLACE INTO batch_downloads (download_id, batch_id, catalog_bytes)
+                VALUES (@downloadId, @batchId, @catalogBytes)
+            `),
+
+      /** Resumen de todos los lotes con descargas, el más reciente primero */
+      getBatchSummaries: this.db.prepare(`${BATCH_SUMMARY_SQL}
+                GROUP BY b.id
+                ORDER BY b.created_at DESC
+            `),
+
+      /** Resumen de un lote */
+      getBatchSummary: this.db.prepare(`${BATCH_SUMMARY_SQL}
+                WHERE b.id = ?
+                GROUP BY b.id
+            `),
+
+      /** Descargas de un lote en orden de cola */
+      getBatchDownloads: this.db.prepare(`
+                SELECT d.id, d.state
+                FROM batch_downloads bd
+                JOIN downloads d ON d.id = bd.download_id
+                WHERE bd.batch_id = ?
+                ORDER BY d.queue_position ASC, d.id ASC
+            `),
+
+      /** Lote de una descarga */
+      getBatchIdOfDownload: this.db.prepare(`
+                SELECT batch_id FROM batch_downloads WHERE download_id = ?
+            `),
+
+      /** Marcar un lote como terminado o volver a abrirlo (finishedAt = NULL) */
+      updateBatchFinished: this.db.prepare(`
+                UPDATE batches SET finished_at = @finishedAt WHERE id = @id
+            `),
+
+      /** Eliminar lotes sin descargas (tras limpiar el historial) */
+      deleteEmptyBatches: this.db.prepare(`
+                DELETE FROM batches
+                WHERE id NOT IN (SELECT DISTINCT batch_id FROM batch_downloads)
+            `),
+
       /** Obtener historial de una descarga */
       getDownloadHistory: this.db.prepare(`
                 SELECT * FROM download_history
@@ -748,19 +1115,86 @@ class QueueDatabase {
                 ORDER BY created_at DESC
             `),
 
+      // ===== ESTADÍSTICAS =====
+
+      /**
+       * Transferencias terminadas desde una fecha: una fila por cada 'started' que
+       * llegó al final. Las descargas que se verifican registran 'state_verifying'
+       * al terminar de transferir y 'completed' después; se toma el primer fin
+       * de cada arranque. first_started_at es el primer arranque desde el fin
+       * anterior (incluye pausas y reintentos).
+       */
+      statsTransfers: this.db.prepare(`
+                SELECT t.download_id AS downloadId,
+                       t.started_at AS startedAt,
+                       MIN(t.finished_at) AS finishedAt,
+                       t.first_started_at AS firstStartedAt,
+                       s.event_data AS startData,
+                       d.total_bytes AS totalBytes,
+                       d.url AS url
+                FROM (
+                    SELECT h.download_id,
+                           h.created_at AS finished_at,
+                           (SELECT MAX(s.created_at) FROM download_history s
+                            WHERE s.download_id = h.download_id
+                            AND s.event_type = 'started'
+                            AND s.created_at <= h.created_at) AS started_at,
+                           (SELECT MIN(s.created_at) FROM download_history s
+                            WHERE s.download_id = h.download_id
+                            AND s.event_type = 'started'
+                            AND s.created_at <= h.created_at
+                            AND s.created_at > COALESCE((
+                                SELECT MAX(e.created_at) FROM download_history e
+                                WHERE e.download_id = h.download_id
+                                AND e.event_type IN ('completed', 'state_verifying')
+                                AND e.created_at < h.created_at
+                            ), 0)) AS first_started_at
+                    FROM download_history h
+                    WHERE h.event_type IN ('completed', 'state_verifying')
+                    AND h.created_at >= ?
+                ) t
+                JOIN downloads d ON d.id = t.download_id
+                LEFT JOIN download_history s ON s.download_id = t.download_id
+                    AND s.event_type = 'started'
+                    AND s.created_at = t.started_at
+                WHERE t.started_at IS NOT NULL
+                GROUP BY t.download_id, t.started_at
+                ORDER BY finishedAt ASC
+            `),
+
+      /** Arranques y fallos desde una fecha */
+      statsAttempts: this.db.prepare(`
+                SELECT event_type AS eventType, COUNT(*) AS count
+                FROM download_history
+                WHERE created_at >= ?
+                AND event_type IN ('started', 'retry', 'failed')
+                GROUP BY event_type
+            `),
+
+      /** Fallos agrupados por mensaje ('retry' = se reintentará, 'failed' = definitivo) */
+      statsErrors: this.db.prepare(`
+                SELECT event_type AS eventType,
+                       json_extract(event_data, '$.error') AS error,
+                       COUNT(*) AS count
+                FROM download_history
+                WHERE created_at >= ?
+                AND event_type IN ('retry', 'failed')
+                GROUP BY event_type, error
+            `),
+
       // ===== LIMPIEZA =====
 
       /** Limpiar historial antiguo */
       cleanOldHistory: this.db.prepare(`
                 DELETE FROM downloads
-                WHERE state IN ('completed', 'failed', 'cancelled')
+                WHERE state IN ('completed', 'failed', 'cancelled', 'verify_failed')
                 AND updated_at < ?
             `),
 
       /** Limpiar todo el historial */
       clearHistory: this.db.prepare(`
                 DELETE FROM downloads
-                WHERE state IN ('completed', 'failed', 'cancelled')
+                WHERE state IN ('completed', 'failed', 'cancelled', 'verify_failed')
             `),
 
       /** Resetear descargas interrumpidas a estado queued */
@@ -770,6 +1204,81 @@ class QueueDatabase {
                     updated_at = ?
                 WHERE state = 'downloading'
             `),
+
+      // ===== DATS DE VERIFICACIÓN =====
+
+      /** Registrar un DAT (rom_count = 0 mientras se importa) */
+      insertDatFile: this.db.prepare(`
+                INSERT INTO dat_files (name, source_path, imported_at)
+                VALUES (@name, @sourcePath, @importedAt)
+            `),
+
+      /** Completar la cabecera de un DAT y marcarlo como importado */
+      finishDatFile: this.db.prepare(`
+                UPDATE dat_files SET
+                    name = @name,
+                    description = @description,
+                    version = @version,
+                    game_count = @gameCount,
+                    rom_count = @romCount
+                WHERE id = @id
+            `),
+
+      /** Insertar ROM de un DAT */
+      insertDatRom: this.db.prepare(`
+                INSERT INTO dat_roms (dat_id, game_name, rom_name, size, crc32, md5, sha1)
+                VALUES (@datId, @gameName, @romName, @size, @crc32, @md5, @sha1)
+            `),
+
+      /** Listar DATs importados por completo */
+      getDats: this.db.prepare(`
+                SELECT id, name, description, version, source_path, game_count, rom_count, imported_at
+                FROM dat_files
+                WHERE rom_count > 0
+                ORDER BY name ASC
+            `),
+
+      /** DATs anteriores con el mismo nombre (se reemplazan al reimportar) */
+      getDatsByName: this.db.prepare(`
+                SELECT id FROM dat_files WHERE name = ? AND id != ?
+            `),
+
+      /** Eliminar un DAT (sus ROMs se eliminan en cascada) */
+      deleteDat: this.db.prepare(`
+                DELETE FROM dat_files WHERE id = ?
+            `),
+
+      /** Eliminar importaciones que no terminaron (cierre durante la importación) */
+      deleteIncompleteDats: this.db.prepare(`
+                DELETE FROM dat_files WHERE rom_count = 0
+            `),
+
+      /** Buscar un ROM por nombre de archivo (archivos sin comprimir) */
+      findDatRomByName: this.db.prepare(`
+                SELECT r.*, f.name AS dat_name
+                FROM dat_roms r
+                JOIN dat_files f ON f.id = r.dat_id
+                WHERE r.rom_name = ? AND f.rom_count > 0
+                ORDER BY f.imported_at DESC, r.id ASC
+                LIMIT 1
+            `),
+
+      /** DAT más reciente que contiene un juego */
+      findDatIdByGame: this.db.prepare(`
+                SELECT r.dat_id, f.name AS dat_name
+                FROM dat_roms r
+                JOIN dat_files f ON f.id = r.dat_id
+                WHERE r.game_name = ? AND f.rom_count > 0
+                ORDER BY f.imported_at DESC
+                LIMIT 1
+            `),
+
+      /** ROMs de un juego dentro de un DAT */
+      getDatGameRoms: this.db.prepare(`
+                SELECT * FROM dat_roms
+                WHERE dat_id = ? AND game_name = ?
+                ORDER BY id ASC
+            `),
     };
 
     log.debug('Statements preparados');
@@ -833,9 +1342,11 @@ class QueueDatabase {
         totalBytes: download.totalBytes || 0,
         priority: download.priority ?? DownloadPriority.NORMAL,
         forceOverwrite: download.forceOverwrite ? 1 : 0,
+        conflictPolicy: download.conflictPolicy || null,
         createdAt: now,
         updatedAt: now,
         queuePosition: nextPosition,
+        expectedHash: this.getExpectedHash(download.title),
       });
 
       // Registrar en historial
@@ -850,6 +1361,61 @@ class QueueDatabase {
     }
   }
 
+  /**
+   * Agrega varias descargas a la cola en una sola transacción
+   *
+   * Las que ya existen en la base de datos (en cola o en el historial) se omiten.
+   *
+   * @param {Array<Object>} downloads - Datos de las descargas (mismos campos que addDownload)
+   * @returns {Array<number>} IDs insertados
+   */
+  addManyDownloads(downloads) {
+    if (!Array.isArray(downloads) || downloads.length === 0) return [];
+
+    const now = Date.now();
+    const insertedIds = [];
+
+    const transaction = this.db.transaction(items => {
+      let nextPosition = this.statements.getNextQueuePosition.get().next;
+
+      for (const download of items) {
+        if (!download.id || !download.title || this.exists(download.id)) continue;
+
+        this.statements.insertDownload.run({
+          id: download.id,
+          title: download.title,
+          url: download.url || null,
+          savePath: download.savePath || null,
+          downloadPath: download.downloadPath || null,
+          preserveStructure: download.preserveStructure ? 1 : 0,
+          state: DownloadState.QUEUED,
+          progress: 0,
+          downloadedBytes: 0,
+          totalBytes: download.totalBytes || 0,
+          priority: download.priority ?? DownloadPriority.NORMAL,
+          forceOverwrite: download.forceOverwrite ? 1 : 0,
+          conflictPolicy: download.conflictPolicy || null,
+          createdAt: now,
+          updatedAt: now,
+          queuePosition: nextPosition++,
+          expectedHash: this.getExpectedHash(download.title),
+        });
+
+        this._logEvent(download.id, 'created', { title: download.title });
+        insertedIds.push(download.id);
+      }
+    });
+
+    try {
+      transaction(downloads);
+      log.info(`Agregadas ${insertedIds.length} descargas en batch`);
+      return insertedIds;
+    } catch (error) {
+      log.error('Error agregando descargas en batch:', error);
+      return [];
+    }
+  }
+
   /**
    * Actualiza una descarga existente
    *
@@ -1448,6 +2014,34 @@ class QueueDatabase {
     return queued.length > 0 ? queued[0] : null;
   }
 
+  /**
+   * Guarda el orden de la cola tras una reordenación manual
+   *
+   * Actualiza prioridad y posición de cada descarga en una sola transacción.
+   * Las descargas que ya no están en cola se ignoran.
+   *
+   * @param {Array<{id: number, priority: number, queuePosition: number}>} entries - Orden nuevo
+   * @returns {boolean} true si se guardó
+   */
+  saveQueueOrder(entries) {
+    if (!Array.isArray(entries) || entries.length === 0) return true;
+
+    const now = Date.now();
+    const transaction = this.db.transaction(items => {
+      for (const entry of items) {
+        this.statements.updateQueueOrder.run(entry.priority, entry.queuePosition, now, entry.id);
+      }
+    });
+
+    try {
+      transaction(entries);
+      return true;
+    } catch (error) {
+      log.error('Error guardando el orden de la cola:', error);
+      return false;
+    }
+  }
+
   /**
    * Cuenta descargas por estado
    * @returns {Object} Conteos por estado
@@ -1463,6 +2057,8 @@ class QueueDatabase {
       failed: 0,
       cancelled: 0,
       awaiting: 0,
+      verifying: 0,
+      verify_failed: 0,
     };
 
     rows.forEach(row => {
@@ -1491,6 +2087,9 @@ class QueueDatabase {
    * @param {number} [info.totalBytes] - Tamaño total del archivo en bytes
    * @param {number} [info.downloadedBytes=0] - Bytes ya descargados (para reanudación)
    * @param {number} [info.progress=0] - Progreso inicial (0.0 - 1.0)
+   * @param {boolean} [info.isChunked] - Si es una descarga fragmentada (solo historial)
+   * @param {number} [info.chunks] - Número de chunks (solo historial)
+   * @param {number} [info.concurrent] - Descargas activas al arrancar, incluida esta (solo historial)
    * @returns {boolean} true si se actualizó correctamente, false si hubo error
    *
    * @example
@@ -1508,7 +2107,8 @@ class QueueDatabase {
    *   url: 'https://myrient.erista.me/files/large.zip',
    *   savePath: 'C:/Downloads/large.zip',
    *   totalBytes: 1000000000,
-   *   isChunked: true // Se almacena en metadata si es necesario
+   *   isChunked: true,
+   *   chunks: 8
    * });
    */
   startDownload(id, info = {}) {
@@ -1799,6 +2399,7 @@ class QueueDatabase {
       DownloadState.FAILED,
       DownloadState.AWAITING,
       DownloadState.PAUSED,
+      DownloadState.VERIFY_FAILED,
     ];
     const isQueuedWithError = download.state === DownloadState.QUEUED && download.lastError;
     if (!validStates.includes(download.state) && !isQueuedWithError) {
@@ -1807,8 +2408,11 @@ class QueueDatabase {
     }
 
     // Si está en estado awaiting o pausada (puede ser una descarga que estaba awaiting), activar forceOverwrite también
+    // Una descarga con verificación fallida siempre sobrescribe el archivo dañado
     const forceOverwrite =
-      download.state === DownloadState.AWAITING || download.state === DownloadState.PAUSED
+      download.state === DownloadState.AWAITING ||
+      download.state === DownloadState.PAUSED ||
+      download.state === DownloadState.VERIFY_FAILED
         ? 1
         : null;
 
@@ -1839,6 +2443,525 @@ class QueueDatabase {
     return true;
   }
 
+  // =====================
+  // CONFLICTOS DE ARCHIVOS
+  // =====================
+
+  /**
+   * Cambia la política de una descarga ante archivos de destino existentes
+   *
+   * @param {number} id - ID de la descarga
+   * @param {string|null} policy - Una de config.files.conflictPolicies (null = la global)
+   * @returns {boolean} true si se actualizó
+   */
+  setConflictPolicy(id, policy) {
+    try {
+      const result = this.statements.updateConflictPolicy.run({
+        id,
+        conflictPolicy: policy || null,
+        updatedAt: Date.now(),
+      });
+      return result.changes > 0;
+    } catch (error) {
+      log.error('Error actualizando política de conflictos:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Registra en el historial qué se hizo con un archivo de destino existente
+   *
+   * @param {number} id - ID de la descarga
+   * @param {Object} decision - Resultado de FileService.resolveConflict()
+   * @param {string} decision.policy - Política aplicada
+   * @param {string} decision.action - 'ask' | 'skip' | 'overwrite' | 'rename' | 'resume'
+   * @param {string} decision.savePath - Ruta final de la descarga
+   * @param {string} [decision.existingPath] - Archivo que ya existía
+   * @param {number} [decision.existingSize] - Tamaño del archivo existente
+   * @param {number} [decision.expectedSize] - Tamaño esperado
+   * @returns {void}
+   */
+  logConflict(id, { policy, action, savePath, existingPath, existingSize, expectedSize }) {
+    this._logEvent(id, 'conflict', {
+      policy,
+      action,
+      savePath,
+      existingPath,
+      existingSize,
+      expectedSize,
+    });
+  }
+
+  /**
+   * Cuenta las decisiones ante archivos existentes de un grupo de descargas
+   *
+   * @param {number[]} ids - IDs de las descargas
+   * @param {number} [since=0] - Solo eventos desde este timestamp
+   * @returns {Object<string, number>} Descargas por acción (p. ej. { skip: 12, rename: 3 })
+   */
+  getConflictSummary(ids, since = 0) {
+    const summary = {};
+    if (!Array.isArray(ids) || ids.length === 0) return summary;
+
+    try {
+      this.statements.conflictSummary.all(since, JSON.stringify(ids)).forEach(row => {
+        summary[row.action] = row.count;
+      });
+    } catch (error) {
+      log.error('Error resumiendo conflictos de archivos:', error);
+    }
+    return summary;
+  }
+
+  // =====================
+  // VERSIÓN REMOTA
+  // =====================
+
+  /**
+   * Guarda el ETag y el Last-Modified con los que se descarga un archivo
+   *
+   * @param {number} id - ID de la descarga
+   * @param {Object} remote - Cabeceras de la respuesta HEAD
+   * @param {string|null} remote.etag - ETag
+   * @param {string|null} remote.lastModified - Last-Modified
+   * @param {string|null} remote.host - Servidor que respondió
+   * @returns {boolean} true si se actualizó
+   */
+  setRemoteValidators(id, { etag, lastModified, host }) {
+    try {
+      const result = this.statements.updateRemoteValidators.run({
+        id,
+        etag: etag || null,
+        lastModified: lastModified || null,
+        remoteHost: host || null,
+        updatedAt: Date.now(),
+      });
+      return result.changes > 0;
+    } catch (error) {
+      log.error('Error guardando versión remota:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Registra en el historial que el archivo cambió en el servidor
+   *
+   * @param {number} id - ID de la descarga
+   * @param {Object} change - { reason, previous, current } con los validadores de antes y de ahora
+   * @returns {void}
+   */
+  logRemoteChange(id, change) {
+    this._logEvent(id, 'remote_changed', change);
+  }
+
+  // =====================
+  // LOTES
+  // =====================
+
+  /**
+   * Crea un lote con las descargas de una carpeta encolada
+   *
+   * Las descargas deben existir ya en la tabla downloads. Si alguna estaba en
+   * otro lote, pasa a este.
+   *
+   * @param {Object} batch - Lote
+   * @param {string} batch.title - Nombre de la carpeta
+   * @param {number|null} [batch.folderId] - ID de la carpeta en Myrient DB
+   * @param {Array<{id: number, catalogBytes?: number|null}>} batch.downloads - Descargas del lote
+   * @returns {number|null} ID del lote o null si no se pudo crear
+   */
+  createBatch({ title, folderId = null, downloads }) {
+    try {
+      const create = this.db.transaction(() => {
+        const { lastInsertRowid } = this.statements.insertBatch.run({
+          title,
+          folderId,
+          createdAt: Date.now(),
+        });
+        const batchId = Number(lastInsertRowid);
+
+        downloads.forEach(download => {
+          this.statements.linkBatchDownload.run({
+            downloadId: download.id,
+            batchId,
+            catalogBytes: download.catalogBytes ?? null,
+          });
+        });
+        return batchId;
+      });
+
+      const batchId = create();
+      log.info(`Lote ${batchId} creado: ${title} (${downloads.length} descargas)`);
+      return batchId;
+    } catch (error) {
+      log.error('Error creando lote:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Resumen de todos los lotes con descargas, el más reciente primero
+   *
+   * @returns {BatchSummary[]}
+   */
+  getBatches() {
+    try {
+      return this.statements.getBatchSummaries.all().map(row => this._rowToBatch(row));
+    } catch (error) {
+      log.error('Error obteniendo lotes:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Resumen de un lote
+   *
+   * @param {number} batchId - ID del lote
+   * @returns {BatchSummary|null} null si no existe o ya no tiene descargas
+   */
+  getBatch(batchId) {
+    try {
+      const row = this.statements.getBatchSummary.get(batchId);
+      return row ? this._rowToBatch(row) : null;
+    } catch (error) {
+      log.error('Error obteniendo lote:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Descargas de un lote en orden de cola
+   *
+   * @param {number} batchId - ID del lote
+   * @returns {Array<{id: number, state: string}>}
+   */
+  getBatchDownloads(batchId) {
+    try {
+      return this.statements.getBatchDownloads.all(batchId);
+    } catch (error) {
+      log.error('Error obteniendo descargas del lote:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Lote al que pertenece una descarga
+   *
+   * @param {number} downloadId - ID de la descarga
+   * @returns {number|null}
+   */
+  getBatchIdOfDownload(downloadId) {
+    return this.statements.getBatchIdOfDownload.get(downloadId)?.batch_id ?? null;
+  }
+
+  /**
+   * Marca un lote como terminado o lo vuelve a abrir
+   *
+   * @param {number} batchId - ID del lote
+   * @param {boolean} finished - true al terminar, false si alguna descarga vuelve a la cola
+   * @returns {void}
+   */
+  setBatchFinished(batchId, finished) {
+    this.statements.updateBatchFinished.run({
+      id: batchId,
+      finishedAt: finished ? Date.now() : null,
+    });
+  }
+
+  /**
+   * Elimina los lotes que se quedaron sin descargas
+   *
+   * @returns {number} Lotes eliminados
+   */
+  deleteEmptyBatches() {
+    const result = this.statements.deleteEmptyBatches.run();
+    if (result.changes > 0) {
+      log.info(`Eliminados ${result.changes} lotes sin descargas`);
+    }
+    return result.changes;
+  }
+
+  // =====================
+  // VERIFICACIÓN DE INTEGRIDAD
+  // =====================
+
+  /**
+   * Marca una descarga terminada como en verificación
+   *
+   * @param {number} id - ID de la descarga
+   * @param {Object} [info={}] - Información del archivo descargado
+   * @param {string} [info.savePath] - Ruta final del archivo
+   * @returns {boolean}
+   */
+  startVerification(id, info = {}) {
+    if (info.savePath) {
+      this.updateDownload(id, { savePath: info.savePath, progress: 1.0 });
+    }
+    return this.setState(id, DownloadState.VERIFYING, info);
+  }
+
+  /**
+   * Registra el resultado de la verificación de hashes
+   *
+   * Si los hashes coinciden la descarga pasa a 'completed'; si no, a
+   * 'verify_failed' con el motivo en last_error para que el usuario pueda
+   * reintentarla.
+   *
+   * @param {number} id - ID de la descarga
+   * @param {Object} result - Resultado de la verificación
+   * @param {boolean} result.verified - Si el archivo coincide con el DAT
+   * @param {string} [result.expectedHash] - Hash esperado ('algoritmo:hex')
+   * @param {string} [result.actualHash] - Hash calculado ('algoritmo:hex')
+   * @param {string} [result.error] - Motivo del fallo
+   * @returns {boolean}
+   */
+  finishVerification(id, { verified, expectedHash, actualHash, error }) {
+    const now = Date.now();
+
+    try {
+      this.statements.updateVerification.run({
+        id,
+        state: verified ? DownloadState.COMPLETED : DownloadState.VERIFY_FAILED,
+        expectedHash: expectedHash || null,
+        actualHash: actualHash || null,
+        lastError: verified ? null : error || 'El archivo no coincide con el DAT',
+        completedAt: verified ? now : null,
+        updatedAt: now,
+      });
+
+      this._logEvent(id, verified ? 'verified' : 'verify_failed', {
+        expectedHash,
+        actualHash,
+        error,
+      });
+
+      if (verified) {
+        log.info(`Descarga ${id} verificada (${actualHash})`);
+      } else {
+        log.warn(`Descarga ${id} no superó la verificación: ${error}`);
+      }
+
+      return true;
+    } catch (err) {
+      log.error('Error guardando resultado de verificación:', err);
+      return false;
+    }
+  }
+
+  /**
+   * Registra el resultado de la extracción automática en el historial
+   *
+   * La descarga sigue en 'completed' aunque la extracción falle: el archivo
+   * comprimido está íntegro y se puede extraer a mano.
+   *
+   * @param {number} id - ID de la descarga
+   * @param {Object} result - Resultado de archiveExtractor.extract()
+   * @param {boolean} result.success - Si la extracción terminó correctamente
+   * @param {string} [result.extractedTo] - Carpeta de destino
+   * @param {boolean} [result.archiveDeleted] - Si se eliminó el comprimido
+   * @param {string} [result.error] - Motivo del fallo
+   * @returns {void}
+   */
+  recordExtraction(id, { success, extractedTo, archiveDeleted, error }) {
+    if (success) {
+      this._logEvent(id, 'extracted', { extractedTo, archiveDeleted: !!archiveDeleted });
+    } else {
+      this._logEvent(id, 'extract_failed', { extractedTo, error });
+    }
+  }
+
+  // =====================
+  // DATS DE VERIFICACIÓN
+  // =====================
+
+  /**
+   * Registra un DAT nuevo antes de insertar sus ROMs
+   *
+   * El DAT no se usa para verificar hasta que se llama a finishDatImport(),
+   * que completa la cabecera leída del archivo.
+   *
+   * @param {string} sourcePath - Archivo de origen
+   * @returns {number} ID del DAT
+   */
+  beginDatImport(sourcePath) {
+    const result = this.statements.insertDatFile.run({
+      name: path.basename(sourcePath),
+      sourcePath,
+      importedAt: Date.now(),
+    });
+    return Number(result.lastInsertRowid);
+  }
+
+  /**
+   * Inserta un lote de ROMs de un DAT en una transacción
+   *
+   * @param {number} datId - ID del DAT
+   * @param {Array<Object>} entries - Entradas del parser ({ gameName, romName, size, crc32, md5, sha1 })
+   * @returns {void}
+   */
+  insertDatRoms(datId, entries) {
+    const transaction = this.db.transaction(rows => {
+      rows.forEach(row => this.statements.insertDatRom.run({ datId, ...row }));
+    });
+    transaction(entries);
+  }
+
+  /**
+   * Activa un DAT importado y reemplaza las versiones anteriores con el mismo nombre
+   *
+   * También recalcula el hash esperado de las descargas pendientes.
+   *
+   * @param {number} datId - ID del DAT
+   * @param {Object} header - Cabecera del DAT ({ name, description, version })
+   * @param {Object} counts - { gameCount, romCount }
+   * @returns {number} Número de DATs anteriores reemplazados
+   */
+  finishDatImport(datId, header, { gameCount, romCount }) {
+    const name = header.name;
+    const transaction = this.db.transaction(() => {
+      this.statements.finishDatFile.run({
+        id: datId,
+        name,
+        description: header.description || null,
+        version: header.version || null,
+        gameCount,
+        romCount,
+      });
+      const previous = this.statements.getDatsByName.all(name, datId);
+      previous.forEach(dat => this.statements.deleteDat.run(dat.id));
+      return previous.length;
+    });
+
+    const replaced = transaction();
+    log.info(`DAT importado: ${name} (${gameCount} juegos, ${romCount} ROMs)`);
+    this.refreshExpectedHashes();
+    return replaced;
+  }
+
+  /**
+   * Elimina un DAT y sus ROMs
+   *
+   * @param {number} datId - ID del DAT
+   * @returns {boolean} true si existía
+   */
+  deleteDat(datId) {
+    const result = this.statements.deleteDat.run(datId);
+    if (result.changes > 0) {
+      this.refreshExpectedHashes();
+      log.info(`DAT ${datId} eliminado`);
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Lista los DATs importados
+   *
+   * @returns {Array<Object>} { id, name, description, version, gameCount, romCount, importedAt }
+   */
+  getDats() {
+    return this.statements.getDats.all().map(row => ({
+      id: row.id,
+      name: row.name,
+      description: row.description,
+      version: row.version,
+      sourcePath: row.source_path,
+      gameCount: row.game_count,
+      romCount: row.rom_count,
+      importedAt: row.imported_at,
+    }));
+  }
+
+  /**
+   * Busca la entrada de DAT que corresponde a un archivo de Myrient
+   *
+   * - Archivo sin comprimir: se busca un ROM con el mismo nombre
+   * - Comprimido (.zip): se busca el juego con el nombre sin extensión y se
+   *   comparan todos sus ROMs con el contenido del comprimido
+   *
+   * @param {string} title - Nombre del archivo descargado
+   * @returns {DatMatch|null}
+   */
+  findDatMatch(title) {
+    if (!title || !this.statements) return null;
+
+    try {
+      const rom = this.statements.findDatRomByName.get(title);
+      if (rom) {
+        return {
+          datId: rom.dat_id,
+          datName: rom.dat_name,
+          gameName: rom.game_name,
+          archive: false,
+          roms: [this._rowToDatRom(rom)],
+        };
+      }
+
+      const extension = path.extname(title).toLowerCase();
+      const archiveExtensions = config.verification?.archiveExtensions || ['.zip'];
+      if (!archiveExtensions.includes(extension)) return null;
+
+      const gameName = title.slice(0, -extension.length);
+      const game = this.statements.findDatIdByGame.get(gameName);
+      if (!game) return null;
+
+      return {
+        datId: game.dat_id,
+        datName: game.dat_name,
+        gameName,
+        archive: true,
+        roms: this.statements.getDatGameRoms
+          .all(game.dat_id, gameName)
+          .map(row => this._rowToDatRom(row)),
+      };
+    } catch (error) {
+      log.error('Error buscando entrada de DAT:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Obtiene el hash esperado de un archivo según los DATs importados
+   *
+   * Se usa el hash más fuerte disponible del primer ROM ('sha1' > 'md5' > 'crc32').
+   *
+   * @param {string} title - Nombre del archivo
+   * @returns {string|null} 'algoritmo:hex' o null si no hay entrada en ningún DAT
+   */
+  getExpectedHash(title) {
+    const match = this.findDatMatch(title);
+    if (!match || match.roms.length === 0) return null;
+
+    const [rom] = match.roms;
+    const algorithm = ['sha1', 'md5', 'crc32'].find(name => rom[name]);
+    return algorithm ? `${algorithm}:${rom[algorithm]}` : null;
+  }
+
+  /**
+   * Recalcula el hash esperado de las descargas pendientes
+   *
+   * Se llama al importar o eliminar un DAT para que las descargas ya
+   * encoladas se verifiquen con los DATs actuales.
+   *
+   * @returns {number} Número de descargas con hash esperado
+   */
+  refreshExpectedHashes() {
+    const pending = this.statements.getPendingTitles.all();
+    let matched = 0;
+
+    const transaction = this.db.transaction(() => {
+      pending.forEach(row => {
+        const expectedHash = this.getExpectedHash(row.title);
+        if (expectedHash) matched++;
+        this.statements.updateExpectedHash.run(expectedHash, row.id);
+      });
+    });
+    transaction();
+
+    log.info(`Hashes esperados actualizados: ${matched}/${pending.length} descargas pendientes`);
+    return matched;
+  }
+
   // =====================
   // CHUNKS (FRAGMENTOS)
   // =====================
@@ -1899,11 +3022,23 @@ class QueueDatabase {
     return this.statements.getChunks.all(downloadId);
   }
 
+  /**
+   * Elimina los chunks de una descarga (para empezarla de cero)
+   * @param {number} downloadId - ID de la descarga
+   */
+  deleteChunks(downloadId) {
+    try {
+      this.statements.deleteChunks.run(downloadId);
+    } catch (error) {
+      log.error('Error eliminando chunks:', error.message);
+    }
+  }
+
   /**
    * Actualiza un chunk (Block 2 - con soporte para temp_file)
    * @param {number} downloadId - ID de la descarga
    * @param {number} chunkIndex - Índice del chunk
-   * @param {Object} updates - Campos a actualizar (downloadedBytes, state, tempFile)
+   * @param {Object} updates - Campos a actualizar (downloadedBytes, state, tempFile, sourceHost)
    */
   updateChunk(downloadId, chunkIndex, updates) {
     try {
@@ -1913,6 +3048,7 @@ class QueueDatabase {
         downloadedBytes: updates.downloadedBytes ?? null,
         state: updates.state ?? null,
         tempFile: updates.tempFile ?? null,
+        sourceHost: updates.sourceHost ?? null,
         updatedAt: Date.now(),
       });
     } catch (error) {
@@ -1936,6 +3072,7 @@ class QueueDatabase {
     const cutoff = Date.now() - daysOld * 24 * 60 * 60 * 1000;
     const result = this.statements.cleanOldHistory.run(cutoff);
     log.info(`Limpiados ${result.changes} registros antiguos`);
+    this.deleteEmptyBatches();
     return result.changes;
   }
 
@@ -1946,6 +3083,7 @@ class QueueDatabase {
   clearHistory() {
     const result = this.statements.clearHistory.run();
     log.info(`Historial limpiado: ${result.changes} registros`);
+    this.deleteEmptyBatches();
     return result.changes;
   }
 
@@ -1973,6 +3111,158 @@ class QueueDatabase {
     };
   }
 
+  /**
+   * Estadísticas de los últimos días a partir del historial de eventos
+   *
+   * Solo cubre descargas que siguen en la base de datos: al limpiar el
+   * historial se borran también sus eventos.
+   *
+   * - Volumen completado por día y por semana (lunes a domingo)
+   * - Velocidad media por host, por modo (simple / número de chunks) y por
+   *   descargas simultáneas al arrancar, para comparar configuraciones
+   * - Fallos por tipo de error sobre el total de arranques
+   * - Carpetas del servidor con más volumen
+   * - Distribución del tiempo hasta completar (desde el primer arranque)
+   *
+   * La velocidad se mide sobre el último arranque de cada descarga. Las
+   * fragmentadas reanudadas se excluyen: su evento 'started' no sabe cuántos
+   * bytes tenían ya los chunks.
+   *
+   * @param {number} [days=30] - Días a incluir (contando hoy)
+   * @returns {Object} { days, since, totals, perDay, perWeek, hosts, modes, concurrency, errors, folders, durations }
+   */
+  getHistoryStatistics(days = 30) {
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+    const start = new Date(today);
+    start.setDate(start.getDate() - (days - 1));
+    const since = start.getTime();
+
+    const newGroup = () => ({ count: 0, bytes: 0, speedBytes: 0, speedMs: 0 });
+    const accumulate = (group, transfer) => {
+      group.count++;
+      group.bytes += transfer.totalBytes;
+      if (transfer.speedMs > 0) {
+        group.speedBytes += transfer.transferredBytes;
+        group.speedMs += transfer.speedMs;
+      }
+    };
+    const addTo = (map, key, transfer) => {
+      if (!map.has(key)) map.set(key, newGroup());
+      accumulate(map.get(key), transfer);
+    };
+
+    // Días vacíos incluidos para que la serie sea continua
+    const perDay = new Map();
+    for (const date = new Date(start); date <= today; date.setDate(date.getDate() + 1)) {
+      perDay.set(toDateKey(date), newGroup());
+    }
+    const perWeek = new Map();
+    const hosts = new Map();
+    const modes = new Map();
+    const concurrency = new Map();
+    const folders = new Map();
+    const durations = DURATION_BUCKETS.map(bucket => ({ ...bucket, count: 0 }));
+    const totals = newGroup();
+
+    this.statements.statsTransfers.all(since).forEach(row => {
+      let start = {};
+      try {
+        start = JSON.parse(row.startData) || {};
+      } catch {
+        // Evento sin datos válidos
+      }
+
+      const totalBytes = row.totalBytes || 0;
+      const transferredBytes = Math.max(totalBytes - (start.downloadedBytes || 0), 0);
+      const resumedChunked = start.isChunked && row.firstStartedAt !== row.startedAt;
+      const transfer = {
+        totalBytes,
+        transferredBytes,
+        speedMs: transferredBytes > 0 && !resumedChunked ? row.finishedAt - row.startedAt : 0,
+      };
+
+      addTo(perDay, toDateKey(row.finishedAt), transfer);
+      addTo(perWeek, toWeekKey(row.finishedAt), transfer);
+      accumulate(totals, transfer);
+
+      let host = 'desconocido';
+      try {
+        host = new URL(row.url).host;
+      } catch {
+        // Sin URL registrada
+      }
+      addTo(hosts, host, transfer);
+
+      const mode = start.isChunked ? `chunked:${start.chunks || '?'}` : 'simple';
+      addTo(modes, mode, transfer);
+
+      if (start.concurrent) {
+        addTo(concurrency, start.concurrent, transfer);
+      }
+
+      const folder = toRemoteFolder(row.url);
+      if (folder) {
+        addTo(folders, folder, transfer);
+      }
+
+      const elapsed = row.finishedAt - (row.firstStartedAt || row.startedAt);
+      durations.find(bucket => elapsed < bucket.maxMs).count++;
+    });
+
+    const attempts = { started: 0, retry: 0, failed: 0 };
+    this.statements.statsAttempts.all(since).forEach(row => {
+      attempts[row.eventType] = row.count;
+    });
+
+    const errors = new Map();
+    this.statements.statsErrors.all(since).forEach(row => {
+      const type = toErrorType(row.error);
+      if (!errors.has(type)) errors.set(type, { type, count: 0, final: 0 });
+      const entry = errors.get(type);
+      entry.count += row.count;
+      if (row.eventType === 'failed') entry.final += row.count;
+    });
+
+    const failures = attempts.retry + attempts.failed;
+    const summarize = (map, keyName) =>
+      Array.from(map, ([key, group]) => ({
+        [keyName]: key,
+        count: group.count,
+        bytes: group.bytes,
+        averageSpeed: averageSpeed(group),
+      }));
+
+    return {
+      days,
+      since,
+      totals: {
+        transfers: totals.count,
+        bytes: totals.bytes,
+        averageSpeed: averageSpeed(totals),
+        attempts: attempts.started,
+        retries: attempts.retry,
+        failures: attempts.failed,
+        failureRate: attempts.started > 0 ? failures / attempts.started : 0,
+      },
+      perDay: summarize(perDay, 'date'),
+      perWeek: summarize(perWeek, 'week').sort((a, b) => a.week.localeCompare(b.week)),
+      hosts: summarize(hosts, 'host').sort((a, b) => b.bytes - a.bytes),
+      modes: summarize(modes, 'mode').sort((a, b) => a.mode.localeCompare(b.mode)),
+      concurrency: summarize(concurrency, 'concurrent').sort((a, b) => a.concurrent - b.concurrent),
+      errors: Array.from(errors.values())
+        .map(entry => ({
+          ...entry,
+          rate: attempts.started > 0 ? entry.count / attempts.started : 0,
+        }))
+        .sort((a, b) => b.count - a.count),
+      folders: summarize(folders, 'folder')
+        .sort((a, b) => b.bytes - a.bytes)
+        .slice(0, STATS_TOP_FOLDERS),
+      durations: durations.map(({ label, count }) => ({ label, count })),
+    };
+  }
+
   /**
    * Cierra la conexión a la base de datos
    */
@@ -2127,6 +3417,10 @@ class QueueDatabase {
       totalBytes: row.total_bytes,
       priority: row.priority,
       forceOverwrite: !!row.force_overwrite,
+      conflictPolicy: row.conflict_policy || null,
+      etag: row.etag || null,
+      lastModified: row.last_modified || null,
+      remoteHost: row.remote_host || null,
       createdAt: row.created_at,
       startedAt: row.started_at,
       completedAt: row.completed_at,
@@ -2140,6 +3434,49 @@ class QueueDatabase {
     };
   }
 
+  /**
+   * Convierte una fila de resumen de lote (BATCH_SUMMARY_SQL) a objeto
+   * @param {Object} row - Fila de la BD
+   * @returns {BatchSummary}
+   */
+  _rowToBatch(row) {
+    return {
+      id: row.id,
+      title: row.title,
+      folderId: row.folder_id ?? null,
+      createdAt: row.created_at,
+      finishedAt: row.finished_at ?? null,
+      total: row.total,
+      queued: row.queued,
+      downloading: row.downloading,
+      paused: row.paused,
+      verifying: row.verifying,
+      completed: row.completed,
+      failed: row.failed,
+      cancelled: row.cancelled,
+      awaiting: row.awaiting,
+      totalBytes: row.total_bytes || 0,
+      downloadedBytes: row.downloaded_bytes || 0,
+      remainingBytes: row.remaining_bytes || 0,
+      unknownSize: row.unknown_size,
+    };
+  }
+
+  /**
+   * Convierte una fila de dat_roms a un ROM esperado
+   * @param {Object} row - Fila de la BD
+   * @returns {Object} { name, size, crc32, md5, sha1 }
+   */
+  _rowToDatRom(row) {
+    return {
+      name: row.rom_name,
+      size: row.size,
+      crc32: row.crc32,
+      md5: row.md5,
+      sha1: row.sha1,
+    };
+  }
+
   /**
    * Registra un evento en el historial
    * @param {number} downloadId - ID de la descarga
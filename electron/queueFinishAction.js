@@ -0,0 +1,290 @@
+/**
+ * @fileoverview Acción al terminar la cola de descargas
+ * @module queueFinishAction
+ *
+ * El usuario elige en la configuración (queueFinishAction en
+ * download-settings.json) qué hacer cuando la cola termina:
+ * - 'none': nada
+ * - 'quit': cerrar la aplicación
+ * - 'sleep': suspender el equipo
+ * - 'shutdown': apagar el equipo
+ *
+ * La cola se da por terminada cuando downloadManager.getStats() no tiene
+ * descargas activas ni en cola (ni verificaciones o extracciones pendientes)
+ * durante config.power.finishIdleDelay: el renderer envía la siguiente
+ * descarga de su cola cuando termina la anterior. Solo cuenta si antes hubo
+ * actividad, así que abrir la aplicación con la cola vacía no hace nada.
+ *
+ * Antes de ejecutar la acción hay una cuenta atrás (config.power.finishCountdown)
+ * que el renderer muestra y puede cancelar. El estado se emite por el canal
+ * 'queue-finish-changed'.
+ *
+ * @author Myrient Downloader
+ * @version 1.0.0
+ */
+
+/**
+ * @typedef {Object} QueueFinishState
+ * @property {string} action - Acción configurada ('none' | 'quit' | 'sleep' | 'shutdown')
+ * @property {Object|null} pending - Cuenta atrás en curso (null = ninguna)
+ * @property {string} pending.action - Acción que se ejecutará
+ * @property {number} pending.executeAt - Timestamp en que se ejecutará
+ */
+
+const { spawn } = require('child_process');
+const { app } = require('electron');
+const config = require('./config');
+const downloadManager = require('./downloadManager');
+const archiveExtractor = require('./archiveExtractor');
+const { logger, readJSONFile } = require('./utils');
+
+const log = logger.child('QueueFinish');
+
+const FINISH_ACTIONS = ['none', 'quit', 'sleep', 'shutdown'];
+
+// Comandos del sistema para suspender y apagar el equipo
+const SYSTEM_COMMANDS = {
+  sleep: {
+    win32: ['rundll32.exe', ['powrprof.dll,SetSuspendState', '0,1,0']],
+    darwin: ['pmset', ['sleepnow']],
+    linux: ['systemctl', ['suspend']],
+  },
+  shutdown: {
+    win32: ['shutdown', ['/s', '/t', '0']],
+    darwin: ['osascript', ['-e', 'tell app "System Events" to shut down']],
+    linux: ['systemctl', ['poweroff']],
+  },
+};
+
+/**
+ * Vigila la cola y ejecuta la acción configurada cuando termina
+ *
+ * @class QueueFinishAction
+ * @example
+ * const queueFinishAction = require('./queueFinishAction');
+ * queueFinishAction.start(mainWindow);
+ * // El usuario cancela la cuenta atrás
+ * queueFinishAction.cancel();
+ */
+class QueueFinishAction {
+  /**
+   * Crea una nueva instancia de QueueFinishAction
+   *
+   * @constructor
+   */
+  constructor() {
+    this.mainWindow = null;
+    this.checkTimer = null;
+    // Hubo descargas desde la última vez que la cola terminó
+    this.wasBusy = false;
+    this.idleSince = null;
+    this.pending = null;
+    this.pendingTimer = null;
+  }
+
+  /**
+   * Empieza a vigilar la cola
+   *
+   * @param {Electron.BrowserWindow} mainWindow - Ventana principal
+   * @returns {void}
+   */
+  start(mainWindow) {
+    this.mainWindow = mainWindow;
+    if (this.checkTimer) return;
+
+    this.checkTimer = setInterval(() => this._check(), config.power.idleCheckInterval);
+  }
+
+  /**
+   * Deja de vigilar la cola y cancela la cuenta atrás
+   *
+   * @returns {void}
+   */
+  stop() {
+    if (this.checkTimer) {
+      clearInterval(this.checkTimer);
+      this.checkTimer = null;
+    }
+    this._clearPending();
+  }
+
+  /**
+   * Acción configurada por el usuario
+   *
+   * @returns {string} 'none' | 'quit' | 'sleep' | 'shutdown'
+   */
+  getAction() {
+    const { queueFinishAction } = readJSONFile('download-settings.json') || {};
+    return FINISH_ACTIONS.includes(queueFinishAction) ? queueFinishAction : 'none';
+  }
+
+  /**
+   * Acción configurada y cuenta atrás en curso
+   *
+   * @returns {QueueFinishState}
+   */
+  getState() {
+    return {
+      action: this.getAction(),
+      pending: this.pending ? { ...this.pending } : null,
+    };
+  }
+
+  /**
+   * Cancela la cuenta atrás en curso
+   *
+   * La acción vuelve a armarse con la siguiente descarga.
+   *
+   * @returns {{success: boolean, data: QueueFinishState}}
+   */
+  cancel() {
+    if (this.pending) {
+      log.info(`Acción al terminar la cola cancelada: ${this.pending.action}`);
+      this._clearPending();
+      this._sendState();
+    }
+    return { success: true, data: this.getState() };
+  }
+
+  /**
+   * Indica si queda trabajo en la cola
+   *
+   * @private
+   * @returns {boolean}
+   */
+  _isBusy() {
+    const stats = downloadManager.getStats();
+    return (
+      stats.activeSimple + stats.activeChunked + stats.queuedInMemory > 0 ||
+      stats.verifying > 0 ||
+      archiveExtractor.active + archiveExtractor.waiting.length > 0
+    );
+  }
+
+  /**
+   * Comprobación periódica del estado de la cola
+   *
+   * @private
+   * @returns {void}
+   */
+  _check() {
+    if (this._isBusy()) {
+      this.wasBusy = true;
+      this.idleSince = null;
+      if (this.pending) {
+        log.info('Nueva descarga en curso, se cancela la acción al terminar la cola');
+        this._clearPending();
+        this._sendState();
+      }
+      return;
+    }
+
+    if (!this.wasBusy || this.pending) return;
+
+    this.idleSince = this.idleSince || Date.now();
+    if (Date.now() - this.idleSince < config.power.finishIdleDelay) return;
+
+    this.wasBusy = false;
+    this.idleSince = null;
+
+    const action = this.getAction();
+    if (action !== 'none') {
+      this._startCountdown(action);
+    }
+  }
+
+  /**
+   * Inicia la cuenta atrás antes de ejecutar la acción
+   *
+   * @private
+   * @param {string} action - Acción a ejecutar
+   * @returns {void}
+   */
+  _startCountdown(action) {
+    const delay = config.power.finishCountdown * 1000;
+    this.pending = { action, executeAt: Date.now() + delay };
+    this.pendingTimer = setTimeout(() => this._execute(action), delay);
+    log.info(`Cola terminada: '${action}' en ${config.power.finishCountdown} s`);
+
+    // La cuenta atrás tiene que verse aunque la ventana esté en la bandeja
+    if (this._isWindowValid() && !this.mainWindow.isVisible()) {
+      this.mainWindow.showInactive();
+    }
+    this._sendState();
+  }
+
+  /**
+   * Ejecuta la acción al terminar la cuenta atrás
+   *
+   * @private
+   * @param {string} action - Acción a ejecutar
+   * @returns {void}
+   */
+  _execute(action) {
+    this._clearPending();
+    this._sendState();
+    log.info(`Ejecutando acción al terminar la cola: ${action}`);
+
+    if (action === 'quit') {
+      app.quit();
+      return;
+    }
+
+    const command = SYSTEM_COMMANDS[action]?.[process.platform];
+    if (!command) {
+      log.warn(`Acción '${action}' no disponible en ${process.platform}`);
+      return;
+    }
+
+    try {
+      const [file, args] = command;
+      const child = spawn(file, args, { detached: true, stdio: 'ignore' });
+      child.on('error', error => log.error(`Error ejecutando '${file}':`, error.message));
+      child.unref();
+    } catch (error) {
+      log.error(`No se pudo ejecutar la acción '${action}':`, error.message);
+      return;
+    }
+
+    // Cerrar la aplicación de forma ordenada antes de que el sistema se apague
+    if (action === 'shutdown') {
+      app.quit();
+    }
+  }
+
+  /**
+   * @private
+   * @returns {void}
+   */
+  _clearPending() {
+    if (this.pendingTimer) {
+      clearTimeout(this.pendingTimer);
+      this.pendingTimer = null;
+    }
+    this.pending = null;
+  }
+
+  /**
+   * @private
+   * @returns {boolean}
+   */
+  _isWindowValid() {
+    return !!this.mainWindow && !this.mainWindow.isDestroyed();
+  }
+
+  /**
+   * Envía el estado al renderer
+   *
+   * @private
+   * @returns {void}
+   */
+  _sendState() {
+    if (this._isWindowValid()) {
+      this.mainWindow.webContents.send('queue-finish-changed', this.getState());
+    }
+  }
+}
+
+// Exportar instancia única (singleton)
+module.exports = new QueueFinishAction();
+module.exports.QueueFinishAction = QueueFinishAction;
@@ -0,0 +1,444 @@
+/**
+ * @fileoverview Exportación e importación de la cola de descargas
+ * @module queueTransfer
+ *
+ * Permite llevar una cola a otro equipo o compartir una selección de archivos.
+ * Hay dos formatos, elegidos por la extensión del archivo:
+ * - .json: manifiesto con id, título, ruta en el catálogo, tamaño, prioridad y URL
+ * - .txt: lista de URLs, una por línea ('#' inicia un comentario)
+ *
+ * Al importar, cada entrada se busca en el catálogo local: primero por ID
+ * (comprobando que el título y la ruta coinciden, porque los IDs cambian entre
+ * bases de datos), después por ruta en el catálogo y por último por URL. Las
+ * entradas que no se encuentran se devuelven en el informe; las duplicadas se
+ * omiten y el resto se encola en una sola transacción, con la ruta de
+ * guardado de las reglas de destino por carpeta (downloadRules) como las
+ * descargas encoladas desde la interfaz.
+ *
+ * @author Myrient Downloader
+ * @version 1.0.0
+ */
+
+/**
+ * @typedef {Object} ManifestEntry
+ * @property {number} id - ID del archivo en el catálogo de origen
+ * @property {string} title - Nombre del archivo
+ * @property {string|null} catalogPath - Ruta desde la raíz del catálogo (separada por '/')
+ * @property {number|null} size - Tamaño en bytes (si se conocía)
+ * @property {number} priority - Prioridad en la cola
+ * @property {string|null} url - URL de descarga
+ */
+
+/**
+ * @typedef {Object} UnresolvedEntry
+ * @property {number} line - Línea (lista de URLs) o posición de la entrada (manifiesto)
+ * @property {string} text - Título o URL de la entrada
+ * @property {string} reason - Motivo por el que no se encoló
+ */
+
+/**
+ * @typedef {Object} ImportReport
+ * @property {string} format - 'json' | 'urls'
+ * @property {number} total - Entradas leídas
+ * @property {number} added - Descargas encoladas
+ * @property {Array<{id: number, title: string}>} queued - Descargas encoladas
+ * @property {number} duplicates - Entradas omitidas por estar ya en la cola o el historial
+ * @property {Array<UnresolvedEntry>} unresolved - Entradas no encontradas en el catálogo
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('./config');
+const database = require('./database');
+const downloadManager = require('./downloadManager');
+const downloadRules = require('./downloadRules');
+const queueDatabase = require('./queueDatabase');
+const { DownloadPriority } = require('./queueDatabase');
+const { serviceManager } = require('./services');
+const { logger, sanitizeFileName } = require('./utils');
+
+const log = logger.child('QueueTransfer');
+
+// Identificación del manifiesto JSON
+const MANIFEST_FORMAT = 'myrient-ddl-queue';
+const MANIFEST_VERSION = 1;
+
+// Tamaño máximo del archivo a importar (10 MB)
+const MAX_IMPORT_SIZE = 10 * 1024 * 1024;
+
+/**
+ * Construye la URL de descarga de un nodo del catálogo (igual que DownloadManager)
+ *
+ * @param {string|null} nodeUrl - URL absoluta o ruta relativa guardada en el catálogo
+ * @returns {string|null}
+ */
+function buildDownloadUrl(nodeUrl) {
+  if (!nodeUrl) return null;
+  if (nodeUrl.startsWith('http')) return nodeUrl;
+
+  const urlParts = nodeUrl.split('/').map(part => encodeURIComponent(part));
+  return `${config.scraper.baseUrl}${urlParts.join('/')}`;
+}
+
+/**
+ * Exporta e importa listas de descargas
+ *
+ * @class QueueTransfer
+ * @example
+ * const queueTransfer = require('./queueTransfer');
+ * await queueTransfer.exportQueue('C:/cola.json', [123, 456]);
+ * const result = await queueTransfer.importQueue('C:/cola.json', {
+ *   downloadPath: 'D:/ROMs',
+ *   preserveStructure: true,
+ * });
+ * // result.data.added, result.data.unresolved
+ */
+class QueueTransfer {
+  /**
+   * Escribe las descargas indicadas (o todas) en un archivo
+   *
+   * @param {string} filePath - Destino; .txt exporta una lista de URLs, cualquier otra extensión un manifiesto JSON
+   * @param {Array<number>} [downloadIds=[]] - Descargas a exportar (vacío = todas)
+   * @returns {Promise<{success: boolean, data?: {path: string, format: string, count: number}, error?: string}>}
+   */
+  async exportQueue(filePath, downloadIds = []) {
+    const downloads =
+      downloadIds.length > 0
+        ? downloadIds.map(id => queueDatabase.getById(id)).filter(Boolean)
+        : queueDatabase.getAll();
+
+    if (downloads.length === 0) {
+      return { success: false, error: 'No hay descargas para exportar' };
+    }
+
+    const entries = downloads.map(download => this._toManifestEntry(download));
+    const format = path.extname(filePath).toLowerCase() === '.txt' ? 'urls' : 'json';
+    const content =
+      format === 'urls' ? this._formatUrlList(entries) : this._formatManifest(entries);
+
+    try {
+      await fs.promises.writeFile(filePath, content, 'utf8');
+    } catch (error) {
+      log.error('Error escribiendo la exportación de la cola:', error);
+      return { success: false, error: error.message };
+    }
+
+    log.info(`Cola exportada (${format}): ${entries.length} descargas en ${filePath}`);
+    return { success: true, data: { path: filePath, format, count: entries.length } };
+  }
+
+  /**
+   * Lee un manifiesto o una lista de URLs y encola las entradas encontradas
+   *
+   * @param {string} filePath - Archivo a importar
+   * @param {Object} options - Opciones de las descargas nuevas
+   * @param {string|null} options.downloadPath - Carpeta de descarga (ya validada)
+   * @param {boolean} options.preserveStructure - Mantener la estructura de carpetas
+   * @returns {Promise<{success: boolean, data?: ImportReport, error?: string}>}
+   */
+  async importQueue(filePath, { downloadPath = null, preserveStructure = true } = {}) {
+    let content;
+    try {
+      const stats = await fs.promises.stat(filePath);
+      if (stats.size > MAX_IMPORT_SIZE) {
+        return { success: false, error: 'El archivo es demasiado grande para importarlo' };
+      }
+      content = await fs.promises.readFile(filePath, 'utf8');
+    } catch (error) {
+      log.error('Error leyendo el archivo de importación:', error);
+      return { success: false, error: error.message };
+    }
+
+    const parsed = this._parse(content);
+    if (!parsed.success) {
+      return parsed;
+    }
+
+    const { format, entries } = parsed.data;
+    const unresolved = [];
+    const resolved = [];
+
+    for (const entry of entries) {
+      const node = this._resolveEntry(entry);
+      if (node) {
+        resolved.push({ entry, node });
+      } else {
+        unresolved.push({
+          line: entry.line,
+          text: entry.title || entry.url || entry.catalogPath || `ID ${entry.id}`,
+          reason: 'No se encontró en el catálogo local',
+        });
+      }
+    }
+
+    const { downloads, duplicates } = this._prepareDownloads(resolved, {
+      downloadPath,
+      preserveStructure,
+    });
+
+    const insertedIds = new Set(queueDatabase.addManyDownloads(downloads));
+    const queued = downloads.filter(download => insertedIds.has(download.id));
+
+    if (queued.length > 0) {
+      downloadManager.addManyToQueue(queued);
+      downloadManager.processQueue();
+    }
+
+    log.info(
+      `Cola importada (${format}): ${queued.length} encoladas, ${duplicates} duplicadas, ${unresolved.length} sin resolver`
+    );
+
+    return {
+      success: true,
+      data: {
+        format,
+        total: entries.length,
+        added: queued.length,
+        queued: queued.map(download => ({ id: download.id, title: download.title })),
+        duplicates: duplicates + (downloads.length - queued.length),
+        unresolved,
+      },
+    };
+  }
+
+  /**
+   * Convierte una fila de downloads en una entrada del manifiesto
+   *
+   * @private
+   * @param {Object} download - Descarga de queueDatabase
+   * @returns {ManifestEntry}
+   */
+  _toManifestEntry(download) {
+    const fileInfo = database.getFileDownloadInfo(download.id);
+    const title = fileInfo ? fileInfo.title.replace(/\/$/, '') : download.title;
+    const catalogPath = fileInfo ? this._getCatalogPath(download.id, title) : null;
+
+    return {
+      id: download.id,
+      title,
+      catalogPath,
+      size: download.totalBytes || null,
+      priority: download.priority ?? DownloadPriority.NORMAL,
+      url: buildDownloadUrl(fileInfo?.url || download.url),
+    };
+  }
+
+  /**
+   * Ruta de un archivo desde la raíz del catálogo
+   *
+   * @private
+   * @param {number} nodeId - ID del archivo
+   * @param {string} title - Nombre del archivo
+   * @returns {string}
+   */
+  _getCatalogPath(nodeId, title) {
+    const ancestors = database
+      .getFileAncestorPath(nodeId)
+      .map(ancestor => ancestor.title.replace(/\/$/, ''));
+    return [...ancestors, title].join('/');
+  }
+
+  /**
+   * @private
+   * @param {Array<ManifestEntry>} entries - Entradas a exportar
+   * @returns {string}
+   */
+  _formatManifest(entries) {
+    const manifest = {
+      format: MANIFEST_FORMAT,
+      version: MANIFEST_VERSION,
+      exportedAt: new Date().toISOString(),
+      entries,
+    };
+    return `${JSON.stringify(manifest, null, 2)}\n`;
+  }
+
+  /**
+   * @private
+   * @param {Array<ManifestEntry>} entries - Entradas a exportar
+   * @returns {string}
+   */
+  _formatUrlList(entries) {
+    const lines = [
+      `# Myrient Downloader - ${entries.length} descarga(s) exportada(s) el ${new Date().toISOString()}`,
+    ];
+
+    entries.forEach(entry => {
+      lines.push(entry.url || `# Sin URL: ${entry.title}`);
+    });
+
+    return `${lines.join('\n')}\n`;
+  }
+
+  /**
+   * Detecta el formato del archivo y extrae sus entradas
+   *
+   * @private
+   * @param {string} content - Contenido del archivo
+   * @returns {{success: boolean, data?: {format: string, entries: Array<Object>}, error?: string}}
+   */
+  _parse(content) {
+    const text = content.replace(/^\uFEFF/, '');
+
+    if (text.trimStart().startsWith('{')) {
+      let manifest;
+      try {
+        manifest = JSON.parse(text);
+      } catch (error) {
+        return { success: false, error: `El manifiesto no es JSON válido: ${error.message}` };
+      }
+
+      if (manifest.format !== MANIFEST_FORMAT || !Array.isArray(manifest.entries)) {
+        return {
+          success: false,
+          error: 'El archivo no es un manifiesto de cola de Myrient Downloader',
+        };
+      }
+      if (manifest.version > MANIFEST_VERSION) {
+        return {
+          success: false,
+          error: `Versión de manifiesto no soportada (${manifest.version})`,
+        };
+      }
+
+      const entries = manifest.entries.map((entry, index) => ({
+        line: index + 1,
+        id: Number.isInteger(entry?.id) ? entry.id : null,
+        title: typeof entry?.title === 'string' ? entry.title : null,
+        catalogPath: typeof entry?.catalogPath === 'string' ? entry.catalogPath : null,
+        url: typeof entry?.url === 'string' ? entry.url : null,
+        priority: Object.values(DownloadPriority).includes(entry?.priority) ? entry.priority : null,
+      }));
+
+      return { success: true, data: { format: 'json', entries } };
+    }
+
+    const entries = [];
+    text.split(/\r?\n/).forEach((rawLine, index) => {
+      const line = rawLine.trim();
+      if (!line || line.startsWith('#')) return;
+      entries.push({
+        line: index + 1,
+        id: null,
+        title: null,
+        catalogPath: null,
+        url: line,
+        priority: null,
+      });
+    });
+
+    if (entries.length === 0) {
+      return { success: false, error: 'El archivo no contiene ninguna URL' };
+    }
+
+    return { success: true, data: { format: 'urls', entries } };
+  }
+
+  /**
+   * Busca una entrada en el catálogo local
+   *
+   * @private
+   * @param {Object} entry - Entrada del manifiesto o de la lista de URLs
+   * @returns {{id: number, title: string}|null}
+   */
+  _resolveEntry(entry) {
+    // Por ID, solo si el archivo es el mismo (los IDs dependen de la base de datos)
+    if (entry.id) {
+      const fileInfo = database.getFileDownloadInfo(entry.id);
+      if (fileInfo) {
+        const title = fileInfo.title.replace(/\/$/, '');
+        const sameTitle = !entry.title || entry.title === title;
+        const samePath =
+          !entry.catalogPath || entry.catalogPath === this._getCatalogPath(entry.id, title);
+        if (sameTitle && samePath && (entry.title || entry.catalogPath)) {
+          return { id: entry.id, title };
+        }
+      }
+    }
+
+    if (entry.catalogPath) {
+      const node = database.findNodeByPath(entry.catalogPath.split('/').filter(Boolean));
+      if (node && node.type === 'file') {
+        return { id: node.id, title: node.title };
+      }
+    }
+
+    if (entry.url) {
+      const node = database.findFileByUrl(entry.url);
+      if (node) {
+        return { id: node.id, title: node.title };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Prepara los parámetros de descarga y descarta los duplicados
+   *
+   * Compara con las descargas guardadas (cola e historial), las que están en
+   * memoria y las anteriores del mismo archivo importado. La ruta de guardado
+   * sale de las reglas de destino por carpeta si alguna se aplica.
+   *
+   * @private
+   * @param {Array<{entry: Object, node: Object}>} resolved - Entradas encontradas en el catálogo
+   * @param {Object} options - { downloadPath, preserveStructure }
+   * @returns {{downloads: Array<Object>, duplicates: number}}
+   */
+  _prepareDownloads(resolved, { downloadPath, preserveStructure }) {
+    const downloadService = serviceManager.initialized ? serviceManager.getDownloadService() : null;
+
+    const existing = queueDatabase.getAll().map(download => ({
+      id: download.id,
+      title: download.title,
+      url: download.url,
+      downloadPath: download.downloadPath,
+    }));
+    const activeIds = [
+      ...downloadManager.activeDownloads.keys(),
+      ...downloadManager.chunkedDownloads.keys(),
+      ...downloadManager.downloadQueue.map(download => download.id),
+    ];
+    activeIds.forEach(id => existing.push({ id }));
+
+    const downloads = [];
+    let duplicates = 0;
+
+    for (const { entry, node } of resolved) {
+      const params = {
+        id: node.id,
+        title: sanitizeFileName(node.title),
+        downloadPath,
+        preserveStructure,
+        forceOverwrite: false,
+      };
+
+      const isDuplicate = downloadService
+        ? downloadService.isDuplicate(params, existing).isDuplicate
+        : existing.some(download => download.id === params.id);
+
+      if (isDuplicate) {
+        duplicates++;
+        continue;
+      }
+
+      params.priority =
+        entry.priority ??
+        (downloadService ? downloadService.calculatePriority(params) : DownloadPriority.NORMAL);
+
+      const ruled = downloadRules.resolve(params);
+      if (ruled) {
+        params.savePath = ruled.savePath;
+      }
+
+      downloads.push(params);
+      existing.push(params);
+    }
+
+    return { downloads, duplicates };
+  }
+}
+
+// Exportar instancia única (singleton)
+module.exports = new QueueTransfer();
+module.exports.QueueTransfer = QueueTransfer;
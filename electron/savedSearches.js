@@ -0,0 +1,388 @@
+/**
+ * @fileoverview Búsquedas guardadas con aviso de resultados nuevos
+ * @module savedSearches
+ *
+ * Guarda en el directorio de configuración (saved-searches.json) búsquedas con
+ * nombre que combinan un término, un preset de filtros de filter-presets.json
+ * (por nombre, así los cambios del preset se aplican) y opcionalmente una
+ * carpeta del catálogo que limita los resultados.
+ *
+ * Cada búsqueda recuerda los resultados actuales (ID y modified_date) y, durante
+ * un tiempo limitado, los que dejaron de coincidir (gone), para que un resultado
+ * que desaparece y vuelve no cuente como nuevo otra vez.
+ * Tras cada actualización del catálogo se repiten todas (checkAll), con la
+ * carpeta como criterio de la consulta y recorriendo las páginas hasta
+ * config.savedSearches.maxResults; los nodos con un ID nuevo o con otra fecha de
+ * modificación se marcan como nuevos hasta que el usuario abre la búsqueda
+ * (acknowledge). Si la búsqueda tiene activada
+ * la descarga automática, los archivos nuevos se encolan con la configuración
+ * de descargas del usuario.
+ *
+ * @author Myrient Downloader
+ * @version 1.0.0
+ */
+
+/**
+ * @typedef {Object} SavedSearch
+ * @property {string} id - Identificador de la búsqueda
+ * @property {string} name - Nombre visible
+ * @property {string} term - Término de búsqueda
+ * @property {string|null} preset - Nombre del preset de filtros
+ * @property {number|null} scopeFolderId - Carpeta que limita los resultados
+ * @property {string|null} scopePath - Ruta de esa carpeta (títulos separados por '/')
+ * @property {boolean} autoEnqueue - Si los archivos nuevos se encolan solos
+ * @property {Object<string, string|null>} seen - modified_date de cada resultado actual, por ID
+ * @property {Array<{id: number, modifiedDate: string|null, at: number}>} gone - Resultados que
+ *   dejaron de coincidir (los más recientes al final, con límite de número y de antigüedad)
+ * @property {number[]} newIds - Resultados nuevos sin revisar
+ * @property {number} createdAt - Timestamp de creación
+ * @property {number|null} lastCheckedAt - Timestamp de la última comprobación
+ */
+
+const config = require('./config');
+const database = require('./database');
+const { logger, readJSONFile, writeJSONFile } = require('./utils');
+
+const log = logger.child('SavedSearches');
+
+/**
+ * Gestiona las búsquedas guardadas y su comprobación tras cada actualización
+ *
+ * @class SavedSearches
+ * @example
+ * const savedSearches = require('./savedSearches');
+ * const summary = await savedSearches.checkAll(invokeHandler);
+ */
+class SavedSearches {
+  /**
+   * Crea una nueva instancia de SavedSearches
+   *
+   * @constructor
+   */
+  constructor() {
+    this.searches = null;
+    this.checking = null;
+  }
+
+  /**
+   * Búsquedas guardadas sin las listas de resultados vistos
+   *
+   * @returns {Array<Object>} { id, name, term, preset, scopeFolderId, scopePath, autoEnqueue, newIds, newCount, lastCheckedAt }
+   */
+  getAll() {
+    return this._load().map(({ seen: _seen, gone: _gone, ...search }) => ({
+      ...search,
+      newCount: search.newIds.length,
+    }));
+  }
+
+  /**
+   * Crea una búsqueda guardada
+   *
+   * Los resultados actuales cuentan como vistos: solo se avisará de los que
+   * aparezcan en próximas actualizaciones del catálogo.
+   *
+   * @param {Object} params - Búsqueda ya validada ({ name, term, preset, scopeFolderId, autoEnqueue })
+   * @returns {Promise<{success: boolean, data?: Array<Object>, error?: string}>}
+   */
+  async create(params) {
+    const searches = this._load();
+    if (searches.length >= config.savedSearches.maxSearches) {
+      return {
+        success: false,
+        error: `Se admiten como máximo ${config.savedSearches.maxSearches} búsquedas guardadas`,
+      };
+    }
+
+    let scopePath = null;
+    if (params.scopeFolderId) {
+      const ancestors = database.getAncestors(params.scopeFolderId);
+      if (!ancestors.success) return ancestors;
+      scopePath = ancestors.data.map(node => node.title).join('/');
+    }
+
+    const search = {
+      id: `search-${Date.now().toString(36)}`,
+      ...params,
+      scopePath,
+      seen: {},
+      gone: [],
+      newIds: [],
+      createdAt: Date.now(),
+      lastCheckedAt: null,
+    };
+
+    const matches = await this._run(search);
+    if (!matches.success) return matches;
+
+    search.seen = this._toSeen(matches.data);
+    search.lastCheckedAt = Date.now();
+
+    log.info(`Búsqueda guardada "${search.name}": ${matches.data.length} resultados`);
+    return this._save([...searches, search]);
+  }
+
+  /**
+   * Cambia el nombre o la descarga automática de una búsqueda
+   *
+   * @param {Object} changes - { id, name?, autoEnqueue? } ya validado
+   * @returns {{success: boolean, data?: Array<Object>, error?: string}}
+   */
+  update({ id, ...changes }) {
+    const searches = this._load();
+    const search = searches.find(candidate => candidate.id === id);
+    if (!search) return { success: false, error: 'Búsqueda guardada no encontrada' };
+
+    Object.assign(search, changes);
+    return this._save(searches);
+  }
+
+  /**
+   * Elimina una búsqueda guardada
+   *
+   * @param {string} id - ID de la búsqueda
+   * @returns {{success: boolean, data?: Array<Object>, error?: string}}
+   */
+  remove(id) {
+    const searches = this._load();
+    const remaining = searches.filter(search => search.id !== id);
+    if (remaining.length === searches.length) {
+      return { success: false, error: 'Búsqueda guardada no encontrada' };
+    }
+    return this._save(remaining);
+  }
+
+  /**
+   * Marca como revisados los resultados nuevos de una búsqueda
+   *
+   * @param {string} id - ID de la búsqueda
+   * @returns {{success: boolean, data?: Array<Object>, error?: string}}
+   */
+  acknowledge(id) {
+    const searches = this._load();
+    const search = searches.find(candidate => candidate.id === id);
+    if (!search) return { success: false, error: 'Búsqueda guardada no encontrada' };
+    if (search.newIds.length === 0) return { success: true, data: this.getAll() };
+
+    search.newIds = [];
+    return this._save(searches);
+  }
+
+  /**
+   * Repite todas las búsquedas y anota los resultados nuevos
+   *
+   * Si ya hay una comprobación en curso, devuelve la misma promesa.
+   *
+   * @param {function(string, ...*): Promise<Object>} invoke - ipcHandlers.invokeHandler,
+   *   para encolar los archivos nuevos con la misma validación que la interfaz
+   * @returns {Promise<{searches: Array<Object>, newCount: number, enqueued: number}>}
+   */
+  checkAll(invoke) {
+    if (!this.checking) {
+      this.checking = this._checkAll(invoke).finally(() => {
+        this.checking = null;
+      });
+    }
+    return this.checking;
+  }
+
+  /**
+   * @private
+   * @param {function(string, ...*): Promise<Object>} invoke - Ver checkAll
+   * @returns {Promise<{searches: Array<Object>, newCount: number, enqueued: number}>}
+   */
+  async _checkAll(invoke) {
+    const searches = this._load();
+    let newCount = 0;
+    let enqueued = 0;
+
+    for (const search of searches) {
+      const matches = await this._run(search);
+      if (!matches.success) {
+        log.warn(`No se pudo repetir la búsqueda "${search.name}": ${matches.error}`);
+        continue;
+      }
+
+      const gone = new Map((search.gone || []).map(entry => [entry.id, entry.modifiedDate]));
+      const isKnown = (item, modifiedDate) =>
+        (item.id in search.seen && search.seen[item.id] === modifiedDate) ||
+        (gone.has(item.id) && gone.get(item.id) === modifiedDate);
+      const fresh = matches.data.filter(item => !isKnown(item, item.modified_date ?? null));
+
+      search.gone = this._updateGone(search, matches.data);
+      search.seen = this._toSeen(matches.data);
+      search.lastCheckedAt = Date.now();
+      search.newIds = [...new Set([...search.newIds, ...fresh.map(item => item.id)])];
+      newCount += fresh.length;
+
+      if (fresh.length > 0) {
+        log.info(`Búsqueda "${search.name}": ${fresh.length} resultados nuevos`);
+        if (search.autoEnqueue) {
+          enqueued += await this._enqueue(invoke, search, fresh);
+        }
+      }
+    }
+
+    if (searches.length > 0) {
+      this._save(searches);
+    }
+
+    return { searches: this.getAll(), newCount, enqueued };
+  }
+
+  /**
+   * Ejecuta una búsqueda con su preset y su carpeta, con todas sus páginas
+   *
+   * @private
+   * @param {SavedSearch} search - Búsqueda
+   * @returns {Promise<{success: boolean, data?: Array<Object>, error?: string}>}
+   */
+  async _run(search) {
+    let filters = null;
+    if (search.preset) {
+      filters = readJSONFile('filter-presets.json')?.[search.preset] || null;
+      if (!filters) {
+        log.warn(`Preset "${search.preset}" no encontrado, se busca sin filtros`);
+      }
+    }
+
+    const { maxResults } = config.savedSearches;
+    const matches = [];
+    let cursor = null;
+    do {
+      const result = await database.search(search.term, {
+        limit: config.savedSearches.resultLimit,
+        filters,
+        folderId: search.scopeFolderId,
+        ...(cursor ? { cursor } : {}),
+      });
+      if (!result.success) return result;
+
+      matches.push(...result.data);
+      cursor = result.nextCursor;
+
+      if (cursor && matches.length >= maxResults) {
+        log.warn(
+          `Búsqueda "${search.name}": límite de ${maxResults} resultados alcanzado, no se revisa el resto`
+        );
+        break;
+      }
+    } while (cursor);
+
+    return { success: true, data: matches };
+  }
+
+  /**
+   * Encola los archivos nuevos de una búsqueda (las carpetas solo se marcan)
+   *
+   * @private
+   * @param {function(string, ...*): Promise<Object>} invoke - Ver checkAll
+   * @param {SavedSearch} search - Búsqueda
+   * @param {Array<Object>} items - Resultados nuevos
+   * @returns {Promise<number>} Archivos encolados
+   */
+  async _enqueue(invoke, search, items) {
+    const defaults = this._getDownloadDefaults();
+    let enqueued = 0;
+
+    for (const item of items.filter(candidate => candidate.type === 'file')) {
+      const result = await invoke('download-file', { ...defaults, id: item.id, title: item.title });
+      if (result.success) {
+        if (!result.completed) enqueued++;
+      } else {
+        log.warn(`Búsqueda "${search.name}": no se pudo encolar ${item.title}: ${result.error}`);
+      }
+    }
+
+    if (enqueued > 0) {
+      log.info(`Búsqueda "${search.name}": ${enqueued} archivos nuevos encolados`);
+    }
+    return enqueued;
+  }
+
+  /**
+   * Valores por defecto de la configuración de descargas del usuario
+   *
+   * @private
+   * @returns {{downloadPath?: string, preserveStructure?: boolean, conflictPolicy?: string}}
+   */
+  _getDownloadDefaults() {
+    const settings = readJSONFile('download-settings.json') || {};
+    const defaults = {};
+    if (settings.downloadPath) defaults.downloadPath = settings.downloadPath;
+    if (typeof settings.preserveStructure === 'boolean') {
+      defaults.preserveStructure = settings.preserveStructure;
+    }
+    if (config.files.conflictPolicies.includes(settings.fileConflictPolicy)) {
+      defaults.conflictPolicy = settings.fileConflictPolicy;
+    }
+    return defaults;
+  }
+
+  /**
+   * Lista de resultados que dejaron de coincidir tras una comprobación
+   *
+   * Añade los vistos que ya no están entre los resultados, quita los que
+   * volvieron y descarta los más antiguos (config.savedSearches.goneMaxAge y
+   * goneMaxEntries).
+   *
+   * @private
+   * @param {SavedSearch} search - Búsqueda con los vistos de la comprobación anterior
+   * @param {Array<Object>} items - Resultados actuales
+   * @returns {Array<{id: number, modifiedDate: string|null, at: number}>}
+   */
+  _updateGone(search, items) {
+    const { goneMaxAge, goneMaxEntries } = config.savedSearches;
+    const now = Date.now();
+    const current = new Set(items.map(item => item.id));
+    const removed = Object.entries(search.seen)
+      .map(([id, modifiedDate]) => ({ id: Number(id), modifiedDate, at: now }))
+      .filter(entry => !current.has(entry.id));
+    const removedIds = new Set(removed.map(entry => entry.id));
+
+    return [
+      ...(search.gone || []).filter(
+        entry => now - entry.at < goneMaxAge && !current.has(entry.id) && !removedIds.has(entry.id)
+      ),
+      ...removed,
+    ].slice(-goneMaxEntries);
+  }
+
+  /**
+   * @private
+   * @param {Array<Object>} items - Resultados
+   * @returns {Object<string, string|null>} modified_date por ID
+   */
+  _toSeen(items) {
+    return Object.fromEntries(items.map(item => [item.id, item.modified_date ?? null]));
+  }
+
+  /**
+   * @private
+   * @returns {Array<SavedSearch>}
+   */
+  _load() {
+    if (!this.searches) {
+      const saved = readJSONFile(config.savedSearches.fileName);
+      this.searches = Array.isArray(saved?.searches) ? saved.searches : [];
+    }
+    return this.searches;
+  }
+
+  /**
+   * @private
+   * @param {Array<SavedSearch>} searches - Búsquedas a guardar
+   * @returns {{success: boolean, data?: Array<Object>, error?: string}}
+   */
+  _save(searches) {
+    if (!writeJSONFile(config.savedSearches.fileName, { searches })) {
+      return { success: false, error: 'No se pudieron guardar las búsquedas' };
+    }
+    this.searches = searches;
+    return { success: true, data: this.getAll() };
+  }
+}
+
+// Exportar instancia única (singleton)
+module.exports = new SavedSearches();
+module.exports.SavedSearches = SavedSearches;
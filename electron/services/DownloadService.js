@@ -520,7 +520,7 @@ class DownloadService extends BaseService {
         return { valid: false, error: 'Parámetros de descarga de carpeta requeridos' };
       }
 
-      const { folderId, downloadPath, preserveStructure, forceOverwrite } = params;
+      const { folderId, downloadPath, preserveStructure, forceOverwrite, conflictPolicy } = params;
 
       // Validar ID de carpeta
       if (!folderId || (typeof folderId !== 'number' && typeof folderId !== 'string')) {
@@ -567,6 +567,11 @@ class DownloadService extends BaseService {
         return { valid: false, error: 'Parámetros booleanos inválidos' };
       }
 
+      // Validar conflictPolicy (opcional, una de config.files.conflictPolicies)
+      if (conflictPolicy && !config.files.conflictPolicies.includes(conflictPolicy)) {
+        return { valid: false, error: 'Política de conflictos inválida' };
+      }
+
       // Retornar datos validados y normalizados
       return {
         valid: true,
@@ -575,6 +580,7 @@ class DownloadService extends BaseService {
           downloadPath: downloadPath ? downloadPath.trim() : null,
           preserveStructure: preserveStructure !== false, // Default true para carpetas
           forceOverwrite: forceOverwrite === true, // Default false
+          conflictPolicy: conflictPolicy || null, // null = política global
         },
       };
     } catch (error) {
@@ -695,6 +701,7 @@ class DownloadService extends BaseService {
         downloadPath: validatedFolderParams.downloadPath,
         preserveStructure: validatedFolderParams.preserveStructure,
         forceOverwrite: validatedFolderParams.forceOverwrite,
+        conflictPolicy: validatedFolderParams.conflictPolicy,
         url: fileInfo.url || null, // URL opcional (puede ser null para carpetas)
         priority: this.calculatePriority({
           id: fileId,
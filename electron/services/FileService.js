@@ -7,8 +7,9 @@
  * - Normalización de rutas
  * - Validación de nombres de archivos
  * - Reglas de negocio para estructura de carpetas
- * - Verificación de archivos existentes
+ * - Verificación de archivos existentes y política ante conflictos
  * - Construcción de rutas de guardado
+ * - Recorrido de directorios locales (auditoría de colección)
  *
  * @author Myrient Downloader
  * @version 2.0.0
@@ -32,6 +33,18 @@
  * @property {boolean} [shouldOverwrite] - Si se debe sobrescribir según reglas
  */
 
+/**
+ * @typedef {Object} ConflictDecision
+ * @property {boolean} conflict - Si el archivo de destino ya existía
+ * @property {string} policy - Política aplicada (config.files.conflictPolicies)
+ * @property {string} action - 'download' (sin conflicto) | 'ask' | 'skip' | 'overwrite' | 'rename' | 'resume'
+ * @property {string} savePath - Ruta en la que guardar (otra si action es 'rename')
+ * @property {string} [existingPath] - Archivo que ya existía
+ * @property {number} [existingSize] - Tamaño del archivo existente
+ * @property {number} [expectedSize] - Tamaño esperado
+ * @property {FileCheckResult} fileCheck - Resultado de getFileCheckInfo()
+ */
+
 const BaseService = require('./BaseService');
 const path = require('path');
 const fs = require('fs');
@@ -495,6 +508,171 @@ class FileService extends BaseService {
       };
     }
   }
+
+  /**
+   * Decide qué hacer cuando el archivo de destino ya existe
+   *
+   * 'skip' y 'resume' comparan el tamaño exacto; 'ask' pregunta, como antes,
+   * si la diferencia cabe en config.files.sizeMarginBytes. Sin tamaño esperado
+   * no se puede saber si el archivo está completo, así que solo 'rename' lo
+   * conserva; las demás políticas lo sobrescriben.
+   * 'resume' no compara el contenido: un archivo local más pequeño se toma
+   * como el principio del remoto.
+   *
+   * @param {string} filePath - Ruta de destino
+   * @param {number} [expectedSize=0] - Tamaño esperado (0 = desconocido)
+   * @param {string} [policy='ask'] - Una de config.files.conflictPolicies
+   * @returns {Promise<ConflictDecision>}
+   */
+  async resolveConflict(filePath, expectedSize = 0, policy = 'ask') {
+    const fileCheck = await this.getFileCheckInfo(filePath, expectedSize);
+    const decision = { conflict: false, policy, action: 'download', savePath: filePath, fileCheck };
+    if (!fileCheck.exists) return decision;
+
+    Object.assign(decision, {
+      conflict: true,
+      existingPath: filePath,
+      existingSize: fileCheck.actualSize,
+      expectedSize,
+    });
+
+    // 'skip' y 'resume' exigen el tamaño exacto; 'ask' mantiene el margen de siempre
+    const complete = expectedSize > 0 && fileCheck.actualSize === expectedSize;
+    const smaller = expectedSize > 0 && fileCheck.actualSize < expectedSize;
+
+    switch (policy) {
+      case 'overwrite':
+        decision.action = 'overwrite';
+        break;
+      case 'rename': {
+        const renamedPath = await this._findAvailablePath(filePath);
+        if (renamedPath) {
+          decision.action = 'rename';
+          decision.savePath = renamedPath;
+        } else {
+          this.log.warn(`No hay nombre libre para ${filePath}, se pedirá confirmación`);
+          decision.action = 'ask';
+        }
+        break;
+      }
+      case 'skip':
+        decision.action = complete ? 'skip' : 'overwrite';
+        break;
+      case 'resume':
+        decision.action = complete ? 'skip' : smaller ? 'resume' : 'overwrite';
+        break;
+      default:
+        // 'ask': solo se pregunta por archivos que parecen completos
+        decision.action =
+          expectedSize > 0 && fileCheck.similarSize ? 'ask' : smaller ? 'resume' : 'overwrite';
+    }
+
+    return decision;
+  }
+
+  /**
+   * Primera ruta libre con sufijo numérico: "archivo (1).zip", "archivo (2).zip"...
+   *
+   * Una ruta con descarga a medias (.part) no cuenta como libre.
+   *
+   * @private
+   * @param {string} filePath - Ruta ocupada
+   * @returns {Promise<string|null>} null si no hay ninguna libre en config.files.maxRenameAttempts
+   */
+  async _findAvailablePath(filePath) {
+    const config = require('../config');
+    const { dir, name, ext } = path.parse(filePath);
+    const isFree = async candidate => {
+      try {
+        await fs.promises.access(candidate);
+        return false;
+      } catch {
+        return true;
+      }
+    };
+
+    for (let suffix = 1; suffix <= config.files.maxRenameAttempts; suffix++) {
+      const candidate = path.join(dir, `${name} (${suffix})${ext}`);
+      if ((await isFree(candidate)) && (await isFree(`${candidate}.part`))) {
+        return candidate;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Lista recursivamente los archivos de un directorio
+   *
+   * Omite enlaces simbólicos y descargas a medias (.part). Los directorios que
+   * no se pueden leer se registran y se saltan.
+   *
+   * @param {string} directoryPath - Directorio a recorrer
+   * @param {Object} [options] - Opciones del recorrido
+   * @param {number} [options.maxFiles=Infinity] - Máximo de archivos a listar
+   * @returns {Promise<Object>} - { success, files: [{ relativePath, name, size, path }], truncated, error }
+   * (relativePath es la carpeta del archivo respecto a directoryPath, separada por '/')
+   */
+  async scanDirectory(directoryPath, { maxFiles = Infinity } = {}) {
+    try {
+      const rootInfo = await this.checkFileExists(directoryPath);
+      if (!rootInfo.exists || !rootInfo.isDirectory) {
+        return {
+          success: false,
+          error:
+            rootInfo.error || require('../constants/validations').VALIDATIONS.PATH.NOT_A_DIRECTORY,
+        };
+      }
+
+      const rootPath = rootInfo.path;
+      const files = [];
+      const pending = [''];
+      let truncated = false;
+
+      while (pending.length > 0 && !truncated) {
+        const relativeDir = pending.pop();
+        const absoluteDir = path.join(rootPath, relativeDir);
+
+        let entries;
+        try {
+          entries = await fs.promises.readdir(absoluteDir, { withFileTypes: true });
+        } catch (readError) {
+          this.log.warn(`No se pudo leer el directorio ${absoluteDir}:`, readError.message);
+          continue;
+        }
+
+        for (const entry of entries) {
+          if (entry.isDirectory()) {
+            pending.push(relativeDir ? `${relativeDir}/${entry.name}` : entry.name);
+            continue;
+          }
+
+          if (!entry.isFile() || entry.name.endsWith('.part')) continue;
+
+          if (files.length >= maxFiles) {
+            truncated = true;
+            break;
+          }
+
+          const filePath = path.join(absoluteDir, entry.name);
+          try {
+            const stats = await fs.promises.stat(filePath);
+            files.push({
+              relativePath: relativeDir,
+              name: entry.name,
+              size: stats.size,
+              path: filePath,
+            });
+          } catch (statError) {
+            this.log.warn(`No se pudo leer el archivo ${filePath}:`, statError.message);
+          }
+        }
+      }
+
+      return { success: true, files, truncated };
+    } catch (error) {
+      return this.handleError(error, 'scanDirectory');
+    }
+  }
 }
 
 module.exports = FileService;
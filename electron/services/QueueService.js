@@ -76,7 +76,8 @@ class QueueService extends BaseService {
    *
    * Ordena las descargas por:
    * 1. Prioridad (descendente - mayor prioridad primero)
-   * 2. Fecha de creación (ascendente - más antiguas primero si misma prioridad)
+   * 2. Posición manual en la cola (ascendente - las que no tienen van detrás)
+   * 3. Fecha de creación (ascendente - más antiguas primero si misma prioridad)
    *
    * @param {Array<Object>} queue - Cola de descargas a ordenar
    * @returns {Array<Object>} Cola ordenada según reglas de negocio
@@ -100,16 +101,25 @@ class QueueService extends BaseService {
 
       // Ordenar por:
       // 1. Prioridad (descendente - mayor número = mayor prioridad)
-      // 2. Fecha de creación (ascendente - más antiguas primero)
+      // 2. Posición en la cola (ascendente - fijada al reordenar manualmente)
+      // 3. Fecha de creación (ascendente - más antiguas primero)
       return [...queue].sort((a, b) => {
         // Comparar por prioridad primero
-        const priorityA = a.priority || DownloadPriority.NORMAL;
-        const priorityB = b.priority || DownloadPriority.NORMAL;
+        const priorityA = a.priority ?? DownloadPriority.NORMAL;
+        const priorityB = b.priority ?? DownloadPriority.NORMAL;
 
         if (priorityA !== priorityB) {
           return priorityB - priorityA; // Descendente
         }
 
+        // Misma prioridad: respetar la posición manual si existe
+        const positionA = a.queuePosition ?? a.queue_position ?? Infinity;
+        const positionB = b.queuePosition ?? b.queue_position ?? Infinity;
+
+        if (positionA !== positionB) {
+          return positionA < positionB ? -1 : 1;
+        }
+
         // Si tienen la misma prioridad, ordenar por fecha de creación
         const createdA = a.created_at || a.createdAt || 0;
         const createdB = b.created_at || b.createdAt || 0;
@@ -375,8 +385,12 @@ class QueueService extends BaseService {
 
   /**
    * Reordena una descarga en la cola
+   *
+   * Si la nueva posición cae en otro tramo de prioridad, la descarga adopta esa
+   * prioridad. Todas las descargas reciben una queuePosition consecutiva.
+   *
    * @param {string|number} downloadId - ID de la descarga
-   * @param {Array} queue - Cola actual
+   * @param {Array} queue - Cola actual (ordenada con sortQueue)
    * @param {number} newPosition - Nueva posición (0-based)
    * @returns {Object} - Resultado de la operación
    */
@@ -410,15 +424,32 @@ class QueueService extends BaseService {
       }
 
       // Mover a nueva posición (usando lógica de array)
-      const item = queue.splice(index, 1)[0];
-      queue.splice(newPosition, 0, item);
+      const reordered = [...queue];
+      const item = reordered.splice(index, 1)[0];
+      reordered.splice(newPosition, 0, item);
+
+      // La prioridad manda sobre la posición: al cruzar a otro tramo de prioridad
+      // la descarga adopta la de sus vecinas para quedarse donde se soltó
+      const itemPriority = item.priority ?? DownloadPriority.NORMAL;
+      const previous = reordered[newPosition - 1];
+      const next = reordered[newPosition + 1];
+      if (next && (next.priority ?? DownloadPriority.NORMAL) > itemPriority) {
+        item.priority = next.priority;
+      } else if (previous && (previous.priority ?? DownloadPriority.NORMAL) < itemPriority) {
+        item.priority = previous.priority ?? DownloadPriority.NORMAL;
+      }
+
+      // Posiciones consecutivas para que el orden sobreviva a sortQueue
+      reordered.forEach((entry, position) => {
+        entry.queuePosition = position + 1;
+      });
 
       // Actualizar timestamps
       item.updated_at = Date.now();
 
       return {
         success: true,
-        queue: this.sortQueue(queue),
+        queue: this.sortQueue(reordered),
         newPosition,
       };
     } catch (error) {
@@ -21,6 +21,8 @@
  * @property {boolean} [usePrefix=true] - Si usar búsqueda por prefijo (wildcard al final)
  * @property {boolean} [usePhrase=false] - Si buscar frase exacta
  * @property {boolean} [useOR=false] - Si usar operador OR en lugar de AND
+ * @property {string|null} [cursor] - nextCursor de la página anterior
+ * @property {Object|null} [filters] - Filtros avanzados (ver normalizeSearchFilters)
  */
 
 /**
@@ -193,12 +195,18 @@ class SearchService extends BaseService {
       const usePhrase = options.usePhrase === true; // Default false
       const useOR = options.useOR === true; // Default false
 
+      // Cursor opaco de database.search (se valida al decodificarlo)
+      const cursor =
+        typeof options.cursor === 'string' && options.cursor.length <= 200 ? options.cursor : null;
+
       return {
         limit,
         offset,
         usePrefix,
         usePhrase,
         useOR,
+        cursor,
+        filters: this.normalizeSearchFilters(options.filters),
       };
     } catch (error) {
       this.log.warn('Error normalizando opciones de búsqueda, usando defaults:', error.message);
@@ -208,10 +216,68 @@ class SearchService extends BaseService {
         usePrefix: true,
         usePhrase: false,
         useOR: false,
+        cursor: null,
+        filters: null,
       };
     }
   }
 
+  /**
+   * Normaliza los filtros avanzados del renderer (useFilters)
+   *
+   * Deja solo listas de textos (recortados, sin vacíos ni duplicados y con un
+   * máximo por lista) y el rango de tamaño como texto ('700MB').
+   *
+   * @param {Object} filters - { includeText, excludeText, consoles, includeTags,
+   *   excludeTags, sizeRange }
+   * @returns {Object|null} Filtros normalizados o null si no hay ninguno activo
+   */
+  normalizeSearchFilters(filters) {
+    if (!filters || typeof filters !== 'object') {
+      return null;
+    }
+
+    const maxItems = 50;
+    const toList = list =>
+      Array.isArray(list)
+        ? [
+            ...new Set(
+              list
+                .filter(item => typeof item === 'string')
+                .map(item => item.trim().slice(0, 100))
+                .filter(Boolean)
+            ),
+          ].slice(0, maxItems)
+        : [];
+    const toTags = group => ({
+      regions: toList(group?.regions),
+      languages: toList(group?.languages),
+      versions: toList(group?.versions),
+      other: toList(group?.other),
+    });
+    const toSize = value => (typeof value === 'string' ? value.trim().slice(0, 20) : '');
+
+    const normalized = {
+      includeText: toList(filters.includeText),
+      excludeText: toList(filters.excludeText),
+      consoles: toList(filters.consoles),
+      includeTags: toTags(filters.includeTags),
+      excludeTags: toTags(filters.excludeTags),
+      sizeRange: { min: toSize(filters.sizeRange?.min), max: toSize(filters.sizeRange?.max) },
+    };
+
+    const hasAny =
+      [normalized.includeText, normalized.excludeText, normalized.consoles].some(
+        list => list.length > 0
+      ) ||
+      [normalized.includeTags, normalized.excludeTags].some(group =>
+        Object.values(group).some(list => list.length > 0)
+      ) ||
+      Boolean(normalized.sizeRange.min || normalized.sizeRange.max);
+
+    return hasAny ? normalized : null;
+  }
+
   /**
    * Determina si una búsqueda debe usar FTS o LIKE según reglas de negocio
    * @param {string} searchTerm - Término de búsqueda
@@ -359,6 +425,8 @@ class SearchService extends BaseService {
         normalizedOptions.usePrefix ? '1' : '0',
         normalizedOptions.usePhrase ? '1' : '0',
         normalizedOptions.useOR ? '1' : '0',
+        normalizedOptions.cursor || '',
+        normalizedOptions.filters ? JSON.stringify(normalizedOptions.filters) : '',
       ];
 
       return keyParts.join('|');
@@ -0,0 +1,452 @@
+/**
+ * @fileoverview Icono de bandeja, notificaciones del sistema y progreso en la barra de tareas
+ * @module trayManager
+ *
+ * Se alimenta de las mismas actualizaciones de progreso que el renderer
+ * (ProgressThrottler.subscribe):
+ * - Icono de bandeja con la velocidad actual, pausar/reanudar todo y abrir descargas
+ * - Progreso agregado de las descargas activas en la barra de tareas (setProgressBar)
+ * - Notificación nativa al terminar una descarga o un lote (por ejemplo una carpeta):
+ *   un lote termina cuando la cola se queda vacía durante config.tray.batchIdleDelay
+ * - Con la opción minimizeToTray, cerrar la ventana mientras hay descargas la oculta
+ *
+ * Pausar y reanudar se delegan en el renderer (canal 'tray-action'), que
+ * mantiene su propia cola de descargas pendientes de enviar.
+ *
+ * @author Myrient Downloader
+ * @version 1.0.0
+ */
+
+const { app, Menu, Notification, Tray, nativeImage } = require('electron');
+const config = require('./config');
+const downloadManager = require('./downloadManager');
+const queueDatabase = require('./queueDatabase');
+const { logger, readJSONFile } = require('./utils');
+
+const log = logger.child('Tray');
+
+// Estados que terminan una descarga
+const FINAL_STATES = ['completed', 'interrupted', 'cancelled', 'verify_failed'];
+
+// Estados en los que una descarga deja de contar como activa sin haber terminado
+const INACTIVE_STATES = ['paused', 'queued', 'awaiting-confirmation'];
+
+const ICON_SIZE = 32;
+
+/**
+ * Dibuja el icono de la bandeja (círculo verde con una flecha de descarga)
+ *
+ * Se genera en memoria para no depender de archivos de imagen empaquetados.
+ *
+ * @returns {Electron.NativeImage}
+ */
+function createTrayIcon() {
+  const buffer = Buffer.alloc(ICON_SIZE * ICON_SIZE * 4);
+  const center = (ICON_SIZE - 1) / 2;
+
+  for (let y = 0; y < ICON_SIZE; y++) {
+    for (let x = 0; x < ICON_SIZE; x++) {
+      const offset = (y * ICON_SIZE + x) * 4;
+      if (Math.hypot(x - center, y - center) > ICON_SIZE / 2 - 1) continue;
+
+      const dx = Math.abs(x - center);
+      const isArrow = (y >= 7 && y <= 17 && dx <= 2.5) || (y > 17 && y <= 24 && dx <= 24 - y + 0.5);
+
+      // Formato BGRA
+      buffer[offset] = isArrow ? 255 : 0x50;
+      buffer[offset + 1] = isArrow ? 255 : 0xaf;
+      buffer[offset + 2] = isArrow ? 255 : 0x4c;
+      buffer[offset + 3] = 255;
+    }
+  }
+
+  return nativeImage.createFromBitmap(buffer, { width: ICON_SIZE, height: ICON_SIZE });
+}
+
+/**
+ * Integración con el escritorio: bandeja, notificaciones y barra de tareas
+ *
+ * @class TrayManager
+ * @example
+ * const trayManager = require('./trayManager');
+ * trayManager.start({ mainWindow, progressThrottler });
+ * // Al cerrar la aplicación
+ * trayManager.destroy();
+ */
+class TrayManager {
+  /**
+   * Crea una nueva instancia de TrayManager
+   *
+   * @constructor
+   */
+  constructor() {
+    this.tray = null;
+    this.mainWindow = null;
+    this.unsubscribeProgress = null;
+    // Última actualización de cada descarga activa
+    this.progress = new Map();
+    // Resultado de las descargas terminadas desde que la cola estuvo vacía
+    this.batch = { completed: [], failed: [] };
+    this.batchTimer = null;
+    this.menuTimer = null;
+    this.lastMenuUpdate = 0;
+    this.lastStatus = '';
+    this.quitting = false;
+    this.hiddenNoticeShown = false;
+  }
+
+  /**
+   * Crea el icono de bandeja y empieza a seguir el progreso
+   *
+   * @param {Object} options
+   * @param {Electron.BrowserWindow} options.mainWindow - Ventana principal
+   * @param {Object} options.progressThrottler - Instancia de ProgressThrottler
+   * @returns {void}
+   */
+  start({ mainWindow, progressThrottler }) {
+    if (this.tray) return;
+
+    this.mainWindow = mainWindow;
+
+    if (process.platform === 'win32') {
+      app.setAppUserModelId(config.tray.appUserModelId);
+    }
+
+    try {
+      this.tray = new Tray(createTrayIcon());
+      this.tray.on('click', () => this.showWindow());
+      this._refreshMenu();
+    } catch (error) {
+      // Algunos escritorios Linux no tienen bandeja del sistema
+      log.warn('No se pudo crear el icono de bandeja:', error.message);
+      this.tray = null;
+    }
+
+    this.unsubscribeProgress = progressThrottler.subscribe(updates => this._onProgress(updates));
+
+    mainWindow.on('close', event => this._onWindowClose(event));
+    app.on('before-quit', () => {
+      this.quitting = true;
+    });
+
+    log.info('Integración con el escritorio iniciada');
+  }
+
+  /**
+   * Opciones del usuario guardadas en download-settings.json
+   *
+   * @returns {{notifications: boolean, minimizeToTray: boolean}}
+   */
+  getSettings() {
+    const settings = readJSONFile('download-settings.json') || {};
+    return {
+      notifications: settings.desktopNotifications !== false,
+      minimizeToTray: settings.minimizeToTray === true,
+    };
+  }
+
+  /**
+   * Muestra la ventana principal y opcionalmente envía una acción al renderer
+   *
+   * @param {string} [action] - Acción para el renderer ('open-downloads', 'pause-all', 'resume-all')
+   * @returns {void}
+   */
+  showWindow(action) {
+    if (!this._isWindowValid()) return;
+
+    if (this.mainWindow.isMinimized()) this.mainWindow.restore();
+    this.mainWindow.show();
+    this.mainWindow.focus();
+
+    if (action) {
+      this._sendAction(action);
+    }
+  }
+
+  /**
+   * Elimina el icono y deja de seguir el progreso
+   *
+   * @returns {void}
+   */
+  destroy() {
+    this.quitting = true;
+
+    if (this.unsubscribeProgress) {
+      this.unsubscribeProgress();
+      this.unsubscribeProgress = null;
+    }
+
+    if (this.batchTimer) {
+      clearTimeout(this.batchTimer);
+      this.batchTimer = null;
+    }
+
+    if (this.menuTimer) {
+      clearTimeout(this.menuTimer);
+      this.menuTimer = null;
+    }
+
+    if (this._isWindowValid()) {
+      this.mainWindow.setProgressBar(-1);
+    }
+
+    if (this.tray) {
+      this.tray.destroy();
+      this.tray = null;
+    }
+  }
+
+  /**
+   * @private
+   * @returns {boolean}
+   */
+  _isWindowValid() {
+    return !!this.mainWindow && !this.mainWindow.isDestroyed();
+  }
+
+  /**
+   * Envía una acción del menú de la bandeja al renderer
+   *
+   * @private
+   * @param {string} action - Acción a ejecutar
+   * @returns {void}
+   */
+  _sendAction(action) {
+    if (this._isWindowValid()) {
+      this.mainWindow.webContents.send('tray-action', action);
+    }
+  }
+
+  /**
+   * Indica si hay descargas en curso o en la cola del proceso principal
+   *
+   * @private
+   * @returns {boolean}
+   */
+  _hasPendingDownloads() {
+    return (
+      downloadManager.activeDownloads.size + downloadManager.chunkedDownloads.size > 0 ||
+      downloadManager.downloadQueue.length > 0
+    );
+  }
+
+  /**
+   * Oculta la ventana en lugar de cerrarla si hay descargas y el usuario lo activó
+   *
+   * @private
+   * @param {Electron.Event} event - Evento 'close' de la ventana
+   * @returns {void}
+   */
+  _onWindowClose(event) {
+    if (this.quitting || !this.tray) return;
+    if (!this.getSettings().minimizeToTray || !this._hasPendingDownloads()) return;
+
+    event.preventDefault();
+    this.mainWindow.hide();
+    log.info('Ventana ocultada en la bandeja: hay descargas en curso');
+
+    if (!this.hiddenNoticeShown) {
+      this.hiddenNoticeShown = true;
+      this._notify(
+        'Myrient Downloader sigue abierto',
+        'Las descargas continúan en segundo plano. Usa el icono de la bandeja para salir.'
+      );
+    }
+  }
+
+  /**
+   * Procesa un lote de actualizaciones de progreso
+   *
+   * @private
+   * @param {Array<Object>} updates - Actualizaciones (ProgressInfo)
+   * @returns {void}
+   */
+  _onProgress(updates) {
+    updates.forEach(update => {
+      if (FINAL_STATES.includes(update.state)) {
+        this.progress.delete(update.id);
+        this._recordFinished(update);
+      } else if (INACTIVE_STATES.includes(update.state)) {
+        this.progress.delete(update.id);
+      } else {
+        this.progress.set(update.id, { ...this.progress.get(update.id), ...update });
+      }
+    });
+
+    this._updateTaskbar();
+    this._refreshMenu();
+  }
+
+  /**
+   * Anota una descarga terminada en el lote actual
+   *
+   * 'interrupted' también se envía cuando la descarga se va a reintentar; el
+   * estado de la cola indica si el fallo es definitivo.
+   *
+   * @private
+   * @param {Object} update - Actualización final
+   * @returns {void}
+   */
+  _recordFinished(update) {
+    if (update.state === 'cancelled') return;
+
+    const download = queueDatabase.getById(update.id);
+    const title = download?.title || `Descarga ${update.id}`;
+
+    if (update.state === 'completed') {
+      this.batch.completed.push(title);
+    } else if (download && ['failed', 'verify_failed'].includes(download.state)) {
+      this.batch.failed.push({ title, error: download.lastError || update.error });
+    } else {
+      return;
+    }
+
+    if (this.batchTimer) clearTimeout(this.batchTimer);
+    this.batchTimer = setTimeout(() => {
+      this.batchTimer = null;
+      if (!this._hasPendingDownloads()) {
+        this._notifyBatch();
+      }
+    }, config.tray.batchIdleDelay);
+  }
+
+  /**
+   * Notifica el resultado del lote terminado y lo reinicia
+   *
+   * @private
+   * @returns {void}
+   */
+  _notifyBatch() {
+    const { completed, failed } = this.batch;
+    this.batch = { completed: [], failed: [] };
+
+    if (completed.length + failed.length === 1) {
+      if (completed.length === 1) {
+        this._notify('Descarga completada', completed[0]);
+      } else {
+        this._notify('Descarga fallida', `${failed[0].title}\n${failed[0].error || ''}`.trim());
+      }
+      return;
+    }
+
+    const max = config.tray.maxFailedInNotification;
+    const lines = [`${completed.length} completada(s), ${failed.length} fallida(s)`];
+    failed.slice(0, max).forEach(entry => lines.push(`✗ ${entry.title}`));
+    if (failed.length > max) {
+      lines.push(`... y ${failed.length - max} más`);
+    }
+
+    this._notify(
+      failed.length > 0 ? 'Descargas terminadas con errores' : 'Descargas terminadas',
+      lines.join('\n')
+    );
+  }
+
+  /**
+   * Muestra una notificación del sistema si el usuario las tiene activadas
+   *
+   * @private
+   * @param {string} title - Título
+   * @param {string} body - Texto
+   * @returns {void}
+   */
+  _notify(title, body) {
+    if (!Notification.isSupported() || !this.getSettings().notifications) return;
+
+    try {
+      const notification = new Notification({ title, body });
+      notification.on('click', () => this.showWindow('open-downloads'));
+      notification.show();
+    } catch (error) {
+      log.warn('No se pudo mostrar la notificación:', error.message);
+    }
+  }
+
+  /**
+   * Progreso agregado de las descargas activas en la barra de tareas
+   *
+   * @private
+   * @returns {void}
+   */
+  _updateTaskbar() {
+    if (!this._isWindowValid()) return;
+
+    let totalBytes = 0;
+    let downloadedBytes = 0;
+    this.progress.forEach(entry => {
+      if (entry.totalBytes > 0) {
+        totalBytes += entry.totalBytes;
+        downloadedBytes += entry.downloadedBytes ?? (entry.percent || 0) * entry.totalBytes;
+      }
+    });
+
+    this.mainWindow.setProgressBar(totalBytes > 0 ? Math.min(downloadedBytes / totalBytes, 1) : -1);
+  }
+
+  /**
+   * Texto de estado: descargas activas y velocidad total
+   *
+   * @private
+   * @returns {string}
+   */
+  _getStatus() {
+    if (this.progress.size === 0) return 'Sin descargas activas';
+
+    let speed = 0;
+    this.progress.forEach(entry => {
+      if (entry.state === 'progressing') speed += entry.speed || 0;
+    });
+    return `${this.progress.size} descarga(s) · ${speed.toFixed(2)} MB/s`;
+  }
+
+  /**
+   * Reconstruye el menú y el tooltip si cambió el estado
+   *
+   * Como mucho una vez cada config.tray.menuRefreshInterval; la última
+   * actualización pendiente se aplica al terminar el intervalo.
+   *
+   * @private
+   * @returns {void}
+   */
+  _refreshMenu() {
+    if (!this.tray || this.menuTimer) return;
+
+    const wait = this.lastMenuUpdate + config.tray.menuRefreshInterval - Date.now();
+    if (wait > 0) {
+      this.menuTimer = setTimeout(() => {
+        this.menuTimer = null;
+        this._refreshMenu();
+      }, wait);
+      return;
+    }
+
+    const status = this._getStatus();
+    if (status === this.lastStatus) return;
+
+    this.lastStatus = status;
+    this.lastMenuUpdate = Date.now();
+    this.tray.setToolTip(`Myrient Downloader\n${status}`);
+    this.tray.setContextMenu(
+      Menu.buildFromTemplate([
+        { label: status, enabled: false },
+        { type: 'separator' },
+        { label: 'Abrir descargas', click: () => this.showWindow('open-downloads') },
+        { label: 'Pausar todo', click: () => this._sendAction('pause-all') },
+        { label: 'Reanudar todo', click: () => this._sendAction('resume-all') },
+        { type: 'separator' },
+        { label: 'Mostrar ventana', click: () => this.showWindow() },
+        {
+          label: 'Salir',
+          click: () => {
+            this.quitting = true;
+            app.quit();
+          },
+        },
+      ])
+    );
+  }
+}
+
+// Exportar instancia única (singleton)
+module.exports = new TrayManager();
+module.exports.TrayManager = TrayManager;
@@ -19,7 +19,6 @@
  */
 
 const { logger } = require('./logger');
-const { net } = require('electron');
 const log = logger.child('BandwidthManager');
 
 /**
@@ -97,6 +96,9 @@ class BandwidthManager {
     this.isDetecting = false;
     this.detectionUrl = options.detectionUrl || 'https://myrient.erista.me/files/'; // URL para speed test
 
+    // Límite de la programación de descargas (0 = sin límite), se aplica sobre el anterior
+    this.scheduleLimitBytesPerSecond = 0;
+
     // Estadísticas
     this.stats = {
       totalBytesThrottled: 0,
@@ -137,6 +139,28 @@ class BandwidthManager {
     return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
   }
 
+  /**
+   * Calcula el ancho de banda a repartir entre las descargas activas
+   *
+   * Usa el ancho de banda detectado si está disponible, sino el configurado.
+   * El límite de la programación de descargas, si existe, actúa como tope.
+   *
+   * @private
+   * @returns {number} Bytes/segundo (0 = ilimitado)
+   */
+  _getEffectiveBandwidth() {
+    const baseBandwidth =
+      this.detectedBandwidth > 0 ? this.detectedBandwidth : this.maxBandwidthBytesPerSecond;
+
+    if (this.scheduleLimitBytesPerSecond > 0) {
+      return baseBandwidth > 0
+        ? Math.min(baseBandwidth, this.scheduleLimitBytesPerSecond)
+        : this.scheduleLimitBytesPerSecond;
+    }
+
+    return baseBandwidth;
+  }
+
   /**
    * Inicia el intervalo de actualización de quotas
    * @private
@@ -160,9 +184,7 @@ class BandwidthManager {
       return;
     }
 
-    // Usar ancho de banda detectado si está disponible, sino el configurado
-    const effectiveBandwidth =
-      this.detectedBandwidth > 0 ? this.detectedBandwidth : this.maxBandwidthBytesPerSecond;
+    const effectiveBandwidth = this._getEffectiveBandwidth();
 
     if (effectiveBandwidth <= 0) {
       return;
@@ -376,9 +398,7 @@ class BandwidthManager {
       };
     }
 
-    // Usar ancho de banda detectado si está disponible, sino el configurado
-    const effectiveBandwidth =
-      this.detectedBandwidth > 0 ? this.detectedBandwidth : this.maxBandwidthBytesPerSecond;
+    const effectiveBandwidth = this._getEffectiveBandwidth();
 
     // Si no hay límite efectivo, permitir todo
     if (effectiveBandwidth <= 0) {
@@ -452,9 +472,7 @@ class BandwidthManager {
       return;
     }
 
-    // Usar ancho de banda detectado si está disponible, sino el configurado
-    const effectiveBandwidth =
-      this.detectedBandwidth > 0 ? this.detectedBandwidth : this.maxBandwidthBytesPerSecond;
+    const effectiveBandwidth = this._getEffectiveBandwidth();
 
     if (effectiveBandwidth <= 0) {
       return;
@@ -509,6 +527,39 @@ class BandwidthManager {
     this._updateQuotas();
   }
 
+  /**
+   * Establece el límite de la franja activa de la programación de descargas
+   *
+   * A diferencia de setMaxBandwidth, no sustituye al ancho de banda detectado:
+   * solo lo limita mientras la franja esté activa.
+   *
+   * @param {number} bytesPerSecond - Límite en bytes/segundo (0 = sin límite)
+   * @returns {void}
+   *
+   * @example
+   * // Franja de horario laboral: 2 MB/s
+   * bandwidthManager.setScheduleLimit(2 * 1024 * 1024);
+   */
+  setScheduleLimit(bytesPerSecond) {
+    if (bytesPerSecond === this.scheduleLimitBytesPerSecond) {
+      return;
+    }
+
+    this.scheduleLimitBytesPerSecond = bytesPerSecond;
+    log.info(
+      bytesPerSecond > 0
+        ? `Límite de la programación: ${this._formatBytes(bytesPerSecond)}/s`
+        : 'Límite de la programación desactivado'
+    );
+
+    if (this.activeDownloadsCount > 0 && !this.updateTimer) {
+      this._startUpdateInterval();
+    }
+
+    // Recalcular quotas inmediatamente
+    this._updateQuotas();
+  }
+
   /**
    * Habilita o deshabilita el bandwidth shaping
    *
@@ -549,13 +600,15 @@ class BandwidthManager {
       const startTime = Date.now();
       let downloadedBytes = 0;
 
+      // networkProfile carga utils/index, que carga este módulo: se requiere aquí
+      const networkProfile = require('../networkProfile');
+
       return new Promise((resolve, reject) => {
-        const request = net.request({
+        const request = networkProfile.request({
           method: 'HEAD',
           url: testUrl,
         });
 
-        request.setHeader('User-Agent', 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36');
         request.setHeader('Referer', 'https://myrient.erista.me/');
 
         const timeout = setTimeout(() => {
@@ -671,6 +724,7 @@ class BandwidthManager {
       ...this.stats,
       activeDownloads: this.activeDownloadsCount,
       maxBandwidth: this.maxBandwidthBytesPerSecond,
+      scheduleLimit: this.scheduleLimitBytesPerSecond,
       detectedBandwidth: this.detectedBandwidth,
       enabled: this.enabled,
       autoDetect: this.autoDetectEnabled,
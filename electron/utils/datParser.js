@@ -0,0 +1,186 @@
+/**
+ * @fileoverview Parser de archivos DAT en formato Logiqx XML
+ * @module datParser
+ *
+ * Lee DATs de No-Intro, Redump y MAME (formato Logiqx XML) en streaming,
+ * sin cargar el documento completo en memoria. Los DAT de MAME superan los
+ * 100 MB, por lo que las entradas se entregan en lotes mediante `onBatch`.
+ *
+ * Estructura soportada:
+ * <datafile>
+ *   <header><name/><description/><version/></header>
+ *   <game name="..."> (o <machine name="..."> en MAME)
+ *     <rom name="..." size="..." crc="..." md5="..." sha1="..."/>
+ *   </game>
+ * </datafile>
+ *
+ * @author Myrient Downloader
+ * @version 1.0.0
+ */
+
+/**
+ * @typedef {Object} DatRomEntry
+ * @property {string} gameName - Nombre del juego (<game name>)
+ * @property {string} romName - Nombre del ROM dentro del juego (<rom name>)
+ * @property {number|null} size - Tamaño en bytes
+ * @property {string|null} crc32 - CRC32 en hexadecimal (minúsculas)
+ * @property {string|null} md5 - MD5 en hexadecimal (minúsculas)
+ * @property {string|null} sha1 - SHA1 en hexadecimal (minúsculas)
+ */
+
+/**
+ * @typedef {Object} DatHeader
+ * @property {string} name - Nombre del DAT
+ * @property {string} [description] - Descripción
+ * @property {string} [version] - Versión (normalmente una fecha)
+ */
+
+const fs = require('fs');
+const sax = require('sax');
+
+// Elementos que representan un juego según el origen del DAT
+const GAME_ELEMENTS = new Set(['game', 'machine']);
+
+// Campos de la cabecera que se conservan
+const HEADER_FIELDS = new Set(['name', 'description', 'version']);
+
+/**
+ * Normaliza un hash del DAT a hexadecimal en minúsculas
+ *
+ * @param {string} [value] - Hash tal como aparece en el DAT
+ * @returns {string|null}
+ */
+function normalizeHash(value) {
+  if (!value) return null;
+  const hash = String(value).trim().toLowerCase();
+  return /^[0-9a-f]+$/.test(hash) ? hash : null;
+}
+
+/**
+ * Parsea un archivo DAT Logiqx en streaming
+ *
+ * Los ROMs sin ningún hash (p. ej. status="nodump") se omiten porque no se
+ * pueden verificar.
+ *
+ * @param {string} filePath - Ruta al archivo .dat/.xml
+ * @param {Object} options - Opciones de parseo
+ * @param {number} [options.batchSize=5000] - Entradas por lote
+ * @param {Function} options.onBatch - Recibe un Array<DatRomEntry> por lote (síncrono)
+ * @returns {Promise<{header: DatHeader, gameCount: number, romCount: number}>}
+ *
+ * @example
+ * const { header, romCount } = await parseDatFile('Nintendo - NES.dat', {
+ *   onBatch: entries => queueDatabase.insertDatRoms(datId, entries),
+ * });
+ */
+function parseDatFile(filePath, { batchSize = 5000, onBatch }) {
+  return new Promise((resolve, reject) => {
+    const parser = sax.createStream(true, { trim: true });
+    const input = fs.createReadStream(filePath);
+
+    const header = { name: '', description: '', version: '' };
+    const path = [];
+    let currentGame = null;
+    let gameCount = 0;
+    let romCount = 0;
+    let batch = [];
+    let isDatafile = false;
+    let finished = false;
+
+    const fail = error => {
+      if (finished) return;
+      finished = true;
+      input.destroy();
+      reject(error);
+    };
+
+    const flush = () => {
+      if (batch.length === 0) return;
+      const entries = batch;
+      batch = [];
+      onBatch(entries);
+    };
+
+    parser.on('opentag', node => {
+      path.push(node.name);
+
+      if (node.name === 'datafile') {
+        isDatafile = true;
+        return;
+      }
+
+      if (GAME_ELEMENTS.has(node.name) && node.attributes.name) {
+        currentGame = node.attributes.name;
+        gameCount++;
+        return;
+      }
+
+      if (node.name === 'rom' && currentGame) {
+        const { name, size, crc, md5, sha1 } = node.attributes;
+        const entry = {
+          gameName: currentGame,
+          romName: name,
+          size: size !== undefined && /^\d+$/.test(size) ? Number(size) : null,
+          crc32: normalizeHash(crc),
+          md5: normalizeHash(md5),
+          sha1: normalizeHash(sha1),
+        };
+
+        if (!name || (!entry.crc32 && !entry.md5 && !entry.sha1)) return;
+
+        batch.push(entry);
+        romCount++;
+
+        if (batch.length >= batchSize) {
+          try {
+            flush();
+          } catch (error) {
+            fail(error);
+          }
+        }
+      }
+    });
+
+    parser.on('closetag', name => {
+      path.pop();
+      if (GAME_ELEMENTS.has(name)) {
+        currentGame = null;
+      }
+    });
+
+    parser.on('text', text => {
+      const field = path[path.length - 1];
+      if (path[path.length - 2] === 'header' && HEADER_FIELDS.has(field)) {
+        header[field] += text;
+      }
+    });
+
+    parser.on('error', error => fail(new Error(`DAT inválido: ${error.message.split('\n')[0]}`)));
+    input.on('error', fail);
+
+    parser.on('end', () => {
+      if (finished) return;
+
+      if (!isDatafile) {
+        fail(new Error('El archivo no es un DAT en formato Logiqx XML'));
+        return;
+      }
+
+      try {
+        flush();
+      } catch (error) {
+        fail(error);
+        return;
+      }
+
+      finished = true;
+      resolve({ header, gameCount, romCount });
+    });
+
+    input.pipe(parser);
+  });
+}
+
+module.exports = {
+  parseDatFile,
+};
@@ -202,7 +202,7 @@ class DBQueryWorkerManager {
   /**
    * Ejecuta búsqueda FTS en el worker
    * @param {string} searchTerm - Término de búsqueda
-   * @param {Object} options - Opciones de búsqueda
+   * @param {Object} options - Opciones de búsqueda ({ limit, offset, countTotal })
    * @param {string} ftsTable - Nombre de la tabla FTS
    * @param {string} ftsType - Tipo de FTS ('fts5' o 'fts4')
    * @returns {Promise<Object>} Resultados de la búsqueda
@@ -226,6 +226,33 @@ class DBQueryWorkerManager {
     }
   }
 
+  /**
+   * Ejecuta una búsqueda con la sintaxis de consulta en el worker
+   * @param {Object} query - Consulta analizada (searchQuery.parseSearchQuery)
+   * @param {Object} options - Opciones de búsqueda ({ limit, offset, usePrefix, countTotal })
+   * @param {string|null} ftsTable - Nombre de la tabla FTS (null para usar LIKE)
+   * @param {string} ftsType - Tipo de FTS ('fts5' o 'fts4')
+   * @returns {Promise<Object>} Resultados de la búsqueda
+   */
+  async searchQuery(query, options, ftsTable, ftsType) {
+    if (!this.isInitialized) {
+      throw new Error('Worker no está inicializado');
+    }
+
+    try {
+      const result = await this._sendRequest('searchQuery', {
+        query,
+        options,
+        ftsTable,
+        ftsType,
+      });
+      return result;
+    } catch (error) {
+      log.error('Error en searchQuery:', error);
+      throw error;
+    }
+  }
+
   /**
    * Obtiene todos los archivos de una carpeta recursivamente en el worker
    * @param {number} folderId - ID de la carpeta
@@ -245,6 +272,27 @@ class DBQueryWorkerManager {
     }
   }
 
+  /**
+   * Cierra la conexión de un tipo de base de datos en el worker
+   * @param {string} dbType - Tipo de base de datos: 'queue' o 'catalog'
+   * @returns {Promise<boolean>} true si la conexión quedó cerrada
+   */
+  async closeDatabase(dbType) {
+    if (!this.worker || !this.initializedTypes.has(dbType)) {
+      return true;
+    }
+
+    try {
+      await this._sendRequest('closeDatabase', { dbType }, 5000);
+      this.initializedTypes.delete(dbType);
+      log.info(`Conexión ${dbType} cerrada en worker thread`);
+      return true;
+    } catch (error) {
+      log.error(`Error cerrando conexión ${dbType} en worker:`, error);
+      return false;
+    }
+  }
+
   /**
    * Verifica si el worker está disponible
    * @returns {Promise<boolean>} true si el worker responde
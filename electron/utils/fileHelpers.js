@@ -287,6 +287,28 @@ function getAvailableDiskSpace(directoryPath) {
   }
 }
 
+/**
+ * Obtiene el espacio disponible en disco sin bloquear el proceso
+ *
+ * Usa fs.promises.statfs en lugar de lanzar wmic o df, así se puede llamar
+ * periódicamente desde el proceso principal.
+ *
+ * @param {string} directoryPath - Directorio existente del disco a medir
+ * @returns {Promise<number|null>} Espacio disponible en bytes, o null si no se pudo determinar
+ *
+ * @example
+ * const space = await getAvailableDiskSpaceAsync('C:/Downloads');
+ */
+async function getAvailableDiskSpaceAsync(directoryPath) {
+  try {
+    const stats = await fs.promises.statfs(path.resolve(directoryPath));
+    return stats.bavail * stats.bsize;
+  } catch (error) {
+    log.warn('Error obteniendo espacio en disco:', error.message);
+    return null;
+  }
+}
+
 /**
  * Formatea bytes a una representación legible (KB, MB, GB, TB)
  *
@@ -416,6 +438,7 @@ module.exports = {
   ensureDirectoryExists,
   hasWritePermission,
   getAvailableDiskSpace,
+  getAvailableDiskSpaceAsync,
   formatBytes,
   validateDiskSpace,
   safeUnlink,
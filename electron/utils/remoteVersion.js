@@ -0,0 +1,78 @@
+/**
+ * @fileoverview Versión de un archivo en el servidor (ETag y Last-Modified)
+ * @module remoteVersion
+ *
+ * Las respuestas HEAD identifican la versión de cada archivo con ETag y
+ * Last-Modified. Se guardan con la descarga para:
+ * - Enviar If-Range al reanudar: si el archivo cambió, el servidor responde
+ *   200 con el archivo completo en lugar de 206, y la descarga empieza de cero
+ *   en vez de mezclar dos versiones
+ * - Comprobar si las descargas completadas tienen una versión nueva
+ *
+ * Cada espejo tiene sus propios ETag, así que solo se comparan los de un
+ * mismo servidor; entre servidores distintos solo cuenta el tamaño.
+ *
+ * @author Myrient Downloader
+ * @version 1.0.0
+ */
+
+// Código de error cuando una petición con If-Range recibe el archivo completo
+const REMOTE_CHANGED = 'REMOTE_CHANGED';
+
+/**
+ * @typedef {Object} RemoteVersion
+ * @property {string|null} etag - ETag
+ * @property {string|null} lastModified - Last-Modified
+ * @property {string|null} host - Servidor que dio la respuesta
+ * @property {number} [size] - Tamaño en bytes (0 o ausente = desconocido)
+ */
+
+/**
+ * Lee una cabecera de una respuesta de net (puede llegar como array)
+ *
+ * @param {Object} headers - response.headers (nombres en minúsculas)
+ * @param {string} name - Nombre de la cabecera en minúsculas
+ * @returns {string|null}
+ */
+function getHeader(headers, name) {
+  const value = headers?.[name];
+  return (Array.isArray(value) ? value[0] : value) || null;
+}
+
+/**
+ * Valor de If-Range para una versión: el ETag si es fuerte, si no el Last-Modified
+ *
+ * If-Range no admite ETag débiles (W/"..."), que el servidor nunca da por iguales.
+ *
+ * @param {RemoteVersion|null} version - Versión guardada
+ * @returns {string|null} null si no hay con qué condicionar la petición
+ */
+function getIfRange(version) {
+  if (!version) return null;
+  if (version.etag && !version.etag.startsWith('W/')) return version.etag;
+  return version.lastModified || null;
+}
+
+/**
+ * Compara la versión guardada de un archivo con la que da el servidor ahora
+ *
+ * @param {RemoteVersion} stored - Versión guardada con la descarga
+ * @param {RemoteVersion} current - Versión de una respuesta HEAD nueva
+ * @returns {string|null} Motivo del cambio ('size' | 'etag' | 'last-modified') o null si no cambió
+ */
+function getRemoteChange(stored, current) {
+  if (stored.size > 0 && current.size > 0 && stored.size !== current.size) return 'size';
+  if (!stored.host || stored.host !== current.host) return null;
+  if (stored.etag && current.etag && stored.etag !== current.etag) return 'etag';
+  if (stored.lastModified && current.lastModified && stored.lastModified !== current.lastModified) {
+    return 'last-modified';
+  }
+  return null;
+}
+
+module.exports = {
+  REMOTE_CHANGED,
+  getHeader,
+  getIfRange,
+  getRemoteChange,
+};
@@ -0,0 +1,263 @@
+/**
+ * @fileoverview Selección 1G1R (un juego, un ROM)
+ * @module romSelection
+ *
+ * Reglas de la selección automática, compartidas por el proceso principal
+ * (modo sin ventana y reglas de destino, con require) y el renderer
+ * (revisión antes de encolar, con import desde useRomSelection.js). Por eso es
+ * un módulo ES sin dependencias:
+ * - Agrupa los archivos por título base (sin las etiquetas entre paréntesis)
+ * - Elige un archivo por grupo según la prioridad de regiones e idiomas
+ * - Prefiere la revisión más alta y descarta Beta/Proto/Demo/Sample
+ *
+ * @author Myrient Downloader
+ * @version 1.0.0
+ */
+
+/**
+ * @typedef {Object} RomInfo
+ * @property {number} id - ID del archivo
+ * @property {string} title - Nombre del archivo
+ * @property {number} [size] - Tamaño en bytes
+ * @property {string[]} regions - Regiones de las etiquetas
+ * @property {string[]} languages - Idiomas (explícitos o deducidos de la región)
+ * @property {string|null} revision - Revisión ('A', '1', '1.1'...) o null si es la original
+ * @property {number} otherTags - Etiquetas que no son región, idioma ni revisión
+ * @property {boolean} excluded - Si es Beta/Proto/Demo/Sample
+ */
+
+/**
+ * @typedef {Object} RomGroup
+ * @property {string} key - Clave del grupo (título base en minúsculas)
+ * @property {string} baseTitle - Título base del juego
+ * @property {RomInfo[]} candidates - Archivos del grupo ordenados por preferencia
+ * @property {number|null} pickId - Archivo elegido (null = ninguno)
+ */
+
+// Etiquetas de región e idioma reconocidas
+export const REGIONS = [
+  'USA',
+  'Europe',
+  'Japan',
+  'World',
+  'Asia',
+  'Australia',
+  'Brazil',
+  'Canada',
+  'China',
+  'France',
+  'Germany',
+  'Italy',
+  'Korea',
+  'Netherlands',
+  'Spain',
+  'Sweden',
+  'UK',
+];
+
+export const LANGUAGES = [
+  'En',
+  'Es',
+  'Fr',
+  'De',
+  'It',
+  'Ja',
+  'Ko',
+  'Pt',
+  'Zh',
+  'Nl',
+  'Sv',
+  'No',
+  'Da',
+  'Fi',
+  'Pl',
+  'Ru',
+];
+
+// Etiquetas que descartan un archivo de la selección automática
+export const EXCLUDED_TAGS = ['Beta', 'Proto', 'Demo', 'Sample'];
+
+// Preferencias por defecto
+export const DEFAULT_REGION_PRIORITY = ['USA', 'World', 'Europe', 'Japan'];
+export const DEFAULT_LANGUAGE_PRIORITY = ['En'];
+
+// Idioma implícito de las regiones monolingües (No-Intro omite el idioma en ellas)
+const REGION_LANGUAGES = {
+  USA: 'En',
+  UK: 'En',
+  Australia: 'En',
+  Japan: 'Ja',
+  Korea: 'Ko',
+  China: 'Zh',
+  Brazil: 'Pt',
+  France: 'Fr',
+  Germany: 'De',
+  Italy: 'It',
+  Spain: 'Es',
+  Netherlands: 'Nl',
+  Sweden: 'Sv',
+};
+
+/**
+ * Obtiene el título base de un archivo (sin extensión ni etiquetas)
+ *
+ * @param {string} title - Nombre del archivo
+ * @returns {string} Título base
+ *
+ * @example
+ * getBaseTitle('Tetris (World) (Rev 1).zip'); // 'Tetris'
+ */
+export const getBaseTitle = title =>
+  title
+    .replace(/\.[a-z0-9]{1,4}$/i, '')
+    .replace(/\([^)]*\)|\[[^\]]*\]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+/**
+ * Analiza las etiquetas entre paréntesis de un título
+ *
+ * @param {string} title - Nombre del archivo
+ * @returns {Omit<RomInfo, 'id'|'title'|'size'>}
+ */
+export const parseRomTitle = title => {
+  const regions = [];
+  const languages = [];
+  let revision = null;
+  let otherTags = 0;
+  let excluded = false;
+
+  const tags = (title.match(/\(([^)]+)\)/g) || []).map(tag => tag.replace(/[()]/g, '').trim());
+
+  tags.forEach(tag => {
+    const parts = tag.split(',').map(part => part.trim());
+
+    if (parts.every(part => REGIONS.includes(part))) {
+      regions.push(...parts);
+      return;
+    }
+
+    if (parts.every(part => LANGUAGES.includes(part))) {
+      languages.push(...parts);
+      return;
+    }
+
+    const revMatch = tag.match(/^Rev\s+([\w.]+)$/i) || tag.match(/^v(\d+(?:\.\d+)*)$/i);
+    if (revMatch) {
+      revision = revMatch[1];
+      return;
+    }
+
+    if (
+      EXCLUDED_TAGS.some(excludedTag => tag === excludedTag || tag.startsWith(`${excludedTag} `))
+    ) {
+      excluded = true;
+    }
+    otherTags++;
+  });
+
+  // Sin etiqueta de idioma: deducirlo de las regiones monolingües
+  if (languages.length === 0) {
+    regions.forEach(region => {
+      const language = REGION_LANGUAGES[region];
+      if (language && !languages.includes(language)) languages.push(language);
+    });
+  }
+
+  return { regions, languages, revision, otherTags, excluded };
+};
+
+/**
+ * Posición del mejor valor en una lista de prioridad (sin distinguir mayúsculas)
+ *
+ * @param {string[]} values - Valores del archivo
+ * @param {string[]} priority - Lista de prioridad
+ * @returns {number} Índice; priority.length si no coincide ninguno
+ */
+const priorityRank = (values, priority) => {
+  const normalized = priority.map(value => value.toLowerCase());
+  return values.reduce((best, value) => {
+    const index = normalized.indexOf(value.toLowerCase());
+    return index !== -1 && index < best ? index : best;
+  }, normalized.length);
+};
+
+/**
+ * Compara dos revisiones (null = original, la más baja)
+ *
+ * @param {string|null} a - Revisión A
+ * @param {string|null} b - Revisión B
+ * @returns {number} Negativo si A es anterior a B
+ */
+const compareRevisions = (a, b) => {
+  if (a === b) return 0;
+  if (a === null) return -1;
+  if (b === null) return 1;
+  return a.localeCompare(b, undefined, { numeric: true, sensitivity: 'base' });
+};
+
+/**
+ * Agrupa los archivos por juego y elige uno por grupo (1G1R)
+ *
+ * Orden de preferencia dentro de cada grupo: región, idioma, revisión más alta
+ * y, a igualdad, el archivo con menos etiquetas adicionales. Los grupos en los
+ * que todos los archivos están excluidos quedan sin elección.
+ *
+ * @param {Array<Object>} files - Archivos de la carpeta ({ id, title, size })
+ * @param {Object} [options] - Preferencias
+ * @param {string[]} [options.regions] - Regiones en orden de preferencia
+ * @param {string[]} [options.languages] - Idiomas en orden de preferencia
+ * @returns {RomGroup[]} Grupos ordenados por título
+ *
+ * @example
+ * const groups = selectOneGameOneRom(files, { regions: ['Europe', 'USA'], languages: ['Es', 'En'] });
+ * const fileIds = getPickedIds(groups);
+ */
+export const selectOneGameOneRom = (
+  files,
+  { regions = DEFAULT_REGION_PRIORITY, languages = DEFAULT_LANGUAGE_PRIORITY } = {}
+) => {
+  const groups = new Map();
+
+  files.forEach(file => {
+    const baseTitle = getBaseTitle(file.title) || file.title;
+    const key = baseTitle.toLowerCase();
+    if (!groups.has(key)) {
+      groups.set(key, { key, baseTitle, candidates: [] });
+    }
+
+    const info = parseRomTitle(file.title);
+    groups.get(key).candidates.push({
+      id: file.id,
+      title: file.title,
+      size: file.size,
+      ...info,
+      regionRank: priorityRank(info.regions, regions),
+      languageRank: priorityRank(info.languages, languages),
+    });
+  });
+
+  return [...groups.values()]
+    .map(group => {
+      group.candidates.sort(
+        (a, b) =>
+          a.excluded - b.excluded ||
+          a.regionRank - b.regionRank ||
+          a.languageRank - b.languageRank ||
+          compareRevisions(b.revision, a.revision) ||
+          a.otherTags - b.otherTags ||
+          a.title.localeCompare(b.title)
+      );
+      const best = group.candidates[0];
+      return { ...group, pickId: best && !best.excluded ? best.id : null };
+    })
+    .sort((a, b) => a.baseTitle.localeCompare(b.baseTitle));
+};
+
+/**
+ * IDs de los archivos elegidos en los grupos
+ *
+ * @param {RomGroup[]} groups - Grupos de selectOneGameOneRom
+ * @returns {number[]} IDs elegidos, en el orden de los grupos
+ */
+export const getPickedIds = groups => groups.map(group => group.pickId).filter(id => id !== null);
@@ -23,6 +23,7 @@
  */
 
 const { z } = require('zod');
+const config = require('../config');
 const { VALIDATIONS } = require('../constants/validations');
 
 // Schemas de validación para operaciones relacionadas con la base de datos de índice
@@ -45,8 +46,25 @@ const nodeIdSchema = z
   .int(VALIDATIONS.ID.MUST_BE_INTEGER)
   .positive(VALIDATIONS.ID.MUST_BE_POSITIVE);
 
+// Schema para validar IDs de nodos en navegación (get-children, get-ancestors, get-node-info)
+// Admite IDs negativos: son nodos virtuales que solo existen en el listado web (ver DataProvider)
+const browseNodeIdSchema = z
+  .number()
+  .int(VALIDATIONS.ID.MUST_BE_INTEGER)
+  .refine(val => val !== 0, VALIDATIONS.ID.NODE_CANNOT_BE_ZERO);
+
+// Schema para validar el modo de origen de datos de navegación
+const dataSourceModeSchema = z.enum(['db', 'web', 'hybrid'], {
+  message: VALIDATIONS.GENERIC.INVALID_DATA_SOURCE,
+});
+
 // Schemas de validación para operaciones relacionadas con descargas de archivos
 
+// Schema para la política ante archivos de destino existentes (config.files.conflictPolicies)
+const conflictPolicySchema = z.enum(config.files.conflictPolicies, {
+  message: VALIDATIONS.GENERIC.INVALID_CONFLICT_POLICY,
+});
+
 // Schema para validar todos los parámetros requeridos y opcionales de una descarga
 // Valida ID, título, y opcionales como ruta de descarga, preservación de estructura, y sobrescritura
 const downloadParamsSchema = z.object({
@@ -66,6 +84,12 @@ const downloadParamsSchema = z.object({
   preserveStructure: z.boolean().optional().default(false),
 
   forceOverwrite: z.boolean().optional().default(false),
+
+  // Sin política se usa la global de download-settings.json al iniciar la descarga
+  conflictPolicy: conflictPolicySchema.optional(),
+
+  // DownloadPriority: 0 = baja ... 3 = urgente
+  priority: z.number().int().min(0).max(3).optional(),
 });
 
 // Schema para validar IDs de descargas individuales
@@ -75,6 +99,12 @@ const downloadIdSchema = z
   .int(VALIDATIONS.ID.DOWNLOAD_MUST_BE_INTEGER)
   .positive(VALIDATIONS.ID.DOWNLOAD_MUST_BE_POSITIVE);
 
+// Schema para validar IDs de DATs de verificación importados (remove-dat)
+const datIdSchema = z
+  .number()
+  .int(VALIDATIONS.ID.DAT_MUST_BE_INTEGER)
+  .positive(VALIDATIONS.ID.DAT_MUST_BE_POSITIVE);
+
 // Schemas de validación para operaciones con archivos de configuración
 
 // Schema para validar nombres de archivos de configuración con restricciones de seguridad
@@ -96,6 +126,255 @@ const configDataSchema = z.record(z.unknown()).refine(data => {
   }
 }, VALIDATIONS.DATA.MUST_BE_SERIALIZABLE);
 
+// Schemas de validación para la programación semanal de descargas (download-schedule.json)
+
+// Hora del día en formato HH:MM de 24 horas
+const scheduleTimeSchema = z
+  .string()
+  .regex(/^([01]\d|2[0-3]):[0-5]\d$/, VALIDATIONS.SCHEDULE.INVALID_TIME);
+
+// Acción de una franja: permitir descargas o pausar la cola
+const scheduleActionSchema = z.enum(['allow', 'pause'], {
+  message: VALIDATIONS.SCHEDULE.INVALID_ACTION,
+});
+
+// Franja semanal: días (0 = domingo), horario, acción y límite de velocidad (0 = ilimitado)
+// Si end es anterior a start, la franja cruza la medianoche
+const scheduleRuleSchema = z.object({
+  id: z.string().min(1).max(50),
+  label: z
+    .string()
+    .max(50, VALIDATIONS.SCHEDULE.LABEL_TOO_LONG)
+    .optional()
+    .default('')
+    .transform(val => val.trim()),
+  days: z
+    .array(z.number().int().min(0).max(6), { message: VALIDATIONS.SCHEDULE.INVALID_DAYS })
+    .min(1, VALIDATIONS.SCHEDULE.INVALID_DAYS)
+    .transform(days => [...new Set(days)].sort((a, b) => a - b)),
+  start: scheduleTimeSchema,
+  end: scheduleTimeSchema,
+  action: scheduleActionSchema,
+  maxBytesPerSecond: z
+    .number()
+    .int(VALIDATIONS.SCHEDULE.INVALID_BANDWIDTH)
+    .min(0, VALIDATIONS.SCHEDULE.INVALID_BANDWIDTH)
+    .optional()
+    .default(0),
+});
+
+// Programación completa; defaultAction se aplica fuera de todas las franjas
+const downloadScheduleSchema = z.object({
+  enabled: z.boolean(),
+  defaultAction: scheduleActionSchema.optional().default('allow'),
+  rules: z.array(scheduleRuleSchema).max(50, VALIDATIONS.SCHEDULE.TOO_MANY_RULES),
+});
+
+// Schemas de validación para las reglas de destino por carpeta (download-rules.json)
+
+// Regla: ruta del catálogo (admite * y **), plantilla de destino y limpieza del nombre
+const downloadRuleSchema = z.object({
+  id: z.string().min(1).max(50),
+  enabled: z.boolean().optional().default(true),
+  pattern: z
+    .string({ message: VALIDATIONS.DOWNLOAD_RULES.INVALID_PATTERN })
+    .transform(val => val.trim())
+    .pipe(
+      z
+        .string()
+        .min(1, VALIDATIONS.DOWNLOAD_RULES.INVALID_PATTERN)
+        .max(500, VALIDATIONS.DOWNLOAD_RULES.INVALID_PATTERN)
+    ),
+  target: z
+    .string({ message: VALIDATIONS.DOWNLOAD_RULES.INVALID_TARGET })
+    .transform(val => val.trim())
+    .pipe(
+      z
+        .string()
+        .min(1, VALIDATIONS.DOWNLOAD_RULES.INVALID_TARGET)
+        .max(1000, VALIDATIONS.DOWNLOAD_RULES.INVALID_TARGET)
+    ),
+  stripTags: z.boolean().optional().default(false),
+});
+
+// Lista de reglas en orden de prioridad
+const downloadRulesSchema = z
+  .array(downloadRuleSchema, { message: VALIDATIONS.DOWNLOAD_RULES.INVALID_RULES })
+  .max(100, VALIDATIONS.DOWNLOAD_RULES.TOO_MANY_RULES);
+
+// Vista previa: reglas sin guardar y ruta del catálogo de un archivo de ejemplo
+const downloadRulesPreviewSchema = z.object({
+  rules: downloadRulesSchema,
+  samplePath: z
+    .string({ message: VALIDATIONS.DOWNLOAD_RULES.INVALID_SAMPLE })
+    .min(1, VALIDATIONS.DOWNLOAD_RULES.INVALID_SAMPLE)
+    .max(1000, VALIDATIONS.DOWNLOAD_RULES.INVALID_SAMPLE),
+  downloadPath: z.string().max(1000, VALIDATIONS.PATH.TOO_LONG).optional().nullable(),
+});
+
+// Servidores espejo (mirrors.json): URL base del listado con la misma estructura que Myrient
+const mirrorSchema = z.object({
+  id: z.string().min(1).max(50),
+  baseUrl: z
+    .string({ message: VALIDATIONS.MIRRORS.INVALID_URL })
+    .transform(val => val.trim())
+    .pipe(z.string().url(VALIDATIONS.MIRRORS.INVALID_URL).max(500, VALIDATIONS.MIRRORS.INVALID_URL))
+    .refine(val => val.startsWith('https://'), VALIDATIONS.MIRRORS.INVALID_URL)
+    .transform(val => (val.endsWith('/') ? val : `${val}/`)),
+  enabled: z.boolean().optional().default(true),
+});
+
+const mirrorsSchema = z
+  .array(mirrorSchema, { message: VALIDATIONS.MIRRORS.INVALID_MIRRORS })
+  .max(10, VALIDATIONS.MIRRORS.TOO_MANY_MIRRORS);
+
+// Cabecera adicional del perfil de red (las que gestiona la aplicación no se admiten)
+const networkHeaderSchema = z.object({
+  name: z
+    .string({ message: VALIDATIONS.NETWORK.INVALID_HEADER_NAME })
+    .transform(val => val.trim())
+    .pipe(z.string().regex(/^[A-Za-z0-9-]{1,100}$/, VALIDATIONS.NETWORK.INVALID_HEADER_NAME))
+    .refine(
+      val => !config.network.reservedHeaders.includes(val.toLowerCase()),
+      VALIDATIONS.NETWORK.RESERVED_HEADER
+    ),
+  value: z
+    .string({ message: VALIDATIONS.NETWORK.INVALID_HEADER_VALUE })
+    .max(1000, VALIDATIONS.NETWORK.INVALID_HEADER_VALUE)
+    .refine(val => !/[\r\n]/.test(val), VALIDATIONS.NETWORK.INVALID_HEADER_VALUE),
+});
+
+// Perfil de red (network-profile.json): proxy, User-Agent y cabeceras adicionales.
+// Sin password se conserva la contraseña guardada; null o '' la borra
+const networkProfileSchema = z
+  .object(
+    {
+      proxy: z.object({
+        type: z.enum(config.network.proxyTypes, {
+          message: VALIDATIONS.NETWORK.INVALID_PROXY_TYPE,
+        }),
+        host: z
+          .string({ message: VALIDATIONS.NETWORK.INVALID_PROXY_HOST })
+          .transform(val => val.trim())
+          .pipe(
+            z
+              .string()
+              .max(255, VALIDATIONS.NETWORK.INVALID_PROXY_HOST)
+              .regex(/^([A-Za-z0-9.-]*|\[[0-9A-Fa-f:]+\])$/, VALIDATIONS.NETWORK.INVALID_PROXY_HOST)
+          )
+          .optional()
+          .default(''),
+        port: z
+          .number({ message: VALIDATIONS.NETWORK.INVALID_PROXY_PORT })
+          .int(VALIDATIONS.NETWORK.INVALID_PROXY_PORT)
+          .min(1, VALIDATIONS.NETWORK.INVALID_PROXY_PORT)
+          .max(65535, VALIDATIONS.NETWORK.INVALID_PROXY_PORT)
+          .optional()
+          .nullable()
+          .default(null),
+        username: z
+          .string({ message: VALIDATIONS.NETWORK.INVALID_CREDENTIALS })
+          .max(200, VALIDATIONS.NETWORK.INVALID_CREDENTIALS)
+          .optional()
+          .default(''),
+        password: z
+          .string({ message: VALIDATIONS.NETWORK.INVALID_CREDENTIALS })
+          .max(200, VALIDATIONS.NETWORK.INVALID_CREDENTIALS)
+          .optional()
+          .nullable(),
+        bypass: z
+          .string({ message: VALIDATIONS.NETWORK.INVALID_BYPASS })
+          .max(1000, VALIDATIONS.NETWORK.INVALID_BYPASS)
+          .optional()
+          .default(''),
+      }),
+      userAgent: z
+        .string({ message: VALIDATIONS.NETWORK.INVALID_USER_AGENT })
+        .transform(val => val.trim())
+        .pipe(z.string().max(500, VALIDATIONS.NETWORK.INVALID_USER_AGENT))
+        .optional()
+        .default(''),
+      headers: z
+        .array(networkHeaderSchema, { message: VALIDATIONS.NETWORK.INVALID_PROFILE })
+        .max(config.network.maxHeaders, VALIDATIONS.NETWORK.TOO_MANY_HEADERS)
+        .optional()
+        .default([]),
+    },
+    { message: VALIDATIONS.NETWORK.INVALID_PROFILE }
+  )
+  .refine(({ proxy }) => !['http', 'https', 'socks5'].includes(proxy.type) || proxy.host, {
+    message: VALIDATIONS.NETWORK.INVALID_PROXY_HOST,
+    path: ['proxy', 'host'],
+  })
+  .refine(({ proxy }) => !['http', 'https', 'socks5'].includes(proxy.type) || proxy.port, {
+    message: VALIDATIONS.NETWORK.INVALID_PROXY_PORT,
+    path: ['proxy', 'port'],
+  })
+  .refine(({ proxy }) => proxy.type !== 'socks5' || !proxy.username, {
+    message: VALIDATIONS.NETWORK.SOCKS_AUTH_UNSUPPORTED,
+    path: ['proxy', 'username'],
+  });
+
+// Búsqueda guardada (saved-searches.json): término, preset de filtros y carpeta opcional
+const savedSearchSchema = z.object({
+  name: z
+    .string({ message: VALIDATIONS.SAVED_SEARCH.INVALID_NAME })
+    .transform(val => val.trim())
+    .pipe(
+      z
+        .string()
+        .min(1, VALIDATIONS.SAVED_SEARCH.INVALID_NAME)
+        .max(100, VALIDATIONS.SAVED_SEARCH.INVALID_NAME)
+    ),
+  term: z
+    .string({ message: VALIDATIONS.SEARCH.TERM_MIN_LENGTH })
+    .transform(val => val.trim())
+    .pipe(
+      z
+        .string()
+        .min(2, VALIDATIONS.SEARCH.TERM_MIN_LENGTH)
+        .max(100, VALIDATIONS.SEARCH.TERM_MAX_LENGTH)
+    ),
+  preset: z
+    .string({ message: VALIDATIONS.SAVED_SEARCH.INVALID_PRESET })
+    .max(100, VALIDATIONS.SAVED_SEARCH.INVALID_PRESET)
+    .optional()
+    .nullable()
+    .transform(val => val || null),
+  scopeFolderId: nodeIdSchema.optional().nullable().default(null),
+  autoEnqueue: z.boolean().optional().default(false),
+});
+
+// Cambios de una búsqueda guardada existente (solo nombre y descarga automática)
+const savedSearchUpdateSchema = z.object({
+  id: z
+    .string({ message: VALIDATIONS.SAVED_SEARCH.INVALID_ID })
+    .min(1, VALIDATIONS.SAVED_SEARCH.INVALID_ID)
+    .max(50, VALIDATIONS.SAVED_SEARCH.INVALID_ID),
+  name: savedSearchSchema.shape.name.optional(),
+  autoEnqueue: z.boolean().optional(),
+});
+
+// Acción sobre todas las descargas de un lote (carpeta encolada)
+const batchActionSchema = z.object({
+  batchId: z
+    .number({ message: VALIDATIONS.BATCH.INVALID_ID })
+    .int(VALIDATIONS.BATCH.INVALID_ID)
+    .positive(VALIDATIONS.BATCH.INVALID_ID),
+  action: z.enum(config.batches.actions, { message: VALIDATIONS.BATCH.INVALID_ACTION }),
+});
+
+// Configuración de la API HTTP local (http-api.json)
+const httpApiSettingsSchema = z.object({
+  enabled: z.boolean({ message: VALIDATIONS.HTTP_API.INVALID_SETTINGS }),
+  port: z
+    .number({ message: VALIDATIONS.HTTP_API.INVALID_PORT })
+    .int(VALIDATIONS.HTTP_API.INVALID_PORT)
+    .min(1024, VALIDATIONS.HTTP_API.INVALID_PORT)
+    .max(65535, VALIDATIONS.HTTP_API.INVALID_PORT),
+  regenerateToken: z.boolean().optional().default(false),
+});
+
 // =====================
 // FUNCIÓN DE VALIDACIÓN GENÉRICA
 // =====================
@@ -203,6 +482,20 @@ function validateNodeId(nodeId) {
   return validate(nodeIdSchema, nodeId);
 }
 
+/**
+ * Valida un ID de nodo de navegación (admite IDs virtuales negativos)
+ */
+function validateBrowseNodeId(nodeId) {
+  return validate(browseNodeIdSchema, nodeId);
+}
+
+/**
+ * Valida el modo de origen de datos ('db' | 'web' | 'hybrid')
+ */
+function validateDataSourceMode(mode) {
+  return validate(dataSourceModeSchema, mode);
+}
+
 /**
  * Valida parámetros de descarga usando schema de Zod
  *
@@ -244,6 +537,76 @@ function validateDownloadId(downloadId) {
   return validate(downloadIdSchema, downloadId);
 }
 
+/**
+ * Valida ID de DAT de verificación
+ */
+function validateDatId(datId) {
+  return validate(datIdSchema, datId);
+}
+
+/**
+ * Valida la programación semanal de descargas
+ */
+function validateDownloadSchedule(schedule) {
+  return validate(downloadScheduleSchema, schedule);
+}
+
+/**
+ * Valida las reglas de destino por carpeta
+ */
+function validateDownloadRules(rules) {
+  return validate(downloadRulesSchema, rules);
+}
+
+/**
+ * Valida los parámetros de la vista previa de reglas de destino
+ */
+function validateDownloadRulesPreview(params) {
+  return validate(downloadRulesPreviewSchema, params);
+}
+
+/**
+ * Valida la lista de servidores espejo
+ */
+function validateMirrors(mirrors) {
+  return validate(mirrorsSchema, mirrors);
+}
+
+/**
+ * Valida el perfil de red
+ */
+function validateNetworkProfile(profile) {
+  return validate(networkProfileSchema, profile);
+}
+
+/**
+ * Valida una búsqueda guardada nueva
+ */
+function validateSavedSearch(search) {
+  return validate(savedSearchSchema, search);
+}
+
+/**
+ * Valida los cambios de una búsqueda guardada
+ */
+function validateSavedSearchUpdate(changes) {
+  return validate(savedSearchUpdateSchema, changes);
+}
+
+/**
+ * Valida una acción sobre un lote
+ */
+function validateBatchAction(params) {
+  return validate(batchActionSchema, params);
+}
+
+/**
+ * Valida la configuración de la API HTTP local
+ */
+function validateHttpApiSettings(settings) {
+  return validate(httpApiSettingsSchema, settings);
+}
+
 /**
  * Valida nombre de archivo de configuración
  */
@@ -267,8 +630,21 @@ module.exports = {
   schemas: {
     search: searchSchema,
     nodeId: nodeIdSchema,
+    browseNodeId: browseNodeIdSchema,
+    dataSourceMode: dataSourceModeSchema,
     downloadParams: downloadParamsSchema,
+    conflictPolicy: conflictPolicySchema,
     downloadId: downloadIdSchema,
+    datId: datIdSchema,
+    downloadSchedule: downloadScheduleSchema,
+    downloadRules: downloadRulesSchema,
+    downloadRulesPreview: downloadRulesPreviewSchema,
+    mirrors: mirrorsSchema,
+    networkProfile: networkProfileSchema,
+    savedSearch: savedSearchSchema,
+    savedSearchUpdate: savedSearchUpdateSchema,
+    batchAction: batchActionSchema,
+    httpApiSettings: httpApiSettingsSchema,
     configFilename: configFilenameSchema,
     configData: configDataSchema,
   },
@@ -279,8 +655,20 @@ module.exports = {
   // Funciones específicas
   validateSearch,
   validateNodeId,
+  validateBrowseNodeId,
+  validateDataSourceMode,
   validateDownloadParams,
   validateDownloadId,
+  validateDatId,
+  validateDownloadSchedule,
+  validateDownloadRules,
+  validateDownloadRulesPreview,
+  validateMirrors,
+  validateNetworkProfile,
+  validateSavedSearch,
+  validateSavedSearchUpdate,
+  validateBatchAction,
+  validateHttpApiSettings,
   validateConfigFilename,
   validateConfigData,
 };
@@ -0,0 +1,535 @@
+/**
+ * @fileoverview Sintaxis de consulta del buscador del catálogo
+ * @module searchQuery
+ *
+ * Convierte el texto del buscador en una consulta SQL que combina FTS con
+ * condiciones sobre las columnas de nodes. Lo usan database.search() y el
+ * worker de consultas (dbQueryWorker), por eso no depende de config ni del
+ * logger.
+ *
+ * Sintaxis admitida (los criterios se combinan con AND):
+ * - palabra              Título que contiene la palabra (prefijo en FTS)
+ * - "frase exacta"       Título que contiene la frase
+ * - -palabra, -"frase"   Excluir títulos que la contengan
+ * - ext:chd              Archivos con esa extensión
+ * - size:>700MB          Tamaño (>, >=, <, <=; unidades B, KB, MB, GB, TB)
+ * - in:"Sony - PlayStation"  Dentro de una carpeta con ese nombre (* como comodín)
+ * - region:Europe        Etiqueta entre paréntesis del título, p. ej. (USA, Europe)
+ * - date:>2024-01-01     Fecha de modificación (YYYY, YYYY-MM o YYYY-MM-DD)
+ *
+ * Los campos admiten '-' delante para negarlos (-region:Japan) y repetidos
+ * (ext:cue ext:bin) se combinan con OR. El tamaño y la fecha se guardan como
+ * texto en la DB; las funciones size_bytes() y catalog_date() que compara la
+ * consulta se registran en cada conexión con registerSearchFunctions().
+ *
+ * Los filtros avanzados del panel de filtros (texto, sets, etiquetas y rango
+ * de tamaño, ver useFilters.js) se añaden a la consulta como criterios con
+ * getFilterConditions(), así se aplican antes del límite de resultados.
+ * Las búsquedas guardadas limitadas a una carpeta añaden un criterio 'folder'
+ * con el ID de esa carpeta.
+ *
+ * @author Myrient Downloader
+ * @version 1.0.0
+ */
+
+/**
+ * @typedef {Object} SearchCondition
+ * @property {string} field - 'ext', 'size', 'in', 'region', 'date', desde los
+ *   filtros avanzados 'text', 'set' y 'tag', o 'folder' (ID de carpeta)
+ * @property {boolean} negated - Si el criterio está negado
+ * @property {string} [op] - Comparación de size y date
+ * @property {string|number} value - Valor normalizado
+ */
+
+/**
+ * @typedef {Object} SearchQuery
+ * @property {Array<{text: string, phrase: boolean}>} terms - Palabras y frases a buscar
+ * @property {string[]} excluded - Palabras y frases excluidas
+ * @property {Array<SearchCondition>} conditions - Criterios por campo
+ * @property {string|null} error - Error de sintaxis
+ */
+
+const FIELDS = ['ext', 'size', 'in', 'region', 'date'];
+
+// Criterios que, repetidos, se combinan con OR
+const OR_FIELDS = ['ext', 'in', 'region', 'text', 'set', 'tag'];
+
+// Categorías de etiquetas de los filtros avanzados
+const TAG_CATEGORIES = ['regions', 'languages', 'versions', 'other'];
+
+// Token: '-' opcional, campo opcional y valor entre comillas (puede estar sin cerrar) o palabra
+const TOKEN_PATTERN = new RegExp(
+  `(-(?=\\S))?(?:(${FIELDS.join('|')}):)?(?:"([^"]*)(?:"|$)|(\\S*))`,
+  'gi'
+);
+
+const SIZE_MULTIPLIERS = {
+  B: 1,
+  KB: 1024,
+  MB: 1024 * 1024,
+  GB: 1024 * 1024 * 1024,
+  TB: 1024 * 1024 * 1024 * 1024,
+};
+
+const COMPARISON_OPS = ['>=', '<=', '>', '<', '='];
+
+/**
+ * Escapa un texto para LIKE ... ESCAPE '|' (igual que validation.escapeLikeTerm)
+ *
+ * @param {string} text - Texto literal
+ * @returns {string}
+ */
+function escapeLike(text) {
+  return text.replace(/\|/g, '||').replace(/%/g, '|%').replace(/_/g, '|_');
+}
+
+/**
+ * Convierte un tamaño en texto ("700 MiB", "1.5GB", "1024") a bytes
+ *
+ * Mismo formato que ScraperEngine._parseSize; los valores numéricos se
+ * devuelven tal cual.
+ *
+ * @param {string|number|null} size - Tamaño almacenado o escrito por el usuario
+ * @returns {number|null} Bytes o null si no es un tamaño (p. ej. '-' en carpetas)
+ */
+function parseSizeText(size) {
+  if (typeof size === 'number') return size;
+  if (!size) return null;
+
+  const match = String(size)
+    .trim()
+    .toUpperCase()
+    .match(/^([\d.]+)\s*([KMGT]?)I?(B?)$/);
+  if (!match) return null;
+
+  const value = parseFloat(match[1]);
+  if (Number.isNaN(value)) return null;
+  return Math.floor(value * SIZE_MULTIPLIERS[`${match[2]}B`]);
+}
+
+/**
+ * Fecha 'YYYY-MM-DD' de un modified_date (texto 'YYYY-MM-DD HH:MM' o timestamp)
+ *
+ * @param {string|number|null} value - modified_date almacenado
+ * @returns {string|null}
+ */
+function toCatalogDate(value) {
+  if (value === null || value === undefined || value === '') return null;
+  if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}/.test(value)) {
+    return value.slice(0, 10);
+  }
+
+  const d = new Date(typeof value === 'number' ? value : Date.parse(value));
+  if (Number.isNaN(d.getTime())) return null;
+  const pad = n => String(n).padStart(2, '0');
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+/**
+ * Registra en una conexión de better-sqlite3 las funciones que usa la consulta
+ *
+ * @param {Object} db - Conexión de better-sqlite3
+ * @returns {void}
+ */
+function registerSearchFunctions(db) {
+  db.function('size_bytes', { deterministic: true }, parseSizeText);
+  db.function('catalog_date', { deterministic: true }, toCatalogDate);
+}
+
+/**
+ * Separa el operador de comparación del valor de size: y date:
+ *
+ * @param {string} value - Valor del campo (p. ej. '>=700MB')
+ * @returns {{op: string|null, rest: string}}
+ */
+function splitComparison(value) {
+  const op = COMPARISON_OPS.find(candidate => value.startsWith(candidate)) || null;
+  return { op, rest: op ? value.slice(op.length).trim() : value };
+}
+
+/**
+ * Valida y normaliza un criterio por campo
+ *
+ * @param {string} field - Campo
+ * @param {string} value - Valor escrito
+ * @param {boolean} negated - Si va precedido de '-'
+ * @returns {{condition?: SearchCondition, error?: string}}
+ */
+function parseCondition(field, value, negated) {
+  switch (field) {
+    case 'ext':
+      return { condition: { field, negated, value: value.replace(/^\.+/, '').toLowerCase() } };
+
+    case 'in':
+    case 'region':
+      return { condition: { field, negated, value } };
+
+    case 'size': {
+      const { op, rest } = splitComparison(value);
+      const bytes = rest.match(/^[\d.]+\s*[KMGT]?I?B?$/i) ? parseSizeText(rest) : null;
+      if (!op || op === '=' || bytes === null) {
+        return {
+          error: `Tamaño no válido en "size:${value}" (usa p. ej. size:>700MB o size:<=4GB)`,
+        };
+      }
+      return { condition: { field, negated, op, value: bytes } };
+    }
+
+    case 'date': {
+      const { op, rest } = splitComparison(value);
+      if (!/^\d{4}(-\d{2}(-\d{2})?)?$/.test(rest)) {
+        return { error: `Fecha no válida en "date:${value}" (usa p. ej. date:>2024-01-01)` };
+      }
+      return { condition: { field, negated, op: op || '=', value: rest } };
+    }
+
+    default:
+      return { error: `Campo de búsqueda desconocido: ${field}` };
+  }
+}
+
+/**
+ * Analiza el texto del buscador
+ *
+ * Los campos sin valor (p. ej. 'ext:' mientras se escribe) y las palabras sin
+ * letras ni números se ignoran.
+ *
+ * @param {string} input - Texto del buscador
+ * @returns {SearchQuery}
+ *
+ * @example
+ * parseSearchQuery('mario ext:chd -demo region:Europe');
+ * // { terms: [{ text: 'mario', phrase: false }], excluded: ['demo'],
+ * //   conditions: [{ field: 'ext', ... }, { field: 'region', ... }], error: null }
+ */
+function parseSearchQuery(input) {
+  const query = { terms: [], excluded: [], conditions: [], error: null };
+
+  for (const match of String(input || '').matchAll(TOKEN_PATTERN)) {
+    const [, minus, rawField, quotedValue, wordValue] = match;
+    const phrase = quotedValue !== undefined;
+    const value = (phrase ? quotedValue : wordValue || '').trim();
+    const negated = Boolean(minus);
+
+    if (rawField) {
+      if (!value) continue;
+      const { condition, error } = parseCondition(rawField.toLowerCase(), value, negated);
+      if (error) {
+        query.error = query.error || error;
+      } else {
+        query.conditions.push(condition);
+      }
+      continue;
+    }
+
+    if (!/[\p{L}\p{N}]/u.test(value)) continue;
+    if (negated) {
+      query.excluded.push(value);
+    } else {
+      query.terms.push({ text: value, phrase });
+    }
+  }
+
+  if (!query.error && query.terms.length === 0 && query.conditions.length === 0) {
+    query.error = 'Añade una palabra o un criterio de búsqueda';
+  }
+
+  return query;
+}
+
+/**
+ * Indica si la consulta usa algo más que palabras sueltas
+ *
+ * Las búsquedas de solo palabras siguen el camino habitual de database.search()
+ * (relevancia por patrones en LIKE, opciones usePhrase/useOR).
+ *
+ * @param {SearchQuery} query - Consulta analizada
+ * @returns {boolean}
+ */
+function hasQuerySyntax(query) {
+  return (
+    query.conditions.length > 0 ||
+    query.excluded.length > 0 ||
+    query.terms.some(term => term.phrase)
+  );
+}
+
+/**
+ * Textos no vacíos de una lista de los filtros avanzados
+ *
+ * @param {*} list - Lista recibida del renderer
+ * @returns {string[]}
+ */
+function toTextList(list) {
+  if (!Array.isArray(list)) return [];
+  return list.filter(item => typeof item === 'string' && item.trim()).map(item => item.trim());
+}
+
+/**
+ * Convierte los filtros avanzados en criterios de búsqueda
+ *
+ * Misma semántica que el filtrado del renderer: basta con uno de los textos a
+ * incluir, uno de los sets y una de las etiquetas a incluir; cualquier texto o
+ * etiqueta excluidos descartan el resultado. Los tamaños del rango que no se
+ * puedan interpretar se ignoran.
+ *
+ * @param {Object|null} filters - { includeText, excludeText, consoles, includeTags,
+ *   excludeTags, sizeRange: { min, max } }
+ * @returns {Array<SearchCondition>}
+ */
+function getFilterConditions(filters) {
+  if (!filters || typeof filters !== 'object') return [];
+
+  const conditions = [];
+  const add = (field, values, negated) =>
+    values.forEach(value => conditions.push({ field, negated, value }));
+
+  add('text', toTextList(filters.includeText), false);
+  add('text', toTextList(filters.excludeText), true);
+  add('set', toTextList(filters.consoles), false);
+  for (const category of TAG_CATEGORIES) {
+    add('tag', toTextList(filters.includeTags?.[category]), false);
+    add('tag', toTextList(filters.excludeTags?.[category]), true);
+  }
+
+  const min = parseSizeText(filters.sizeRange?.min || null);
+  const max = parseSizeText(filters.sizeRange?.max || null);
+  if (min !== null) conditions.push({ field: 'size', negated: false, op: '>=', value: min });
+  if (max !== null) conditions.push({ field: 'size', negated: false, op: '<=', value: max });
+
+  return conditions;
+}
+
+/**
+ * Término FTS de una palabra o frase (entre comillas para no chocar con los operadores)
+ *
+ * @param {{text: string, phrase: boolean}} term - Palabra o frase
+ * @param {string} ftsType - 'fts5' o 'fts4'
+ * @param {boolean} usePrefix - Añadir comodín de prefijo a las palabras
+ * @returns {string}
+ */
+function toFTSTerm(term, ftsType, usePrefix) {
+  const escaped = term.text.replace(/"/g, '""');
+  if (term.phrase || !usePrefix) return `"${escaped}"`;
+  return ftsType === 'fts5' ? `"${escaped}"*` : `"${escaped}*"`;
+}
+
+/**
+ * SQL de un criterio por campo
+ *
+ * @param {SearchCondition} condition - Criterio
+ * @returns {{sql: string, params: Array}}
+ */
+function compileCondition(condition) {
+  const { field, op, value } = condition;
+
+  switch (field) {
+    case 'ext':
+      return {
+        sql: "(n.type = 'File' AND n.title LIKE ? ESCAPE '|')",
+        params: [`%.${escapeLike(value)}`],
+      };
+
+    case 'region': {
+      const tag = escapeLike(value);
+      return {
+        sql: "(n.title LIKE ? ESCAPE '|' OR n.title LIKE ? ESCAPE '|' OR n.title LIKE ? ESCAPE '|' OR n.title LIKE ? ESCAPE '|')",
+        params: [`%(${tag})%`, `%(${tag},%`, `%, ${tag})%`, `%, ${tag},%`],
+      };
+    }
+
+    case 'in':
+      // Carpetas con ese nombre y todas sus subcarpetas
+      return {
+        sql: `n.parent_id IN (
+                WITH RECURSIVE scope(id) AS (
+                    SELECT id FROM nodes
+                    WHERE type = 'Directory' AND rtrim(title, '/') LIKE ? ESCAPE '|'
+                    UNION
+                    SELECT c.id FROM nodes c
+                    INNER JOIN scope s ON c.parent_id = s.id
+                    WHERE c.type = 'Directory'
+                )
+                SELECT id FROM scope
+            )`,
+        params: [escapeLike(value).replace(/\*/g, '%')],
+      };
+
+    case 'folder':
+      // Contenido de la carpeta con ese ID y de todas sus subcarpetas
+      return {
+        sql: `n.parent_id IN (
+                WITH RECURSIVE scope(id) AS (
+                    SELECT ?
+                    UNION
+                    SELECT c.id FROM nodes c
+                    INNER JOIN scope s ON c.parent_id = s.id
+                    WHERE c.type = 'Directory'
+                )
+                SELECT id FROM scope
+            )`,
+        params: [value],
+      };
+
+    case 'size':
+      return { sql: `size_bytes(n.size) ${op} ?`, params: [value] };
+
+    case 'text':
+      return { sql: "n.title LIKE ? ESCAPE '|'", params: [`%${escapeLike(value)}%`] };
+
+    case 'tag':
+      // Contenido exacto de unos paréntesis del título
+      return { sql: "n.title LIKE ? ESCAPE '|'", params: [`%(${escapeLike(value)})%`] };
+
+    case 'set': {
+      // Carpeta de primer nivel (hija de la raíz) cuyo nombre contiene el set o
+      // está contenido en él, y todo lo que hay dentro
+      const setMatch =
+        "parent_id = 1 AND (instr(lower(rtrim(title, '/')), lower(?)) > 0 OR instr(lower(?), lower(rtrim(title, '/'))) > 0)";
+      return {
+        sql: `(n.id IN (SELECT id FROM nodes WHERE ${setMatch}) OR n.parent_id IN (
+                WITH RECURSIVE sets(id) AS (
+                    SELECT id FROM nodes WHERE ${setMatch}
+                    UNION
+                    SELECT c.id FROM nodes c
+                    INNER JOIN sets s ON c.parent_id = s.id
+                    WHERE c.type = 'Directory'
+                )
+                SELECT id FROM sets
+            ))`,
+        params: [value, value, value, value],
+      };
+    }
+
+    case 'date':
+      // catalog_date() devuelve 'YYYY-MM-DD': '~' ordena detrás de cualquier
+      // fecha que empiece por el valor, así '2024' o '2024-01' abarcan todo el periodo
+      switch (op) {
+        case '>':
+          return { sql: 'catalog_date(n.modified_date) > ?', params: [`${value}~`] };
+        case '<=':
+          return { sql: 'catalog_date(n.modified_date) < ?', params: [`${value}~`] };
+        case '=':
+          return { sql: 'catalog_date(n.modified_date) LIKE ?', params: [`${value}%`] };
+        default:
+          return { sql: `catalog_date(n.modified_date) ${op} ?`, params: [value] };
+      }
+
+    default:
+      throw new Error(`Campo de búsqueda desconocido: ${field}`);
+  }
+}
+
+/**
+ * Compila una consulta analizada a SQL
+ *
+ * Con tabla FTS, las palabras y frases van en un único MATCH y el resto de
+ * criterios en el WHERE; sin FTS (o si el MATCH falla) todo se resuelve con
+ * LIKE. La consulta devuelta termina en 'LIMIT ? OFFSET ?': esos dos valores
+ * se añaden a params al ejecutarla. Con count, la consulta devuelve solo el
+ * total de resultados (columna total) y no lleva LIMIT; sin FTS el LIKE '%…%'
+ * recorre toda la tabla, así que con countLimit cuenta como mucho
+ * countLimit + 1 filas (bounded: true).
+ *
+ * @param {SearchQuery} query - Consulta analizada (sin error)
+ * @param {Object} [options]
+ * @param {string|null} [options.ftsTable] - Tabla FTS (null para usar LIKE)
+ * @param {string} [options.ftsType] - 'fts5' o 'fts4'
+ * @param {boolean} [options.usePrefix=true] - Buscar las palabras como prefijo
+ * @param {boolean} [options.count=false] - Contar los resultados en lugar de listarlos
+ * @param {number|null} [options.countLimit=null] - Sin FTS, dejar de contar pasado este número
+ * @returns {{sql: string, params: Array, bounded?: boolean}}
+ */
+function compileSearchQuery(
+  query,
+  { ftsTable = null, ftsType = 'fts5', usePrefix = true, count = false, countLimit = null } = {}
+) {
+  if (ftsTable && !/^[a-zA-Z0-9_]+$/.test(ftsTable)) {
+    throw new Error('Nombre de tabla FTS inválido');
+  }
+
+  const where = [];
+  const params = [];
+  const useFTS = Boolean(ftsTable) && query.terms.length > 0;
+
+  if (useFTS) {
+    where.push(`${ftsTable} MATCH ?`);
+    params.push(query.terms.map(term => toFTSTerm(term, ftsType, usePrefix)).join(' AND '));
+  } else {
+    for (const term of query.terms) {
+      where.push("n.title LIKE ? ESCAPE '|'");
+      params.push(`%${escapeLike(term.text)}%`);
+    }
+  }
+
+  for (const text of query.excluded) {
+    where.push("n.title NOT LIKE ? ESCAPE '|'");
+    params.push(`%${escapeLike(text)}%`);
+  }
+
+  // Agrupar por campo: OR entre los positivos de OR_FIELDS, cada uno de los demás por separado
+  const groups = [];
+  const groupsByField = new Map();
+  for (const condition of query.conditions) {
+    const compiled = compileCondition(condition);
+    const orField = !condition.negated && OR_FIELDS.includes(condition.field);
+    if (orField && groupsByField.has(condition.field)) {
+      groupsByField.get(condition.field).parts.push(compiled);
+      continue;
+    }
+
+    const group = { negated: condition.negated, parts: [compiled] };
+    if (orField) groupsByField.set(condition.field, group);
+    groups.push(group);
+  }
+
+  for (const { negated, parts } of groups) {
+    const sql = parts.map(part => part.sql).join(' OR ');
+    if (negated) {
+      where.push(`NOT (${sql})`);
+    } else {
+      where.push(parts.length > 1 ? `(${sql})` : sql);
+    }
+    params.push(...parts.flatMap(part => part.params));
+  }
+
+  const relevance = useFTS && ftsType === 'fts5' ? `bm25(${ftsTable})` : '0';
+  const from = useFTS ? `${ftsTable} fts INNER JOIN nodes n ON n.id = fts.rowid` : 'nodes n';
+  const orderBy = useFTS && ftsType === 'fts5' ? 'relevance ASC, n.title ASC' : 'n.title ASC';
+
+  if (count && !useFTS && countLimit) {
+    return {
+      sql: `SELECT COUNT(*) AS total FROM (SELECT 1 FROM ${from} WHERE ${where.join(' AND ')} LIMIT ?)`,
+      params: [...params, countLimit + 1],
+      bounded: true,
+    };
+  }
+
+  if (count) {
+    return {
+      sql: `SELECT COUNT(*) AS total FROM ${from} WHERE ${where.join(' AND ')}`,
+      params,
+    };
+  }
+
+  return {
+    sql: `
+            SELECT n.id, n.title, n.modified_date, n.type, n.parent_id, n.size,
+                   ${relevance} AS relevance
+            FROM ${from}
+            WHERE ${where.join('\n              AND ')}
+            ORDER BY ${orderBy}
+            LIMIT ? OFFSET ?
+        `,
+    params,
+  };
+}
+
+module.exports = {
+  parseSearchQuery,
+  hasQuerySyntax,
+  compileSearchQuery,
+  getFilterConditions,
+  registerSearchFunctions,
+  parseSizeText,
+};
@@ -0,0 +1,123 @@
+/**
+ * @fileoverview Utilidades para ejecutar 7-Zip
+ * @module sevenZip
+ *
+ * Localiza el ejecutable de 7-Zip y lanza extracciones informando del
+ * progreso. Lo usan la extracción del catálogo (database.js) y la extracción
+ * automática de descargas (archiveExtractor.js).
+ *
+ * @author Myrient Downloader
+ * @version 1.0.0
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { spawn } = require('child_process');
+
+/**
+ * Busca el ejecutable de 7-Zip en ubicaciones comunes según la plataforma
+ *
+ * Verifica rutas típicas de instalación antes de usar el fallback al PATH del sistema.
+ *
+ * @returns {string} Ruta completa al ejecutable de 7-Zip o '7z' para usar desde PATH
+ */
+function find7zPath() {
+  // Rutas comunes de instalación de 7-Zip según plataforma
+  const possiblePaths =
+    process.platform === 'darwin'
+      ? ['/usr/local/bin/7z', '/opt/homebrew/bin/7z', path.join(process.resourcesPath, '7z'), '7z']
+      : [
+          'C:\\Program Files\\7-Zip\\7z.exe',
+          'C:\\Program Files (x86)\\7-Zip\\7z.exe',
+          path.join(process.resourcesPath, '7z.exe'),
+          '7z',
+        ];
+
+  // Intentar encontrar 7-Zip en las ubicaciones comunes
+  for (const p of possiblePaths) {
+    try {
+      if (fs.existsSync(p)) {
+        return p;
+      }
+    } catch (e) {
+      // Ignorar errores de acceso al verificar existencia de archivo
+    }
+  }
+
+  // Fallback: retornar '7z' para que el sistema lo busque en el PATH
+  return '7z';
+}
+
+/**
+ * Extrae un archivo comprimido con 7-Zip
+ *
+ * 7-Zip admite .zip, .7z, .rar y otros formatos. El progreso se lee de la
+ * salida estándar (-bsp1), que 7-Zip muestra como porcentaje.
+ *
+ * @param {string} archivePath - Archivo comprimido
+ * @param {string} outputDir - Carpeta de destino
+ * @param {Object} [options] - Opciones
+ * @param {Function} [options.onProgress] - Recibe (progress 0-1)
+ * @returns {{process: ChildProcess, done: Promise<void>}} Proceso de 7-Zip y promesa de finalización
+ *
+ * @example
+ * const { done } = extractArchive('Tetris (World).7z', 'C:/ROMs', {
+ *   onProgress: progress => console.log(`${Math.round(progress * 100)}%`),
+ * });
+ * await done;
+ */
+function extractArchive(archivePath, outputDir, { onProgress } = {}) {
+  // 'x' = extraer con rutas, '-o' = destino, '-y' = sí a todo (sobrescribir),
+  // '-bsp1' = progreso en stdout, '-bso0' = sin listado de archivos
+  const child = spawn(find7zPath(), ['x', archivePath, `-o${outputDir}`, '-y', '-bsp1', '-bso0'], {
+    shell: false,
+    windowsHide: true,
+  });
+
+  const done = new Promise((resolve, reject) => {
+    let errorOutput = '';
+    let lastPercent = -1;
+
+    child.stdout.on('data', data => {
+      const matches = data.toString().match(/(\d+)%/g);
+      if (!matches || !onProgress) return;
+
+      const percent = parseInt(matches[matches.length - 1], 10);
+      if (percent !== lastPercent) {
+        lastPercent = percent;
+        onProgress(Math.min(percent, 100) / 100);
+      }
+    });
+
+    child.stderr.on('data', data => {
+      errorOutput += data.toString();
+    });
+
+    child.on('close', (code, signal) => {
+      if (code === 0) {
+        resolve();
+      } else if (signal) {
+        reject(new Error(`7-Zip interrumpido (${signal})`));
+      } else {
+        const detail = errorOutput.trim().split(/\r?\n/).filter(Boolean).pop();
+        reject(new Error(`7-Zip falló con código ${code}${detail ? `: ${detail}` : ''}`));
+      }
+    });
+
+    // Ocurre si 7-Zip no está instalado o la ruta es incorrecta
+    child.on('error', error => {
+      reject(
+        error.code === 'ENOENT'
+          ? new Error('7-Zip no está instalado o no se encuentra en el PATH')
+          : error
+      );
+    });
+  });
+
+  return { process: child, done };
+}
+
+module.exports = {
+  find7zPath,
+  extractArchive,
+};
@@ -33,6 +33,29 @@ try {
   log.warn('Zod schemas no disponibles, usando validación básica');
 }
 
+// Hosts de los servidores espejo activos (los registra mirrorManager al cargar o guardar la lista)
+// Se permiten además de config.security.allowedHosts, que está congelada
+let mirrorHosts = [];
+
+/**
+ * Registra los hosts de los servidores espejo configurados por el usuario
+ *
+ * @param {string[]} hosts - Hosts de los espejos activos
+ * @returns {void}
+ */
+function setMirrorHosts(hosts) {
+  mirrorHosts = [...new Set(hosts)];
+}
+
+/**
+ * Lista completa de hosts permitidos (configuración + servidores espejo)
+ *
+ * @returns {string[]}
+ */
+function getAllowedHosts() {
+  return [...config.security.allowedHosts, ...mirrorHosts];
+}
+
 /**
  * Valida que una URL sea segura y pertenezca a la lista de hosts permitidos
  *
@@ -54,7 +77,7 @@ try {
  *
  * // URL inválida - host no permitido
  * isValidUrl('https://malicious-site.com/file.zip');
- * // false (host no está en allowedHosts)
+ * // false (host no está en allowedHosts ni es un servidor espejo)
  */
 function isValidUrl(urlString) {
   try {
@@ -68,10 +91,11 @@ function isValidUrl(urlString) {
 
     // Verificar que el dominio del host esté explícitamente en la lista de permitidos
     // Esto previene descargas desde servidores no autorizados
-    if (!config.security.allowedHosts.includes(url.hostname)) {
+    const allowedHosts = getAllowedHosts();
+    if (!allowedHosts.includes(url.hostname)) {
       log.warn(
         `URL rechazada: dominio "${url.hostname}" no está en lista permitida.`,
-        `Dominios válidos: ${config.security.allowedHosts.join(', ')}`
+        `Dominios válidos: ${allowedHosts.join(', ')}`
       );
       return false;
     }
@@ -111,7 +135,9 @@ function escapeLikeTerm(term) {
  * Sanitiza término de búsqueda para prevenir inyección
  *
  * Remueve caracteres peligrosos y limita la longitud del término de búsqueda.
- * Mantiene funcionalidad de búsqueda útil pero previene ataques.
+ * Mantiene funcionalidad de búsqueda útil pero previene ataques. Las comillas
+ * dobles y '<' '>' se conservan porque forman parte de la sintaxis de búsqueda
+ * ("frase", size:>700MB); las consultas usan siempre parámetros.
  *
  * @param {string} term - Término de búsqueda a sanitizar
  * @returns {string} Término sanitizado seguro
@@ -124,7 +150,7 @@ function sanitizeSearchTerm(term) {
   return term
     .trim()
     .slice(0, 100) // Limitar longitud
-    .replace(/[<>'"\\]/g, '') // Remover caracteres peligrosos
+    .replace(/['\\]/g, '') // Remover caracteres peligrosos
     .replace(/\s+/g, ' '); // Normalizar espacios
 }
 
@@ -280,9 +306,18 @@ function validateDownloadParams(params) {
   // REFUERZO FASE 4: Sanitizar el nombre del archivo (title)
   resultData.title = sanitizeFileName(resultData.title);
 
+  if (!isValidConflictPolicy(resultData.conflictPolicy)) {
+    return { valid: false, error: VALIDATIONS.GENERIC.INVALID_CONFLICT_POLICY };
+  }
+
   return { valid: true, data: resultData };
 }
 
+// Política opcional ante archivos de destino existentes (config.files.conflictPolicies)
+function isValidConflictPolicy(policy) {
+  return policy === undefined || policy === null || config.files.conflictPolicies.includes(policy);
+}
+
 /**
  * Valida un término de búsqueda asegurando que cumpla con los requisitos mínimos
  *
@@ -375,6 +410,56 @@ function validateNodeId(nodeId) {
   return { valid: true, data: nodeId };
 }
 
+/**
+ * Valida un ID de nodo de navegación
+ *
+ * Igual que validateNodeId() pero admite IDs negativos, que el DataProvider
+ * asigna a nodos que solo existen en el listado web.
+ *
+ * @param {*} nodeId - Valor a validar como ID de nodo
+ * @returns {ValidationResult} Resultado de validación con ID validado
+ */
+function validateBrowseNodeId(nodeId) {
+  if (schemas && schemas.validateBrowseNodeId) {
+    const result = schemas.validateBrowseNodeId(nodeId);
+    return {
+      valid: result.success,
+      data: result.data,
+      error: result.error,
+    };
+  }
+
+  // Validación básica: número entero distinto de 0
+  if (typeof nodeId !== 'number' || !Number.isInteger(nodeId) || nodeId === 0) {
+    return { valid: false, error: 'ID de nodo inválido' };
+  }
+
+  return { valid: true, data: nodeId };
+}
+
+/**
+ * Valida el modo de origen de datos de navegación
+ *
+ * @param {*} mode - Valor a validar ('db' | 'web' | 'hybrid')
+ * @returns {ValidationResult} Resultado de validación con el modo validado
+ */
+function validateDataSourceMode(mode) {
+  if (schemas && schemas.validateDataSourceMode) {
+    const result = schemas.validateDataSourceMode(mode);
+    return {
+      valid: result.success,
+      data: result.data,
+      error: result.error,
+    };
+  }
+
+  if (!['db', 'web', 'hybrid'].includes(mode)) {
+    return { valid: false, error: VALIDATIONS.GENERIC.INVALID_DATA_SOURCE };
+  }
+
+  return { valid: true, data: mode };
+}
+
 /**
  * Valida que un ID de descarga sea un número entero positivo válido
  *
@@ -413,6 +498,345 @@ function validateDownloadId(downloadId) {
   return { valid: true, data: downloadId };
 }
 
+/**
+ * Valida que un ID de DAT de verificación sea un número entero positivo
+ *
+ * @param {*} datId - Valor a validar como ID de DAT
+ * @returns {ValidationResult} Resultado de validación con ID validado
+ */
+function validateDatId(datId) {
+  if (schemas && schemas.validateDatId) {
+    const result = schemas.validateDatId(datId);
+    return {
+      valid: result.success,
+      data: result.data,
+      error: result.error,
+    };
+  }
+
+  if (typeof datId !== 'number' || !Number.isInteger(datId) || datId <= 0) {
+    return { valid: false, error: 'ID de DAT inválido' };
+  }
+
+  return { valid: true, data: datId };
+}
+
+/**
+ * Valida la programación semanal de descargas (download-schedule.json)
+ *
+ * @param {*} schedule - Programación a validar ({enabled, defaultAction, rules})
+ * @returns {ValidationResult} Resultado de validación con la programación normalizada
+ */
+function validateDownloadSchedule(schedule) {
+  if (schemas && schemas.validateDownloadSchedule) {
+    const result = schemas.validateDownloadSchedule(schedule);
+    return {
+      valid: result.success,
+      data: result.data,
+      error: result.error,
+    };
+  }
+
+  // Validación básica
+  if (!schedule || typeof schedule.enabled !== 'boolean' || !Array.isArray(schedule.rules)) {
+    return { valid: false, error: VALIDATIONS.SCHEDULE.INVALID_SCHEDULE };
+  }
+
+  const timePattern = /^([01]\d|2[0-3]):[0-5]\d$/;
+  for (const rule of schedule.rules) {
+    if (!timePattern.test(rule.start) || !timePattern.test(rule.end)) {
+      return { valid: false, error: VALIDATIONS.SCHEDULE.INVALID_TIME };
+    }
+    if (!['allow', 'pause'].includes(rule.action)) {
+      return { valid: false, error: VALIDATIONS.SCHEDULE.INVALID_ACTION };
+    }
+  }
+
+  return { valid: true, data: schedule };
+}
+
+/**
+ * Valida las reglas de destino por carpeta (download-rules.json)
+ *
+ * @param {*} rules - Lista de reglas ({id, enabled, pattern, target, stripTags})
+ * @returns {ValidationResult} Resultado de validación con las reglas normalizadas
+ */
+function validateDownloadRules(rules) {
+  if (schemas && schemas.validateDownloadRules) {
+    const result = schemas.validateDownloadRules(rules);
+    return {
+      valid: result.success,
+      data: result.data,
+      error: result.error,
+    };
+  }
+
+  // Validación básica
+  if (!Array.isArray(rules)) {
+    return { valid: false, error: VALIDATIONS.DOWNLOAD_RULES.INVALID_RULES };
+  }
+
+  for (const rule of rules) {
+    if (!rule || typeof rule.pattern !== 'string' || !rule.pattern.trim()) {
+      return { valid: false, error: VALIDATIONS.DOWNLOAD_RULES.INVALID_PATTERN };
+    }
+    if (typeof rule.target !== 'string' || !rule.target.trim()) {
+      return { valid: false, error: VALIDATIONS.DOWNLOAD_RULES.INVALID_TARGET };
+    }
+  }
+
+  return { valid: true, data: rules };
+}
+
+/**
+ * Valida los parámetros de la vista previa de reglas de destino
+ *
+ * @param {*} params - { rules, samplePath, downloadPath }
+ * @returns {ValidationResult} Resultado de validación con los parámetros normalizados
+ */
+function validateDownloadRulesPreview(params) {
+  if (schemas && schemas.validateDownloadRulesPreview) {
+    const result = schemas.validateDownloadRulesPreview(params);
+    return {
+      valid: result.success,
+      data: result.data,
+      error: result.error,
+    };
+  }
+
+  // Validación básica
+  if (!params || typeof params.samplePath !== 'string' || !params.samplePath.trim()) {
+    return { valid: false, error: VALIDATIONS.DOWNLOAD_RULES.INVALID_SAMPLE };
+  }
+
+  const rulesValidation = validateDownloadRules(params.rules);
+  if (!rulesValidation.valid) {
+    return rulesValidation;
+  }
+
+  return { valid: true, data: params };
+}
+
+/**
+ * Valida la lista de servidores espejo (mirrors.json)
+ *
+ * @param {*} mirrors - Array de { id, baseUrl, enabled }
+ * @returns {ValidationResult} Resultado de validación con las URL normalizadas (terminadas en '/')
+ */
+function validateMirrors(mirrors) {
+  if (schemas && schemas.validateMirrors) {
+    const result = schemas.validateMirrors(mirrors);
+    return {
+      valid: result.success,
+      data: result.data,
+      error: result.error,
+    };
+  }
+
+  // Validación básica
+  if (!Array.isArray(mirrors)) {
+    return { valid: false, error: VALIDATIONS.MIRRORS.INVALID_MIRRORS };
+  }
+
+  for (const mirror of mirrors) {
+    if (!mirror || typeof mirror.baseUrl !== 'string' || !/^https:\/\/[^/]+/.test(mirror.baseUrl)) {
+      return { valid: false, error: VALIDATIONS.MIRRORS.INVALID_URL };
+    }
+  }
+
+  return {
+    valid: true,
+    data: mirrors.map(mirror => ({
+      ...mirror,
+      baseUrl: mirror.baseUrl.endsWith('/') ? mirror.baseUrl : `${mirror.baseUrl}/`,
+    })),
+  };
+}
+
+/**
+ * Valida el perfil de red (network-profile.json)
+ *
+ * @param {*} profile - { proxy: { type, host, port, username, password, bypass }, userAgent, headers }
+ * @returns {ValidationResult} Resultado de validación con los campos normalizados
+ */
+function validateNetworkProfile(profile) {
+  if (schemas && schemas.validateNetworkProfile) {
+    const result = schemas.validateNetworkProfile(profile);
+    return {
+      valid: result.success,
+      data: result.data,
+      error: result.error,
+    };
+  }
+
+  // Validación básica
+  const proxy = profile?.proxy;
+  if (!proxy || !config.network.proxyTypes.includes(proxy.type)) {
+    return { valid: false, error: VALIDATIONS.NETWORK.INVALID_PROXY_TYPE };
+  }
+
+  const isFixed = !['system', 'none'].includes(proxy.type);
+  if (isFixed && (typeof proxy.host !== 'string' || !proxy.host.trim())) {
+    return { valid: false, error: VALIDATIONS.NETWORK.INVALID_PROXY_HOST };
+  }
+  if (isFixed && (!Number.isInteger(proxy.port) || proxy.port < 1 || proxy.port > 65535)) {
+    return { valid: false, error: VALIDATIONS.NETWORK.INVALID_PROXY_PORT };
+  }
+
+  const headers = Array.isArray(profile.headers) ? profile.headers : [];
+  for (const header of headers) {
+    if (!/^[A-Za-z0-9-]{1,100}$/.test(header?.name || '')) {
+      return { valid: false, error: VALIDATIONS.NETWORK.INVALID_HEADER_NAME };
+    }
+    if (config.network.reservedHeaders.includes(header.name.toLowerCase())) {
+      return { valid: false, error: VALIDATIONS.NETWORK.RESERVED_HEADER };
+    }
+  }
+
+  return {
+    valid: true,
+    data: {
+      proxy: {
+        type: proxy.type,
+        host: (proxy.host || '').trim(),
+        port: proxy.port || null,
+        username: proxy.username || '',
+        password: proxy.password,
+        bypass: proxy.bypass || '',
+      },
+      userAgent: (profile.userAgent || '').trim(),
+      headers,
+    },
+  };
+}
+
+/**
+ * Valida una búsqueda guardada nueva
+ *
+ * @param {*} search - { name, term, preset, scopeFolderId, autoEnqueue }
+ * @returns {ValidationResult} Resultado de validación con los campos normalizados
+ */
+function validateSavedSearch(search) {
+  if (schemas && schemas.validateSavedSearch) {
+    const result = schemas.validateSavedSearch(search);
+    return {
+      valid: result.success,
+      data: result.data,
+      error: result.error,
+    };
+  }
+
+  // Validación básica
+  if (!search || typeof search.name !== 'string' || !search.name.trim()) {
+    return { valid: false, error: VALIDATIONS.SAVED_SEARCH.INVALID_NAME };
+  }
+
+  const termValidation = validateSearchTerm(search.term);
+  if (!termValidation.valid) {
+    return termValidation;
+  }
+
+  const scopeFolderId = search.scopeFolderId ?? null;
+  if (scopeFolderId !== null && !(Number.isInteger(scopeFolderId) && scopeFolderId > 0)) {
+    return { valid: false, error: VALIDATIONS.ID.MUST_BE_POSITIVE };
+  }
+
+  return {
+    valid: true,
+    data: {
+      name: search.name.trim(),
+      term: termValidation.data,
+      preset: typeof search.preset === 'string' && search.preset ? search.preset : null,
+      scopeFolderId,
+      autoEnqueue: search.autoEnqueue === true,
+    },
+  };
+}
+
+/**
+ * Valida los cambios de una búsqueda guardada
+ *
+ * @param {*} changes - { id, name?, autoEnqueue? }
+ * @returns {ValidationResult} Resultado de validación
+ */
+function validateSavedSearchUpdate(changes) {
+  if (schemas && schemas.validateSavedSearchUpdate) {
+    const result = schemas.validateSavedSearchUpdate(changes);
+    return {
+      valid: result.success,
+      data: result.data,
+      error: result.error,
+    };
+  }
+
+  // Validación básica
+  if (!changes || typeof changes.id !== 'string' || !changes.id) {
+    return { valid: false, error: VALIDATIONS.SAVED_SEARCH.INVALID_ID };
+  }
+  if (changes.name !== undefined && (typeof changes.name !== 'string' || !changes.name.trim())) {
+    return { valid: false, error: VALIDATIONS.SAVED_SEARCH.INVALID_NAME };
+  }
+
+  return { valid: true, data: changes };
+}
+
+/**
+ * Valida una acción sobre todas las descargas de un lote
+ *
+ * @param {*} params - { batchId, action } (action en config.batches.actions)
+ * @returns {ValidationResult} Resultado de validación
+ */
+function validateBatchAction(params) {
+  if (schemas && schemas.validateBatchAction) {
+    const result = schemas.validateBatchAction(params);
+    return {
+      valid: result.success,
+      data: result.data,
+      error: result.error,
+    };
+  }
+
+  // Validación básica
+  if (!params || !Number.isInteger(params.batchId) || params.batchId <= 0) {
+    return { valid: false, error: VALIDATIONS.BATCH.INVALID_ID };
+  }
+  if (!config.batches.actions.includes(params.action)) {
+    return { valid: false, error: VALIDATIONS.BATCH.INVALID_ACTION };
+  }
+
+  return { valid: true, data: { batchId: params.batchId, action: params.action } };
+}
+
+/**
+ * Valida la configuración de la API HTTP local (http-api.json)
+ *
+ * @param {*} settings - Configuración a validar ({enabled, port, regenerateToken})
+ * @returns {ValidationResult} Resultado de validación con la configuración normalizada
+ */
+function validateHttpApiSettings(settings) {
+  if (schemas && schemas.validateHttpApiSettings) {
+    const result = schemas.validateHttpApiSettings(settings);
+    return {
+      valid: result.success,
+      data: result.data,
+      error: result.error,
+    };
+  }
+
+  // Validación básica
+  if (!settings || typeof settings.enabled !== 'boolean') {
+    return { valid: false, error: VALIDATIONS.HTTP_API.INVALID_SETTINGS };
+  }
+  if (!Number.isInteger(settings.port) || settings.port < 1024 || settings.port > 65535) {
+    return { valid: false, error: VALIDATIONS.HTTP_API.INVALID_PORT };
+  }
+
+  return {
+    valid: true,
+    data: { ...settings, regenerateToken: settings.regenerateToken === true },
+  };
+}
+
 // Valida que un nombre de archivo de configuración sea seguro y válido
 // Previene path traversal y asegura que solo se acceda a archivos JSON en el directorio de configuración
 // filename: Nombre del archivo de configuración a validar
@@ -476,6 +900,18 @@ function validateDownloadFolderParams(params) {
     resultData.downloadPath = pathValidation.path;
   }
 
+  // Selección opcional de archivos (1G1R): solo IDs enteros positivos
+  if (resultData.fileIds !== undefined && resultData.fileIds !== null) {
+    const { fileIds } = resultData;
+    if (!Array.isArray(fileIds) || !fileIds.every(id => Number.isInteger(id) && id > 0)) {
+      return { valid: false, error: VALIDATIONS.GENERIC.INVALID_FILE_IDS };
+    }
+  }
+
+  if (!isValidConflictPolicy(resultData.conflictPolicy)) {
+    return { valid: false, error: VALIDATIONS.GENERIC.INVALID_CONFLICT_POLICY };
+  }
+
   return { valid: true, data: resultData };
 }
 
@@ -523,6 +959,8 @@ function getNetworkErrorMessage(error) {
 
 module.exports = {
   isValidUrl,
+  setMirrorHosts,
+  getAllowedHosts,
   escapeLikeTerm,
   sanitizeSearchTerm,
   validateAndSanitizeDownloadPath,
@@ -530,7 +968,19 @@ module.exports = {
   validateDownloadParams,
   validateSearchTerm,
   validateNodeId,
+  validateBrowseNodeId,
+  validateDataSourceMode,
   validateDownloadId,
+  validateDatId,
+  validateDownloadSchedule,
+  validateDownloadRules,
+  validateDownloadRulesPreview,
+  validateMirrors,
+  validateNetworkProfile,
+  validateSavedSearch,
+  validateSavedSearchUpdate,
+  validateBatchAction,
+  validateHttpApiSettings,
   validateConfigFilename,
   validateDownloadFolderParams,
   getNetworkErrorMessage,
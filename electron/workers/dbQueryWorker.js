@@ -14,6 +14,10 @@ const { parentPort, workerData } = require('worker_threads');
 const Database = require('better-sqlite3');
 const path = require('path');
 const fs = require('fs');
+const { compileSearchQuery, registerSearchFunctions } = require('../utils/searchQuery');
+
+// Máximo de statements de la sintaxis de búsqueda guardados por SQL
+const MAX_QUERY_STATEMENTS = 50;
 
 // Múltiples conexiones de base de datos (una por tipo)
 const databases = {
@@ -60,6 +64,7 @@ function initializeDatabase(dbPath, dbType = 'queue') {
     } else {
       // Catálogo: solo lectura, optimizaciones mínimas
       db.pragma('cache_size = -64000'); // 64MB
+      registerSearchFunctions(db);
     }
 
     databases[dbType] = db;
@@ -79,17 +84,25 @@ function initializeDatabase(dbPath, dbType = 'queue') {
       // Catálogo: statements para FTS se prepararán dinámicamente
       statements.catalog = {
         searchFTS: null,
+        searchQuery: new Map(),
         getAllFilesRecursive: db.prepare(`
           WITH RECURSIVE folder_tree AS (
-              SELECT id, parent_id, title, type, url, size, modified_date
+              SELECT id, parent_id, title, type, url, size, modified_date,
+                  0 AS depth, '' AS relative_path
               FROM nodes 
               WHERE id = ?
               UNION ALL
-              SELECT n.id, n.parent_id, n.title, n.type, n.url, n.size, n.modified_date
+              SELECT n.id, n.parent_id, n.title, n.type, n.url, n.size, n.modified_date,
+                  ft.depth + 1,
+                  CASE
+                      WHEN ft.depth = 0 THEN ''
+                      WHEN ft.depth = 1 THEN rtrim(ft.title, '/')
+                      ELSE ft.relative_path || '/' || rtrim(ft.title, '/')
+                  END
               FROM nodes n
               INNER JOIN folder_tree ft ON n.parent_id = ft.id
           )
-          SELECT id, title, url, size, modified_date
+          SELECT id, title, url, size, modified_date, relative_path
           FROM folder_tree
           WHERE type = 'File'
           ORDER BY title ASC
@@ -177,16 +190,77 @@ function executeSearchFTS(searchTerm, options, ftsTable, ftsType) {
           LIMIT ? OFFSET ?
         `);
       }
+      statements.catalog.countFTS = db
+        .prepare(`SELECT COUNT(*) FROM ${ftsTable} WHERE ${ftsTable} MATCH ?`)
+        .pluck();
       statements.catalog.currentFtsTable = ftsTable;
     }
 
-    const { limit = 500, offset = 0 } = options;
+    const { limit = 500, offset = 0, countTotal = false } = options;
     const results = statements.catalog.searchFTS.all(searchTerm, limit, offset);
 
     return {
       success: true,
       data: results,
-      total: results.length,
+      total: countTotal ? statements.catalog.countFTS.get(searchTerm) : results.length,
+      limit,
+      offset,
+    };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Statement de una consulta compilada (reutiliza el de la misma SQL)
+ */
+function getQueryStatement(sql) {
+  const cache = statements.catalog.searchQuery;
+  let stmt = cache.get(sql);
+  if (!stmt) {
+    if (cache.size >= MAX_QUERY_STATEMENTS) {
+      cache.delete(cache.keys().next().value);
+    }
+    stmt = databases.catalog.prepare(sql);
+    cache.set(sql, stmt);
+  }
+  return stmt;
+}
+
+/**
+ * Ejecuta una búsqueda con la sintaxis de consulta en el worker
+ */
+function executeSearchQuery(query, options, ftsTable, ftsType) {
+  if (!databases.catalog || !statements.catalog) {
+    return { success: false, error: 'Base de datos de catálogo no inicializada' };
+  }
+
+  try {
+    const {
+      limit = 500,
+      offset = 0,
+      usePrefix = true,
+      countTotal = false,
+      countLimit = null,
+    } = options;
+    const compileOptions = { ftsTable, ftsType, usePrefix };
+    const page = compileSearchQuery(query, compileOptions);
+    const results = getQueryStatement(page.sql).all(...page.params, limit, offset);
+
+    let total = results.length;
+    let totalCapped = false;
+    if (countTotal) {
+      const counter = compileSearchQuery(query, { ...compileOptions, count: true, countLimit });
+      total = getQueryStatement(counter.sql).get(...counter.params).total;
+      totalCapped = Boolean(counter.bounded) && total > countLimit;
+      if (totalCapped) total = countLimit;
+    }
+
+    return {
+      success: true,
+      data: results,
+      total,
+      totalCapped,
       limit,
       offset,
     };
@@ -213,6 +287,7 @@ function getAllFilesInFolder(folderId) {
         url: file.url,
         size: file.size,
         modified_date: file.modified_date,
+        relativePath: file.relative_path,
       })),
     };
   } catch (error) {
@@ -220,6 +295,26 @@ function getAllFilesInFolder(folderId) {
   }
 }
 
+/**
+ * Cierra la conexión de un tipo de base de datos
+ * Necesario antes de reemplazar el archivo del catálogo (Windows bloquea archivos abiertos)
+ */
+function closeDatabase(dbType) {
+  const db = databases[dbType];
+  if (!db) {
+    return { success: true };
+  }
+
+  try {
+    db.close();
+  } finally {
+    databases[dbType] = null;
+    statements[dbType] = null;
+  }
+
+  return { success: true };
+}
+
 /**
  * Maneja mensajes del main thread
  */
@@ -245,10 +340,23 @@ parentPort.on('message', async (message) => {
         );
         break;
 
+      case 'searchQuery':
+        result = executeSearchQuery(
+          message.query,
+          message.options,
+          message.ftsTable,
+          message.ftsType
+        );
+        break;
+
       case 'getAllFilesInFolder':
         result = getAllFilesInFolder(message.folderId);
         break;
 
+      case 'closeDatabase':
+        result = closeDatabase(message.dbType);
+        break;
+
       case 'ping':
         result = { success: true, message: 'pong' };
         break;
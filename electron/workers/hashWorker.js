@@ -0,0 +1,187 @@
+/**
+ * Worker Thread para cálculo de hashes (CRC32/MD5/SHA1)
+ *
+ * Calcula los hashes de un archivo descargado, o de cada archivo dentro de
+ * un .zip, en un thread separado para no bloquear el event loop del main
+ * thread con archivos de varios GB.
+ *
+ * COMUNICACIÓN:
+ * - Main thread envía: { type: 'hash', filePath, archive, algorithms }
+ * - Worker responde: { type: 'progress', progress, bytesProcessed, totalBytes }
+ * - Worker responde: { type: 'complete', files: [{ name, size, crc32, md5, sha1 }] }
+ * - Worker responde: { type: 'error', error }
+ */
+
+const { parentPort } = require('worker_threads');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const yauzl = require('yauzl');
+
+const PROGRESS_INTERVAL = 0.05; // Actualizar progreso cada 5%
+const READ_BUFFER_SIZE = 4 * 1024 * 1024; // 4MB por lectura
+
+/**
+ * Crea un acumulador de hashes para los algoritmos solicitados
+ *
+ * @param {Array<string>} algorithms - 'crc32' | 'md5' | 'sha1'
+ * @returns {{update: Function, digest: Function}}
+ */
+function createHasher(algorithms) {
+  const digests = {};
+  let crc = 0;
+  let size = 0;
+
+  algorithms
+    .filter(algorithm => algorithm !== 'crc32')
+    .forEach(algorithm => {
+      digests[algorithm] = crypto.createHash(algorithm);
+    });
+
+  return {
+    update(chunk) {
+      size += chunk.length;
+      if (algorithms.includes('crc32')) {
+        crc = zlib.crc32(chunk, crc);
+      }
+      Object.values(digests).forEach(hash => hash.update(chunk));
+    },
+    digest() {
+      const result = { size, crc32: null, md5: null, sha1: null };
+      if (algorithms.includes('crc32')) {
+        result.crc32 = (crc >>> 0).toString(16).padStart(8, '0');
+      }
+      Object.entries(digests).forEach(([algorithm, hash]) => {
+        result[algorithm] = hash.digest('hex');
+      });
+      return result;
+    },
+  };
+}
+
+/**
+ * Crea una función que envía el progreso cada PROGRESS_INTERVAL
+ *
+ * @param {number} totalBytes - Bytes totales a procesar
+ * @returns {Function} (bytesProcessed) => void
+ */
+function createProgressReporter(totalBytes) {
+  let lastProgress = 0;
+
+  return bytesProcessed => {
+    const progress = totalBytes > 0 ? Math.min(1, bytesProcessed / totalBytes) : 1;
+    if (progress - lastProgress >= PROGRESS_INTERVAL || progress === 1) {
+      lastProgress = progress;
+      parentPort.postMessage({ type: 'progress', progress, bytesProcessed, totalBytes });
+    }
+  };
+}
+
+/**
+ * Calcula los hashes de un archivo plano
+ *
+ * @param {string} filePath - Ruta del archivo
+ * @param {Array<string>} algorithms - Algoritmos a calcular
+ * @returns {Promise<Array<Object>>} Un único elemento con los hashes del archivo
+ */
+async function hashFile(filePath, algorithms) {
+  const { size: totalBytes } = await fs.promises.stat(filePath);
+  const reportProgress = createProgressReporter(totalBytes);
+  const hasher = createHasher(algorithms);
+
+  const stream = fs.createReadStream(filePath, { highWaterMark: READ_BUFFER_SIZE });
+  for await (const chunk of stream) {
+    hasher.update(chunk);
+    reportProgress(stream.bytesRead);
+  }
+
+  return [{ name: path.basename(filePath), ...hasher.digest() }];
+}
+
+/**
+ * Calcula los hashes de cada archivo dentro de un .zip
+ *
+ * La descompresión valida los tamaños declarados en el zip, por lo que un
+ * archivo truncado o dañado produce un error en lugar de hashes incorrectos.
+ *
+ * @param {string} filePath - Ruta del .zip
+ * @param {Array<string>} algorithms - Algoritmos a calcular
+ * @returns {Promise<Array<Object>>} Hashes de cada archivo del zip
+ */
+function hashZipEntries(filePath, algorithms) {
+  return new Promise((resolve, reject) => {
+    yauzl.open(filePath, { lazyEntries: true }, (openError, zipfile) => {
+      if (openError) {
+        reject(new Error(`Archivo comprimido dañado: ${openError.message}`));
+        return;
+      }
+
+      const files = [];
+      const reportProgress = createProgressReporter(zipfile.fileSize);
+      let compressedProcessed = 0;
+
+      zipfile.on('error', error =>
+        reject(new Error(`Archivo comprimido dañado: ${error.message}`))
+      );
+      zipfile.on('end', () => resolve(files));
+
+      zipfile.on('entry', entry => {
+        // Los directorios no tienen contenido que verificar
+        if (entry.fileName.endsWith('/')) {
+          zipfile.readEntry();
+          return;
+        }
+
+        zipfile.openReadStream(entry, (streamError, readStream) => {
+          if (streamError) {
+            zipfile.close();
+            reject(new Error(`Archivo comprimido dañado: ${streamError.message}`));
+            return;
+          }
+
+          const hasher = createHasher(algorithms);
+          readStream.on('data', chunk => hasher.update(chunk));
+          readStream.on('error', error => {
+            zipfile.close();
+            reject(new Error(`Archivo comprimido dañado (${entry.fileName}): ${error.message}`));
+          });
+          readStream.on('end', () => {
+            files.push({ name: entry.fileName, ...hasher.digest() });
+            compressedProcessed += entry.compressedSize;
+            reportProgress(compressedProcessed);
+            zipfile.readEntry();
+          });
+        });
+      });
+
+      zipfile.readEntry();
+    });
+  });
+}
+
+/**
+ * Maneja mensajes del main thread
+ */
+parentPort.on('message', async message => {
+  if (message.type !== 'hash') return;
+
+  const { filePath, archive, algorithms } = message;
+
+  try {
+    const files = archive
+      ? await hashZipEntries(filePath, algorithms)
+      : await hashFile(filePath, algorithms);
+
+    parentPort.postMessage({ type: 'complete', files });
+  } catch (error) {
+    parentPort.postMessage({
+      type: 'error',
+      error: {
+        message: error.message || 'Error desconocido calculando hashes',
+        code: error.code || 'HASH_ERROR',
+        filePath,
+      },
+    });
+  }
+});
@@ -15,6 +15,7 @@ export { default as FileTable } from './files/FileTable.vue';
 // Downloads
 export { default as DownloadsPanel } from './downloads/DownloadsPanel.vue';
 export { default as ConfirmationToasts } from './downloads/ConfirmationToasts.vue';
+export { default as QueueFinishCountdown } from './downloads/QueueFinishCountdown.vue';
 
 // Notifications
 export { default as ToastNotifications } from './ToastNotifications.vue';
@@ -22,9 +23,13 @@ export { default as ErrorBoundary } from './ErrorBoundary.vue';
 
 // Modals
 export { default as SettingsModal } from './modals/SettingsModal.vue';
+export { default as RomSelectionModal } from './modals/RomSelectionModal.vue';
+export { default as CollectionAuditModal } from './modals/CollectionAuditModal.vue';
+export { default as DownloadStatsModal } from './modals/DownloadStatsModal.vue';
 
 // Sections
 export { default as FavoritesSection } from './FavoritesSection.vue';
+export { default as SavedSearchForm } from './SavedSearchForm.vue';
 
 // Filters
 export { default as FiltersPanel } from './FiltersPanel.vue';
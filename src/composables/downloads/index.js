@@ -13,6 +13,7 @@ export { default as useDownloadHistory } from './useDownloadHistory';
 export { default as useDownloadReconciliation } from './useDownloadReconciliation';
 export { default as useDownloadSelection } from './useDownloadSelection';
 export { default as useDownloadHelpers } from './useDownloadHelpers';
+export { default as useDownloadBatches } from './useDownloadBatches';
 
 // Exportar también los exports nombrados de useDownloadState
 export {
@@ -24,6 +25,7 @@ export {
   selectedDownloads,
   selectedHistoryDownloads,
   currentDownloadIndex,
+  downloadBatches,
   startingDownloads,
   queueMutex,
   timeoutManager,
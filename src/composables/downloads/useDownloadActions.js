@@ -7,6 +7,7 @@
  * - Descargar carpeta completa recursivamente
  * - Pausar, reanudar, cancelar descargas
  * - Reintentar descargas fallidas
+ * - Prioridad y orden manual de la cola
  *
  * @author Myrient Downloader
  * @version 2.0.0
@@ -17,6 +18,7 @@
  * @property {string} downloadPath - Ruta base de descarga
  * @property {boolean} preserveStructure - Si mantener estructura de carpetas
  * @property {number} maxParallelDownloads - Máximo de descargas concurrentes
+ * @property {string} fileConflictPolicy - Política ante archivos que ya existen
  */
 
 /**
@@ -36,7 +38,13 @@
  * @property {string} [error] - Mensaje de error si falló
  */
 
-import { downloads, downloadQueue, startingDownloads, triggerRef } from './useDownloadState';
+import {
+  downloads,
+  downloadQueue,
+  startingDownloads,
+  timeoutManager,
+  triggerRef,
+} from './useDownloadState';
 import * as api from '../../services/api';
 
 /**
@@ -56,6 +64,8 @@ import * as api from '../../services/api';
  * @returns {Function} returns.resumeDownload - Reanuda una descarga pausada
  * @returns {Function} returns.cancelDownload - Cancela una descarga
  * @returns {Function} returns.retryDownload - Reintenta una descarga fallida
+ * @returns {Function} returns.setDownloadPriority - Cambia la prioridad de una descarga en cola
+ * @returns {Function} returns.moveDownload - Mueve una descarga dentro de la cola
  *
  * @example
  * const {
@@ -86,6 +96,7 @@ export function useDownloadActions(
 ) {
   const downloadPath = settings?.downloadPath || { value: '' };
   const preserveStructure = settings?.preserveStructure || { value: true };
+  const fileConflictPolicy = settings?.fileConflictPolicy || { value: 'ask' };
 
   /**
    * Agrega un archivo a la cola de descargas
@@ -113,7 +124,7 @@ export function useDownloadActions(
     const isInQueue = downloadQueue.value.some(d => d.id === file.id);
 
     if (existing) {
-      if (['progressing', 'starting', 'queued', 'merging', 'waiting'].includes(existing.state)) {
+      if (['progressing', 'starting', 'queued', 'merging', 'verifying', 'extracting', 'waiting'].includes(existing.state)) {
         console.log('[useDownloads] Ya en proceso o cola:', file.title, '(estado:', existing.state, ')');
         return;
       }
@@ -164,6 +175,7 @@ export function useDownloadActions(
    * @param {Object} folder - Objeto con información de la carpeta
    * @param {number} folder.id - ID único de la carpeta en la base de datos
    * @param {string} [folder.title] - Título de la carpeta (opcional, usado para logging)
+   * @param {Array<number>} [folder.fileIds] - Solo estos archivos de la carpeta (selección 1G1R)
    * @returns {Promise<FolderDownloadResult>} Resultado de la operación con estadísticas
    *
    * @example
@@ -191,6 +203,8 @@ export function useDownloadActions(
         downloadPath: downloadPath.value,
         preserveStructure: preserveStructure.value,
         forceOverwrite: false,
+        conflictPolicy: fileConflictPolicy.value,
+        ...(folder.fileIds ? { fileIds: [...folder.fileIds] } : {}),
       });
 
       if (result.success) {
@@ -357,7 +371,7 @@ export function useDownloadActions(
       return;
     }
 
-    const validStates = ['cancelled', 'interrupted', 'failed', 'waiting'];
+    const validStates = ['cancelled', 'interrupted', 'failed', 'waiting', 'verify_failed'];
     const validQueueStatuses = ['error', 'cancelled'];
     // Permitir reiniciar descargas en estado 'queued' si tienen un error
     const isQueuedWithError = (dl.state === 'queued' || dl.queueStatus === 'queued') && dl.error;
@@ -416,6 +430,110 @@ export function useDownloadActions(
     }
   };
 
+  /**
+   * Aplica a las descargas locales el orden de cola devuelto por el backend
+   *
+   * @param {Array<{id: number, priority: number, queuePosition: number}>} order - Orden nuevo
+   */
+  const applyQueueOrder = order => {
+    const updated = { ...downloads.value };
+    order.forEach(({ id, priority, queuePosition }) => {
+      if (updated[id]) {
+        updated[id] = { ...updated[id], priority, queuePosition };
+      }
+    });
+    downloads.value = updated;
+  };
+
+  /**
+   * Pasa a la cola del backend una descarga que aún espera en la cola local
+   *
+   * La prioridad y el orden manual se guardan en la cola persistida del backend.
+   * Las descargas individuales esperan en la cola local hasta que hay un slot, así
+   * que se envían antes de ordenarlas (si hay un slot libre, empiezan directamente).
+   *
+   * @param {number} downloadId - ID de la descarga
+   * @param {number} [priority] - Prioridad con la que encolarla
+   * @returns {Promise<boolean>} true si se envió al backend
+   */
+  const promoteLocalDownload = async (downloadId, priority) => {
+    const item = downloadQueue.value.find(d => d.id === downloadId && d.status === 'queued');
+    if (!item || startingDownloads.has(downloadId)) return false;
+
+    startingDownloads.add(downloadId);
+    item.status = 'downloading';
+
+    try {
+      const result = await api.download({
+        id: item.id,
+        title: item.title,
+        downloadPath: downloadPath.value,
+        preserveStructure: preserveStructure.value,
+        forceOverwrite: item.forceOverwrite || false,
+        conflictPolicy: fileConflictPolicy.value,
+        ...(priority !== undefined ? { priority } : {}),
+      });
+
+      if (!result.success) {
+        item.status = 'queued';
+        return false;
+      }
+      if (result.awaiting) item.status = 'awaiting';
+      return true;
+    } catch (error) {
+      console.error('[useDownloads] Error enviando descarga al backend:', error);
+      item.status = 'queued';
+      return false;
+    } finally {
+      // Liberar ID después de delay (da tiempo al evento de progreso)
+      timeoutManager.safeSetTimeout(() => startingDownloads.delete(downloadId), 500);
+    }
+  };
+
+  /**
+   * Cambia la prioridad de una descarga en cola
+   *
+   * @param {number} downloadId - ID de la descarga
+   * @param {number} priority - 0 = baja, 1 = normal, 2 = alta, 3 = urgente
+   * @returns {Promise<Object>} { success, error }
+   */
+  const setDownloadPriority = async (downloadId, priority) => {
+    if (await promoteLocalDownload(downloadId, priority)) {
+      applyQueueOrder([{ id: downloadId, priority, queuePosition: null }]);
+      return { success: true };
+    }
+
+    const result = await api.setDownloadPriority(downloadId, priority);
+    if (result.success) applyQueueOrder(result.data);
+    return result;
+  };
+
+  /**
+   * Mueve una descarga dentro de la cola
+   *
+   * Al cruzar a otro tramo de prioridad la descarga adopta esa prioridad.
+   *
+   * @param {number} downloadId - ID de la descarga
+   * @param {number|'top'|'bottom'} position - Índice en la cola (0 = primera) o extremo
+   * @returns {Promise<Object>} { success, error }
+   *
+   * @example
+   * // Descargar primero el archivo urgente
+   * await moveDownload(12345, 'top');
+   */
+  const moveDownload = async (downloadId, position) => {
+    const promoted = await promoteLocalDownload(downloadId);
+
+    const result = await api.moveDownload(downloadId, position);
+    if (result.success) {
+      applyQueueOrder(result.data);
+      return result;
+    }
+
+    // Recién enviada y ya iniciada: no queda nada que mover
+    return promoted ? { success: true } : result;
+  };
+
   return {
     download,
     downloadFolder,
@@ -425,6 +543,8 @@ export function useDownloadActions(
     resumeAllDownloads,
     cancelDownload,
     retryDownload,
+    setDownloadPriority,
+    moveDownload,
   };
 }
 
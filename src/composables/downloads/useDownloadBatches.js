@@ -0,0 +1,109 @@
+/**
+ * @fileoverview useDownloadBatches - Lotes de descargas (carpetas encoladas)
+ * @module useDownloadBatches
+ *
+ * Mantiene la lista de lotes del backend con su progreso conjunto, velocidad y
+ * tiempo restante, y aplica acciones a todas las descargas de un lote. Los
+ * datos salen de la BD de la cola, así que incluyen las descargas que ya no
+ * están en memoria en el renderer.
+ *
+ * La lista se refresca cada pocos segundos mientras algún lote sigue en curso
+ * y con menos frecuencia cuando todos han terminado.
+ *
+ * @author Myrient Downloader
+ * @version 1.0.0
+ */
+
+import { downloadBatches } from './useDownloadState';
+import * as api from '../../services/api';
+
+const BATCH_ACTIVE_INTERVAL = 3000; // Con algún lote en curso
+const BATCH_IDLE_INTERVAL = 15000; // Con todos los lotes terminados
+
+/**
+ * Composable para los lotes de descargas
+ *
+ * @returns {Object} Objeto con funciones de lotes
+ * @returns {Function} returns.loadDownloadBatches - Recarga los lotes del backend
+ * @returns {Function} returns.controlDownloadBatch - Aplica una acción a un lote
+ * @returns {Function} returns.startBatchUpdates - Inicia el refresco periódico
+ * @returns {Function} returns.stopBatchUpdates - Detiene el refresco periódico
+ *
+ * @example
+ * const { controlDownloadBatch } = useDownloadBatches();
+ * await controlDownloadBatch(3, 'retry-failed');
+ */
+export function useDownloadBatches() {
+  let refreshTimer = null;
+  let isRunning = false;
+
+  /**
+   * Recarga los lotes del backend
+   *
+   * @returns {Promise<Object>} Respuesta de la API
+   */
+  const loadDownloadBatches = async () => {
+    const result = await api.getDownloadBatches();
+    if (result.success) {
+      downloadBatches.value = result.data;
+    }
+    return result;
+  };
+
+  /**
+   * Aplica una acción a todas las descargas de un lote
+   *
+   * @param {number} batchId - ID del lote
+   * @param {string} action - 'pause' | 'resume' | 'cancel' | 'retry-failed'
+   * @returns {Promise<Object>} Respuesta de la API (data: { affected, failed })
+   */
+  const controlDownloadBatch = async (batchId, action) => {
+    const result = await api.controlDownloadBatch(batchId, action);
+    await loadDownloadBatches();
+    return result;
+  };
+
+  const scheduleRefresh = () => {
+    if (!isRunning) return;
+    const hasActive = downloadBatches.value.some(batch => !batch.finishedAt);
+    refreshTimer = setTimeout(
+      async () => {
+        await loadDownloadBatches();
+        scheduleRefresh();
+      },
+      hasActive ? BATCH_ACTIVE_INTERVAL : BATCH_IDLE_INTERVAL
+    );
+  };
+
+  /**
+   * Carga los lotes e inicia el refresco periódico
+   *
+   * @returns {Promise<void>}
+   */
+  const startBatchUpdates = async () => {
+    if (isRunning) return;
+    isRunning = true;
+    await loadDownloadBatches();
+    scheduleRefresh();
+  };
+
+  /**
+   * Detiene el refresco periódico
+   *
+   * @returns {void}
+   */
+  const stopBatchUpdates = () => {
+    isRunning = false;
+    clearTimeout(refreshTimer);
+    refreshTimer = null;
+  };
+
+  return {
+    loadDownloadBatches,
+    controlDownloadBatch,
+    startBatchUpdates,
+    stopBatchUpdates,
+  };
+}
+
+export default useDownloadBatches;
@@ -83,7 +83,8 @@ export function useDownloadComputed() {
    *
    * La idea es simple: tomamos todas las descargas, creamos un string con su ID y estado
    * (por ejemplo: "123:downloading|456:queued|789:completed"), lo ordenamos para que sea
-   * consistente, y eso nos da una "huella digital" del estado actual.
+   * consistente, y eso nos da una "huella digital" del estado actual. La prioridad y la
+   * posición en cola también forman parte de la firma (cambian al reordenar la cola).
    *
    * Si esta firma cambia, significa que alguna descarga cambió de estado (no solo progreso),
    * así que necesitamos reordenar la lista. Si no cambia, solo actualizamos los valores.
@@ -92,7 +93,7 @@ export function useDownloadComputed() {
    */
   const getStateSignature = () => {
     const states = Object.values(downloads.value)
-      .map(d => `${d.id}:${d.state}`)
+      .map(d => `${d.id}:${d.state}:${d.priority ?? ''}:${d.queuePosition ?? ''}`)
       .sort()
       .join('|');
     return states;
@@ -117,6 +118,8 @@ export function useDownloadComputed() {
         return 'queued';
       case 'starting':
       case 'progressing':
+      case 'verifying':
+      case 'extracting':
         return 'downloading';
       case 'paused':
         return 'paused';
@@ -125,6 +128,7 @@ export function useDownloadComputed() {
       case 'cancelled':
         return 'cancelled';
       case 'interrupted':
+      case 'verify_failed':
         return 'error';
       default:
         return 'completed';
@@ -182,10 +186,17 @@ export function useDownloadComputed() {
       }));
 
       // Ordenamos la lista: primero por prioridad de estado (downloading antes que queued, etc.),
-      // y si dos descargas tienen el mismo estado, las ordenamos por fecha de creación (más antiguas primero)
+      // las en cola en el mismo orden que el backend (prioridad y posición manual),
+      // y si no, por fecha de creación (más antiguas primero)
       cachedDownloadsList.sort((a, b) => {
         const diff = QUEUE_ORDER[a.queueStatus] - QUEUE_ORDER[b.queueStatus];
         if (diff !== 0) return diff;
+        if (a.queueStatus === 'queued') {
+          const priorityDiff = (b.priority ?? 1) - (a.priority ?? 1);
+          if (priorityDiff !== 0) return priorityDiff;
+          const positionDiff = (a.queuePosition ?? Infinity) - (b.queuePosition ?? Infinity);
+          if (positionDiff) return positionDiff;
+        }
         return (a.addedAt || 0) - (b.addedAt || 0);
       });
 
@@ -208,7 +219,7 @@ export function useDownloadComputed() {
         // Si la descarga está activa o acaba de cambiar, devolver un NUEVO objeto (shallow copy)
         // Esto garantiza que el Virtual DOM detecte cambios en .percent, .speed, etc.
         // IMPORTANTE: Incluir también descargas completadas que aún tienen mergeProgress para mostrar el 100%
-        const isActive = current.state === 'progressing' || current.state === 'starting' || current.merging || 
+        const isActive = current.state === 'progressing' || current.state === 'starting' || current.merging || current.state === 'verifying' || current.state === 'extracting' || 
                         (current.state === 'completed' && current.mergeProgress !== undefined);
         
         if (isActive) {
@@ -229,7 +240,11 @@ export function useDownloadComputed() {
             // Información de merge
             merging: current.merging,
             mergeProgress: current.mergeProgress,
-            mergeSpeed: current.mergeSpeed
+            mergeSpeed: current.mergeSpeed,
+            // Información de verificación
+            verifyProgress: current.verifyProgress,
+            // Información de extracción
+            extractProgress: current.extractProgress
           };
         }
 
@@ -288,14 +303,14 @@ export function useDownloadComputed() {
   /**
    * failedDownloads - Descargas que fallaron o fueron canceladas
    *
-   * Incluye tanto las descargas que fueron interrumpidas por error ("interrupted") como
-   * las que fueron canceladas manualmente por el usuario ("cancelled").
+   * Incluye las descargas interrumpidas por error ("interrupted"), las que no superaron
+   * la verificación contra el DAT ("verify_failed") y las canceladas por el usuario ("cancelled").
    *
    * @returns {Array} Array de descargas fallidas o canceladas
    */
   const failedDownloads = computed(() => {
     return Object.values(downloads.value).filter(
-      d => d.state === 'interrupted' || d.state === 'cancelled'
+      d => d.state === 'interrupted' || d.state === 'verify_failed' || d.state === 'cancelled'
     );
   });
 
@@ -72,7 +72,9 @@ export function useDownloadHelpers() {
     if (dl) {
       if (dl.state === 'completed') return '¡Listo!';
       if (dl.state === 'progressing') return 'Bajando...';
-      if (dl.state === 'interrupted') return 'Reintentar';
+      if (dl.state === 'verifying') return 'Verificando...';
+      if (dl.state === 'extracting') return 'Extrayendo...';
+      if (dl.state === 'interrupted' || dl.state === 'verify_failed') return 'Reintentar';
     }
     return 'Descargar';
   };
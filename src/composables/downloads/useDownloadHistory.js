@@ -151,7 +151,7 @@ export function useDownloadHistory(settings = null) {
         activeDownloads.push(dl);
       } else if (state === 'completed') {
         completedDownloads.push(dl);
-      } else if (state === 'interrupted' || state === 'failed') {
+      } else if (state === 'interrupted' || state === 'failed' || state === 'verify_failed') {
         failedDownloads.push(dl);
       } else if (state === 'cancelled') {
         cancelledDownloads.push(dl);
@@ -409,12 +409,37 @@ export function useDownloadHistory(settings = null) {
     }
   };
 
+  /**
+   * Busca versiones nuevas de las descargas completadas y las marca en la lista
+   * (remoteChange: 'size' | 'etag' | 'last-modified')
+   * @returns {Promise<Object>} { success, data: { checked, unavailable, changed }, error }
+   */
+  const checkCompletedUpdates = async () => {
+    const result = await api.checkCompletedUpdates();
+    if (!result.success) return result;
+
+    const changes = new Map(result.data.changed.map(item => [item.id, item.reason]));
+    Object.values(downloads.value).forEach(dl => {
+      if (dl.queueStatus !== 'completed' && dl.state !== 'completed') return;
+      if (changes.has(dl.id)) {
+        dl.remoteChange = changes.get(dl.id);
+      } else {
+        delete dl.remoteChange;
+      }
+    });
+
+    triggerRef(downloads);
+    saveDownloadHistory();
+    return result;
+  };
+
   return {
     loadDownloadHistory,
     saveDownloadHistory,
     clearDownloads,
     removeFromHistory,
     cancelAllDownloads,
+    checkCompletedUpdates,
     limitHistoryInMemory,
     getCurrentLimits,
   };
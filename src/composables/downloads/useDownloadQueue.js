@@ -21,6 +21,7 @@
  * @property {string} downloadPath - Ruta base de descarga
  * @property {boolean} preserveStructure - Si mantener estructura de carpetas
  * @property {number} maxParallelDownloads - Máximo de descargas concurrentes
+ * @property {string} fileConflictPolicy - Política ante archivos que ya existen
  */
 
 import {
@@ -61,6 +62,7 @@ export function useDownloadQueue(settings = null) {
   // Si no se pasan settings, usar valores por defecto (para compatibilidad)
   const downloadPath = settings?.downloadPath || { value: '' };
   const preserveStructure = settings?.preserveStructure || { value: true };
+  const fileConflictPolicy = settings?.fileConflictPolicy || { value: 'ask' };
   const maxParallelDownloads = settings?.maxParallelDownloads || { value: 3 };
 
   const { showToast } = useToasts();
@@ -230,6 +232,7 @@ export function useDownloadQueue(settings = null) {
             downloadPath: downloadPath.value,
             preserveStructure: preserveStructure.value,
             forceOverwrite: item.forceOverwrite || false,
+            conflictPolicy: fileConflictPolicy.value,
           });
 
           // Manejar diferentes respuestas del backend
@@ -20,7 +20,7 @@
  * @typedef {Object} ProgressEventInfo
  * @property {number} id - ID de la descarga
  * @property {string} title - Título del archivo
- * @property {string} state - Estado: 'starting' | 'progressing' | 'merging' | 'completed' | 'interrupted' | 'paused' | 'awaiting-confirmation' | 'queued'
+ * @property {string} state - Estado: 'starting' | 'progressing' | 'merging' | 'verifying' | 'extracting' | 'completed' | 'verify_failed' | 'interrupted' | 'paused' | 'awaiting-confirmation' | 'queued'
  * @property {number} [percent] - Progreso (0.0 - 1.0)
  * @property {number} [speed] - Velocidad en MB/s
  * @property {number} [totalBytes] - Tamaño total en bytes
@@ -33,6 +33,11 @@
  * @property {number} [completedChunks] - Chunks completados
  * @property {number} [totalChunks] - Total de chunks
  * @property {Array} [chunkProgress] - Progreso de cada chunk
+ * @property {number} [verifyProgress] - Progreso de la verificación contra el DAT (0.0 - 1.0)
+ * @property {number} [extractProgress] - Progreso de la extracción automática (0.0 - 1.0)
+ * @property {string} [extractedTo] - Carpeta donde se extrajo el archivo comprimido
+ * @property {boolean} [archiveDeleted] - Si se eliminó el comprimido tras extraerlo
+ * @property {string} [extractError] - Motivo del fallo de la extracción (la descarga sigue completada)
  */
 
 import {
@@ -164,6 +169,7 @@ export function useDownloadReconciliation(
         dl.state = 'starting';
         dl.percent = 0;
         delete dl.error;
+        delete dl.statusReason;
         if (info.chunked || info.numChunks) {
           dl.chunked = true;
           dl.totalChunks = info.numChunks || info.totalChunks || 0;
@@ -177,6 +183,7 @@ export function useDownloadReconciliation(
         dl.state = 'progressing';
         dl.percent = info.percent ?? dl.percent ?? 0;
         delete dl.error;
+        delete dl.statusReason;
         
         if (info.chunked) {
           dl.chunked = true;
@@ -210,6 +217,28 @@ export function useDownloadReconciliation(
         dl.bytesProcessed = info.bytesProcessed;
         break;
 
+      case 'verifying':
+        dl.state = 'verifying';
+        dl.percent = 1;
+        dl.verifyProgress = info.verifyProgress ?? dl.verifyProgress ?? 0;
+        if (info.savePath) dl.savePath = info.savePath;
+        delete dl.merging;
+        delete dl.error;
+        speedStats.value.delete(info.id);
+        downloadQueue.value = downloadQueue.value.filter(d => d.id !== info.id);
+        break;
+
+      case 'extracting':
+        dl.state = 'extracting';
+        dl.percent = 1;
+        dl.extractProgress = info.extractProgress ?? dl.extractProgress ?? 0;
+        if (info.savePath) dl.savePath = info.savePath;
+        delete dl.merging;
+        delete dl.verifyProgress;
+        speedStats.value.delete(info.id);
+        downloadQueue.value = downloadQueue.value.filter(d => d.id !== info.id);
+        break;
+
       case 'completed':
         // Detectar si es un cambio de estado (no una descarga que ya estaba completada)
         const wasCompleted = currentDl?.state === 'completed';
@@ -223,6 +252,14 @@ export function useDownloadReconciliation(
           dl.mergeProgress = 1.0; // Asegurar que esté al 100%
         }
         delete dl.merging;
+        delete dl.verifyProgress;
+        delete dl.extractProgress;
+        if (info.verified) dl.verified = true;
+        if (info.extractedTo && !info.extractError) dl.extractedTo = info.extractedTo;
+        if (info.archiveDeleted) dl.archiveDeleted = true;
+        if (info.extractError) dl.extractError = info.extractError;
+        if (info.skipped) dl.skipped = true;
+        delete dl.remoteChange;
         speedStats.value.delete(info.id);
         downloadQueue.value = downloadQueue.value.filter(d => d.id !== info.id);
         
@@ -242,6 +279,13 @@ export function useDownloadReconciliation(
         }
         break;
 
+      case 'verify_failed':
+        dl.state = 'verify_failed';
+        dl.percent = 1;
+        dl.error = info.error || 'El archivo no coincide con el DAT';
+        delete dl.verifyProgress;
+        break;
+
       case 'interrupted':
       case 'cancelled':
         dl.state = info.state;
@@ -253,6 +297,8 @@ export function useDownloadReconciliation(
       case 'paused':
         dl.state = 'paused';
         dl.percent = info.percent || dl.percent;
+        // Motivo de la pausa automática (p. ej. falta de espacio en disco)
+        dl.statusReason = info.reason || null;
         speedStats.value.delete(info.id);
         downloadQueue.value = downloadQueue.value.filter(d => d.id !== info.id);
         break;
@@ -275,6 +321,8 @@ export function useDownloadReconciliation(
       case 'queued':
         dl.state = 'queued';
         if (info.position) dl.queuePosition = info.position;
+        // Motivo de la espera (p. ej. esperando espacio en disco)
+        dl.statusReason = info.reason || null;
         break;
     }
 
@@ -319,7 +367,7 @@ export function useDownloadReconciliation(
     }
 
     // Lógica secundaria (fuera de la UI crítica)
-    if (['completed', 'interrupted', 'cancelled'].includes(info.state)) {
+    if (['completed', 'verify_failed', 'interrupted', 'cancelled'].includes(info.state)) {
       if (saveDownloadHistoryFn) saveDownloadHistoryFn();
       timeoutManager.safeSetTimeout(() => {
         if (processDownloadQueueFn) processDownloadQueueFn();
@@ -383,6 +431,9 @@ export function useDownloadReconciliation(
           if (dbDownload.queuePosition !== undefined && dbDownload.queuePosition !== null) {
             dl.queuePosition = dbDownload.queuePosition;
           }
+          if (dbDownload.priority !== undefined && dbDownload.priority !== null) {
+            dl.priority = dbDownload.priority;
+          }
           break;
         case 'paused':
           dl.state = 'paused';
@@ -396,6 +447,17 @@ export function useDownloadReconciliation(
           dl.state = 'completed';
           dl.percent = 1;
           break;
+        case 'verifying':
+          // La verificación se reanuda en el backend y emite su propio progreso
+          dl.state = 'verifying';
+          dl.percent = 1;
+          dl.verifyProgress = 0;
+          break;
+        case 'verify_failed':
+          dl.state = 'verify_failed';
+          dl.percent = 1;
+          dl.error = dbDownload.lastError || 'El archivo no coincide con el DAT';
+          break;
         case 'cancelled':
         case 'interrupted':
         case 'failed':
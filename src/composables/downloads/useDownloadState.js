@@ -26,6 +26,7 @@
  * @property {import('vue').Ref<Set>} selectedDownloads - IDs de descargas seleccionadas
  * @property {import('vue').Ref<Set>} selectedHistoryDownloads - IDs de historial seleccionados
  * @property {import('vue').Ref<number>} currentDownloadIndex - Índice actual de descarga
+ * @property {import('vue').Ref<Array>} downloadBatches - Lotes (carpetas encoladas) del backend
  */
 
 import { ref, shallowRef, triggerRef } from 'vue';
@@ -46,6 +47,7 @@ export const showingDownloads = ref(false);
 export const selectedDownloads = ref(new Set());
 export const selectedHistoryDownloads = ref(new Set());
 export const currentDownloadIndex = ref(0);
+export const downloadBatches = ref([]);
 
 // Control de race conditions - Sistema Mutex mejorado
 export const startingDownloads = new Set();
@@ -119,6 +121,7 @@ export default {
   selectedDownloads,
   selectedHistoryDownloads,
   currentDownloadIndex,
+  downloadBatches,
   startingDownloads,
   queueMutex,
   timeoutManager,
@@ -10,3 +10,6 @@ export { useNavigation, default as useNavigationDefault } from './useNavigation'
 export { useSearch, default as useSearchDefault } from './useSearch';
 export { useFilters, default as useFiltersDefault } from './useFilters';
 export { useDownloads, default as useDownloadsDefault } from './useDownloads';
+export { useRomSelection, default as useRomSelectionDefault } from './useRomSelection';
+export { useCollectionAudit, default as useCollectionAuditDefault } from './useCollectionAudit';
+export { useSavedSearches, default as useSavedSearchesDefault } from './useSavedSearches';
@@ -0,0 +1,111 @@
+/**
+ * @fileoverview useCollectionAudit - Composable para la auditoría de colección
+ * @module useCollectionAudit
+ *
+ * Compara una carpeta local con la carpeta del catálogo que se está viendo:
+ * - Faltan: archivos del catálogo que no están en la carpeta local
+ * - Sobran: archivos locales que no están en el catálogo
+ * - Tamaño distinto: posibles versiones antiguas o descargas dañadas
+ * - Al día: archivos que coinciden
+ *
+ * Los faltantes se pueden encolar de una vez como selección de la carpeta.
+ *
+ * @author Myrient Downloader
+ * @version 1.0.0
+ */
+
+import { ref, computed } from 'vue';
+import { auditCollection } from '../services/api';
+
+// Estado compartido
+const showAudit = ref(false);
+const auditFolder = ref(null);
+const auditReport = ref(null);
+const isAuditing = ref(false);
+
+/**
+ * Composable de auditoría de colección
+ *
+ * @returns {Object} Estado y acciones de la auditoría
+ */
+export function useCollectionAudit() {
+  /**
+   * IDs de los archivos del catálogo que faltan en la carpeta local
+   */
+  const missingFileIds = computed(() =>
+    (auditReport.value?.items || []).filter(item => item.status === 'missing').map(item => item.id)
+  );
+
+  /**
+   * Ejecuta la auditoría de la carpeta abierta
+   *
+   * @param {string} [localPath] - Carpeta local (sin ella el proceso principal pide elegirla)
+   * @returns {Promise<Object>} { success, canceled, error }
+   */
+  const runAudit = async localPath => {
+    if (!auditFolder.value || isAuditing.value) {
+      return { success: false };
+    }
+
+    isAuditing.value = true;
+    try {
+      const result = await auditCollection({
+        folderId: auditFolder.value.id,
+        ...(localPath ? { localPath } : {}),
+      });
+
+      if (result.success) {
+        auditReport.value = result.data;
+      }
+      return result;
+    } finally {
+      isAuditing.value = false;
+    }
+  };
+
+  /**
+   * Abre la auditoría de una carpeta y pide la carpeta local
+   *
+   * @param {Object} folder - Carpeta del catálogo ({ id, title })
+   * @returns {Promise<Object>} { success, canceled, error }
+   */
+  const openAudit = async folder => {
+    auditFolder.value = folder;
+    auditReport.value = null;
+    showAudit.value = true;
+
+    const result = await runAudit();
+    // Si el usuario no eligió carpeta no hay nada que mostrar
+    if (!result.success && !auditReport.value) {
+      closeAudit();
+    }
+    return result;
+  };
+
+  /**
+   * Cierra la auditoría y libera el resultado
+   */
+  const closeAudit = () => {
+    showAudit.value = false;
+    auditFolder.value = null;
+    auditReport.value = null;
+  };
+
+  return {
+    // Estado reactivo
+    showAudit,
+    auditFolder,
+    auditReport,
+    isAuditing,
+
+    // Computed
+    missingFileIds,
+
+    // Acciones
+    openAudit,
+    runAudit,
+    closeAudit,
+  };
+}
+
+export default useCollectionAudit;
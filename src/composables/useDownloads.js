@@ -12,6 +12,7 @@
  * - Persistencia de historial
  * - Reconciliación con backend
  * - Selección de descargas
+ * - Lotes (carpetas encoladas)
  *
  * @author Myrient Downloader
  * @version 2.0.0
@@ -22,6 +23,7 @@
  * @property {string} downloadPath - Ruta base de descarga
  * @property {boolean} preserveStructure - Si mantener estructura de carpetas
  * @property {number} maxParallelDownloads - Máximo de descargas concurrentes
+ * @property {string} fileConflictPolicy - Política ante archivos que ya existen
  * @property {boolean} showNotifications - Si mostrar notificaciones
  * @property {number} maxHistoryInMemory - Máximo de historial en memoria
  * @property {number} maxCompletedInMemory - Máximo de completadas en memoria
@@ -38,6 +40,7 @@ import {
   selectedDownloads,
   selectedHistoryDownloads,
   currentDownloadIndex,
+  downloadBatches,
   timeoutManager,
 } from './downloads/useDownloadState';
 import { useDownloadComputed } from './downloads/useDownloadComputed';
@@ -48,6 +51,7 @@ import { useDownloadHistory } from './downloads/useDownloadHistory';
 import { useDownloadReconciliation } from './downloads/useDownloadReconciliation';
 import { useDownloadSelection } from './downloads/useDownloadSelection';
 import { useDownloadHelpers } from './downloads/useDownloadHelpers';
+import { useDownloadBatches } from './downloads/useDownloadBatches';
 import { useSettings } from './useSettings';
 
 /**
@@ -117,6 +121,7 @@ export function useDownloads() {
     downloadPath,
     preserveStructure,
     maxParallelDownloads,
+    fileConflictPolicy,
     showNotifications,
     maxHistoryInMemory,
     maxCompletedInMemory,
@@ -135,6 +140,7 @@ export function useDownloads() {
     downloadPath,
     preserveStructure,
     maxParallelDownloads,
+    fileConflictPolicy,
     showNotifications,
     maxHistoryInMemory,
     maxCompletedInMemory,
@@ -176,6 +182,23 @@ export function useDownloads() {
   // Helpers
   const helpers = useDownloadHelpers();
 
+  // Lotes (carpetas encoladas)
+  const batches = useDownloadBatches();
+
+  /**
+   * Encola una carpeta y recarga los lotes para agruparla en el panel
+   *
+   * @param {Object} folder - Carpeta a descargar (ver useDownloadActions.downloadFolder)
+   * @returns {Promise<Object|undefined>} Resultado de useDownloadActions.downloadFolder
+   */
+  const downloadFolder = async folder => {
+    const result = await actions.downloadFolder(folder);
+    if (result?.success) {
+      await batches.loadDownloadBatches();
+    }
+    return result;
+  };
+
   // =====================
   // LIFECYCLE
   // =====================
@@ -199,6 +222,7 @@ export function useDownloads() {
     timeoutManager.isMounted = true;
     await history.loadDownloadHistory();
     reconciliation.startReconciliation();
+    batches.startBatchUpdates();
   };
 
   /**
@@ -219,6 +243,7 @@ export function useDownloads() {
   const cleanup = () => {
     timeoutManager.isMounted = false;
     reconciliation.stopReconciliation();
+    batches.stopBatchUpdates();
     timeoutManager.clearAllTimeouts();
 
     // Limpiar historial antes de guardar (optimizar archivo guardado)
@@ -242,6 +267,7 @@ export function useDownloads() {
     selectedDownloads,
     selectedHistoryDownloads,
     currentDownloadIndex,
+    downloadBatches,
 
     // Computed properties
     ...computed,
@@ -251,6 +277,7 @@ export function useDownloads() {
 
     // Acciones
     ...actions,
+    downloadFolder,
 
     // Confirmaciones
     ...confirmations,
@@ -271,6 +298,9 @@ export function useDownloads() {
     // Helpers
     ...helpers,
 
+    // Lotes
+    ...batches,
+
     // Lifecycle
     initDownloads,
     cleanup,
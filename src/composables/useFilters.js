@@ -4,16 +4,24 @@
  * Maneja:
  * - Filtros por texto (incluir/excluir)
  * - Filtros por etiquetas (regiones, idiomas, versiones)
+ * - Rango de tamaño ('700MB', '4GB')
  * - Presets de filtros guardados
  * - Persistencia de presets
+ *
+ * Los filtros se envían con cada búsqueda (getSearchFilters) y se aplican en
+ * la consulta SQL del proceso principal (ver electron/utils/searchQuery.js),
+ * así no dependen de los resultados cargados.
  */
 
 import { ref, computed, watch } from 'vue';
 import { readConfigFile, writeConfigFile } from '../services/api';
+import { REGIONS, LANGUAGES } from '../../electron/utils/romSelection.mjs';
 
-// Estado global (singleton)
-const showAdvancedFilters = ref(false);
-const advancedFilters = ref({
+/**
+ * Filtros vacíos
+ * @returns {Object}
+ */
+const createEmptyFilters = () => ({
   includeText: [],
   excludeText: [],
   consoles: [],
@@ -29,8 +37,16 @@ const advancedFilters = ref({
     versions: [],
     other: [],
   },
+  sizeRange: {
+    min: '',
+    max: '',
+  },
 });
 
+// Estado global (singleton)
+const showAdvancedFilters = ref(false);
+const advancedFilters = ref(createEmptyFilters());
+
 // Presets
 const filterPresets = ref({});
 const currentFilterPreset = ref('');
@@ -39,79 +55,40 @@ const currentFilterPreset = ref('');
 const tempIncludeText = ref('');
 const tempExcludeText = ref('');
 
-// Patrones para clasificación de etiquetas
-const TAG_PATTERNS = {
-  regions: [
-    'USA',
-    'Europe',
-    'Japan',
-    'World',
-    'Asia',
-    'Australia',
-    'Brazil',
-    'Canada',
-    'China',
-    'France',
-    'Germany',
-    'Italy',
-    'Korea',
-    'Netherlands',
-    'Spain',
-    'Sweden',
-    'UK',
-  ],
-  languages: [
-    'En',
-    'Es',
-    'Fr',
-    'De',
-    'It',
-    'Ja',
-    'Ko',
-    'Pt',
-    'Zh',
-    'Nl',
-    'Sv',
-    'No',
-    'Da',
-    'Fi',
-    'Pl',
-    'Ru',
-  ],
+// Patrones para clasificación de etiquetas (regiones e idiomas, los de la selección 1G1R)
+export const TAG_PATTERNS = {
+  regions: REGIONS,
+  languages: LANGUAGES,
   versions: ['Rev', 'v1', 'v2', 'Beta', 'Proto', 'Demo', 'Sample', 'Promo', 'Alt', 'Unl'],
 };
 
 /**
- * Composable de filtros
+ * Extrae etiquetas de un título
+ * @param {string} title - Título del archivo
+ * @returns {string[]} Array de etiquetas
  */
-export function useFilters() {
-  // =====================
-  // HELPERS
-  // =====================
-
-  /**
-   * Extrae etiquetas de un título
-   * @param {string} title - Título del archivo
-   * @returns {string[]} Array de etiquetas
-   */
-  const extractTags = title => {
-    const tagMatch = title.match(/\(([^)]+)\)/g);
-    if (!tagMatch) return [];
-    return tagMatch.map(t => t.replace(/[()]/g, '').trim());
-  };
+export const extractTags = title => {
+  const tagMatch = title.match(/\(([^)]+)\)/g);
+  if (!tagMatch) return [];
+  return tagMatch.map(t => t.replace(/[()]/g, '').trim());
+};
 
-  /**
-   * Clasifica una etiqueta en su categoría
-   * @param {string} tag - Etiqueta a clasificar
-   * @returns {string} Categoría ('regions', 'languages', 'versions', 'other')
-   */
-  const classifyTag = tag => {
-    if (TAG_PATTERNS.regions.some(r => tag.includes(r))) return 'regions';
-    if (TAG_PATTERNS.languages.some(l => tag === l || tag.startsWith(l + ','))) return 'languages';
-    if (TAG_PATTERNS.versions.some(v => tag.includes(v))) return 'versions';
-    return 'other';
-  };
+/**
+ * Clasifica una etiqueta en su categoría
+ * @param {string} tag - Etiqueta a clasificar
+ * @returns {string} Categoría ('regions', 'languages', 'versions', 'other')
+ */
+export const classifyTag = tag => {
+  if (TAG_PATTERNS.regions.some(r => tag.includes(r))) return 'regions';
+  if (TAG_PATTERNS.languages.some(l => tag === l || tag.startsWith(l + ','))) return 'languages';
+  if (TAG_PATTERNS.versions.some(v => tag.includes(v))) return 'versions';
+  return 'other';
+};
 
+/**
+ * Composable de filtros
+ */
+export function useFilters() {
   // =====================
   // COMPUTED
   // =====================
@@ -132,7 +109,8 @@ export function useFilters() {
       f.excludeTags.regions.length > 0 ||
       f.excludeTags.languages.length > 0 ||
       f.excludeTags.versions.length > 0 ||
-      f.excludeTags.other.length > 0
+      f.excludeTags.other.length > 0 ||
+      Boolean(f.sizeRange.min.trim() || f.sizeRange.max.trim())
     );
   });
 
@@ -152,7 +130,9 @@ export function useFilters() {
       f.excludeTags.regions.length +
       f.excludeTags.languages.length +
       f.excludeTags.versions.length +
-      f.excludeTags.other.length
+      f.excludeTags.other.length +
+      (f.sizeRange.min.trim() ? 1 : 0) +
+      (f.sizeRange.max.trim() ? 1 : 0)
     );
   });
 
@@ -161,113 +141,31 @@ export function useFilters() {
   // =====================
 
   /**
-   * Aplica filtros a un array de resultados
-   * @param {Array} items - Items a filtrar
-   * @returns {Array} Items filtrados
+   * Filtros a enviar con la búsqueda
+   * @returns {Object|null} Copia de los filtros o null si no hay ninguno activo
    */
-  const applyFilters = items => {
-    if (!hasActiveFilters.value) return items;
-
-    return items.filter(item => {
-      const title = item.title.toLowerCase();
-      const tags = extractTags(item.title);
-
-      // 1. Filtros de texto (inclusión)
-      if (advancedFilters.value.includeText.length > 0) {
-        const includeMatch = advancedFilters.value.includeText.some(text =>
-          title.includes(text.toLowerCase())
-        );
-        if (!includeMatch) return false;
-      }
-
-      // 2. Filtros de texto (exclusión)
-      if (advancedFilters.value.excludeText.length > 0) {
-        const excludeMatch = advancedFilters.value.excludeText.some(text =>
-          title.includes(text.toLowerCase())
-        );
-        if (excludeMatch) return false;
-      }
-
-      // 3. Filtros de Sets y Proyectos de Preservación
-      if (advancedFilters.value.consoles.length > 0) {
-        // Obtener la ruta de la carpeta (fullPath para archivos, breadcrumbPath para carpetas)
-        const folderPath = item.fullPath || item.breadcrumbPath || '';
-        // Extraer el primer nivel de la ruta (nombre del set/proyecto de preservación)
-        const pathParts = folderPath.split('/').filter(p => p.trim());
-        const setName = pathParts.length > 0 ? pathParts[0] : '';
-        
-        // Si es una carpeta y no tiene fullPath, intentar obtener de displayTitle
-        if (!setName && item.type === 'folder' && item.displayTitle) {
-          const displayParts = item.displayTitle.split(' / ').filter(p => p.trim());
-          const setFromDisplay = displayParts.length > 0 ? displayParts[0] : '';
-          if (setFromDisplay) {
-            const setMatch = advancedFilters.value.consoles.some(set =>
-              setFromDisplay.toLowerCase().includes(set.toLowerCase()) ||
-              set.toLowerCase().includes(setFromDisplay.toLowerCase())
-            );
-            if (!setMatch) return false;
-          } else {
-            return false;
-          }
-        } else if (setName) {
-          // Verificar si el set/proyecto coincide con alguno seleccionado
-          const setMatch = advancedFilters.value.consoles.some(set =>
-            setName.toLowerCase().includes(set.toLowerCase()) ||
-            set.toLowerCase().includes(setName.toLowerCase())
-          );
-          if (!setMatch) return false;
-        } else {
-          // Si no se puede determinar el set/proyecto y hay filtros activos, excluir
-          return false;
-        }
-      }
-
-      // 4. Filtros de etiquetas (inclusión)
-      const includeTagsActive =
-        advancedFilters.value.includeTags.regions.length > 0 ||
-        advancedFilters.value.includeTags.languages.length > 0 ||
-        advancedFilters.value.includeTags.versions.length > 0 ||
-        advancedFilters.value.includeTags.other.length > 0;
-
-      if (includeTagsActive) {
-        const hasRequiredTag = tags.some(tag => {
-          return (
-            advancedFilters.value.includeTags.regions.includes(tag) ||
-            advancedFilters.value.includeTags.languages.includes(tag) ||
-            advancedFilters.value.includeTags.versions.includes(tag) ||
-            advancedFilters.value.includeTags.other.includes(tag)
-          );
-        });
-        if (!hasRequiredTag) return false;
-      }
-
-      // 5. Filtros de etiquetas (exclusión)
-      const hasExcludedTag = tags.some(tag => {
-        return (
-          advancedFilters.value.excludeTags.regions.includes(tag) ||
-          advancedFilters.value.excludeTags.languages.includes(tag) ||
-          advancedFilters.value.excludeTags.versions.includes(tag) ||
-          advancedFilters.value.excludeTags.other.includes(tag)
-        );
-      });
-      if (hasExcludedTag) return false;
-
-      return true;
-    });
+  const getSearchFilters = () => {
+    if (!hasActiveFilters.value) return null;
+    return JSON.parse(JSON.stringify(advancedFilters.value));
   };
 
   /**
    * Obtiene las etiquetas disponibles de un conjunto de items
+   *
+   * Incluye las etiquetas ya seleccionadas aunque no aparezcan en los
+   * resultados (que ya vienen filtrados), para poder quitarlas.
+   *
    * @param {Array} items - Items de donde extraer etiquetas
    * @returns {Object} Etiquetas agrupadas por categoría
    */
   const getAvailableTags = items => {
-    const tags = {
-      regions: new Set(),
-      languages: new Set(),
-      versions: new Set(),
-      other: new Set(),
-    };
+    const tags = {};
+    Object.keys(advancedFilters.value.includeTags).forEach(category => {
+      tags[category] = new Set([
+        ...advancedFilters.value.includeTags[category],
+        ...advancedFilters.value.excludeTags[category],
+      ]);
+    });
 
     items.forEach(item => {
       const itemTags = extractTags(item.title);
@@ -289,10 +187,10 @@ export function useFilters() {
    * Obtiene los Sets y Proyectos de Preservación disponibles de un conjunto de items
    * Extrae el nombre del set/proyecto del primer nivel de la ruta (grupos de dumpers, fuentes como Internet Archive, etc.)
    * @param {Array} items - Items de donde extraer sets/proyectos
-   * @returns {string[]} Array de nombres de sets/proyectos únicos y ordenados
+   * @returns {string[]} Array de nombres de sets/proyectos únicos y ordenados (incluye los seleccionados)
    */
   const getAvailableConsoles = items => {
-    const consoles = new Set();
+    const consoles = new Set(advancedFilters.value.consoles);
 
     items.forEach(item => {
       // Obtener la ruta de la carpeta
@@ -440,7 +338,11 @@ export function useFilters() {
     const name = currentFilterPreset.value;
     if (!name || !filterPresets.value[name]) return;
 
-    advancedFilters.value = JSON.parse(JSON.stringify(filterPresets.value[name]));
+    // Los presets anteriores al rango de tamaño no lo incluyen
+    advancedFilters.value = {
+      ...createEmptyFilters(),
+      ...JSON.parse(JSON.stringify(filterPresets.value[name])),
+    };
     console.log('[useFilters] Preset cargado:', name);
   };
 
@@ -466,23 +368,7 @@ export function useFilters() {
    * Limpia todos los filtros
    */
   const clearAllFilters = () => {
-    advancedFilters.value = {
-      includeText: [],
-      excludeText: [],
-      consoles: [],
-      includeTags: {
-        regions: [],
-        languages: [],
-        versions: [],
-        other: [],
-      },
-      excludeTags: {
-        regions: [],
-        languages: [],
-        versions: [],
-        other: [],
-      },
-    };
+    advancedFilters.value = createEmptyFilters();
     currentFilterPreset.value = '';
   };
 
@@ -515,7 +401,7 @@ export function useFilters() {
     classifyTag,
 
     // Filtrado
-    applyFilters,
+    getSearchFilters,
     getAvailableTags,
     getAvailableConsoles,
 
@@ -90,7 +90,10 @@ export function useNavigation() {
 
         // Cargar breadcrumb
         await loadBreadcrumb();
-        statusMessage.value = '';
+        // El listado web falló y se muestra el catálogo local sin verificar
+        statusMessage.value = response.verifyError
+          ? 'Listado web no disponible, mostrando catálogo local'
+          : '';
       } else {
         statusMessage.value = `Error: ${response.error}`;
       }
@@ -0,0 +1,125 @@
+/**
+ * @fileoverview useRomSelection - Composable para selección 1G1R (un juego, un ROM)
+ * @module useRomSelection
+ *
+ * Al descargar una carpeta con la opción 1G1R activada:
+ * - Agrupa los archivos por título base (sin las etiquetas entre paréntesis)
+ * - Elige un archivo por grupo según la prioridad de regiones e idiomas
+ * - Prefiere la revisión más alta y descarta Beta/Proto/Demo/Sample
+ * - Permite revisar y cambiar la elección antes de encolar la carpeta
+ *
+ * Las reglas de la selección automática están en electron/utils/romSelection.mjs,
+ * compartidas con el proceso principal (modo sin ventana).
+ *
+ * @author Myrient Downloader
+ * @version 1.0.0
+ */
+
+import { ref, computed } from 'vue';
+import { getFolderFiles } from '../services/api';
+import { selectOneGameOneRom, getPickedIds } from '../../electron/utils/romSelection.mjs';
+
+export {
+  EXCLUDED_TAGS,
+  DEFAULT_REGION_PRIORITY,
+  DEFAULT_LANGUAGE_PRIORITY,
+  getBaseTitle,
+  parseRomTitle,
+  selectOneGameOneRom,
+} from '../../electron/utils/romSelection.mjs';
+
+// Estado global (singleton) de la revisión en curso
+const showRomSelection = ref(false);
+const romSelectionFolder = ref(null);
+const romGroups = ref([]);
+const romTotalFiles = ref(0);
+
+/**
+ * Composable para la revisión de la selección 1G1R
+ *
+ * @returns {Object} Estado de la revisión y acciones
+ */
+export function useRomSelection() {
+  /**
+   * IDs de los archivos elegidos
+   */
+  const selectedFileIds = computed(() => getPickedIds(romGroups.value));
+
+  /**
+   * Resumen de la selección: juegos con archivo elegido y tamaño total
+   */
+  const selectionSummary = computed(() => {
+    let totalSize = 0;
+    romGroups.value.forEach(group => {
+      const pick = group.candidates.find(candidate => candidate.id === group.pickId);
+      if (pick) totalSize += pick.size || 0;
+    });
+
+    return {
+      games: romGroups.value.length,
+      selected: selectedFileIds.value.length,
+      totalFiles: romTotalFiles.value,
+      totalSize,
+    };
+  });
+
+  /**
+   * Obtiene los archivos de una carpeta y abre la revisión 1G1R
+   *
+   * @param {Object} folder - Carpeta ({ id, title })
+   * @param {Object} preferences - { regions, languages }
+   * @returns {Promise<Object>} { success, error }
+   */
+  const openRomSelection = async (folder, preferences) => {
+    const result = await getFolderFiles(folder.id);
+    if (!result.success) {
+      return { success: false, error: result.error };
+    }
+
+    const files = result.data || [];
+    romGroups.value = selectOneGameOneRom(files, preferences);
+    romTotalFiles.value = files.length;
+    romSelectionFolder.value = folder;
+    showRomSelection.value = true;
+    return { success: true };
+  };
+
+  /**
+   * Cambia el archivo elegido de un grupo
+   *
+   * @param {string} key - Clave del grupo
+   * @param {number|null} fileId - Archivo elegido (null = ninguno)
+   */
+  const setPick = (key, fileId) => {
+    const group = romGroups.value.find(g => g.key === key);
+    if (group) group.pickId = fileId;
+  };
+
+  /**
+   * Cierra la revisión y libera los grupos
+   */
+  const closeRomSelection = () => {
+    showRomSelection.value = false;
+    romSelectionFolder.value = null;
+    romGroups.value = [];
+    romTotalFiles.value = 0;
+  };
+
+  return {
+    // Estado reactivo
+    showRomSelection,
+    romSelectionFolder,
+    romGroups,
+
+    // Computed
+    selectedFileIds,
+    selectionSummary,
+
+    // Acciones
+    openRomSelection,
+    setPick,
+    closeRomSelection,
+  };
+}
+
+export default useRomSelection;
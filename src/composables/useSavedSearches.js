@@ -0,0 +1,208 @@
+/**
+ * @fileoverview useSavedSearches - Composable para las búsquedas guardadas
+ * @module useSavedSearches
+ *
+ * Una búsqueda guardada combina un término, un preset de filtros y
+ * opcionalmente una carpeta del catálogo. El proceso principal la repite tras
+ * cada actualización del catálogo y anota los resultados nuevos (ver
+ * electron/savedSearches.js):
+ * - La lista con el número de resultados nuevos se muestra en Favoritos
+ * - Al abrir una búsqueda se lanza con su preset y se resaltan sus resultados
+ *   nuevos, que pasan a contar como revisados
+ *
+ * @author Myrient Downloader
+ * @version 1.0.0
+ */
+
+import { ref, computed, watch } from 'vue';
+import {
+  getSavedSearches,
+  createSavedSearch as apiCreateSavedSearch,
+  updateSavedSearch,
+  deleteSavedSearch,
+  acknowledgeSavedSearch,
+} from '../services/api';
+import { useSearch } from './useSearch';
+import { useFilters } from './useFilters';
+
+// Estado compartido
+const savedSearches = ref([]);
+// Búsqueda abierta: { id, term, scopePath, newIds: Set<number> }
+const activeSavedSearch = ref(null);
+
+let watcherInitialized = false;
+
+/**
+ * Composable de búsquedas guardadas
+ *
+ * @returns {Object} Estado y acciones de las búsquedas guardadas
+ */
+export function useSavedSearches() {
+  const { searchTerm } = useSearch();
+  const { currentFilterPreset, filterPresets, loadPreset, clearAllFilters } = useFilters();
+
+  // La búsqueda abierta deja de aplicarse cuando el usuario cambia el término
+  if (!watcherInitialized) {
+    watch(searchTerm, term => {
+      if (activeSavedSearch.value && term.trim() !== activeSavedSearch.value.term) {
+        activeSavedSearch.value = null;
+      }
+    });
+    watcherInitialized = true;
+  }
+
+  // =====================
+  // COMPUTED
+  // =====================
+
+  /**
+   * Resultados nuevos sin revisar en todas las búsquedas
+   */
+  const totalNewMatches = computed(() =>
+    savedSearches.value.reduce((total, search) => total + search.newCount, 0)
+  );
+
+  /**
+   * IDs de los resultados nuevos de la búsqueda abierta (para resaltarlos)
+   */
+  const newMatchIds = computed(() => activeSavedSearch.value?.newIds || new Set());
+
+  // =====================
+  // ACCIONES
+  // =====================
+
+  /**
+   * Carga las búsquedas guardadas
+   */
+  const loadSavedSearches = async () => {
+    const result = await getSavedSearches();
+    if (result.success) {
+      savedSearches.value = result.data;
+    } else {
+      console.error('[useSavedSearches] Error cargando búsquedas guardadas:', result.error);
+    }
+  };
+
+  /**
+   * Guarda una búsqueda nueva
+   *
+   * @param {Object} params - { name, term, preset, scopeFolderId, autoEnqueue }
+   * @returns {Promise<Object>} { success, error }
+   */
+  const createSavedSearch = async params => {
+    const result = await apiCreateSavedSearch(params);
+    if (result.success) {
+      savedSearches.value = result.data;
+    }
+    return result;
+  };
+
+  /**
+   * Activa o desactiva la descarga automática de los archivos nuevos
+   *
+   * @param {Object} search - Búsqueda guardada
+   * @param {boolean} autoEnqueue - Nuevo valor
+   * @returns {Promise<Object>} { success, error }
+   */
+  const setAutoEnqueue = async (search, autoEnqueue) => {
+    const result = await updateSavedSearch({ id: search.id, autoEnqueue });
+    if (result.success) {
+      savedSearches.value = result.data;
+    }
+    return result;
+  };
+
+  /**
+   * Elimina una búsqueda guardada
+   *
+   * @param {Object} search - Búsqueda guardada
+   * @returns {Promise<Object>} { success, error }
+   */
+  const removeSavedSearch = async search => {
+    const result = await deleteSavedSearch(search.id);
+    if (result.success) {
+      savedSearches.value = result.data;
+      if (activeSavedSearch.value?.id === search.id) {
+        activeSavedSearch.value = null;
+      }
+    }
+    return result;
+  };
+
+  /**
+   * Lanza una búsqueda guardada con su preset y marca sus resultados nuevos como revisados
+   *
+   * Los resultados nuevos se siguen resaltando mientras no cambie el término.
+   *
+   * @param {Object} search - Búsqueda guardada
+   */
+  const openSavedSearch = async search => {
+    activeSavedSearch.value = {
+      id: search.id,
+      term: search.term,
+      scopePath: search.scopePath,
+      newIds: new Set(search.newIds),
+    };
+
+    if (search.preset && filterPresets.value[search.preset]) {
+      currentFilterPreset.value = search.preset;
+      loadPreset();
+    } else {
+      clearAllFilters();
+    }
+    searchTerm.value = search.term;
+
+    if (search.newCount > 0) {
+      const result = await acknowledgeSavedSearch(search.id);
+      if (result.success) {
+        savedSearches.value = result.data;
+      }
+    }
+  };
+
+  /**
+   * Deja solo los resultados de la carpeta de la búsqueda abierta
+   *
+   * @param {Array<Object>} items - Resultados de búsqueda
+   * @returns {Array<Object>}
+   */
+  const applySavedSearchScope = items => {
+    const scopePath = activeSavedSearch.value?.scopePath;
+    if (!scopePath) return items;
+
+    return items.filter(item => {
+      const location = (item.type === 'folder' ? item.breadcrumbPath : item.fullPath) || '';
+      return location === scopePath || location.startsWith(`${scopePath}/`);
+    });
+  };
+
+  /**
+   * Actualiza la lista tras la comprobación que sigue a una actualización del catálogo
+   *
+   * @param {Object} summary - { searches, newCount, enqueued }
+   */
+  const handleSavedSearchesUpdated = summary => {
+    savedSearches.value = summary.searches;
+  };
+
+  return {
+    // Estado reactivo
+    savedSearches,
+    activeSavedSearch,
+
+    // Computed
+    totalNewMatches,
+    newMatchIds,
+
+    // Acciones
+    loadSavedSearches,
+    createSavedSearch,
+    setAutoEnqueue,
+    removeSavedSearch,
+    openSavedSearch,
+    applySavedSearchScope,
+    handleSavedSearchesUpdated,
+  };
+}
+
+export default useSavedSearches;
@@ -7,6 +7,9 @@
  * - Resultados de búsqueda reactivos
  * - Ordenamiento de resultados por diferentes campos
  * - Cancelación de búsquedas en progreso
+ * - Filtros avanzados aplicados en el backend (se repite la búsqueda al cambiarlos)
+ * - Páginas de searchLimit resultados; las siguientes se piden con el cursor
+ *   de la respuesta (loadMoreResults) al llegar al final de la lista
  *
  * @author Myrient Downloader
  * @version 2.0.0
@@ -24,12 +27,18 @@
 import { ref, computed, watch } from 'vue';
 import { search as apiSearch } from '../services/api'; // ✅ Ruta correcta para services/
 import { useSettings } from './useSettings';
+import { useFilters } from './useFilters';
 
 // Estado global (singleton)
 const searchTerm = ref('');
 const searchResults = ref([]);
 const isSearching = ref(false);
 const isSearchCancelled = ref(false); // Indica si la búsqueda actual fue cancelada
+const searchError = ref(null); // Error de la última búsqueda (p. ej. sintaxis no válida)
+const searchTotal = ref(0); // Total de coincidencias en el catálogo (no solo las cargadas)
+const searchTotalCapped = ref(false); // Si searchTotal es un mínimo (búsqueda sin FTS)
+const nextCursor = ref(null); // Cursor de la siguiente página, null si no hay más
+const isLoadingMore = ref(false);
 const sortField = ref('title');
 const sortDirection = ref('asc');
 
@@ -57,11 +66,17 @@ let executeSearchRef = null;
  * @returns {Ref<string>} returns.searchTerm - Término de búsqueda actual (reactivo)
  * @returns {Ref<Array<SearchResult>>} returns.searchResults - Resultados de búsqueda (reactivo)
  * @returns {Ref<boolean>} returns.isSearching - Si hay una búsqueda en progreso
+ * @returns {Ref<string|null>} returns.searchError - Error de la última búsqueda (p. ej. sintaxis no válida)
+ * @returns {Ref<number>} returns.searchTotal - Total de coincidencias en el catálogo
+ * @returns {Ref<boolean>} returns.searchTotalCapped - Si hay más coincidencias que searchTotal
+ * @returns {Ref<boolean>} returns.isLoadingMore - Si se está cargando la siguiente página
+ * @returns {ComputedRef<boolean>} returns.hasMoreResults - Si quedan páginas por cargar
  * @returns {ComputedRef<boolean>} returns.hasSearchResults - Si hay resultados
  * @returns {ComputedRef<Array>} returns.searchFolders - Carpetas en los resultados
  * @returns {ComputedRef<Array>} returns.searchFiles - Archivos en los resultados (ordenados)
  * @returns {ComputedRef<number>} returns.totalResults - Total de resultados
  * @returns {Function} returns.executeSearch - Ejecuta una búsqueda manualmente
+ * @returns {Function} returns.loadMoreResults - Carga la siguiente página de resultados
  * @returns {Function} returns.clearSearch - Limpia los resultados de búsqueda
  * @returns {Function} returns.setSortField - Cambia el campo de ordenamiento
  * @returns {Function} returns.setSortDirection - Cambia la dirección de ordenamiento
@@ -98,6 +113,7 @@ let executeSearchRef = null;
  */
 export function useSearch() {
   const { searchLimit, searchDebounce } = useSettings();
+  const { advancedFilters, getSearchFilters } = useFilters();
 
   // =====================
   // COMPUTED
@@ -150,6 +166,11 @@ export function useSearch() {
    */
   const totalResults = computed(() => searchResults.value.length);
 
+  /**
+   * Indica si quedan resultados por cargar
+   */
+  const hasMoreResults = computed(() => nextCursor.value !== null);
+
   // =====================
   // MÉTODOS
   // =====================
@@ -163,6 +184,10 @@ export function useSearch() {
 
     if (term.length < 3) {
       searchResults.value = [];
+      searchError.value = null;
+      searchTotal.value = 0;
+      searchTotalCapped.value = false;
+      nextCursor.value = null;
       isSearching.value = false;
       isSearchCancelled.value = false;
       return;
@@ -183,7 +208,10 @@ export function useSearch() {
     isSearchCancelled.value = false;
 
     try {
-      const response = await apiSearch(term);
+      const response = await apiSearch(term, {
+        limit: searchLimit.value,
+        filters: getSearchFilters(),
+      });
 
       // Verificar si esta búsqueda fue cancelada por una nueva búsqueda
       // Esto ocurre si el currentSearchId cambió durante la ejecución
@@ -202,15 +230,23 @@ export function useSearch() {
       }
 
       if (response.success) {
-        // Limitar resultados según configuración (usar searchLimit del closure)
-        searchResults.value = response.data.slice(0, searchLimit.value);
+        // El backend ya devuelve una página de searchLimit resultados
+        searchResults.value = response.data;
+        searchTotal.value = response.total ?? response.data.length;
+        searchTotalCapped.value = response.totalCapped === true;
+        nextCursor.value = response.nextCursor || null;
+        searchError.value = null;
         console.log(
-          `[useSearch] Encontrados: ${response.data.length}, mostrando: ${searchResults.value.length}`
+          `[useSearch] Encontrados: ${searchTotal.value}, mostrando: ${searchResults.value.length}`
         );
         isSearchCancelled.value = false;
       } else {
         console.error('[useSearch] Error en búsqueda:', response.error);
         searchResults.value = [];
+        searchTotal.value = 0;
+        searchTotalCapped.value = false;
+        nextCursor.value = null;
+        searchError.value = response.error;
         isSearchCancelled.value = false;
       }
     } catch (error) {
@@ -222,6 +258,9 @@ export function useSearch() {
       }
       console.error('[useSearch] Excepción en búsqueda:', error);
       searchResults.value = [];
+      searchTotal.value = 0;
+      searchTotalCapped.value = false;
+      nextCursor.value = null;
       isSearchCancelled.value = false;
     } finally {
       // Solo actualizar estado si esta sigue siendo la búsqueda actual
@@ -240,6 +279,53 @@ export function useSearch() {
   // Guardar referencia para el watcher
   executeSearchRef = executeSearch;
 
+  /**
+   * Carga la siguiente página de la búsqueda actual y la añade a los resultados
+   *
+   * Se ignora si no hay más páginas, si ya se está cargando una o si la
+   * búsqueda cambió mientras tanto.
+   */
+  const loadMoreResults = async () => {
+    if (!nextCursor.value || isLoadingMore.value || isSearching.value) return;
+
+    const term = searchTerm.value.trim();
+    const thisSearchId = currentSearchId;
+    isLoadingMore.value = true;
+
+    try {
+      const response = await apiSearch(term, {
+        limit: searchLimit.value,
+        filters: getSearchFilters(),
+        cursor: nextCursor.value,
+      });
+
+      if (thisSearchId !== currentSearchId || term !== searchTerm.value.trim()) {
+        console.log('[useSearch] Página de una búsqueda obsoleta ignorada');
+        return;
+      }
+
+      if (response.success) {
+        const loadedIds = new Set(searchResults.value.map(item => item.id));
+        searchResults.value = [
+          ...searchResults.value,
+          ...response.data.filter(item => !loadedIds.has(item.id)),
+        ];
+        nextCursor.value = response.nextCursor || null;
+        if (searchTotalCapped.value) {
+          searchTotal.value = response.total ?? searchTotal.value;
+          searchTotalCapped.value = response.totalCapped === true;
+        }
+      } else {
+        console.error('[useSearch] Error cargando más resultados:', response.error);
+        nextCursor.value = null;
+      }
+    } catch (error) {
+      console.error('[useSearch] Excepción cargando más resultados:', error);
+    } finally {
+      isLoadingMore.value = false;
+    }
+  };
+
   /**
    * Búsqueda con debounce (para input en tiempo real)
    * Usa el delay configurado en useSettings
@@ -295,6 +381,10 @@ export function useSearch() {
   const clearSearch = () => {
     searchTerm.value = '';
     searchResults.value = [];
+    searchError.value = null;
+    searchTotal.value = 0;
+    searchTotalCapped.value = false;
+    nextCursor.value = null;
     isSearchCancelled.value = false;
 
     // Cancelar debounce pendiente
@@ -364,9 +454,23 @@ export function useSearch() {
           isSearchCancelled.value = true;
         }
         searchResults.value = [];
+        searchTotal.value = 0;
+        searchTotalCapped.value = false;
+        nextCursor.value = null;
         isSearchCancelled.value = false;
       }
     });
+
+    // Los filtros se aplican en el backend: repetir la búsqueda al cambiarlos
+    watch(
+      advancedFilters,
+      () => {
+        if (searchTerm.value.trim().length >= 3) {
+          searchWithDebounce();
+        }
+      },
+      { deep: true }
+    );
     watcherInitialized = true;
   }
 
@@ -400,6 +504,10 @@ export function useSearch() {
     searchResults,
     isSearching,
     isSearchCancelled,
+    searchError,
+    searchTotal,
+    searchTotalCapped,
+    isLoadingMore,
     sortField,
     sortDirection,
 
@@ -408,11 +516,13 @@ export function useSearch() {
     searchFolders,
     searchFiles,
     totalResults,
+    hasMoreResults,
 
     // Métodos
     search,
     searchWithDebounce,
     executeSearch,
+    loadMoreResults,
     clearSearch,
     setSortField,
     isSortedBy,
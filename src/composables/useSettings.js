@@ -20,6 +20,17 @@
  * @property {number} maxParallelDownloads - Máximo de descargas concurrentes
  * @property {number} searchLimit - Límite de resultados de búsqueda
  * @property {boolean} autoResumeDownloads - Si reanudar descargas automáticamente
+ * @property {string} dataSource - Origen de datos de navegación: 'db' | 'web' | 'hybrid'
+ * @property {boolean} autoExtractArchives - Si extraer .zip/.7z al terminar la descarga
+ * @property {boolean} deleteArchiveAfterExtract - Si eliminar el comprimido tras extraerlo
+ * @property {boolean} desktopNotifications - Si mostrar notificaciones del sistema al terminar descargas
+ * @property {boolean} minimizeToTray - Si ocultar la ventana en la bandeja al cerrarla con descargas en curso
+ * @property {string} queueFinishAction - Acción al terminar la cola: 'none' | 'quit' | 'sleep' | 'shutdown'
+ * @property {boolean} oneGameOneRom - Si descargar carpetas con selección 1G1R
+ * @property {string[]} romRegionPriority - Regiones preferidas para 1G1R, en orden
+ * @property {string[]} romLanguagePriority - Idiomas preferidos para 1G1R, en orden
+ * @property {number} diskSpaceMarginGB - Espacio libre (GB) que las descargas dejan sin usar en cada disco
+ * @property {string} fileConflictPolicy - Qué hacer si el archivo ya existe: 'ask' | 'skip' | 'overwrite' | 'rename' | 'resume'
  */
 
 /**
@@ -31,7 +42,8 @@
  */
 
 import { ref, watch } from 'vue';
-import { readConfigFile, writeConfigFile, selectFolder } from '../services/api';
+import { readConfigFile, writeConfigFile, selectFolder, setDataSource } from '../services/api';
+import { DEFAULT_REGION_PRIORITY, DEFAULT_LANGUAGE_PRIORITY } from './useRomSelection';
 
 // Estado global (singleton) para compartir entre componentes
 const downloadPath = ref('');
@@ -42,6 +54,27 @@ const searchLimit = ref(500);
 const isDarkMode = ref(true);
 const autoResumeDownloads = ref(true); // Por defecto true para mantener comportamiento actual
 const primaryColor = ref('green'); // Color primario por defecto: verde
+const dataSource = ref('db'); // Origen de datos de navegación: catálogo local por defecto
+
+// Extracción automática de archivos comprimidos (la lee el proceso principal)
+const autoExtractArchives = ref(false);
+const deleteArchiveAfterExtract = ref(false);
+
+// Integración con el escritorio (la lee el proceso principal)
+const desktopNotifications = ref(true);
+const minimizeToTray = ref(false);
+const queueFinishAction = ref('none');
+
+// Selección 1G1R (un juego, un ROM) al descargar carpetas
+const oneGameOneRom = ref(false);
+const romRegionPriority = ref([...DEFAULT_REGION_PRIORITY]);
+const romLanguagePriority = ref([...DEFAULT_LANGUAGE_PRIORITY]);
+
+// Margen de espacio libre por disco (lo lee el proceso principal)
+const diskSpaceMarginGB = ref(2);
+
+// Política ante archivos que ya existen en el destino
+const fileConflictPolicy = ref('ask');
 
 // Configuración de límites de memoria para historial
 const maxHistoryInMemory = ref(100);
@@ -62,6 +95,30 @@ export const PRIMARY_COLORS = {
   cyan: { name: 'Cian', value: '#00bcd4', hover: '#0097a7' },
 };
 
+// Orígenes de datos de navegación disponibles
+export const DATA_SOURCES = {
+  db: { name: 'Catálogo local', description: 'Rápido y sin conexión' },
+  web: { name: 'Listado web', description: 'Siempre actualizado, requiere conexión' },
+  hybrid: { name: 'Híbrido', description: 'Catálogo local verificado contra la web' },
+};
+
+// Acciones al terminar la cola de descargas (las ejecuta el proceso principal)
+export const QUEUE_FINISH_ACTIONS = {
+  none: { name: 'No hacer nada', countdown: '' },
+  quit: { name: 'Cerrar la aplicación', countdown: 'La aplicación se cerrará' },
+  sleep: { name: 'Suspender el equipo', countdown: 'El equipo se suspenderá' },
+  shutdown: { name: 'Apagar el equipo', countdown: 'El equipo se apagará' },
+};
+
+// Políticas ante archivos que ya existen (las aplica el proceso principal)
+export const FILE_CONFLICT_POLICIES = {
+  ask: { name: 'Preguntar' },
+  skip: { name: 'Omitir si tiene el mismo tamaño' },
+  overwrite: { name: 'Sobrescribir' },
+  rename: { name: 'Guardar con otro nombre' },
+  resume: { name: 'Reanudar si el archivo local está incompleto' },
+};
+
 // Flag para evitar guardar durante la carga inicial
 let isLoading = false;
 
@@ -80,6 +137,17 @@ let isLoading = false;
  * @returns {Ref<number>} returns.searchLimit - Límite de resultados de búsqueda
  * @returns {Ref<boolean>} returns.isDarkMode - Si usar tema oscuro
  * @returns {Ref<string>} returns.primaryColor - Color primario de la UI
+ * @returns {Ref<string>} returns.dataSource - Origen de datos de navegación
+ * @returns {Ref<boolean>} returns.autoExtractArchives - Si extraer comprimidos al terminar
+ * @returns {Ref<boolean>} returns.deleteArchiveAfterExtract - Si eliminar el comprimido tras extraerlo
+ * @returns {Ref<boolean>} returns.desktopNotifications - Si mostrar notificaciones del sistema
+ * @returns {Ref<boolean>} returns.minimizeToTray - Si ocultar la ventana en la bandeja con descargas en curso
+ * @returns {Ref<string>} returns.queueFinishAction - Acción al terminar la cola
+ * @returns {Ref<boolean>} returns.oneGameOneRom - Si descargar carpetas con selección 1G1R
+ * @returns {Ref<string[]>} returns.romRegionPriority - Regiones preferidas para 1G1R
+ * @returns {Ref<string[]>} returns.romLanguagePriority - Idiomas preferidos para 1G1R
+ * @returns {Ref<number>} returns.diskSpaceMarginGB - Espacio libre (GB) que se reserva en cada disco
+ * @returns {Ref<string>} returns.fileConflictPolicy - Política ante archivos que ya existen
  * @returns {Function} returns.loadDownloadSettings - Carga configuración de descargas
  * @returns {Function} returns.loadUIPreferences - Carga preferencias de UI
  * @returns {Function} returns.saveDownloadSettings - Guarda configuración de descargas
@@ -144,6 +212,29 @@ export function useSettings() {
         maxFailedInMemory.value = result.data.maxFailedInMemory || 20;
         showChunkProgress.value = result.data.showChunkProgress !== false; // Por defecto true
         searchDebounce.value = result.data.searchDebounce || 300; // Por defecto 300ms
+        if (result.data.dataSource && DATA_SOURCES[result.data.dataSource]) {
+          dataSource.value = result.data.dataSource;
+        }
+        autoExtractArchives.value = result.data.autoExtractArchives === true;
+        deleteArchiveAfterExtract.value = result.data.deleteArchiveAfterExtract === true;
+        desktopNotifications.value = result.data.desktopNotifications !== false;
+        minimizeToTray.value = result.data.minimizeToTray === true;
+        if (QUEUE_FINISH_ACTIONS[result.data.queueFinishAction]) {
+          queueFinishAction.value = result.data.queueFinishAction;
+        }
+        oneGameOneRom.value = result.data.oneGameOneRom === true;
+        if (Array.isArray(result.data.romRegionPriority)) {
+          romRegionPriority.value = result.data.romRegionPriority;
+        }
+        if (Array.isArray(result.data.romLanguagePriority)) {
+          romLanguagePriority.value = result.data.romLanguagePriority;
+        }
+        if (typeof result.data.diskSpaceMarginGB === 'number') {
+          diskSpaceMarginGB.value = result.data.diskSpaceMarginGB;
+        }
+        if (FILE_CONFLICT_POLICIES[result.data.fileConflictPolicy]) {
+          fileConflictPolicy.value = result.data.fileConflictPolicy;
+        }
       }
     } catch (error) {
       console.error('[useSettings] Error cargando configuración:', error);
@@ -199,6 +290,17 @@ export function useSettings() {
         maxHistoryInMemory: maxHistoryInMemory.value,
         maxCompletedInMemory: maxCompletedInMemory.value,
         maxFailedInMemory: maxFailedInMemory.value,
+        dataSource: dataSource.value,
+        autoExtractArchives: autoExtractArchives.value,
+        deleteArchiveAfterExtract: deleteArchiveAfterExtract.value,
+        desktopNotifications: desktopNotifications.value,
+        minimizeToTray: minimizeToTray.value,
+        queueFinishAction: queueFinishAction.value,
+        oneGameOneRom: oneGameOneRom.value,
+        romRegionPriority: romRegionPriority.value,
+        romLanguagePriority: romLanguagePriority.value,
+        diskSpaceMarginGB: diskSpaceMarginGB.value,
+        fileConflictPolicy: fileConflictPolicy.value,
         // showChunkProgress se guarda en ui-preferences, no en download-settings
       });
     } catch (error) {
@@ -282,6 +384,16 @@ export function useSettings() {
     }
   };
 
+  /**
+   * Aplica el origen de datos de navegación en el proceso principal
+   */
+  const applyDataSource = async () => {
+    const result = await setDataSource(dataSource.value);
+    if (!result.success) {
+      console.error('[useSettings] Error aplicando origen de datos:', result.error);
+    }
+  };
+
   /**
    * Inicializa la configuración
    */
@@ -289,6 +401,7 @@ export function useSettings() {
     await Promise.all([loadDownloadSettings(), loadUIPreferences()]);
     updateThemeClass();
     updatePrimaryColor();
+    await applyDataSource();
   };
 
   // =====================
@@ -306,6 +419,16 @@ export function useSettings() {
       maxHistoryInMemory,
       maxCompletedInMemory,
       maxFailedInMemory,
+      autoExtractArchives,
+      deleteArchiveAfterExtract,
+      desktopNotifications,
+      minimizeToTray,
+      queueFinishAction,
+      oneGameOneRom,
+      romRegionPriority,
+      romLanguagePriority,
+      diskSpaceMarginGB,
+      fileConflictPolicy,
     ],
     () => {
       saveDownloadSettings();
@@ -313,6 +436,12 @@ export function useSettings() {
     { deep: false }
   );
 
+  // Aplicar y guardar cuando cambia el origen de datos
+  watch(dataSource, () => {
+    applyDataSource();
+    saveDownloadSettings();
+  });
+
   // Auto-guardar cuando cambian preferencias de UI
   watch(
     [isDarkMode, primaryColor, showChunkProgress, searchDebounce],
@@ -341,6 +470,17 @@ export function useSettings() {
     showChunkProgress,
     searchDebounce,
     primaryColor,
+    dataSource,
+    autoExtractArchives,
+    deleteArchiveAfterExtract,
+    desktopNotifications,
+    minimizeToTray,
+    queueFinishAction,
+    oneGameOneRom,
+    romRegionPriority,
+    romLanguagePriority,
+    diskSpaceMarginGB,
+    fileConflictPolicy,
 
     // Métodos de carga
     loadDownloadSettings,
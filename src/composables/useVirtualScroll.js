@@ -8,6 +8,7 @@
  * - Buffering (overscan) para scroll suave
  * - Throttling optimizado con RAF
  * - Soporte para alturas variables
+ * - Aviso al acercarse al final de la lista (para cargar más items)
  */
 
 import { ref, computed, onMounted, onUnmounted, watch, nextTick } from 'vue';
@@ -22,6 +23,8 @@ import { ref, computed, onMounted, onUnmounted, watch, nextTick } from 'vue';
  * @param {Number} options.minItemsToVirtualize - Mínimo de items para activar virtualización
  * @param {Boolean} options.enabled - Habilitar/deshabilitar virtualización
  * @param {Boolean} options.useIntersectionObserver - Usar IntersectionObserver (default: true)
+ * @param {Function} options.onReachEnd - Se llama al renderizar los últimos items (solo con virtualización)
+ * @param {Number} options.reachEndThreshold - Items antes del final a partir de los que se llama onReachEnd
  * @returns {Object} - Estado y métodos del virtual scroll
  */
 export function useVirtualScroll(options = {}) {
@@ -33,6 +36,8 @@ export function useVirtualScroll(options = {}) {
     minItemsToVirtualize = 50,
     enabled = true,
     useIntersectionObserver = true,
+    onReachEnd = null,
+    reachEndThreshold = overscan * 2,
   } = options;
 
   // Estado
@@ -582,6 +587,19 @@ export function useVirtualScroll(options = {}) {
     { flush: 'post' }
   );
 
+  // Avisar al acercarse al final. Sin virtualización se renderiza todo y el
+  // aviso se dispararía siempre, así que la carga queda en manos del componente
+  if (typeof onReachEnd === 'function') {
+    watch(
+      () => visibleRange.value.end,
+      end => {
+        if (shouldVirtualize.value && end >= items.value.length - reachEndThreshold) {
+          onReachEnd();
+        }
+      }
+    );
+  }
+
   // Inicialización
   onMounted(() => {
     if (containerRef.value) {
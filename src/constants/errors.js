@@ -124,6 +124,26 @@ export const APP_ERRORS = {
   NO_CURRENT_FOLDER: 'No hay carpeta actual para descargar',
   LOAD_UPDATE_DATE_FAILED: 'Error cargando fecha de actualización',
   CLEAN_HISTORY_FAILED: 'Error limpiando historial',
+  CATALOG_UPDATE_FAILED: 'Error actualizando catálogo',
+  DAT_IMPORT_FAILED: 'Error importando DAT',
+  DAT_REMOVE_FAILED: 'Error eliminando DAT',
+  ROM_SELECTION_FAILED: 'Error preparando la selección 1G1R',
+  SCHEDULE_SAVE_FAILED: 'Error guardando la programación de descargas',
+  DOWNLOAD_RULES_SAVE_FAILED: 'Error guardando las reglas de destino',
+  MIRRORS_SAVE_FAILED: 'Error guardando los servidores espejo',
+  NETWORK_PROFILE_SAVE_FAILED: 'Error guardando el perfil de red',
+  NETWORK_TEST_FAILED: 'No se pudo conectar con el servidor principal',
+  HTTP_API_CONFIG_FAILED: 'Error configurando la API remota',
+  HTTP_API_START_FAILED: 'No se pudo iniciar la API remota',
+  QUEUE_EXPORT_FAILED: 'Error exportando la lista de descargas',
+  QUEUE_IMPORT_FAILED: 'Error importando la lista de descargas',
+  AUDIT_FAILED: 'Error auditando la colección',
+  QUEUE_REORDER_FAILED: 'No se pudo reordenar la cola',
+  STATS_FAILED: 'No se pudieron calcular las estadísticas',
+  UPDATE_CHECK_FAILED: 'Error buscando actualizaciones de las descargas',
+  BATCH_ACTION_FAILED: 'Error aplicando la acción a la carpeta',
+  SAVED_SEARCH_FAILED: 'Error guardando la búsqueda',
+  SAVED_SEARCH_UPDATE_FAILED: 'Error actualizando la búsqueda guardada',
 };
 
 // =====================
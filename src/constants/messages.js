@@ -15,6 +15,19 @@ export const SUCCESS_MESSAGES = {
   MEMORY_OPTIMIZED: 'Memoria optimizada',
   LOGS_EXPORTED: 'Logs exportados exitosamente',
   DOWNLOAD_COMPLETED: 'Descarga completada',
+  CATALOG_UPDATED: 'Catálogo actualizado',
+  DAT_IMPORTED: 'DAT importado',
+  DAT_REMOVED: 'DAT eliminado',
+  SCHEDULE_SAVED: 'Programación de descargas guardada',
+  DOWNLOAD_RULES_SAVED: 'Reglas de destino guardadas',
+  MIRRORS_SAVED: 'Servidores espejo guardados',
+  NETWORK_PROFILE_SAVED: 'Perfil de red guardado',
+  NETWORK_TEST_OK: 'Conexión correcta',
+  HTTP_API_UPDATED: 'API remota actualizada',
+  QUEUE_EXPORTED: 'Lista de descargas exportada',
+  QUEUE_IMPORTED: 'Lista de descargas importada',
+  AUDIT_QUEUED: 'Archivos faltantes encolados',
+  SAVED_SEARCH_CREATED: 'Búsqueda guardada',
 };
 
 // =====================
@@ -23,6 +36,13 @@ export const SUCCESS_MESSAGES = {
 
 export const INFO_MESSAGES = {
   CARPETA_ACTUAL: 'Carpeta actual',
+  CATALOG_UP_TO_DATE: 'El catálogo ya está al día',
+  QUEUE_UNRESOLVED: 'Entradas no encontradas en el catálogo',
+  SAVED_SEARCH_MATCHES: 'Novedades en búsquedas guardadas',
+  FOLDER_FINISHED: 'Carpeta terminada',
+  DOWNLOADS_UP_TO_DATE: 'Las descargas completadas están al día',
+  DOWNLOADS_CHANGED: 'Descargas con versión nueva en el servidor',
+  UPDATE_CHECK_CANCELLED: 'Búsqueda de actualizaciones cancelada',
 };
 
 // =====================
@@ -66,6 +86,152 @@ export const formatLogsExported = path => {
   return `Logs exportados exitosamente a:\n${path}`;
 };
 
+/**
+ * Formatea el resumen de una actualización de catálogo
+ * @param {Object} stats - Estadísticas de la actualización
+ * @returns {string} Mensaje formateado
+ */
+export const formatCatalogUpdated = stats => {
+  const base = `${stats.inserted} nuevo(s), ${stats.removed} eliminado(s), ${stats.changed} modificado(s)`;
+  return stats.errors > 0 ? `${base}. ${stats.errors} carpeta(s) no se pudieron revisar.` : base;
+};
+
+/**
+ * Formatea la confirmación de las carpetas omitidas por perder demasiados archivos
+ * @param {string[]} folders - Rutas de las carpetas
+ * @param {number} [max=5] - Rutas a mostrar
+ * @returns {string} Mensaje formateado
+ */
+export const formatCatalogRemovalsConfirm = (folders, max = 5) => {
+  const lines = folders.slice(0, max).map(folder => `• ${folder}`);
+  if (folders.length > max) {
+    lines.push(`... y ${folders.length - max} más`);
+  }
+  return (
+    `En ${folders.length} carpeta(s) el servidor ya no lista la mayoría de los archivos:\n` +
+    `${lines.join('\n')}\n\n¿Eliminarlos también del catálogo local?`
+  );
+};
+
+/**
+ * Formatea el resumen de un DAT importado
+ * @param {Object} dat - { name, gameCount, romCount, replaced }
+ * @returns {string} Mensaje formateado
+ */
+export const formatDatImported = dat => {
+  const base = `${dat.name}: ${dat.gameCount} juego(s), ${dat.romCount} ROM(s)`;
+  return dat.replaced > 0 ? `${base}. Reemplaza la versión anterior.` : base;
+};
+
+/**
+ * Formatea el resumen de una exportación de la lista de descargas
+ * @param {Object} result - { path, format, count }
+ * @returns {string} Mensaje formateado
+ */
+export const formatQueueExported = result => {
+  const format = result.format === 'urls' ? 'lista de URLs' : 'manifiesto JSON';
+  return `${result.count} descarga(s) en ${format}:\n${result.path}`;
+};
+
+/**
+ * Formatea el resumen de una importación de la lista de descargas
+ * @param {Object} report - { total, added, duplicates, unresolved }
+ * @returns {string} Mensaje formateado
+ */
+export const formatQueueImported = report => {
+  const base = `${report.added} de ${report.total} encolada(s), ${report.duplicates} duplicada(s)`;
+  return report.unresolved.length > 0 ? `${base}, ${report.unresolved.length} sin encontrar` : base;
+};
+
+/**
+ * Formatea las entradas de una importación que no se encontraron en el catálogo
+ * @param {Array<Object>} unresolved - [{ line, text, reason }]
+ * @param {number} [max=5] - Entradas a mostrar
+ * @returns {string} Mensaje formateado
+ */
+export const formatQueueUnresolved = (unresolved, max = 5) => {
+  const lines = unresolved.slice(0, max).map(entry => `Línea ${entry.line}: ${entry.text}`);
+  if (unresolved.length > max) {
+    lines.push(`... y ${unresolved.length - max} más (ver logs)`);
+  }
+  return lines.join('\n');
+};
+
+/**
+ * Formatea el resultado de encolar los faltantes de una auditoría
+ * @param {number} added - Descargas agregadas
+ * @param {number} missing - Archivos que faltaban
+ * @returns {string} Mensaje formateado
+ */
+export const formatAuditQueued = (added, missing) => {
+  const skipped = missing - added;
+  return skipped > 0
+    ? `${added} de ${missing} archivo(s) encolado(s), ${skipped} ya estaban en la cola`
+    : `${added} archivo(s) encolado(s)`;
+};
+
+/**
+ * Formatea el resultado de repetir las búsquedas guardadas tras actualizar el catálogo
+ * @param {Object} summary - { newCount, enqueued }
+ * @returns {string} Mensaje formateado
+ */
+export const formatSavedSearchMatches = summary => {
+  const base = `${summary.newCount} resultado(s) nuevo(s)`;
+  return summary.enqueued > 0 ? `${base}, ${summary.enqueued} archivo(s) encolado(s)` : base;
+};
+
+/**
+ * Formatea el resultado de buscar versiones nuevas de las descargas completadas
+ * @param {Object} report - { total, checked, unavailable, cancelled, changed: [{ title }] }
+ * @param {number} [max=5] - Títulos a mostrar
+ * @returns {string} Mensaje formateado
+ */
+export const formatCompletedUpdates = (report, max = 5) => {
+  const lines = [`${report.changed.length} de ${report.checked} descarga(s) comprobada(s)`];
+  report.changed.slice(0, max).forEach(item => lines.push(item.title));
+  if (report.changed.length > max) {
+    lines.push(`... y ${report.changed.length - max} más`);
+  }
+  if (report.unavailable > 0) {
+    lines.push(`${report.unavailable} sin respuesta del servidor`);
+  }
+  if (report.cancelled) {
+    lines.push(`${report.total - report.checked - report.unavailable} sin comprobar`);
+  }
+  return lines.join('\n');
+};
+
+// Texto de cada decisión de la política de conflictos
+const CONFLICT_ACTION_LABELS = {
+  skip: 'omitido(s)',
+  overwrite: 'sobrescrito(s)',
+  rename: 'renombrado(s)',
+  resume: 'reanudado(s)',
+  ask: 'pendiente(s) de confirmar',
+};
+
+/**
+ * Formatea el resumen de una carpeta al terminar todas sus descargas
+ * @param {Object} summary - { title, total, completed, failed, cancelled, conflicts, conflictCount }
+ * @returns {string} Mensaje formateado
+ */
+export const formatFolderBatchFinished = summary => {
+  const lines = [`${summary.title}: ${summary.completed} de ${summary.total} completadas`];
+  if (summary.failed > 0) {
+    lines.push(`${summary.failed} con error`);
+  }
+  if (summary.cancelled > 0) {
+    lines.push(`${summary.cancelled} canceladas`);
+  }
+  if (summary.conflictCount > 0) {
+    const parts = Object.entries(summary.conflicts).map(
+      ([action, count]) => `${count} ${CONFLICT_ACTION_LABELS[action] || action}`
+    );
+    lines.push(`Ya existían: ${parts.join(', ')}`);
+  }
+  return lines.join('\n');
+};
+
 // =====================
 // EXPORTACIÓN CONVENIENTE
 // =====================
@@ -40,6 +40,7 @@
  * @property {string} [downloadPath] - Ruta base de descarga
  * @property {boolean} [preserveStructure=true] - Si mantener estructura de carpetas
  * @property {boolean} [forceOverwrite=false] - Si sobrescribir sin preguntar
+ * @property {Array<number>} [fileIds] - Descargar solo estos archivos de la carpeta (selección 1G1R)
  */
 
 import logger from '../utils/logger';
@@ -67,10 +68,16 @@ const getApi = () => {
  * del servidor. Los resultados se ordenan por relevancia y pueden estar paginados.
  *
  * @param {string} term - Término de búsqueda (mínimo 2 caracteres)
+ * @param {Object} [options] - Opciones de búsqueda
+ * @param {number} [options.limit] - Resultados por página
+ * @param {string|null} [options.cursor] - nextCursor de la página anterior
+ * @param {Object|null} [options.filters] - Filtros avanzados (useFilters)
  * @returns {Promise<APIResponse>} Resultado de la búsqueda con array de resultados
  * @returns {boolean} returns.success - Si la búsqueda fue exitosa
  * @returns {Array} [returns.data] - Array de resultados encontrados
  * @returns {number} [returns.total] - Total de resultados (para paginación)
+ * @returns {boolean} [returns.totalCapped] - Si total es un mínimo (sin FTS se cuenta hasta un límite)
+ * @returns {string|null} [returns.nextCursor] - Cursor de la página siguiente (null en la última)
  * @returns {string} [returns.error] - Mensaje de error si falló
  *
  * @example
@@ -85,17 +92,17 @@ const getApi = () => {
  *   console.error('Error en búsqueda:', result.error);
  * }
  *
- * // Buscar con paginación (si está soportada)
- * const result2 = await search('archivo', { limit: 50, offset: 0 });
- * // result2.data contiene hasta 50 resultados
- * // result2.total contiene el total para calcular páginas
+ * // Buscar con paginación
+ * const result2 = await search('archivo', { limit: 50 });
+ * // result2.data contiene hasta 50 resultados y result2.total el total
+ * const page2 = await search('archivo', { limit: 50, cursor: result2.nextCursor });
  */
-export const search = async term => {
+export const search = async (term, options = {}) => {
   const api = getApi();
   if (!api) return { success: false, error: API_ERRORS.NOT_AVAILABLE };
 
   try {
-    return await api.search(term);
+    return await api.search(term, options);
   } catch (error) {
     apiLogger.error('Error en búsqueda:', error);
     return { success: false, error: error.message || GENERAL_ERRORS.UNKNOWN };
@@ -168,255 +175,958 @@ export const getNodeInfo = async nodeId => {
   }
 };
 
+/**
+ * Obtiene el origen de datos de navegación actual
+ *
+ * @returns {Promise<APIResponse>} data: 'db' | 'web' | 'hybrid'
+ */
+export const getDataSource = async () => {
+  const api = getApi();
+  if (!api) return { success: false, error: API_ERRORS.NOT_AVAILABLE };
+
+  try {
+    return await api.getDataSource();
+  } catch (error) {
+    apiLogger.error('Error obteniendo origen de datos:', error);
+    return { success: false, error: error.message || GENERAL_ERRORS.UNKNOWN };
+  }
+};
+
+/**
+ * Cambia el origen de datos de navegación
+ *
+ * @param {string} mode - 'db' (catálogo local), 'web' (listado en vivo) o 'hybrid'
+ * @returns {Promise<APIResponse>}
+ */
+export const setDataSource = async mode => {
+  const api = getApi();
+  if (!api) return { success: false, error: API_ERRORS.NOT_AVAILABLE };
+
+  try {
+    return await api.setDataSource(mode);
+  } catch (error) {
+    apiLogger.error('Error cambiando origen de datos:', error);
+    return { success: false, error: error.message || GENERAL_ERRORS.UNKNOWN };
+  }
+};
+
 /**
  * Obtiene la fecha de última actualización de la DB
  */
-export const getDbUpdateDate = async () => {
+export const getDbUpdateDate = async () => {
+  const api = getApi();
+  if (!api) return { success: false, error: API_ERRORS.NOT_AVAILABLE };
+
+  try {
+    return await api.getDbUpdateDate();
+  } catch (error) {
+    apiLogger.error('Error obteniendo fecha de actualización:', error);
+    return { success: false, error: error.message || GENERAL_ERRORS.UNKNOWN };
+  }
+};
+
+/**
+ * Actualiza el catálogo local a partir de los listados en vivo de Myrient
+ *
+ * Solo se recorren las carpetas con cambios. El progreso se recibe con
+ * onCatalogUpdateProgress. Las carpetas que perderían demasiados archivos se
+ * omiten y se devuelven en blockedFolders; para aplicarlas hay que repetir la
+ * actualización con confirmRemovals.
+ *
+ * @param {Object} [options={}] - { confirmRemovals }
+ * @returns {Promise<APIResponse>} data: { inserted, removed, changed, applied, blockedFolders, ... }
+ */
+export const updateCatalog = async (options = {}) => {
+  const api = getApi();
+  if (!api) return { success: false, error: API_ERRORS.NOT_AVAILABLE };
+
+  try {
+    return await api.updateCatalog(options);
+  } catch (error) {
+    apiLogger.error('Error actualizando catálogo:', error);
+    return { success: false, error: error.message || GENERAL_ERRORS.UNKNOWN };
+  }
+};
+
+/**
+ * Cancela la actualización del catálogo en curso
+ */
+export const cancelCatalogUpdate = async () => {
+  const api = getApi();
+  if (!api) return { success: false, error: API_ERRORS.NOT_AVAILABLE };
+
+  try {
+    return await api.cancelCatalogUpdate();
+  } catch (error) {
+    apiLogger.error('Error cancelando actualización de catálogo:', error);
+    return { success: false, error: error.message || GENERAL_ERRORS.UNKNOWN };
+  }
+};
+
+// =====================
+// BÚSQUEDAS GUARDADAS
+// =====================
+
+/**
+ * Obtiene las búsquedas guardadas
+ * @returns {Promise<APIResponse>} data: Array de { id, name, term, preset, scopeFolderId, scopePath, autoEnqueue, newIds, newCount }
+ */
+export const getSavedSearches = async () => {
+  const api = getApi();
+  if (!api) return { success: false, error: API_ERRORS.NOT_AVAILABLE };
+
+  try {
+    return await api.getSavedSearches();
+  } catch (error) {
+    apiLogger.error('Error obteniendo búsquedas guardadas:', error);
+    return { success: false, error: error.message || GENERAL_ERRORS.UNKNOWN };
+  }
+};
+
+/**
+ * Guarda una búsqueda (sus resultados actuales cuentan como vistos)
+ * @param {Object} params - { name, term, preset, scopeFolderId, autoEnqueue }
+ * @returns {Promise<APIResponse>} data: búsquedas guardadas
+ */
+export const createSavedSearch = async params => {
+  const api = getApi();
+  if (!api) return { success: false, error: API_ERRORS.NOT_AVAILABLE };
+
+  try {
+    return await api.createSavedSearch(params);
+  } catch (error) {
+    apiLogger.error('Error guardando búsqueda:', error);
+    return { success: false, error: error.message || GENERAL_ERRORS.UNKNOWN };
+  }
+};
+
+/**
+ * Cambia el nombre o la descarga automática de una búsqueda guardada
+ * @param {Object} changes - { id, name?, autoEnqueue? }
+ * @returns {Promise<APIResponse>} data: búsquedas guardadas
+ */
+export const updateSavedSearch = async changes => {
+  const api = getApi();
+  if (!api) return { success: false, error: API_ERRORS.NOT_AVAILABLE };
+
+  try {
+    return await api.updateSavedSearch(changes);
+  } catch (error) {
+    apiLogger.error('Error actualizando búsqueda guardada:', error);
+    return { success: false, error: error.message || GENERAL_ERRORS.UNKNOWN };
+  }
+};
+
+/**
+ * Elimina una búsqueda guardada
+ * @param {string} id - ID de la búsqueda
+ * @returns {Promise<APIResponse>} data: búsquedas guardadas
+ */
+export const deleteSavedSearch = async id => {
+  const api = getApi();
+  if (!api) return { success: false, error: API_ERRORS.NOT_AVAILABLE };
+
+  try {
+    return await api.deleteSavedSearch(id);
+  } catch (error) {
+    apiLogger.error('Error eliminando búsqueda guardada:', error);
+    return { success: false, error: error.message || GENERAL_ERRORS.UNKNOWN };
+  }
+};
+
+/**
+ * Marca como revisados los resultados nuevos de una búsqueda guardada
+ * @param {string} id - ID de la búsqueda
+ * @returns {Promise<APIResponse>} data: búsquedas guardadas
+ */
+export const acknowledgeSavedSearch = async id => {
+  const api = getApi();
+  if (!api) return { success: false, error: API_ERRORS.NOT_AVAILABLE };
+
+  try {
+    return await api.acknowledgeSavedSearch(id);
+  } catch (error) {
+    apiLogger.error('Error marcando búsqueda guardada como revisada:', error);
+    return { success: false, error: error.message || GENERAL_ERRORS.UNKNOWN };
+  }
+};
+
+// =====================
+// VERIFICACIÓN (DATS)
+// =====================
+
+/**
+ * Abre el diálogo de selección e importa un DAT de No-Intro/Redump
+ *
+ * @returns {Promise<APIResponse>} data: { id, name, version, gameCount, romCount, replaced }
+ * (canceled: true si el usuario cerró el diálogo)
+ */
+export const importDat = async () => {
+  const api = getApi();
+  if (!api) return { success: false, error: API_ERRORS.NOT_AVAILABLE };
+
+  try {
+    return await api.importDat();
+  } catch (error) {
+    apiLogger.error('Error importando DAT:', error);
+    return { success: false, error: error.message || GENERAL_ERRORS.UNKNOWN };
+  }
+};
+
+/**
+ * Obtiene los DATs importados
+ *
+ * @returns {Promise<APIResponse>} data: Array<{ id, name, version, gameCount, romCount, importedAt }>
+ */
+export const getDats = async () => {
+  const api = getApi();
+  if (!api) return { success: false, error: API_ERRORS.NOT_AVAILABLE };
+
+  try {
+    return await api.getDats();
+  } catch (error) {
+    apiLogger.error('Error obteniendo DATs:', error);
+    return { success: false, error: error.message || GENERAL_ERRORS.UNKNOWN };
+  }
+};
+
+/**
+ * Elimina un DAT importado
+ *
+ * @param {number} datId - ID del DAT
+ * @returns {Promise<APIResponse>}
+ */
+export const removeDat = async datId => {
+  const api = getApi();
+  if (!api) return { success: false, error: API_ERRORS.NOT_AVAILABLE };
+
+  try {
+    return await api.removeDat(datId);
+  } catch (error) {
+    apiLogger.error('Error eliminando DAT:', error);
+    return { success: false, error: error.message || GENERAL_ERRORS.UNKNOWN };
+  }
+};
+
+// =====================
+// DESCARGAS
+// =====================
+
+/**
+ * Inicia una descarga de archivo individual
+ *
+ * Envía una solicitud al proceso principal para iniciar la descarga de un archivo.
+ * El archivo se agregará a la cola de descargas y se procesará según los límites
+ * de concurrencia. Si el archivo existe y no se fuerza sobrescritura, se solicitará
+ * confirmación al usuario.
+ *
+ * @param {DownloadParams} params - Parámetros de la descarga
+ * @returns {Promise<APIResponse>} Resultado de la operación
+ * @returns {boolean} returns.success - Si la descarga se agregó correctamente
+ * @returns {number} [returns.position] - Posición en la cola (1-based)
+ * @returns {string} [returns.message] - Mensaje descriptivo
+ * @returns {string} [returns.error] - Mensaje de error si falló
+ *
+ * @example
+ * // Descargar archivo individual
+ * const result = await download({
+ *   id: 12345,
+ *   title: 'archivo.zip',
+ *   downloadPath: 'C:/Downloads',
+ *   preserveStructure: true,
+ *   forceOverwrite: false
+ * });
+ *
+ * if (result.success) {
+ *   console.log(`Descarga agregada en posición ${result.position}`);
+ *   // El archivo se descargará automáticamente cuando haya slots disponibles
+ * } else if (result.error === 'awaiting-confirmation') {
+ *   console.log('Esperando confirmación del usuario para sobrescribir');
+ * } else {
+ *   console.error('Error:', result.error);
+ * }
+ */
+export const download = async params => {
+  const api = getApi();
+  if (!api) return { success: false, error: API_ERRORS.NOT_AVAILABLE };
+
+  try {
+    return await api.download(params);
+  } catch (error) {
+    apiLogger.error('Error iniciando descarga:', error);
+    return { success: false, error: error.message || GENERAL_ERRORS.UNKNOWN };
+  }
+};
+
+/**
+ * Obtiene todos los archivos de una carpeta recursivamente, sin encolarlos
+ *
+ * Se usa para revisar la selección 1G1R antes de descargar la carpeta.
+ *
+ * @param {number} folderId - ID de la carpeta
+ * @returns {Promise<APIResponse>} Resultado con data: Array<{id, title, url, size, modified_date, relativePath}>
+ *
+ * @example
+ * const result = await getFolderFiles(67890);
+ * if (result.success) {
+ *   console.log(`${result.data.length} archivos en la carpeta`);
+ * }
+ */
+export const getFolderFiles = async folderId => {
+  const api = getApi();
+  if (!api) return { success: false, error: API_ERRORS.NOT_AVAILABLE };
+
+  try {
+    return await api.getFolderFiles(folderId);
+  } catch (error) {
+    apiLogger.error('Error obteniendo archivos de la carpeta:', error);
+    return { success: false, error: error.message || GENERAL_ERRORS.UNKNOWN };
+  }
+};
+
+/**
+ * Audita una carpeta local contra una carpeta del catálogo
+ *
+ * @param {Object} params - Parámetros de la auditoría
+ * @param {number} params.folderId - ID de la carpeta del catálogo
+ * @param {string} [params.localPath] - Carpeta local (sin ella se abre un diálogo para elegirla)
+ * @returns {Promise<APIResponse>} data: { folderId, folderTitle, localPath, truncated, summary, items }
+ * (canceled: true si el usuario cerró el diálogo)
+ */
+export const auditCollection = async params => {
+  const api = getApi();
+  if (!api) return { success: false, error: API_ERRORS.NOT_AVAILABLE };
+
+  try {
+    return await api.auditCollection(params);
+  } catch (error) {
+    apiLogger.error('Error auditando la colección:', error);
+    return { success: false, error: error.message || GENERAL_ERRORS.UNKNOWN };
+  }
+};
+
+/**
+ * Descarga todos los archivos de una carpeta recursivamente
+ *
+ * Envía una solicitud al proceso principal para descargar todos los archivos
+ * contenidos en una carpeta y sus subcarpetas. El backend recorre la estructura
+ * recursivamente y agrega cada archivo a la cola de descargas.
+ *
+ * @param {FolderDownloadParams} params - Parámetros de descarga de carpeta
+ * @returns {Promise<APIResponse>} Resultado de la operación con estadísticas
+ * @returns {boolean} returns.success - Si la operación fue exitosa
+ * @returns {number} [returns.totalFiles] - Total de archivos encontrados en la carpeta
+ * @returns {number} [returns.added] - Archivos agregados a la cola
+ * @returns {number} [returns.skipped] - Archivos omitidos (duplicados o ya en cola)
+ * @returns {string} [returns.folderTitle] - Título de la carpeta descargada
+ * @returns {string} [returns.error] - Mensaje de error si falló
+ *
+ * @example
+ * // Descargar carpeta completa
+ * const result = await downloadFolder({
+ *   folderId: 67890,
+ *   downloadPath: 'C:/Downloads',
+ *   preserveStructure: true,
+ *   forceOverwrite: false
+ * });
+ *
+ * if (result.success) {
+ *   console.log(`Carpeta: ${result.folderTitle}`);
+ *   console.log(`Total: ${result.totalFiles} archivos`);
+ *   console.log(`Agregados: ${result.added} a la cola`);
+ *   console.log(`Omitidos: ${result.skipped} (duplicados)`);
+ * } else {
+ *   console.error('Error descargando carpeta:', result.error);
+ * }
+ */
+export const downloadFolder = async params => {
+  const api = getApi();
+  if (!api) return { success: false, error: API_ERRORS.NOT_AVAILABLE };
+
+  try {
+    return await api.downloadFolder(params);
+  } catch (error) {
+    apiLogger.error('Error iniciando descarga de carpeta:', error);
+    return { success: false, error: error.message || GENERAL_ERRORS.UNKNOWN };
+  }
+};
+
+/**
+ * Exporta descargas a un archivo elegido por el usuario
+ *
+ * La extensión decide el formato: .json (manifiesto) o .txt (lista de URLs).
+ *
+ * @param {Array<number>} [downloadIds=[]] - IDs a exportar (vacío = toda la lista)
+ * @returns {Promise<APIResponse>} data: { path, format, count }
+ * (canceled: true si el usuario cerró el diálogo)
+ */
+export const exportQueue = async (downloadIds = []) => {
+  const api = getApi();
+  if (!api) return { success: false, error: API_ERRORS.NOT_AVAILABLE };
+
+  try {
+    return await api.exportQueue(downloadIds);
+  } catch (error) {
+    apiLogger.error('Error exportando cola:', error);
+    return { success: false, error: error.message || GENERAL_ERRORS.UNKNOWN };
+  }
+};
+
+/**
+ * Importa un manifiesto JSON o lista de URLs elegido por el usuario
+ *
+ * @param {Object} params - Opciones de las descargas nuevas
+ * @param {string} params.downloadPath - Carpeta de descarga
+ * @param {boolean} params.preserveStructure - Mantener la estructura de carpetas
+ * @returns {Promise<APIResponse>} data: { format, total, added, queued, duplicates, unresolved }
+ * (canceled: true si el usuario cerró el diálogo)
+ */
+export const importQueue = async params => {
+  const api = getApi();
+  if (!api) return { success: false, error: API_ERRORS.NOT_AVAILABLE };
+
+  try {
+    return await api.importQueue(params);
+  } catch (error) {
+    apiLogger.error('Error importando cola:', error);
+    return { success: false, error: error.message || GENERAL_ERRORS.UNKNOWN };
+  }
+};
+
+/**
+ * Pausa una descarga
+ * @param {number} downloadId - ID de la descarga
+ */
+export const pauseDownload = async downloadId => {
+  const api = getApi();
+  if (!api) return { success: false, error: API_ERRORS.NOT_AVAILABLE };
+
+  try {
+    return await api.pauseDownload(downloadId);
+  } catch (error) {
+    apiLogger.error('Error pausando descarga:', error);
+    return { success: false, error: error.message || GENERAL_ERRORS.UNKNOWN };
+  }
+};
+
+/**
+ * Reanuda una descarga pausada
+ * @param {number} downloadId - ID de la descarga
+ */
+export const resumeDownload = async downloadId => {
+  const api = getApi();
+  if (!api) return { success: false, error: API_ERRORS.NOT_AVAILABLE };
+
+  try {
+    return await api.resumeDownload(downloadId);
+  } catch (error) {
+    apiLogger.error('Error reanudando descarga:', error);
+    return { success: false, error: error.message || GENERAL_ERRORS.UNKNOWN };
+  }
+};
+
+/**
+ * Cancela una descarga
+ * @param {number} downloadId - ID de la descarga
+ */
+export const cancelDownload = async downloadId => {
+  const api = getApi();
+  if (!api) return { success: false, error: API_ERRORS.NOT_AVAILABLE };
+
+  try {
+    return await api.cancelDownload(downloadId);
+  } catch (error) {
+    apiLogger.error('Error cancelando descarga:', error);
+    return { success: false, error: error.message || GENERAL_ERRORS.UNKNOWN };
+  }
+};
+
+/**
+ * Reinicia una descarga cancelada o fallida
+ * @param {number} downloadId - ID de la descarga
+ */
+export const retryDownload = async downloadId => {
+  const api = getApi();
+  if (!api) return { success: false, error: API_ERRORS.NOT_AVAILABLE };
+
+  try {
+    return await api.retryDownload(downloadId);
+  } catch (error) {
+    apiLogger.error('Error reiniciando descarga:', error);
+    return { success: false, error: error.message || GENERAL_ERRORS.UNKNOWN };
+  }
+};
+
+/**
+ * Confirma sobrescritura de un archivo existente
+ * @param {number} downloadId - ID de la descarga
+ */
+export const confirmOverwrite = async downloadId => {
+  const api = getApi();
+  if (!api) return { success: false, error: API_ERRORS.NOT_AVAILABLE };
+
+  try {
+    return await api.confirmOverwrite(downloadId);
+  } catch (error) {
+    apiLogger.error('Error confirmando sobrescritura:', error);
+    return { success: false, error: error.message || GENERAL_ERRORS.UNKNOWN };
+  }
+};
+
+/**
+ * Elimina una descarga de la base de datos
+ * @param {number} downloadId - ID de la descarga
+ */
+export const deleteDownload = async downloadId => {
+  const api = getApi();
+  if (!api) return { success: false, error: API_ERRORS.NOT_AVAILABLE };
+
+  try {
+    return await api.deleteDownload(downloadId);
+  } catch (error) {
+    apiLogger.error('Error eliminando descarga:', error);
+    return { success: false, error: error.message || GENERAL_ERRORS.UNKNOWN };
+  }
+};
+
+/**
+ * Cambia la prioridad de una descarga en cola
+ * @param {number} downloadId - ID de la descarga
+ * @param {number} priority - Prioridad (0 = baja, 1 = normal, 2 = alta, 3 = urgente)
+ * @returns {Promise<Object>} { success, data: [{ id, priority, queuePosition }], error }
+ */
+export const setDownloadPriority = async (downloadId, priority) => {
+  const api = getApi();
+  if (!api) return { success: false, error: API_ERRORS.NOT_AVAILABLE };
+
+  try {
+    return await api.setDownloadPriority({ downloadId, priority });
+  } catch (error) {
+    apiLogger.error('Error cambiando prioridad de descarga:', error);
+    return { success: false, error: error.message || GENERAL_ERRORS.UNKNOWN };
+  }
+};
+
+/**
+ * Mueve una descarga dentro de la cola
+ * @param {number} downloadId - ID de la descarga
+ * @param {number|'top'|'bottom'} position - Índice en la cola (0 = primera) o extremo
+ * @returns {Promise<Object>} { success, data: [{ id, priority, queuePosition }], error }
+ */
+export const moveDownload = async (downloadId, position) => {
+  const api = getApi();
+  if (!api) return { success: false, error: API_ERRORS.NOT_AVAILABLE };
+
+  try {
+    return await api.moveDownload({ downloadId, position });
+  } catch (error) {
+    apiLogger.error('Error moviendo descarga en la cola:', error);
+    return { success: false, error: error.message || GENERAL_ERRORS.UNKNOWN };
+  }
+};
+
+/**
+ * Obtiene estadísticas de descargas
+ */
+export const getDownloadStats = async () => {
+  const api = getApi();
+  if (!api) return null;
+
+  try {
+    return await api.getDownloadStats();
+  } catch (error) {
+    apiLogger.error('Error obteniendo estadísticas:', error);
+    return null;
+  }
+};
+
+/**
+ * Limpia el historial de descargas manualmente
+ * @param {number} daysOld - Días de antigüedad (default: 30)
+ */
+export const cleanHistory = async (daysOld = 30) => {
+  const api = getApi();
+  if (!api) return { success: false, error: API_ERRORS.NOT_AVAILABLE };
+
+  try {
+    return await api.cleanHistory(daysOld);
+  } catch (error) {
+    apiLogger.error('Error limpiando historial:', error);
+    return { success: false, error: error.message || GENERAL_ERRORS.UNKNOWN };
+  }
+};
+
+/**
+ * Limpia todo el historial de descargas (sin importar la fecha)
+ */
+export const clearHistory = async () => {
+  const api = getApi();
+  if (!api) return { success: false, error: API_ERRORS.NOT_AVAILABLE };
+
+  try {
+    return await api.clearHistory();
+  } catch (error) {
+    apiLogger.error('Error limpiando todo el historial:', error);
+    return { success: false, error: error.message || GENERAL_ERRORS.UNKNOWN };
+  }
+};
+
+/**
+ * Obtiene las estadísticas del historial de descargas
+ * @param {number} days - Días a incluir contando hoy (default: 30)
+ * @returns {Promise<Object>} { success, data: { totals, perDay, perWeek, hosts, modes, concurrency, errors, folders, durations } }
+ */
+export const getDownloadStatistics = async (days = 30) => {
+  const api = getApi();
+  if (!api) return { success: false, error: API_ERRORS.NOT_AVAILABLE };
+
+  try {
+    return await api.getDownloadStatistics(days);
+  } catch (error) {
+    apiLogger.error('Error obteniendo estadísticas del historial:', error);
+    return { success: false, error: error.message || GENERAL_ERRORS.UNKNOWN };
+  }
+};
+
+/**
+ * Busca descargas completadas cuyo archivo cambió en el servidor
+ *
+ * El progreso se recibe con onCompletedUpdatesProgress; si se cancela,
+ * devuelve lo comprobado hasta entonces con cancelled: true.
+ * @returns {Promise<Object>} { success, data: { total, checked, unavailable, cancelled, changed: [{ id, title, savePath, reason, previousSize, size }] } }
+ */
+export const checkCompletedUpdates = async () => {
+  const api = getApi();
+  if (!api) return { success: false, error: API_ERRORS.NOT_AVAILABLE };
+
+  try {
+    return await api.checkCompletedUpdates();
+  } catch (error) {
+    apiLogger.error('Error buscando actualizaciones de descargas:', error);
+    return { success: false, error: error.message || GENERAL_ERRORS.UNKNOWN };
+  }
+};
+
+/**
+ * Cancela la búsqueda de actualizaciones de las descargas completadas
+ */
+export const cancelCompletedUpdates = async () => {
+  const api = getApi();
+  if (!api) return { success: false, error: API_ERRORS.NOT_AVAILABLE };
+
+  try {
+    return await api.cancelCompletedUpdates();
+  } catch (error) {
+    apiLogger.error('Error cancelando la búsqueda de actualizaciones:', error);
+    return { success: false, error: error.message || GENERAL_ERRORS.UNKNOWN };
+  }
+};
+
+// =====================
+// LOTES DE DESCARGAS
+// =====================
+
+/**
+ * Obtiene los lotes (carpetas encoladas) con su progreso conjunto
+ * @returns {Promise<APIResponse>} data: [{ id, title, total, completed, failed, ..., totalBytes, downloadedBytes, speed, remainingTime, downloadIds }]
+ */
+export const getDownloadBatches = async () => {
+  const api = getApi();
+  if (!api) return { success: false, error: API_ERRORS.NOT_AVAILABLE };
+
+  try {
+    return await api.getDownloadBatches();
+  } catch (error) {
+    apiLogger.error('Error obteniendo lotes de descargas:', error);
+    return { success: false, error: error.message || GENERAL_ERRORS.UNKNOWN };
+  }
+};
+
+/**
+ * Aplica una acción a todas las descargas de un lote
+ * @param {number} batchId - ID del lote
+ * @param {string} action - 'pause' | 'resume' | 'cancel' | 'retry-failed'
+ * @returns {Promise<APIResponse>} data: { affected, failed }
+ */
+export const controlDownloadBatch = async (batchId, action) => {
+  const api = getApi();
+  if (!api) return { success: false, error: API_ERRORS.NOT_AVAILABLE };
+
+  try {
+    return await api.controlDownloadBatch(batchId, action);
+  } catch (error) {
+    apiLogger.error('Error aplicando acción al lote:', error);
+    return { success: false, error: error.message || GENERAL_ERRORS.UNKNOWN };
+  }
+};
+
+// =====================
+// PROGRAMACIÓN DE DESCARGAS
+// =====================
+
+/**
+ * Obtiene la programación semanal de descargas y la franja activa
+ * @returns {Promise<APIResponse>} data: { schedule, state }
+ */
+export const getSchedule = async () => {
   const api = getApi();
   if (!api) return { success: false, error: API_ERRORS.NOT_AVAILABLE };
 
   try {
-    return await api.getDbUpdateDate();
+    return await api.getSchedule();
   } catch (error) {
-    apiLogger.error('Error obteniendo fecha de actualización:', error);
+    apiLogger.error('Error obteniendo programación de descargas:', error);
+    return { success: false, error: error.message || GENERAL_ERRORS.UNKNOWN };
+  }
+};
+
+/**
+ * Guarda la programación semanal de descargas y la aplica inmediatamente
+ * @param {Object} schedule - { enabled, defaultAction, rules }
+ * @returns {Promise<APIResponse>} data: { schedule, state }
+ */
+export const saveSchedule = async schedule => {
+  const api = getApi();
+  if (!api) return { success: false, error: API_ERRORS.NOT_AVAILABLE };
+
+  try {
+    return await api.saveSchedule(schedule);
+  } catch (error) {
+    apiLogger.error('Error guardando programación de descargas:', error);
     return { success: false, error: error.message || GENERAL_ERRORS.UNKNOWN };
   }
 };
 
 // =====================
-// DESCARGAS
+// ACCIÓN AL TERMINAR LA COLA
 // =====================
 
 /**
- * Inicia una descarga de archivo individual
- *
- * Envía una solicitud al proceso principal para iniciar la descarga de un archivo.
- * El archivo se agregará a la cola de descargas y se procesará según los límites
- * de concurrencia. Si el archivo existe y no se fuerza sobrescritura, se solicitará
- * confirmación al usuario.
- *
- * @param {DownloadParams} params - Parámetros de la descarga
- * @returns {Promise<APIResponse>} Resultado de la operación
- * @returns {boolean} returns.success - Si la descarga se agregó correctamente
- * @returns {number} [returns.position] - Posición en la cola (1-based)
- * @returns {string} [returns.message] - Mensaje descriptivo
- * @returns {string} [returns.error] - Mensaje de error si falló
- *
- * @example
- * // Descargar archivo individual
- * const result = await download({
- *   id: 12345,
- *   title: 'archivo.zip',
- *   downloadPath: 'C:/Downloads',
- *   preserveStructure: true,
- *   forceOverwrite: false
- * });
- *
- * if (result.success) {
- *   console.log(`Descarga agregada en posición ${result.position}`);
- *   // El archivo se descargará automáticamente cuando haya slots disponibles
- * } else if (result.error === 'awaiting-confirmation') {
- *   console.log('Esperando confirmación del usuario para sobrescribir');
- * } else {
- *   console.error('Error:', result.error);
- * }
+ * Obtiene la acción al terminar la cola y la cuenta atrás en curso
+ * @returns {Promise<APIResponse>} data: { action, pending: { action, executeAt } | null }
  */
-export const download = async params => {
+export const getQueueFinishAction = async () => {
   const api = getApi();
   if (!api) return { success: false, error: API_ERRORS.NOT_AVAILABLE };
 
   try {
-    return await api.download(params);
+    return await api.getQueueFinishAction();
   } catch (error) {
-    apiLogger.error('Error iniciando descarga:', error);
+    apiLogger.error('Error obteniendo acción al terminar la cola:', error);
     return { success: false, error: error.message || GENERAL_ERRORS.UNKNOWN };
   }
 };
 
 /**
- * Descarga todos los archivos de una carpeta recursivamente
- *
- * Envía una solicitud al proceso principal para descargar todos los archivos
- * contenidos en una carpeta y sus subcarpetas. El backend recorre la estructura
- * recursivamente y agrega cada archivo a la cola de descargas.
- *
- * @param {FolderDownloadParams} params - Parámetros de descarga de carpeta
- * @returns {Promise<APIResponse>} Resultado de la operación con estadísticas
- * @returns {boolean} returns.success - Si la operación fue exitosa
- * @returns {number} [returns.totalFiles] - Total de archivos encontrados en la carpeta
- * @returns {number} [returns.added] - Archivos agregados a la cola
- * @returns {number} [returns.skipped] - Archivos omitidos (duplicados o ya en cola)
- * @returns {string} [returns.folderTitle] - Título de la carpeta descargada
- * @returns {string} [returns.error] - Mensaje de error si falló
- *
- * @example
- * // Descargar carpeta completa
- * const result = await downloadFolder({
- *   folderId: 67890,
- *   downloadPath: 'C:/Downloads',
- *   preserveStructure: true,
- *   forceOverwrite: false
- * });
- *
- * if (result.success) {
- *   console.log(`Carpeta: ${result.folderTitle}`);
- *   console.log(`Total: ${result.totalFiles} archivos`);
- *   console.log(`Agregados: ${result.added} a la cola`);
- *   console.log(`Omitidos: ${result.skipped} (duplicados)`);
- * } else {
- *   console.error('Error descargando carpeta:', result.error);
- * }
+ * Cancela la cuenta atrás de la acción al terminar la cola
+ * @returns {Promise<APIResponse>} data: { action, pending }
  */
-export const downloadFolder = async params => {
+export const cancelQueueFinishAction = async () => {
   const api = getApi();
   if (!api) return { success: false, error: API_ERRORS.NOT_AVAILABLE };
 
   try {
-    return await api.downloadFolder(params);
+    return await api.cancelQueueFinishAction();
   } catch (error) {
-    apiLogger.error('Error iniciando descarga de carpeta:', error);
+    apiLogger.error('Error cancelando acción al terminar la cola:', error);
     return { success: false, error: error.message || GENERAL_ERRORS.UNKNOWN };
   }
 };
 
+// =====================
+// REGLAS DE DESTINO
+// =====================
+
 /**
- * Pausa una descarga
- * @param {number} downloadId - ID de la descarga
+ * Obtiene las reglas de destino por carpeta del catálogo
+ * @returns {Promise<APIResponse>} data: Array de { id, enabled, pattern, target, stripTags }
  */
-export const pauseDownload = async downloadId => {
+export const getDownloadRules = async () => {
   const api = getApi();
   if (!api) return { success: false, error: API_ERRORS.NOT_AVAILABLE };
 
   try {
-    return await api.pauseDownload(downloadId);
+    return await api.getDownloadRules();
   } catch (error) {
-    apiLogger.error('Error pausando descarga:', error);
+    apiLogger.error('Error obteniendo reglas de destino:', error);
     return { success: false, error: error.message || GENERAL_ERRORS.UNKNOWN };
   }
 };
 
 /**
- * Reanuda una descarga pausada
- * @param {number} downloadId - ID de la descarga
+ * Guarda las reglas de destino por carpeta del catálogo
+ * @param {Array<Object>} rules - Reglas { id, enabled, pattern, target, stripTags }
+ * @returns {Promise<APIResponse>} data: reglas guardadas
  */
-export const resumeDownload = async downloadId => {
+export const saveDownloadRules = async rules => {
   const api = getApi();
   if (!api) return { success: false, error: API_ERRORS.NOT_AVAILABLE };
 
   try {
-    return await api.resumeDownload(downloadId);
+    return await api.saveDownloadRules(rules);
   } catch (error) {
-    apiLogger.error('Error reanudando descarga:', error);
+    apiLogger.error('Error guardando reglas de destino:', error);
     return { success: false, error: error.message || GENERAL_ERRORS.UNKNOWN };
   }
 };
 
 /**
- * Cancela una descarga
- * @param {number} downloadId - ID de la descarga
+ * Calcula dónde se guardaría un archivo de ejemplo con unas reglas (sin guardarlas)
+ * @param {Object} params - { rules, samplePath, downloadPath }
+ * @returns {Promise<APIResponse>} data: { ruleId, savePath } (null si ninguna regla coincide)
  */
-export const cancelDownload = async downloadId => {
+export const previewDownloadRules = async params => {
   const api = getApi();
   if (!api) return { success: false, error: API_ERRORS.NOT_AVAILABLE };
 
   try {
-    return await api.cancelDownload(downloadId);
+    return await api.previewDownloadRules(params);
   } catch (error) {
-    apiLogger.error('Error cancelando descarga:', error);
+    apiLogger.error('Error calculando vista previa de reglas de destino:', error);
     return { success: false, error: error.message || GENERAL_ERRORS.UNKNOWN };
   }
 };
 
+// =====================
+// SERVIDORES ESPEJO
+// =====================
+
 /**
- * Reinicia una descarga cancelada o fallida
- * @param {number} downloadId - ID de la descarga
+ * Obtiene el servidor principal y los espejos con su estado
+ * @returns {Promise<APIResponse>} data: Array de { id, baseUrl, enabled, primary, health }
  */
-export const retryDownload = async downloadId => {
+export const getMirrors = async () => {
   const api = getApi();
   if (!api) return { success: false, error: API_ERRORS.NOT_AVAILABLE };
 
   try {
-    return await api.retryDownload(downloadId);
+    return await api.getMirrors();
   } catch (error) {
-    apiLogger.error('Error reiniciando descarga:', error);
+    apiLogger.error('Error obteniendo servidores espejo:', error);
     return { success: false, error: error.message || GENERAL_ERRORS.UNKNOWN };
   }
 };
 
 /**
- * Confirma sobrescritura de un archivo existente
- * @param {number} downloadId - ID de la descarga
+ * Guarda los servidores espejo
+ * @param {Array<Object>} mirrors - Espejos { id, baseUrl, enabled }
+ * @returns {Promise<APIResponse>} data: servidores con su estado
  */
-export const confirmOverwrite = async downloadId => {
+export const saveMirrors = async mirrors => {
   const api = getApi();
   if (!api) return { success: false, error: API_ERRORS.NOT_AVAILABLE };
 
   try {
-    return await api.confirmOverwrite(downloadId);
+    return await api.saveMirrors(mirrors);
   } catch (error) {
-    apiLogger.error('Error confirmando sobrescritura:', error);
+    apiLogger.error('Error guardando servidores espejo:', error);
     return { success: false, error: error.message || GENERAL_ERRORS.UNKNOWN };
   }
 };
 
 /**
- * Elimina una descarga de la base de datos
- * @param {number} downloadId - ID de la descarga
+ * Comprueba ahora si el servidor principal y los espejos responden
+ * @returns {Promise<APIResponse>} data: servidores con su estado
  */
-export const deleteDownload = async downloadId => {
+export const probeMirrors = async () => {
   const api = getApi();
   if (!api) return { success: false, error: API_ERRORS.NOT_AVAILABLE };
 
   try {
-    return await api.deleteDownload(downloadId);
+    return await api.probeMirrors();
   } catch (error) {
-    apiLogger.error('Error eliminando descarga:', error);
+    apiLogger.error('Error comprobando servidores espejo:', error);
     return { success: false, error: error.message || GENERAL_ERRORS.UNKNOWN };
   }
 };
 
+// =====================
+// PERFIL DE RED
+// =====================
+
 /**
- * Obtiene estadísticas de descargas
+ * Obtiene el perfil de red (proxy, User-Agent y cabeceras adicionales)
+ * @returns {Promise<APIResponse>} data: { proxy: { type, host, port, username, bypass, hasPassword }, userAgent, headers, defaultUserAgent }
  */
-export const getDownloadStats = async () => {
+export const getNetworkProfile = async () => {
   const api = getApi();
-  if (!api) return null;
+  if (!api) return { success: false, error: API_ERRORS.NOT_AVAILABLE };
 
   try {
-    return await api.getDownloadStats();
+    return await api.getNetworkProfile();
   } catch (error) {
-    apiLogger.error('Error obteniendo estadísticas:', error);
-    return null;
+    apiLogger.error('Error obteniendo perfil de red:', error);
+    return { success: false, error: error.message || GENERAL_ERRORS.UNKNOWN };
   }
 };
 
 /**
- * Limpia el historial de descargas manualmente
- * @param {number} daysOld - Días de antigüedad (default: 30)
+ * Guarda el perfil de red y aplica el proxy
+ * @param {Object} profile - { proxy: { type, host, port, username, password?, bypass }, userAgent, headers };
+ *   sin proxy.password se conserva la contraseña guardada
+ * @returns {Promise<APIResponse>} data: perfil guardado (ver getNetworkProfile)
  */
-export const cleanHistory = async (daysOld = 30) => {
+export const saveNetworkProfile = async profile => {
   const api = getApi();
   if (!api) return { success: false, error: API_ERRORS.NOT_AVAILABLE };
 
   try {
-    return await api.cleanHistory(daysOld);
+    return await api.saveNetworkProfile(profile);
   } catch (error) {
-    apiLogger.error('Error limpiando historial:', error);
+    apiLogger.error('Error guardando perfil de red:', error);
     return { success: false, error: error.message || GENERAL_ERRORS.UNKNOWN };
   }
 };
 
 /**
- * Limpia todo el historial de descargas (sin importar la fecha)
+ * Comprueba la conexión con el servidor principal usando el perfil guardado
+ * @returns {Promise<APIResponse>} data: { statusCode, latency }
  */
-export const clearHistory = async () => {
+export const testNetworkProfile = async () => {
   const api = getApi();
   if (!api) return { success: false, error: API_ERRORS.NOT_AVAILABLE };
 
   try {
-    return await api.clearHistory();
+    return await api.testNetworkProfile();
   } catch (error) {
-    apiLogger.error('Error limpiando todo el historial:', error);
+    apiLogger.error('Error comprobando la conexión:', error);
+    return { success: false, error: error.message || GENERAL_ERRORS.UNKNOWN };
+  }
+};
+
+// =====================
+// API HTTP LOCAL
+// =====================
+
+/**
+ * Obtiene el estado de la API HTTP local
+ * @returns {Promise<APIResponse>} data: { enabled, running, port, token, url, clients, error? }
+ */
+export const getHttpApi = async () => {
+  const api = getApi();
+  if (!api) return { success: false, error: API_ERRORS.NOT_AVAILABLE };
+
+  try {
+    return await api.getHttpApi();
+  } catch (error) {
+    apiLogger.error('Error obteniendo estado de la API HTTP:', error);
+    return { success: false, error: error.message || GENERAL_ERRORS.UNKNOWN };
+  }
+};
+
+/**
+ * Activa o desactiva la API HTTP local, cambia el puerto o regenera el token
+ * @param {Object} settings - { enabled, port, regenerateToken }
+ * @returns {Promise<APIResponse>} data: estado actualizado (igual que getHttpApi)
+ */
+export const configureHttpApi = async settings => {
+  const api = getApi();
+  if (!api) return { success: false, error: API_ERRORS.NOT_AVAILABLE };
+
+  try {
+    return await api.configureHttpApi(settings);
+  } catch (error) {
+    apiLogger.error('Error configurando la API HTTP:', error);
     return { success: false, error: error.message || GENERAL_ERRORS.UNKNOWN };
   }
 };
@@ -580,6 +1290,111 @@ export const onErrorNotification = callback => {
   return api.on('error-notification', callback);
 };
 
+/**
+ * Suscribe a cambios de la franja activa de la programación de descargas
+ * @param {Function} callback - Recibe el estado de la franja activa
+ * @returns {Function} Función para desuscribirse
+ */
+export const onScheduleChanged = callback => {
+  const api = getApi();
+  if (!api) {
+    apiLogger.warn('No se puede suscribir a eventos: API no disponible');
+    return () => {};
+  }
+
+  return api.on('schedule-changed', callback);
+};
+
+/**
+ * Suscribe a las acciones del menú del icono de bandeja
+ * @param {Function} callback - Recibe la acción: 'open-downloads' | 'pause-all' | 'resume-all'
+ * @returns {Function} Función para desuscribirse
+ */
+export const onTrayAction = callback => {
+  const api = getApi();
+  if (!api) {
+    apiLogger.warn('No se puede suscribir a eventos: API no disponible');
+    return () => {};
+  }
+
+  return api.on('tray-action', callback);
+};
+
+/**
+ * Suscribe a la cuenta atrás de la acción al terminar la cola
+ * @param {Function} callback - Recibe { action, pending: { action, executeAt } | null }
+ * @returns {Function} Función para desuscribirse
+ */
+export const onQueueFinishChanged = callback => {
+  const api = getApi();
+  if (!api) {
+    apiLogger.warn('No se puede suscribir a eventos: API no disponible');
+    return () => {};
+  }
+
+  return api.on('queue-finish-changed', callback);
+};
+
+/**
+ * Suscribe a las comprobaciones de búsquedas guardadas tras actualizar el catálogo
+ * @param {Function} callback - Recibe { searches, newCount, enqueued }
+ * @returns {Function} Función para desuscribirse
+ */
+export const onSavedSearchesUpdated = callback => {
+  const api = getApi();
+  if (!api) {
+    apiLogger.warn('No se puede suscribir a eventos: API no disponible');
+    return () => {};
+  }
+
+  return api.on('saved-searches-updated', callback);
+};
+
+/**
+ * Suscribe al resumen de una carpeta cuando terminan todas sus descargas
+ * @param {Function} callback - Recibe { batchId, title, total, completed, failed, cancelled, conflicts, conflictCount }
+ * @returns {Function} Función para desuscribirse
+ */
+export const onFolderBatchFinished = callback => {
+  const api = getApi();
+  if (!api) {
+    apiLogger.warn('No se puede suscribir a eventos: API no disponible');
+    return () => {};
+  }
+
+  return api.on('folder-batch-finished', callback);
+};
+
+/**
+ * Suscribe a eventos de progreso de la actualización del catálogo
+ * @param {Function} callback - Función a ejecutar con cada actualización de progreso
+ * @returns {Function} Función para desuscribirse
+ */
+export const onCatalogUpdateProgress = callback => {
+  const api = getApi();
+  if (!api) {
+    apiLogger.warn('No se puede suscribir a eventos: API no disponible');
+    return () => {};
+  }
+
+  return api.on('catalog-update-progress', callback);
+};
+
+/**
+ * Suscribe al progreso de la búsqueda de actualizaciones de las descargas completadas
+ * @param {Function} callback - Recibe { total, done, checked, unavailable, changed }
+ * @returns {Function} Función para desuscribirse
+ */
+export const onCompletedUpdatesProgress = callback => {
+  const api = getApi();
+  if (!api) {
+    apiLogger.warn('No se puede suscribir a eventos: API no disponible');
+    return () => {};
+  }
+
+  return api.on('completed-updates-progress', callback);
+};
+
 // =====================
 // EXPORT DEFAULT
 // =====================
@@ -590,20 +1405,66 @@ export default {
   getChildren,
   getAncestors,
   getNodeInfo,
+  getDataSource,
+  setDataSource,
   getDbUpdateDate,
+  updateCatalog,
+  cancelCatalogUpdate,
+
+  // Búsquedas guardadas
+  getSavedSearches,
+  createSavedSearch,
+  updateSavedSearch,
+  deleteSavedSearch,
+  acknowledgeSavedSearch,
+
+  // Verificación
+  importDat,
+  getDats,
+  removeDat,
 
   // Descargas
   download,
+  getFolderFiles,
+  auditCollection,
   downloadFolder,
+  exportQueue,
+  importQueue,
   pauseDownload,
   resumeDownload,
   cancelDownload,
   retryDownload,
   confirmOverwrite,
   deleteDownload,
+  setDownloadPriority,
+  moveDownload,
   getDownloadStats,
   cleanHistory,
   clearHistory,
+  getDownloadStatistics,
+  checkCompletedUpdates,
+  cancelCompletedUpdates,
+
+  // Lotes de descargas
+  getDownloadBatches,
+  controlDownloadBatch,
+
+  // Programación de descargas
+  getSchedule,
+  saveSchedule,
+  getQueueFinishAction,
+  cancelQueueFinishAction,
+  getDownloadRules,
+  saveDownloadRules,
+  previewDownloadRules,
+  getMirrors,
+  saveMirrors,
+  probeMirrors,
+  getNetworkProfile,
+  saveNetworkProfile,
+  testNetworkProfile,
+  getHttpApi,
+  configureHttpApi,
 
   // Configuración
   readConfigFile,
@@ -621,4 +1482,11 @@ export default {
   onHistoryCleaned,
   onDownloadsRestored,
   onErrorNotification,
+  onCatalogUpdateProgress,
+  onCompletedUpdatesProgress,
+  onScheduleChanged,
+  onTrayAction,
+  onQueueFinishChanged,
+  onSavedSearchesUpdated,
+  onFolderBatchFinished,
 };
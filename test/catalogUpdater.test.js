@@ -0,0 +1,143 @@
+/**
+ * Pruebas de la protección contra borrados de catalogUpdater
+ *
+ * Se ejecutan con el runner de Node (npm test), sin Electron: el módulo
+ * 'electron' y la base de datos principal se sustituyen por dobles mínimos y
+ * los statements de la copia del catálogo por funciones que registran lo que
+ * se habría escrito.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const Module = require('module');
+const os = require('os');
+const path = require('path');
+
+const originalLoad = Module._load;
+Module._load = function (request, parent, ...rest) {
+  if (request === 'electron') {
+    return { app: { name: 'myrient-test', isPackaged: false, getPath: () => os.tmpdir() } };
+  }
+  if (request === './database' && parent?.filename?.endsWith(`${path.sep}catalogUpdater.js`)) {
+    return {};
+  }
+  return originalLoad.call(this, request, parent, ...rest);
+};
+
+const catalogUpdater = require('../electron/catalogUpdater');
+const ScraperEngine = require('../electron/data/engines/ScraperEngine');
+
+const folder = { id: 1, url: 'https://myrient.erista.me/files/No-Intro/', path: '' };
+
+// Hijos de la carpeta en el catálogo
+const createRows = count =>
+  Array.from({ length: count }, (_, i) => ({
+    id: 100 + i,
+    title: `Juego ${i}.zip`,
+    size: '1.0 MiB',
+    modified_date: '2024-01-01 10:00',
+    type: 'File',
+    url: `${folder.url}Juego%20${i}.zip`,
+  }));
+
+// Nodos del listado para esas mismas filas
+const toListing = rows =>
+  rows.map(row => ({
+    title: row.title,
+    type: 'file',
+    size: 1048576,
+    size_text: row.size,
+    modified_date: new Date(2024, 0, 1, 10, 0).getTime(),
+    url: row.url,
+  }));
+
+const createContext = rows => {
+  const writes = { inserted: [], updated: [], deleted: [] };
+  const ctx = {
+    db: { transaction: fn => fn },
+    dirSuffix: '',
+    fts: null,
+    confirmRemovals: false,
+    statements: {
+      getChildren: { all: () => rows },
+      hasChildFolders: { get: () => undefined },
+      insertNode: {
+        run: values => {
+          writes.inserted.push(values);
+          return { lastInsertRowid: 1000 + writes.inserted.length };
+        },
+      },
+      updateNode: { run: values => writes.updated.push(values) },
+      getSubtreeIds: { all: id => [id] },
+      deleteNode: { run: id => writes.deleted.push(id) },
+    },
+  };
+  return { ctx, writes };
+};
+
+const createStats = () => ({
+  foldersVisited: 0,
+  foldersSkipped: 0,
+  inserted: 0,
+  removed: 0,
+  changed: 0,
+  errors: 0,
+  blockedFolders: [],
+});
+
+const useListing = listing => {
+  catalogUpdater.scraper = {
+    getChildren: async () => ({ success: true, source: 'web', fallback: false, ...listing }),
+    _parseSize: () => 1048576,
+  };
+};
+
+describe('catalogUpdater._syncFolder', () => {
+  it('omite una carpeta con hijos en el catálogo cuyo listado llega vacío', async () => {
+    const { ctx, writes } = createContext(createRows(3));
+    useListing({ data: [] });
+
+    await assert.rejects(catalogUpdater._syncFolder(ctx, folder, createStats()), /Listado vacío/);
+    assert.deepEqual(writes, { inserted: [], updated: [], deleted: [] });
+  });
+
+  it('acepta el listado vacío de una carpeta vacía', async () => {
+    const { ctx, writes } = createContext([]);
+    useListing({ data: [] });
+
+    assert.deepEqual(await catalogUpdater._syncFolder(ctx, folder, createStats()), []);
+    assert.deepEqual(writes, { inserted: [], updated: [], deleted: [] });
+  });
+
+  it('omite una carpeta cuyo listado se obtuvo con el parser de fallback', async () => {
+    const { ctx, writes } = createContext(createRows(3));
+    // Página sin la tabla del listado: el fallback solo ve enlaces, sin tamaño ni fecha
+    const scraper = new ScraperEngine();
+    scraper._fetchHTML = async () =>
+      '<html><body><ul><li><a href="Juego%200.zip">Juego 0.zip</a></li></ul></body></html>';
+    catalogUpdater.scraper = scraper;
+
+    await assert.rejects(catalogUpdater._syncFolder(ctx, folder, createStats()), /fallback/);
+    assert.deepEqual(writes, { inserted: [], updated: [], deleted: [] });
+  });
+
+  it('pide confirmación antes de borrar la mayoría de los hijos', async () => {
+    const rows = createRows(10);
+    const { ctx, writes } = createContext(rows);
+    useListing({ data: toListing(rows.slice(0, 2)) });
+
+    await assert.rejects(catalogUpdater._syncFolder(ctx, folder, createStats()), {
+      code: 'REMOVALS_NEED_CONFIRMATION',
+    });
+    assert.deepEqual(writes.deleted, []);
+
+    ctx.confirmRemovals = true;
+    const stats = createStats();
+    await catalogUpdater._syncFolder(ctx, folder, stats);
+    assert.deepEqual(
+      writes.deleted,
+      rows.slice(2).map(row => row.id)
+    );
+    assert.equal(stats.removed, 8);
+  });
+});